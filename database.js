@@ -1,4 +1,8 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { migrateUp } = require('./lib/migrations');
+
+// DATE отдаём строкой YYYY-MM-DD: без перевода в Date срок не сдвигается из-за часового пояса
+types.setTypeParser(1082, value => value);
 
 // Создаем пул подключений к PostgreSQL
 const pool = new Pool({
@@ -6,51 +10,23 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Функция для инициализации таблиц - ИСПРАВЛЕННАЯ ВЕРСИЯ
+// Инициализация БД: накатываем недостающие миграции (см. migrations/ и migrate.js)
 async function initializeDatabase() {
   try {
     console.log('Подключение к PostgreSQL...');
     console.log('Database URL:', process.env.DATABASE_URL ? 'Set' : 'Not set');
 
-    // Проверяем подключение
     await pool.query('SELECT NOW()');
     console.log('✅ Подключение к PostgreSQL успешно');
 
-    // ЗАКОММЕНТИРОВАНО: НЕ создаем таблицы, используем существующие
-    // Только проверяем какие таблицы есть в БД
-    const tablesResult = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public'
-      ORDER BY table_name
-    `);
-
-    console.log('📊 Существующие таблицы в базе данных:');
-    tablesResult.rows.forEach(table => {
-      console.log(`   - ${table.table_name}`);
-    });
-
-    // Проверяем количество записей в основных таблицах
-    try {
-      const usersCount = await pool.query('SELECT COUNT(*) as count FROM Users');
-      const casesCount = await pool.query('SELECT COUNT(*) as count FROM Cases');
-      
-      console.log(`👥 Пользователей в БД: ${usersCount.rows[0].count}`);
-      console.log(`📁 Кейсов в БД: ${casesCount.rows[0].count}`);
-      
-      if (casesCount.rows[0].count > 0) {
-        // Покажем несколько примеров кейсов
-        const sampleCases = await pool.query('SELECT id, title, status FROM Cases LIMIT 3');
-        console.log('📋 Примеры кейсов:');
-        sampleCases.rows.forEach(caseItem => {
-          console.log(`   - ID: ${caseItem.id}, Title: "${caseItem.title}", Status: ${caseItem.status}`);
-        });
-      }
-    } catch (err) {
-      console.log('⚠️  Не удалось проверить данные таблиц:', err.message);
+    if (process.env.MIGRATE_ON_START === 'false') {
+      console.log('ℹ️  MIGRATE_ON_START=false, миграции не применяются');
+    } else {
+      const applied = await migrateUp(pool);
+      console.log(applied.length ? `✅ Применено миграций: ${applied.length}` : '✅ Схема БД актуальна');
     }
 
-    console.log('✅ Используем существующие таблицы с данными');
+    await bootstrapAdmins();
 
   } catch (err) {
     console.error('❌ Ошибка при инициализации базы данных:', err);
@@ -58,6 +34,21 @@ async function initializeDatabase() {
   }
 }
 
+// Первичные администраторы задаются списком email через запятую в ADMIN_EMAILS
+async function bootstrapAdmins() {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  if (adminEmails.length === 0) return;
+
+  await pool.query(
+    `UPDATE "Users" SET roles = array_append(roles, 'admin')
+     WHERE LOWER(email) = ANY($1) AND NOT ('admin' = ANY(roles))`,
+    [adminEmails]
+  );
+}
+
 // Тестовое подключение
 async function testConnection() {
   try {
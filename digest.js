@@ -0,0 +1,20 @@
+// Ежедневный дайджест писем: node digest.js
+// Запускается планировщиком раз в сутки (cron, Heroku Scheduler). Письма уходят через MAIL_TRANSPORT
+const { pool } = require('./database');
+const { sendDailyDigest } = require('./lib/notificationEmails');
+
+async function main() {
+  const report = await sendDailyDigest(pool);
+  console.log(`📬 Дайджестов отправлено: ${report.sent} (событий: ${report.items})`);
+  if (report.failed > 0) {
+    console.log(`⚠️  Не отправлено: ${report.failed}, события останутся до следующего запуска`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Ошибка рассылки дайджеста:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const { getTokenFromRequest } = require('./auth');
+
+// Личные API-ключи для публичного API /api/v1. Ключ передаётся в заголовке Authorization: Bearer <ключ>
+// и показывается пользователю один раз — в базе лежит только его SHA-256
+const API_SCOPES = {
+  'cases:read': 'Чтение кейсов',
+  'cases:write': 'Управление своими кейсами',
+  'projects:read': 'Чтение проектов'
+};
+
+const KEY_PREFIX = 'ifk_';
+const MAX_KEYS_PER_USER = 10;
+const MAX_NAME_LENGTH = 100;
+// lastUsedAt обновляется не чаще раза в минуту, чтобы не писать в базу на каждый запрос
+const LAST_USED_THROTTLE_SECONDS = 60;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// ifk_<8 символов для списка>_<секрет>
+function generateApiKey() {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, keyHash: hashKey(key) };
+}
+
+function validateApiKey(body = {}) {
+  const name = String(body.name || '').trim();
+  if (!name) return { error: 'Назовите ключ, чтобы потом его узнать' };
+  if (name.length > MAX_NAME_LENGTH) return { error: `Название длиннее ${MAX_NAME_LENGTH} символов` };
+
+  if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+    return { error: 'Выберите хотя бы один доступ' };
+  }
+  const unknown = body.scopes.filter(scope => !API_SCOPES[scope]);
+  if (unknown.length > 0) {
+    return { error: `Неизвестные доступы: ${unknown.join(', ')}` };
+  }
+  return { value: { name, scopes: [...new Set(body.scopes)] } };
+}
+
+const toPublic = ({ keyHash, ...apiKey }) => apiKey;
+
+// Middleware для /api/v1: проверяет ключ и доступ, кладёт владельца ключа в req.currentUser
+// (как getCurrentUser), поэтому дальше работают те же authorize-проверки, что и у /api
+function requireApiKey(scope) {
+  if (!API_SCOPES[scope]) throw new Error(`Неизвестный доступ API-ключа: ${scope}`);
+
+  return async (req, res, next) => {
+    const key = getTokenFromRequest(req);
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return res.status(401).json({ error: 'Нужен API-ключ в заголовке Authorization: Bearer <ключ>' });
+    }
+
+    try {
+      const result = await query(
+        `SELECT k.id AS "keyId", k.scopes, k."lastUsedAt",
+                u.id, u.email, u."firstName", u."lastName", u.photo, u.description, u."emailVerified", u.roles
+         FROM "ApiKeys" k JOIN "Users" u ON u.id = k."userId"
+         WHERE k."keyHash" = $1 AND k."revokedAt" IS NULL`,
+        [hashKey(key)]
+      );
+      const row = result.rows[0];
+      if (!row) {
+        return res.status(401).json({ error: 'API-ключ недействителен или отозван' });
+      }
+      if (!row.scopes.includes(scope)) {
+        return res.status(403).json({ error: `У ключа нет доступа «${API_SCOPES[scope]}»`, scope });
+      }
+
+      const { keyId, scopes, lastUsedAt, ...user } = row;
+      req.currentUser = user;
+      req.apiKey = { id: keyId, scopes };
+
+      if (!lastUsedAt || Date.now() - new Date(lastUsedAt).getTime() > LAST_USED_THROTTLE_SECONDS * 1000) {
+        query('UPDATE "ApiKeys" SET "lastUsedAt" = NOW() WHERE id = $1', [keyId])
+          .catch(err => console.error('Ошибка обновления lastUsedAt ключа:', err));
+      }
+      next();
+    } catch (err) {
+      console.error('💥 Ошибка проверки API-ключа:', err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+module.exports = {
+  API_SCOPES,
+  MAX_KEYS_PER_USER,
+  hashKey,
+  generateApiKey,
+  validateApiKey,
+  toPublic,
+  requireApiKey
+};
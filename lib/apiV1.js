@@ -0,0 +1,406 @@
+const { API_SCOPES } = require('./apiKeys');
+const { parseFiles } = require('./cases');
+const { visibleCaseSql } = require('./invitations');
+
+// Публичное API /api/v1: стабильный формат ответов (не зависит от колонок таблиц),
+// OpenAPI-описание и страница документации. Маршруты — в server.js
+const API_VERSION = '1.0.0';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// ?limit=&offset= для списков
+function parseListPage(queryParams = {}) {
+  const limit = queryParams.limit === undefined ? DEFAULT_LIMIT : Number(queryParams.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit — от 1 до ${MAX_LIMIT}` };
+  }
+  const offset = queryParams.offset === undefined ? 0 : Number(queryParams.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset — целое число от 0' };
+  }
+  return { value: { limit, offset } };
+}
+
+const toAmount = value => (value === null || value === undefined ? null : Number(value));
+
+const pickBudget = row => ({
+  type: row.budgetType || null,
+  min: toAmount(row.budgetMin),
+  max: toAmount(row.budgetMax),
+  currency: row.currency || 'RUB'
+});
+
+function toApiCase(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    theme: row.theme || null,
+    description: row.description || null,
+    status: row.status,
+    isPrivate: !!row.isPrivate,
+    budget: pickBudget(row),
+    deadline: row.deadline || null,
+    cover: row.cover || null,
+    files: parseFiles(row.files),
+    ownerId: row.userId,
+    executorId: row.executorId || null,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt || null
+  };
+}
+
+// Проекты видны по правилу своего кейса: из закрытого кейса — только его заказчику и исполнителю.
+// Условие для списка без JOIN, чтобы подходило к общему SELECT p.* в server.js
+function visibleProjectSql(projectAlias, viewerParam) {
+  return `EXISTS (SELECT 1 FROM "Cases" c WHERE c.id = ${projectAlias}."caseId" AND ${visibleCaseSql('c', viewerParam)})`;
+}
+
+function toApiProject(row) {
+  return {
+    id: row.id,
+    caseId: row.caseId,
+    title: row.title,
+    theme: row.theme || null,
+    description: row.description || null,
+    status: row.status,
+    budget: pickBudget(row),
+    deadline: row.deadline || null,
+    cover: row.cover || null,
+    files: parseFiles(row.files),
+    ownerId: row.userId,
+    executorId: row.executorId || null,
+    createdAt: row.createdAt
+  };
+}
+
+// --- OpenAPI 3 ---
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const response = (description, schema) => (schema ? { description, content: json(schema) } : { description });
+
+const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'integer' } };
+const pageParams = [
+  { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+  { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } }
+];
+const filterParams = [
+  { name: 'theme', in: 'query', description: 'Тема; несколько тем — повторением параметра', schema: { type: 'string' } },
+  { name: 'budgetType', in: 'query', schema: { type: 'string', enum: ['fixed', 'hourly'] } },
+  { name: 'currency', in: 'query', schema: { type: 'string', enum: ['RUB', 'USD', 'EUR'] } },
+  { name: 'budgetFrom', in: 'query', schema: { type: 'number' } },
+  { name: 'budgetTo', in: 'query', schema: { type: 'number' } },
+  { name: 'deadlineFrom', in: 'query', schema: { type: 'string', format: 'date' } },
+  { name: 'deadlineTo', in: 'query', schema: { type: 'string', format: 'date' } },
+  { name: 'sort', in: 'query', schema: { type: 'string', enum: ['newest', 'oldest', 'budget_desc', 'budget_asc', 'deadline'] } }
+];
+
+const errors = {
+  400: response('Некорректный запрос', ref('Error')),
+  401: response('Нет API-ключа или он отозван', ref('Error')),
+  403: response('У ключа нет нужного доступа или у владельца нет прав', ref('Error'))
+};
+
+// Операция: доступ ключа (scope) попадает и в security, и в описание
+function operation(scope, { summary, description, parameters, requestBody, responses }) {
+  return {
+    summary,
+    description: [description, `Доступ ключа: \`${scope}\`.`].filter(Boolean).join('\n\n'),
+    'x-scope': scope,
+    security: [{ apiKey: [] }],
+    ...(parameters ? { parameters } : {}),
+    ...(requestBody ? { requestBody: { required: true, content: json(requestBody) } } : {}),
+    responses: { ...responses, ...errors }
+  };
+}
+
+const caseFields = {
+  title: { type: 'string' },
+  theme: { type: 'string' },
+  description: { type: 'string' },
+  budgetType: { type: 'string', enum: ['fixed', 'hourly'], nullable: true },
+  budgetMin: { type: 'number', nullable: true },
+  budgetMax: { type: 'number', nullable: true },
+  currency: { type: 'string', enum: ['RUB', 'USD', 'EUR'] },
+  deadline: { type: 'string', format: 'date', nullable: true, description: 'ГГГГ-ММ-ДД, не раньше сегодняшнего дня' },
+  isPrivate: { type: 'boolean', description: 'Закрытый кейс виден только приглашённым исполнителям' }
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string' } }
+  },
+  Budget: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['fixed', 'hourly'], nullable: true },
+      min: { type: 'number', nullable: true },
+      max: { type: 'number', nullable: true },
+      currency: { type: 'string' }
+    }
+  },
+  Case: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      theme: { type: 'string', nullable: true },
+      description: { type: 'string', nullable: true },
+      status: {
+        type: 'string',
+        enum: ['draft', 'open', 'in_review', 'in_progress', 'submitted', 'revision_requested', 'completed', 'cancelled', 'disputed']
+      },
+      isPrivate: { type: 'boolean' },
+      budget: ref('Budget'),
+      deadline: { type: 'string', format: 'date', nullable: true },
+      cover: { type: 'string', nullable: true },
+      files: { type: 'array', items: { type: 'string' } },
+      ownerId: { type: 'integer' },
+      executorId: { type: 'integer', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  CaseInput: {
+    type: 'object',
+    required: ['title'],
+    properties: caseFields
+  },
+  CaseUpdate: {
+    type: 'object',
+    description: 'Передаются только изменяемые поля. Изменить можно только кейс, работа по которому ещё не началась',
+    properties: caseFields
+  },
+  CaseList: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: ref('Case') },
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' }
+    }
+  },
+  StatusChange: {
+    type: 'object',
+    properties: { message: { type: 'string' }, status: { type: 'string' } }
+  },
+  Project: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      caseId: { type: 'integer' },
+      title: { type: 'string' },
+      theme: { type: 'string', nullable: true },
+      description: { type: 'string', nullable: true },
+      status: { type: 'string' },
+      budget: ref('Budget'),
+      deadline: { type: 'string', format: 'date', nullable: true },
+      cover: { type: 'string', nullable: true },
+      files: { type: 'array', items: { type: 'string' } },
+      ownerId: { type: 'integer' },
+      executorId: { type: 'integer', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  ProjectList: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: ref('Project') },
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' }
+    }
+  }
+};
+
+const paths = {
+  '/cases': {
+    get: operation('cases:read', {
+      summary: 'Открытые кейсы',
+      description: 'Кейсы, принимающие отклики. Закрытые кейсы в список не попадают',
+      parameters: [...filterParams, ...pageParams],
+      responses: { 200: response('Список кейсов', ref('CaseList')) }
+    }),
+    post: operation('cases:write', {
+      summary: 'Разместить кейс',
+      description: 'Кейс сразу открыт для откликов. Владелец ключа должен быть заказчиком',
+      requestBody: ref('CaseInput'),
+      responses: { 201: response('Кейс создан', ref('Case')) }
+    })
+  },
+  '/cases/mine': {
+    get: operation('cases:read', {
+      summary: 'Мои кейсы',
+      description: 'Кейсы владельца ключа в любом статусе. Фильтр status — через запятую',
+      parameters: [{ name: 'status', in: 'query', schema: { type: 'string' } }, ...filterParams, ...pageParams],
+      responses: { 200: response('Список кейсов', ref('CaseList')) }
+    })
+  },
+  '/cases/{id}': {
+    get: operation('cases:read', {
+      summary: 'Кейс',
+      parameters: [idParam],
+      responses: { 200: response('Кейс', ref('Case')), 404: response('Кейс не найден', ref('Error')) }
+    }),
+    patch: operation('cases:write', {
+      summary: 'Изменить свой кейс',
+      parameters: [idParam],
+      requestBody: ref('CaseUpdate'),
+      responses: {
+        200: response('Кейс изменён', ref('Case')),
+        404: response('Кейс не найден', ref('Error')),
+        409: response('Работа по кейсу уже началась', ref('Error'))
+      }
+    }),
+    delete: operation('cases:write', {
+      summary: 'Удалить свой кейс',
+      description: 'Кейс отменяется и скрывается, действующие отклики отклоняются',
+      parameters: [idParam],
+      responses: {
+        200: response('Кейс удалён', ref('StatusChange')),
+        404: response('Кейс не найден', ref('Error')),
+        409: response('Работа по кейсу уже началась', ref('Error'))
+      }
+    })
+  },
+  '/cases/{id}/publish': {
+    post: operation('cases:write', {
+      summary: 'Опубликовать черновик',
+      parameters: [idParam],
+      responses: { 200: response('Кейс открыт', ref('StatusChange')), 409: response('Кейс не черновик', ref('Error')) }
+    })
+  },
+  '/cases/{id}/unpublish': {
+    post: operation('cases:write', {
+      summary: 'Снять с публикации',
+      parameters: [idParam],
+      responses: { 200: response('Кейс в черновиках', ref('StatusChange')), 409: response('Кейс уже в работе', ref('Error')) }
+    })
+  },
+  '/projects': {
+    get: operation('projects:read', {
+      summary: 'Проекты',
+      description: 'Завершённые проекты. Проекты закрытых кейсов видны только их участникам. ' +
+        'role=customer или role=executor оставляет только проекты владельца ключа',
+      parameters: [{ name: 'role', in: 'query', schema: { type: 'string', enum: ['customer', 'executor'] } }, ...filterParams, ...pageParams],
+      responses: { 200: response('Список проектов', ref('ProjectList')) }
+    })
+  },
+  '/projects/{id}': {
+    get: operation('projects:read', {
+      summary: 'Проект',
+      parameters: [idParam],
+      responses: { 200: response('Проект', ref('Project')), 404: response('Проект не найден', ref('Error')) }
+    })
+  }
+};
+
+function buildOpenApiSpec({ serverUrl = '/api/v1' } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'IdeaFlow API',
+      version: API_VERSION,
+      description: 'Публичное API IdeaFlow. Личный API-ключ создаётся в профиле (вкладка «API») ' +
+        'и передаётся в заголовке Authorization: Bearer <ключ>. Доступы ключа: ' +
+        Object.entries(API_SCOPES).map(([scope, label]) => `${scope} — ${label}`).join('; ') + '.'
+    },
+    servers: [{ url: serverUrl }],
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', bearerFormat: 'ifk_…' }
+      },
+      schemas
+    },
+    paths
+  };
+}
+
+// --- Страница документации ---
+
+const escapeHtml = value =>
+  String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const schemaName = schema => (schema && schema.$ref ? schema.$ref.split('/').pop() : null);
+
+function renderSchema(name, schema) {
+  const rows = Object.entries(schema.properties || {}).map(([field, prop]) => {
+    const type = schemaName(prop) || (prop.type === 'array' ? `${schemaName(prop.items) || prop.items.type}[]` : prop.type);
+    const notes = [
+      (schema.required || []).includes(field) ? 'обязательное' : null,
+      prop.enum ? prop.enum.join(' | ') : null,
+      prop.description || null
+    ].filter(Boolean).join('; ');
+    return `<tr><td><code>${field}</code></td><td>${escapeHtml(type)}</td><td>${escapeHtml(notes)}</td></tr>`;
+  });
+  return `<h3 id="schema-${name}">${name}</h3>` +
+    (schema.description ? `<p>${escapeHtml(schema.description)}</p>` : '') +
+    `<table><tr><th>Поле</th><th>Тип</th><th></th></tr>${rows.join('')}</table>`;
+}
+
+function renderOperation(path, method, op, serverUrl) {
+  const params = (op.parameters || []).map(p =>
+    `<li><code>${p.name}</code> (${p.in}${p.required ? ', обязательный' : ''})` +
+    `${p.schema.enum ? ` — ${escapeHtml(p.schema.enum.join(' | '))}` : ''}` +
+    `${p.description ? ` — ${escapeHtml(p.description)}` : ''}</li>`
+  ).join('');
+  const body = op.requestBody ? schemaName(op.requestBody.content['application/json'].schema) : null;
+  const responses = Object.entries(op.responses).map(([code, r]) => {
+    const name = r.content ? schemaName(r.content['application/json'].schema) : null;
+    return `<li><code>${code}</code> ${escapeHtml(r.description)}${name ? ` — <a href="#schema-${name}">${name}</a>` : ''}</li>`;
+  }).join('');
+  const curl = `curl -X ${method.toUpperCase()} -H "Authorization: Bearer $IDEAFLOW_KEY"` +
+    (body ? ' -H "Content-Type: application/json" -d \'{...}\'' : '') + ` ${serverUrl}${path.replace('{id}', '1')}`;
+
+  return `<section><h3><span class="method">${method.toUpperCase()}</span> <code>${path}</code> — ${escapeHtml(op.summary)}</h3>` +
+    `<p>${escapeHtml(op.description).replace(/`([^`]+)`/g, '<code>$1</code>').replace(/\n\n/g, '<br>')}</p>` +
+    (params ? `<p>Параметры:</p><ul>${params}</ul>` : '') +
+    (body ? `<p>Тело запроса: <a href="#schema-${body}">${body}</a></p>` : '') +
+    `<p>Ответы:</p><ul>${responses}</ul><pre>${escapeHtml(curl)}</pre></section>`;
+}
+
+function renderDocsPage(spec) {
+  const serverUrl = spec.servers[0].url;
+  const operations = Object.entries(spec.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, op]) => renderOperation(path, method, op, serverUrl))
+  );
+  const schemaBlocks = Object.entries(spec.components.schemas).map(([name, schema]) => renderSchema(name, schema));
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(spec.info.title)} ${spec.info.version}</title>
+<style>
+  body { font-family: sans-serif; max-width: 960px; margin: 40px auto; padding: 0 20px; color: #222; }
+  section { border-top: 1px solid #eee; padding-top: 8px; }
+  .method { background: #ffbe5a; border-radius: 6px; padding: 2px 8px; }
+  pre { background: #f6f6f6; padding: 12px; border-radius: 8px; overflow-x: auto; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { border-bottom: 1px solid #eee; padding: 4px 8px; text-align: left; vertical-align: top; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(spec.info.title)} <small>${spec.info.version}</small></h1>
+<p>${escapeHtml(spec.info.description)}</p>
+<p>Машиночитаемое описание: <a href="${serverUrl}/openapi.json">${serverUrl}/openapi.json</a> (OpenAPI ${spec.openapi}).
+Ошибки возвращаются как <code>{ "error": "..." }</code>.</p>
+<h2>Методы</h2>
+${operations.join('\n')}
+<h2>Схемы</h2>
+${schemaBlocks.join('\n')}
+</body>
+</html>`;
+}
+
+module.exports = {
+  API_VERSION,
+  parseListPage,
+  toApiCase,
+  visibleProjectSql,
+  toApiProject,
+  buildOpenApiSpec,
+  renderDocsPage
+};
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { API_SCOPES } = require('./apiKeys');
+const { canViewCase, caseAccessRow } = require('./invitations');
+const { parseListPage, toApiCase, visibleProjectSql, toApiProject, buildOpenApiSpec, renderDocsPage } = require('./apiV1');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function collectRefs(value, refs = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (key === '$ref') refs.push(item);
+      else collectRefs(item, refs);
+    }
+  }
+  return refs;
+}
+
+test('parseListPage: значения по умолчанию и границы', () => {
+  assert.deepStrictEqual(parseListPage({}).value, { limit: 20, offset: 0 });
+  assert.deepStrictEqual(parseListPage({ limit: '100', offset: '40' }).value, { limit: 100, offset: 40 });
+  assert.ok(parseListPage({ limit: '0' }).error);
+  assert.ok(parseListPage({ limit: '101' }).error);
+  assert.ok(parseListPage({ limit: 'abc' }).error);
+  assert.ok(parseListPage({ offset: '-1' }).error);
+});
+
+test('toApiCase: числа вместо NUMERIC-строк, файлы массивом, владелец — ownerId', () => {
+  const apiCase = toApiCase({
+    id: 5, userId: 1, executorId: null, title: 'Лендинг', theme: 'Веб-дизайн', description: '', status: 'open',
+    isPrivate: false, budgetType: 'fixed', budgetMin: '1000.00', budgetMax: null, currency: 'RUB',
+    deadline: '2026-12-01', cover: null, files: '["/uploads/a.pdf"]', deletedAt: null,
+    createdAt: '2026-10-01T00:00:00.000Z', updatedAt: null
+  });
+  assert.deepStrictEqual(apiCase.budget, { type: 'fixed', min: 1000, max: null, currency: 'RUB' });
+  assert.deepStrictEqual(apiCase.files, ['/uploads/a.pdf']);
+  assert.strictEqual(apiCase.ownerId, 1);
+  assert.strictEqual(apiCase.userId, undefined);
+  assert.strictEqual(apiCase.deletedAt, undefined);
+});
+
+test('toApiProject: исполнитель и кейс проекта', () => {
+  const project = toApiProject({ id: 9, caseId: 5, userId: 1, executorId: 2, title: 'Лендинг', status: 'completed', files: null });
+  assert.strictEqual(project.caseId, 5);
+  assert.strictEqual(project.executorId, 2);
+  assert.deepStrictEqual(project.files, []);
+  assert.deepStrictEqual(project.budget, { type: null, min: null, max: null, currency: 'RUB' });
+});
+
+test('проект закрытого кейса: условие списка и проверка по участникам кейса', async () => {
+  assert.strictEqual(
+    visibleProjectSql('p', '$1'),
+    'EXISTS (SELECT 1 FROM "Cases" c WHERE c.id = p."caseId" AND (c."isPrivate" = FALSE OR c."userId" = $1 OR c."executorId" = $1))'
+  );
+
+  const row = { id: 9, caseId: 5, userId: 1, executorId: 2, title: 'Лендинг', status: 'completed', isPrivate: true, caseUserId: 1, caseExecutorId: 2 };
+  const db = { query: async () => ({ rows: [] }) };
+  assert.strictEqual(await canViewCase(db, { id: 3 }, caseAccessRow(row)), false);
+  assert.strictEqual(await canViewCase(db, { id: 2 }, caseAccessRow(row)), true);
+
+  const project = toApiProject(row);
+  assert.strictEqual(project.isPrivate, undefined);
+  assert.strictEqual(project.caseUserId, undefined);
+});
+
+test('OpenAPI: у каждой операции известный доступ ключа и описанные ошибки', () => {
+  const spec = buildOpenApiSpec();
+  assert.strictEqual(spec.openapi, '3.0.3');
+  const operations = Object.values(spec.paths).flatMap(methods =>
+    Object.entries(methods).filter(([method]) => METHODS.includes(method)).map(([, op]) => op)
+  );
+  assert.ok(operations.length >= 10);
+  for (const op of operations) {
+    assert.ok(API_SCOPES[op['x-scope']], op.summary);
+    assert.deepStrictEqual(op.security, [{ apiKey: [] }]);
+    assert.ok(op.responses['401'] && op.responses['403']);
+  }
+});
+
+test('OpenAPI: все $ref указывают на описанные схемы', () => {
+  const spec = buildOpenApiSpec();
+  for (const ref of collectRefs(spec)) {
+    const name = ref.replace('#/components/schemas/', '');
+    assert.ok(spec.components.schemas[name], ref);
+  }
+});
+
+test('страница документации описывает все методы', () => {
+  const spec = buildOpenApiSpec();
+  const html = renderDocsPage(spec);
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(methods)) {
+      assert.ok(html.includes(`${method.toUpperCase()}</span> <code>${path}</code>`), `${method} ${path}`);
+    }
+  }
+  assert.ok(html.includes('/api/v1/openapi.json'));
+  assert.ok(!html.includes('<script'));
+});
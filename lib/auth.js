@@ -0,0 +1,120 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../database');
+const { createSession, isSessionActive } = require('./sessions');
+
+// Секрет для подписи токенов. В production обязательно задаётся через JWT_SECRET
+const JWT_SECRET = process.env.JWT_SECRET || 'ideaflow-dev-secret';
+// Access-токен короткоживущий, продлевается через refresh-токен сессии
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET не задан');
+  }
+  console.warn('⚠️  JWT_SECRET не задан, используется секрет для разработки');
+}
+
+// Выпуск подписанного access-токена для пользователя в рамках сессии
+function createToken(user, sessionId) {
+  return jwt.sign({ sub: String(user.id), email: user.email, sid: sessionId }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN
+  });
+}
+
+// Открытие новой сессии: access-токен + refresh-токен
+async function issueTokens(user, req) {
+  const { sessionId, refreshToken } = await createSession(user.id, req);
+  return { token: createToken(user, sessionId), refreshToken };
+}
+
+// Короткий токен между вводом пароля и кодом второго фактора
+function createChallengeToken(user) {
+  return jwt.sign({ sub: String(user.id), purpose: '2fa' }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+function verifyChallengeToken(token) {
+  const payload = verifyToken(token);
+  if (!payload || payload.purpose !== '2fa') return null;
+  const userId = parseInt(payload.sub, 10);
+  return isNaN(userId) ? null : userId;
+}
+
+// Проверка токена. Возвращает payload или null
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Извлечение токена из заголовка Authorization: Bearer <token>
+function getTokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+}
+
+// Middleware: проверяет токен и кладёт пользователя в req.currentUser
+const getCurrentUser = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Пользователь не авторизован' });
+  }
+
+  const payload = verifyToken(token);
+  const userId = payload ? parseInt(payload.sub, 10) : NaN;
+  if (isNaN(userId)) {
+    return res.status(401).json({ error: 'Недействительный токен' });
+  }
+
+  try {
+    if (!payload.sid || !(await isSessionActive(payload.sid, userId))) {
+      return res.status(401).json({ error: 'Сессия завершена' });
+    }
+
+    const result = await query(
+      'SELECT id, email, "firstName", "lastName", photo, description, "emailVerified", roles FROM "Users" WHERE id = $1',
+      [userId]
+    );
+
+    if (!result.rows[0]) {
+      return res.status(401).json({ error: 'Пользователь не найден' });
+    }
+
+    req.currentUser = result.rows[0];
+    req.sessionId = payload.sid;
+    next();
+  } catch (err) {
+    console.error('💥 Ошибка при получении пользователя:', err);
+    return res.status(500).json({ error: 'Ошибка сервера' });
+  }
+};
+
+// Проверка токена вне HTTP-запроса (подключение WebSocket). Возвращает { userId, sessionId } или null
+async function authenticateToken(token) {
+  const payload = verifyToken(token);
+  const userId = payload ? parseInt(payload.sub, 10) : NaN;
+  if (isNaN(userId) || !payload.sid) return null;
+  return (await isSessionActive(payload.sid, userId)) ? { userId, sessionId: payload.sid } : null;
+}
+
+// Middleware для публичных маршрутов: без токена запрос идёт анонимно,
+// с токеном пользователь проверяется так же, как в getCurrentUser
+const getOptionalUser = (req, res, next) => {
+  if (!getTokenFromRequest(req)) return next();
+  return getCurrentUser(req, res, next);
+};
+
+module.exports = {
+  createToken,
+  issueTokens,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyToken,
+  getTokenFromRequest,
+  getCurrentUser,
+  getOptionalUser,
+  authenticateToken
+};
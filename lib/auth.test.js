@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+const {
+  createToken, createChallengeToken, verifyChallengeToken, verifyToken, getTokenFromRequest, getCurrentUser, authenticateToken
+} = require('./auth');
+
+const user = { id: 7, email: 'a@example.com' };
+
+test('access-токен подписан секретом и несёт пользователя и сессию', () => {
+  const payload = verifyToken(createToken(user, 3));
+  assert.strictEqual(payload.sub, '7');
+  assert.strictEqual(payload.email, 'a@example.com');
+  assert.strictEqual(payload.sid, 3);
+  assert.ok(payload.exp - payload.iat <= 15 * 60);
+});
+
+test('verifyToken отклоняет чужую подпись, истёкший и испорченный токен', () => {
+  assert.strictEqual(verifyToken(jwt.sign({ sub: '7', sid: 3 }, 'other-secret')), null);
+  assert.strictEqual(verifyToken(jwt.sign({ sub: '7', sid: 3, exp: Math.floor(Date.now() / 1000) - 10 }, 'test-secret')), null);
+  assert.strictEqual(verifyToken(createToken(user, 3).slice(0, -2)), null);
+  assert.strictEqual(verifyToken(undefined), null);
+});
+
+test('токен второго шага входа не подменяет access-токен и наоборот', () => {
+  assert.strictEqual(verifyChallengeToken(createChallengeToken(user)), 7);
+  assert.strictEqual(verifyChallengeToken(createToken(user, 3)), null);
+  assert.strictEqual(verifyChallengeToken('garbage'), null);
+});
+
+test('getTokenFromRequest читает только заголовок Bearer', () => {
+  assert.strictEqual(getTokenFromRequest({ headers: { authorization: 'Bearer abc' } }), 'abc');
+  assert.strictEqual(getTokenFromRequest({ headers: { authorization: 'Basic abc' } }), null);
+  assert.strictEqual(getTokenFromRequest({ headers: {} }), null);
+});
+
+test('getCurrentUser: без токена и с недействительным токеном — 401', async () => {
+  const tokens = [
+    null,
+    jwt.sign({ sub: '7', sid: 3 }, 'other-secret'),
+    jwt.sign({ sub: 'abc', sid: 3 }, 'test-secret'),
+    // Без сессии токен не принимается: запрос в БД не нужен
+    jwt.sign({ sub: '7' }, 'test-secret')
+  ];
+  for (const token of tokens) {
+    let status = null;
+    const res = { status: code => { status = code; return res; }, json: () => res };
+    const headers = token ? { authorization: `Bearer ${token}` } : {};
+    await getCurrentUser({ headers }, res, () => assert.fail('запрос не должен пройти'));
+    assert.strictEqual(status, 401);
+  }
+});
+
+test('authenticateToken отклоняет токен без сессии и с чужой подписью', async () => {
+  assert.strictEqual(await authenticateToken(jwt.sign({ sub: '7' }, 'test-secret')), null);
+  assert.strictEqual(await authenticateToken(jwt.sign({ sub: '7', sid: 3 }, 'other-secret')), null);
+});
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+
+// Одноразовые токены для подтверждения email и сброса пароля
+const TOKEN_TTL_MINUTES = {
+  verify_email: 24 * 60,
+  reset_password: 60
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Создаёт новый токен, предыдущие неиспользованные токены того же типа аннулируются
+async function createAuthToken(userId, type, db = { query }) {
+  const ttl = TOKEN_TTL_MINUTES[type];
+  if (!ttl) throw new Error(`Неизвестный тип токена: ${type}`);
+
+  await db.query(
+    'UPDATE "AuthTokens" SET "usedAt" = NOW() WHERE "userId" = $1 AND type = $2 AND "usedAt" IS NULL',
+    [userId, type]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `INSERT INTO "AuthTokens" ("userId", type, "tokenHash", "expiresAt")
+     VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::interval)`,
+    [userId, type, hashToken(token), String(ttl)]
+  );
+  return token;
+}
+
+// Погашение токена. Возвращает userId или null, если токен недействителен
+async function consumeAuthToken(token, type, db = { query }) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const result = await db.query(
+    `UPDATE "AuthTokens" SET "usedAt" = NOW()
+     WHERE "tokenHash" = $1 AND type = $2 AND "usedAt" IS NULL AND "expiresAt" > NOW()
+     RETURNING "userId"`,
+    [hashToken(token), type]
+  );
+  return result.rows[0] ? result.rows[0].userId : null;
+}
+
+module.exports = {
+  createAuthToken,
+  consumeAuthToken
+};
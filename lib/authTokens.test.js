@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAuthToken, consumeAuthToken } = require('./authTokens');
+
+// Поддельная таблица AuthTokens со своими часами: понимает запросы lib/authTokens
+function fakeDb() {
+  const rows = [];
+  const db = {
+    rows,
+    now: Date.now(),
+    advance(minutes) {
+      db.now += minutes * 60 * 1000;
+    },
+    query: async (sql, params) => {
+      if (sql.startsWith('INSERT INTO "AuthTokens"')) {
+        const [userId, type, tokenHash, ttlMinutes] = params;
+        rows.push({ userId, type, tokenHash, usedAt: null, expiresAt: db.now + Number(ttlMinutes) * 60 * 1000 });
+        return { rowCount: 1, rows: [] };
+      }
+      if (sql.includes('WHERE "userId" = $1 AND type = $2')) {
+        const [userId, type] = params;
+        const pending = rows.filter(row => row.userId === userId && row.type === type && !row.usedAt);
+        pending.forEach(row => { row.usedAt = db.now; });
+        return { rowCount: pending.length, rows: [] };
+      }
+      if (sql.includes('WHERE "tokenHash" = $1')) {
+        const [tokenHash, type] = params;
+        const row = rows.find(r => r.tokenHash === tokenHash && r.type === type && !r.usedAt && r.expiresAt > db.now);
+        if (!row) return { rowCount: 0, rows: [] };
+        row.usedAt = db.now;
+        return { rowCount: 1, rows: [{ userId: row.userId }] };
+      }
+      throw new Error(`Неожиданный запрос: ${sql}`);
+    }
+  };
+  return db;
+}
+
+test('токен сброса пароля погашается один раз и только для своего типа', async () => {
+  const db = fakeDb();
+  const token = await createAuthToken(5, 'reset_password', db);
+
+  assert.ok(!db.rows.some(row => row.tokenHash === token), 'в базе хранится только хэш');
+  assert.strictEqual(await consumeAuthToken(token, 'verify_email', db), null);
+  assert.strictEqual(await consumeAuthToken(token, 'reset_password', db), 5);
+  assert.strictEqual(await consumeAuthToken(token, 'reset_password', db), null);
+});
+
+test('токены истекают: сброс пароля через час, подтверждение email через сутки', async () => {
+  const db = fakeDb();
+  const reset = await createAuthToken(5, 'reset_password', db);
+  const verify = await createAuthToken(5, 'verify_email', db);
+
+  db.advance(61);
+  assert.strictEqual(await consumeAuthToken(reset, 'reset_password', db), null);
+  assert.strictEqual(await consumeAuthToken(verify, 'verify_email', db), 5);
+
+  const late = await createAuthToken(5, 'verify_email', db);
+  db.advance(24 * 60 + 1);
+  assert.strictEqual(await consumeAuthToken(late, 'verify_email', db), null);
+});
+
+test('новый токен отменяет предыдущий того же типа', async () => {
+  const db = fakeDb();
+  const first = await createAuthToken(5, 'verify_email', db);
+  const second = await createAuthToken(5, 'verify_email', db);
+
+  assert.notStrictEqual(first, second);
+  assert.strictEqual(await consumeAuthToken(first, 'verify_email', db), null);
+  assert.strictEqual(await consumeAuthToken(second, 'verify_email', db), 5);
+});
+
+test('неизвестный тип и пустой токен', async () => {
+  const db = fakeDb();
+  await assert.rejects(() => createAuthToken(5, 'login', db));
+  assert.strictEqual(await consumeAuthToken('', 'verify_email', db), null);
+  assert.strictEqual(await consumeAuthToken(undefined, 'verify_email', db), null);
+});
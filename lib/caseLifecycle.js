@@ -0,0 +1,80 @@
+const { releaseEscrow, refundEscrow } = require('./ledger');
+
+// Жизненный цикл кейса. Cases.status — единственный источник истины:
+// ProcessedCases повторяет статус своего кейса, каждый переход пишется в CaseStatusHistory
+const CASE_STATUSES = [
+  'draft',
+  'open',
+  'in_review',
+  'in_progress',
+  'submitted',
+  'revision_requested',
+  'completed',
+  'cancelled',
+  'disputed'
+];
+
+// Статус -> в какие статусы из него можно перейти.
+// Из работы в open — исполнитель снят с кейса (расторжение или решение спора), кейс снова принимает отклики
+const TRANSITIONS = {
+  draft: ['open', 'cancelled'],
+  open: ['draft', 'in_review', 'in_progress', 'cancelled'],
+  in_review: ['open', 'draft', 'in_progress', 'cancelled'],
+  in_progress: ['submitted', 'open', 'cancelled', 'disputed'],
+  submitted: ['revision_requested', 'completed', 'open', 'disputed'],
+  revision_requested: ['submitted', 'open', 'cancelled', 'disputed'],
+  disputed: ['in_progress', 'open', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Пока заказчик не выбрал исполнителя, кейс принимает отклики
+const OPEN_FOR_PROPOSALS = ['open', 'in_review'];
+
+// До начала работы заказчик может редактировать, снимать с публикации и удалять кейс
+const NOT_STARTED_STATUSES = ['draft', 'open', 'in_review'];
+
+function canTransition(from, to) {
+  if (!CASE_STATUSES.includes(to)) throw new Error(`Неизвестный статус кейса: ${to}`);
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+async function recordStatus(db, caseId, from, to, { actorId = null, comment = null } = {}) {
+  await db.query(
+    `INSERT INTO "CaseStatusHistory" ("caseId", "fromStatus", "toStatus", "actorId", comment)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [caseId, from, to, actorId, comment]
+  );
+}
+
+// Переводит кейс в статус to. Вызывается внутри транзакции client: блокирует строку кейса,
+// проверяет переход и пишет историю. Возвращает { from, to } или null, если переход недопустим
+async function transitionCase(client, caseId, to, { actorId = null, comment = null } = {}) {
+  const result = await client.query('SELECT status FROM "Cases" WHERE id = $1 FOR UPDATE', [caseId]);
+  if (!result.rows[0]) return null;
+
+  const from = result.rows[0].status;
+  if (!canTransition(from, to)) return null;
+
+  await client.query('UPDATE "Cases" SET status = $1, "updatedAt" = NOW() WHERE id = $2', [to, caseId]);
+  await client.query('UPDATE "ProcessedCases" SET status = $1, "updatedAt" = NOW() WHERE "caseId" = $2', [to, caseId]);
+  await recordStatus(client, caseId, from, to, { actorId, comment });
+
+  // Завершение и отмена закрывают эскроу: остаток уходит исполнителю или возвращается заказчику.
+  // Переоткрытие кейса тоже возвращает заказчику всё, что не выплачено снятому исполнителю
+  if (to === 'completed') await releaseEscrow(client, caseId, { description: 'Работа принята' });
+  if (to === 'cancelled') await refundEscrow(client, caseId, { description: 'Кейс отменён' });
+  if (to === 'open') await refundEscrow(client, caseId, { description: 'Исполнитель снят с кейса' });
+
+  console.log(`🔁 Case ${caseId}: ${from} -> ${to}`);
+  return { from, to };
+}
+
+module.exports = {
+  CASE_STATUSES,
+  OPEN_FOR_PROPOSALS,
+  NOT_STARTED_STATUSES,
+  canTransition,
+  recordStatus,
+  transitionCase
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CASE_STATUSES, canTransition, transitionCase } = require('./caseLifecycle');
+
+test('canTransition разрешает только переходы жизненного цикла', () => {
+  assert.strictEqual(canTransition('draft', 'open'), true);
+  assert.strictEqual(canTransition('open', 'in_progress'), true);
+  assert.strictEqual(canTransition('in_progress', 'submitted'), true);
+  assert.strictEqual(canTransition('submitted', 'completed'), true);
+  assert.strictEqual(canTransition('revision_requested', 'submitted'), true);
+  assert.strictEqual(canTransition('open', 'completed'), false);
+  assert.strictEqual(canTransition('in_progress', 'completed'), false);
+  assert.strictEqual(canTransition('in_progress', 'open'), true);
+  assert.strictEqual(canTransition('disputed', 'open'), true);
+  assert.strictEqual(canTransition('accepted', 'in_progress'), false);
+  assert.throws(() => canTransition('open', 'accepted'));
+});
+
+test('из completed и cancelled переходов нет', () => {
+  for (const to of CASE_STATUSES) {
+    assert.strictEqual(canTransition('completed', to), false);
+    assert.strictEqual(canTransition('cancelled', to), false);
+  }
+});
+
+function fakeClient(status) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.startsWith('SELECT status')) return { rows: status ? [{ status }] : [] };
+      return { rows: [] };
+    }
+  };
+}
+
+test('transitionCase обновляет кейс и пишет историю', async () => {
+  const client = fakeClient('submitted');
+  const result = await transitionCase(client, 7, 'completed', { actorId: 1, comment: 'Спасибо' });
+
+  assert.deepStrictEqual(result, { from: 'submitted', to: 'completed' });
+  assert.ok(client.calls.some(c => c.sql.includes('UPDATE "ProcessedCases"')));
+  const history = client.calls.find(c => c.sql.includes('"CaseStatusHistory"'));
+  assert.deepStrictEqual(history.params, [7, 'submitted', 'completed', 1, 'Спасибо']);
+});
+
+test('transitionCase ничего не меняет при недопустимом переходе', async () => {
+  const client = fakeClient('open');
+  assert.strictEqual(await transitionCase(client, 7, 'completed'), null);
+  assert.strictEqual(client.calls.length, 1);
+  assert.strictEqual(await transitionCase(fakeClient(null), 8, 'open'), null);
+});
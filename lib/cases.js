@@ -0,0 +1,231 @@
+// Кейсы: проверка полей при создании и редактировании, условия оплаты, фильтры списка
+const { CASE_STATUSES } = require('./caseLifecycle');
+
+const MAX_CASE_FILES = 15;
+const BUDGET_TYPES = ['fixed', 'hourly'];
+const CURRENCIES = ['RUB', 'USD', 'EUR'];
+const TERM_FIELDS = ['budgetType', 'budgetMin', 'budgetMax', 'currency', 'deadline'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// files хранится в Cases строкой JSON
+function parseFiles(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const files = JSON.parse(value || '[]');
+    return Array.isArray(files) ? files : [];
+  } catch {
+    return [];
+  }
+}
+
+// removeFiles приходит в multipart строкой JSON
+function parseRemoveList(value) {
+  if (value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list.map(String) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Флаги из multipart приходят строками
+const parseFlag = value => value === true || value === 'true' || value === 'on';
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+function parseAmount(value) {
+  if (isBlank(value)) return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? Math.round(amount * 100) / 100 : NaN;
+}
+
+function isValidDay(value) {
+  return DAY_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Условия оплаты и срок. Проверяются вместе с текущими значениями кейса (current),
+// в value попадают только переданные поля. Пустая строка очищает поле
+function validateTerms(body = {}, current = {}, now = new Date()) {
+  const value = {};
+
+  if (body.budgetType !== undefined) {
+    value.budgetType = isBlank(body.budgetType) ? null : String(body.budgetType);
+    if (value.budgetType && !BUDGET_TYPES.includes(value.budgetType)) {
+      return { error: 'Тип оплаты: fixed или hourly' };
+    }
+  }
+  for (const field of ['budgetMin', 'budgetMax']) {
+    if (body[field] === undefined) continue;
+    value[field] = parseAmount(body[field]);
+    if (Number.isNaN(value[field])) {
+      return { error: 'Бюджет должен быть неотрицательным числом' };
+    }
+  }
+  if (body.currency !== undefined) {
+    value.currency = isBlank(body.currency) ? 'RUB' : String(body.currency).toUpperCase();
+    if (!CURRENCIES.includes(value.currency)) {
+      return { error: `Валюта: ${CURRENCIES.join(', ')}` };
+    }
+  }
+  if (body.deadline !== undefined) {
+    value.deadline = isBlank(body.deadline) ? null : String(body.deadline);
+    if (value.deadline && !isValidDay(value.deadline)) {
+      return { error: 'Срок сдачи — дата в формате ГГГГ-ММ-ДД' };
+    }
+    // Уже сохранённый срок может быть в прошлом — его можно оставить как есть
+    const changed = value.deadline !== current.deadline;
+    if (value.deadline && changed && value.deadline < now.toISOString().slice(0, 10)) {
+      return { error: 'Срок сдачи не может быть в прошлом' };
+    }
+  }
+
+  const merged = { ...current, ...value };
+  const min = merged.budgetMin == null ? null : Number(merged.budgetMin);
+  const max = merged.budgetMax == null ? null : Number(merged.budgetMax);
+  if ((min !== null || max !== null) && !merged.budgetType) {
+    return { error: 'Укажите тип оплаты: фиксированная или почасовая' };
+  }
+  if (min !== null && max !== null && min > max) {
+    return { error: 'Минимальный бюджет больше максимального' };
+  }
+
+  return { value };
+}
+
+// Возвращает { value } только с изменёнными колонками или { error }.
+// uploaded — пути уже загруженных multer файлов: { cover, files }
+function validateCaseUpdate(body = {}, current = {}, uploaded = {}, now = new Date()) {
+  const currentFiles = current.files || [];
+  const terms = validateTerms(body, current, now);
+  if (terms.error) return terms;
+  const value = { ...terms.value };
+
+  for (const field of ['title', 'theme', 'description']) {
+    if (body[field] !== undefined) value[field] = String(body[field]).trim();
+  }
+  if (value.title === '') {
+    return { error: 'title не может быть пустым' };
+  }
+
+  const remove = parseRemoveList(body.removeFiles);
+  if (!remove) {
+    return { error: 'removeFiles должен быть списком файлов' };
+  }
+  if (remove.some(file => !currentFiles.includes(file))) {
+    return { error: 'Удалять можно только файлы этого кейса' };
+  }
+
+  const added = uploaded.files || [];
+  if (remove.length > 0 || added.length > 0) {
+    value.files = currentFiles.filter(file => !remove.includes(file)).concat(added);
+    if (value.files.length > MAX_CASE_FILES) {
+      return { error: `К кейсу можно прикрепить не более ${MAX_CASE_FILES} файлов` };
+    }
+  }
+
+  // Закрытый кейс не виден в общем списке, откликнуться на него можно только по приглашению
+  if (body.isPrivate !== undefined) {
+    value.isPrivate = parseFlag(body.isPrivate);
+  }
+
+  if (uploaded.cover) {
+    value.cover = uploaded.cover;
+  } else if (body.removeCover === true || body.removeCover === 'true') {
+    value.cover = null;
+  }
+
+  if (Object.keys(value).length === 0) {
+    return { error: 'Нет изменений' };
+  }
+  return { value };
+}
+
+// Сортировки списка: значение параметра sort -> ORDER BY (alias — псевдоним таблицы в запросе)
+const SORTS = {
+  newest: a => `${a}."createdAt" DESC`,
+  oldest: a => `${a}."createdAt" ASC`,
+  budget_desc: a => `COALESCE(${a}."budgetMax", ${a}."budgetMin") DESC NULLS LAST, ${a}."createdAt" DESC`,
+  budget_asc: a => `COALESCE(${a}."budgetMin", ${a}."budgetMax") ASC NULLS LAST, ${a}."createdAt" DESC`,
+  deadline: a => `${a}.deadline ASC NULLS LAST, ${a}."createdAt" DESC`
+};
+
+const splitParam = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+// Темы содержат запятые, поэтому несколько тем передаются повторением параметра: ?theme=a&theme=b
+const listParam = value => (Array.isArray(value) ? value : [value]).map(String);
+
+// Фильтры и сортировка списков кейсов и проектов из query-параметров.
+// Дописывает значения в params и возвращает { conditions, orderBy } или { error }
+function buildListFilters(queryParams = {}, params = [], alias = 'c') {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (queryParams.status) {
+    const statuses = splitParam(queryParams.status);
+    if (statuses.some(status => !CASE_STATUSES.includes(status))) {
+      return { error: 'Неизвестный статус в фильтре' };
+    }
+    add(`${alias}.status = ANY(?)`, statuses);
+  }
+  if (queryParams.theme) {
+    add(`${alias}.theme = ANY(?)`, listParam(queryParams.theme));
+  }
+  if (queryParams.budgetType) {
+    if (!BUDGET_TYPES.includes(queryParams.budgetType)) return { error: 'Тип оплаты: fixed или hourly' };
+    add(`${alias}."budgetType" = ?`, queryParams.budgetType);
+  }
+  if (queryParams.currency) {
+    const currency = String(queryParams.currency).toUpperCase();
+    if (!CURRENCIES.includes(currency)) return { error: `Валюта: ${CURRENCIES.join(', ')}` };
+    add(`${alias}.currency = ?`, currency);
+  }
+
+  // Диапазон бюджета пересекается с запрошенным [budgetFrom, budgetTo]
+  for (const [param, sql] of [
+    ['budgetFrom', `COALESCE(${alias}."budgetMax", ${alias}."budgetMin") >= ?`],
+    ['budgetTo', `COALESCE(${alias}."budgetMin", ${alias}."budgetMax") <= ?`]
+  ]) {
+    if (isBlank(queryParams[param])) continue;
+    const amount = parseAmount(queryParams[param]);
+    if (Number.isNaN(amount)) return { error: 'Бюджет в фильтре должен быть числом' };
+    add(sql, amount);
+  }
+  for (const [param, sql] of [
+    ['deadlineFrom', `${alias}.deadline >= ?`],
+    ['deadlineTo', `${alias}.deadline <= ?`]
+  ]) {
+    if (isBlank(queryParams[param])) continue;
+    if (!isValidDay(queryParams[param])) return { error: 'Дата в фильтре — в формате ГГГГ-ММ-ДД' };
+    add(sql, queryParams[param]);
+  }
+
+  const sort = queryParams.sort || 'newest';
+  if (!SORTS[sort]) {
+    return { error: `Сортировка: ${Object.keys(SORTS).join(', ')}` };
+  }
+  return { conditions, orderBy: SORTS[sort](alias) };
+}
+
+// Условия кейса для ответа API
+const pickTerms = row => Object.fromEntries(TERM_FIELDS.map(field => [field, row[field] === undefined ? null : row[field]]));
+
+// Условия в порядке колонок TERM_FIELDS — для копирования в ProcessedCases и Projects
+const termValues = row => Object.values(pickTerms(row));
+
+module.exports = {
+  MAX_CASE_FILES,
+  BUDGET_TYPES,
+  CURRENCIES,
+  TERM_FIELDS,
+  parseFiles,
+  parseFlag,
+  validateTerms,
+  validateCaseUpdate,
+  buildListFilters,
+  pickTerms,
+  termValues
+};
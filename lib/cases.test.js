@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFiles, validateTerms, validateCaseUpdate, buildListFilters, termValues } = require('./cases');
+
+const current = { files: ['/uploads/1.pdf', '/uploads/2.png'] };
+const now = new Date('2026-03-10T12:00:00Z');
+
+test('parseFiles читает JSON и переживает мусор', () => {
+  assert.deepStrictEqual(parseFiles('["/uploads/1.pdf"]'), ['/uploads/1.pdf']);
+  assert.deepStrictEqual(parseFiles(null), []);
+  assert.deepStrictEqual(parseFiles('{oops'), []);
+  assert.deepStrictEqual(parseFiles('{"a":1}'), []);
+});
+
+test('validateCaseUpdate возвращает только изменённые поля', () => {
+  assert.deepStrictEqual(validateCaseUpdate({ title: ' Логотип ' }, current).value, { title: 'Логотип' });
+  assert.deepStrictEqual(
+    validateCaseUpdate({ removeFiles: '["/uploads/1.pdf"]' }, current, { files: ['/uploads/3.zip'] }).value,
+    { files: ['/uploads/2.png', '/uploads/3.zip'] }
+  );
+  assert.deepStrictEqual(validateCaseUpdate({ removeCover: 'true' }, current).value, { cover: null });
+  assert.deepStrictEqual(validateCaseUpdate({ isPrivate: 'true' }, current).value, { isPrivate: true });
+  assert.deepStrictEqual(validateCaseUpdate({ isPrivate: false }, current).value, { isPrivate: false });
+  assert.deepStrictEqual(
+    validateCaseUpdate({ removeCover: 'true' }, current, { cover: '/uploads/c.png' }).value,
+    { cover: '/uploads/c.png' }
+  );
+});
+
+test('validateCaseUpdate отклоняет некорректные изменения', () => {
+  assert.ok(validateCaseUpdate({}, current).error);
+  assert.ok(validateCaseUpdate({ title: '  ' }, current).error);
+  assert.ok(validateCaseUpdate({ removeFiles: 'not json' }, current).error);
+  assert.ok(validateCaseUpdate({ removeFiles: '["/uploads/other.pdf"]' }, current).error);
+
+  const many = Array.from({ length: 14 }, (_, i) => `/uploads/new${i}.png`);
+  assert.ok(validateCaseUpdate({}, current, { files: many }).error);
+});
+
+test('validateTerms проверяет бюджет и срок', () => {
+  assert.deepStrictEqual(
+    validateTerms({ budgetType: 'fixed', budgetMin: '1000', budgetMax: '5000.555', currency: 'usd', deadline: '2026-04-01' }, {}, now).value,
+    { budgetType: 'fixed', budgetMin: 1000, budgetMax: 5000.56, currency: 'USD', deadline: '2026-04-01' }
+  );
+  assert.deepStrictEqual(validateTerms({ budgetMin: '', deadline: '' }, {}, now).value, { budgetMin: null, deadline: null });
+  assert.ok(validateTerms({ budgetType: 'barter' }, {}, now).error);
+  assert.ok(validateTerms({ budgetMin: '-1', budgetType: 'fixed' }, {}, now).error);
+  assert.ok(validateTerms({ budgetMin: '100' }, {}, now).error);
+  assert.ok(validateTerms({ budgetType: 'hourly', budgetMin: '500', budgetMax: '100' }, {}, now).error);
+  assert.ok(validateTerms({ currency: 'BTC' }, {}, now).error);
+  assert.ok(validateTerms({ deadline: '01.04.2026' }, {}, now).error);
+  assert.ok(validateTerms({ deadline: '2026-03-09' }, {}, now).error);
+});
+
+test('validateTerms учитывает текущие условия кейса', () => {
+  const caseRow = { budgetType: 'fixed', budgetMin: '1000.00', budgetMax: '2000.00', deadline: '2026-01-01' };
+  assert.ok(validateTerms({ budgetMin: '3000' }, caseRow, now).error);
+  assert.deepStrictEqual(validateTerms({ budgetMax: '3000' }, caseRow, now).value, { budgetMax: 3000 });
+  assert.deepStrictEqual(validateTerms({ deadline: '2026-01-01' }, caseRow, now).value, { deadline: '2026-01-01' });
+});
+
+test('buildListFilters собирает условия и сортировку', () => {
+  const params = ['viewer'];
+  const { conditions, orderBy } = buildListFilters(
+    { status: 'open,in_review', theme: 'Разработка сайта', budgetType: 'fixed', budgetFrom: '1000', deadlineTo: '2026-05-01', sort: 'budget_desc' },
+    params
+  );
+
+  assert.deepStrictEqual(conditions, [
+    'c.status = ANY($2)',
+    'c.theme = ANY($3)',
+    'c."budgetType" = $4',
+    'COALESCE(c."budgetMax", c."budgetMin") >= $5',
+    'c.deadline <= $6'
+  ]);
+  assert.deepStrictEqual(params, ['viewer', ['open', 'in_review'], ['Разработка сайта'], 'fixed', 1000, '2026-05-01']);
+  assert.match(orderBy, /^COALESCE\(c."budgetMax", c."budgetMin"\) DESC NULLS LAST/);
+  assert.strictEqual(buildListFilters({}, [], 'p').orderBy, 'p."createdAt" DESC');
+
+  const themes = [];
+  buildListFilters({ theme: ['Иллюстрация (цифровая, векторная, персонажи)', 'Дизайн упаковки'] }, themes);
+  assert.deepStrictEqual(themes, [['Иллюстрация (цифровая, векторная, персонажи)', 'Дизайн упаковки']]);
+});
+
+test('buildListFilters отклоняет некорректные параметры', () => {
+  assert.ok(buildListFilters({ status: 'accepted' }).error);
+  assert.ok(buildListFilters({ sort: 'random' }).error);
+  assert.ok(buildListFilters({ budgetFrom: 'много' }).error);
+  assert.ok(buildListFilters({ deadlineFrom: 'завтра' }).error);
+});
+
+test('termValues возвращает условия в порядке TERM_FIELDS', () => {
+  assert.deepStrictEqual(
+    termValues({ budgetType: 'hourly', budgetMin: '500.00', currency: 'RUB', title: 'x' }),
+    ['hourly', '500.00', null, 'RUB', null]
+  );
+});
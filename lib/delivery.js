@@ -0,0 +1,36 @@
+// Сдача работы заказчику: исполнитель отправляет результат, заказчик одобряет или просит доработать.
+// Допустимость перехода проверяет жизненный цикл кейса (caseLifecycle)
+const DELIVERY_ACTIONS = {
+  submit: { to: 'submitted', event: 'submitted' },
+  requestRevision: { to: 'revision_requested', event: 'revision_requested' },
+  approve: { to: 'completed', event: 'approved' }
+};
+
+// Пока работа на проверке, исполнитель не меняет файлы
+const EDITABLE_STATUSES = ['in_progress', 'revision_requested'];
+
+function getDeliveryAction(action) {
+  const deliveryAction = DELIVERY_ACTIONS[action];
+  if (!deliveryAction) throw new Error(`Неизвестное действие сдачи работы: ${action}`);
+  return deliveryAction;
+}
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Комментарий обязателен при запросе доработок
+function validateComment(value, { required = false } = {}) {
+  const comment = String(value || '').trim();
+  if (required && !comment) {
+    return { error: 'Опишите, что нужно доработать' };
+  }
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return { error: `Комментарий длиннее ${MAX_COMMENT_LENGTH} символов` };
+  }
+  return { value: comment || null };
+}
+
+module.exports = {
+  EDITABLE_STATUSES,
+  getDeliveryAction,
+  validateComment
+};
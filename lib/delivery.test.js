@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDeliveryAction, validateComment } = require('./delivery');
+
+test('getDeliveryAction: отправка, доработка и одобрение', () => {
+  assert.strictEqual(getDeliveryAction('submit').to, 'submitted');
+  assert.strictEqual(getDeliveryAction('requestRevision').to, 'revision_requested');
+  assert.deepStrictEqual(getDeliveryAction('approve'), { to: 'completed', event: 'approved' });
+  assert.throws(() => getDeliveryAction('complete'));
+});
+
+test('validateComment требует комментарий к доработке', () => {
+  assert.deepStrictEqual(validateComment('  '), { value: null });
+  assert.deepStrictEqual(validateComment(' Готово '), { value: 'Готово' });
+  assert.ok(validateComment('', { required: true }).error);
+  assert.ok(validateComment('x'.repeat(5001)).error);
+});
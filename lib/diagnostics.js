@@ -0,0 +1,125 @@
+const { query } = require('../database');
+
+// Административная диагностика. В production выключена, пока не задан DIAGNOSTICS_ENABLED=true;
+// вне production включена, пока не задан DIAGNOSTICS_ENABLED=false
+function isDiagnosticsEnabled(env = process.env) {
+  if (env.DIAGNOSTICS_ENABLED !== undefined) return env.DIAGNOSTICS_ENABLED === 'true';
+  return env.NODE_ENV !== 'production';
+}
+
+// Middleware: при выключенной диагностике маршрут выглядит несуществующим
+function requireDiagnosticsEnabled(req, res, next) {
+  if (!isDiagnosticsEnabled()) {
+    return res.status(404).json({ error: 'API route not found', path: req.path });
+  }
+  next();
+}
+
+// Колонки с персональными данными и секретами: в отчёт попадает только факт их наличия
+const SENSITIVE_COLUMN = /password|email|token|secret|hash|code|ip|useragent/i;
+
+function describeColumn(column) {
+  return {
+    name: column.column_name,
+    type: column.data_type,
+    nullable: column.is_nullable === 'YES',
+    sensitive: SENSITIVE_COLUMN.test(column.column_name)
+  };
+}
+
+async function collectTables(db) {
+  const tables = await db.query(`
+    SELECT table_name FROM information_schema.tables
+    WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+    ORDER BY table_name
+  `);
+  const columns = await db.query(`
+    SELECT table_name, column_name, data_type, is_nullable
+    FROM information_schema.columns
+    WHERE table_schema = 'public'
+    ORDER BY table_name, ordinal_position
+  `);
+
+  const result = [];
+  for (const { table_name: name } of tables.rows) {
+    let rowCount = null;
+    try {
+      const count = await db.query(`SELECT COUNT(*) AS count FROM "${name.replace(/"/g, '""')}"`);
+      rowCount = parseInt(count.rows[0].count, 10);
+    } catch (err) {
+      console.error(`Диагностика: не удалось посчитать строки ${name}:`, err.message);
+    }
+    result.push({
+      name,
+      rowCount,
+      columns: columns.rows.filter(c => c.table_name === name).map(describeColumn)
+    });
+  }
+  return result;
+}
+
+// Распределение кейсов и проектов по статусам — без содержимого записей
+async function collectStatuses(db) {
+  const statuses = {};
+  for (const table of ['Cases', 'ProcessedCases', 'Projects']) {
+    try {
+      const rows = await db.query(`SELECT status, COUNT(*) AS count FROM "${table}" GROUP BY status ORDER BY status`);
+      statuses[table] = Object.fromEntries(rows.rows.map(r => [r.status || 'null', parseInt(r.count, 10)]));
+    } catch (err) {
+      statuses[table] = null;
+    }
+  }
+  return statuses;
+}
+
+async function collectSecurity(db) {
+  const [sessions, failedLogins, admins] = await Promise.all([
+    db.query('SELECT COUNT(*) AS count FROM "Sessions" WHERE "revokedAt" IS NULL AND "expiresAt" > NOW()'),
+    db.query(`SELECT COUNT(*) AS count FROM "LoginAttempts" WHERE "createdAt" > NOW() - INTERVAL '24 hours'`),
+    db.query(`SELECT COUNT(*) AS count FROM "Users" WHERE 'admin' = ANY(roles)`)
+  ]);
+  return {
+    activeSessions: parseInt(sessions.rows[0].count, 10),
+    failedLoginsLast24h: parseInt(failedLogins.rows[0].count, 10),
+    admins: parseInt(admins.rows[0].count, 10)
+  };
+}
+
+// Структурированный отчёт. Ошибки разделов не прерывают отчёт и не раскрывают детали
+async function buildReport(db = { query }) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    server: {
+      environment: process.env.NODE_ENV || 'development',
+      nodeVersion: process.version,
+      uptimeSeconds: Math.round(process.uptime()),
+      memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024)
+    },
+    database: { connected: false }
+  };
+
+  try {
+    const info = await db.query(`SELECT current_database() AS name, current_setting('server_version') AS version`);
+    report.database = { connected: true, name: info.rows[0].name, version: info.rows[0].version };
+  } catch (err) {
+    console.error('Диагностика: нет подключения к БД:', err.message);
+    return report;
+  }
+
+  const sections = { tables: collectTables, statuses: collectStatuses, security: collectSecurity };
+  for (const [key, collect] of Object.entries(sections)) {
+    try {
+      report[key] = await collect(db);
+    } catch (err) {
+      console.error(`Диагностика: ошибка раздела ${key}:`, err.message);
+      report[key] = { error: 'Раздел недоступен' };
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  isDiagnosticsEnabled,
+  requireDiagnosticsEnabled,
+  buildReport
+};
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isDiagnosticsEnabled, buildReport } = require('./diagnostics');
+
+test('диагностика выключена в production по умолчанию', () => {
+  assert.strictEqual(isDiagnosticsEnabled({ NODE_ENV: 'production' }), false);
+  assert.strictEqual(isDiagnosticsEnabled({ NODE_ENV: 'production', DIAGNOSTICS_ENABLED: 'true' }), true);
+  assert.strictEqual(isDiagnosticsEnabled({ NODE_ENV: 'development' }), true);
+  assert.strictEqual(isDiagnosticsEnabled({ DIAGNOSTICS_ENABLED: 'false' }), false);
+});
+
+// Поддельная БД: отвечает по фрагменту SQL и запоминает запросы
+function fakeDb() {
+  const queries = [];
+  return {
+    queries,
+    query: async sql => {
+      queries.push(sql);
+      if (sql.includes('current_database')) return { rows: [{ name: 'ideaflow', version: '16.2' }] };
+      if (sql.includes('information_schema.tables')) return { rows: [{ table_name: 'Users' }] };
+      if (sql.includes('information_schema.columns')) {
+        return {
+          rows: [
+            { table_name: 'Users', column_name: 'id', data_type: 'integer', is_nullable: 'NO' },
+            { table_name: 'Users', column_name: 'email', data_type: 'text', is_nullable: 'NO' },
+            { table_name: 'Users', column_name: 'password', data_type: 'text', is_nullable: 'NO' }
+          ]
+        };
+      }
+      if (sql.includes('GROUP BY status')) return { rows: [{ status: 'open', count: '3' }] };
+      return { rows: [{ count: '2' }] };
+    }
+  };
+}
+
+test('отчёт не содержит строк таблиц и помечает чувствительные колонки', async () => {
+  const db = fakeDb();
+  const report = await buildReport(db);
+
+  assert.deepStrictEqual(report.database, { connected: true, name: 'ideaflow', version: '16.2' });
+  assert.strictEqual(report.tables[0].rowCount, 2);
+  assert.deepStrictEqual(
+    report.tables[0].columns.map(c => [c.name, c.sensitive]),
+    [['id', false], ['email', true], ['password', true]]
+  );
+  assert.deepStrictEqual(report.statuses.Cases, { open: 3 });
+  assert.strictEqual(report.security.activeSessions, 2);
+  assert.ok(!db.queries.some(sql => /SELECT \*/.test(sql)));
+});
+
+test('ошибка БД не раскрывает детали', async () => {
+  const report = await buildReport({
+    query: async () => { throw new Error('password authentication failed for user "postgres"'); }
+  });
+  assert.deepStrictEqual(report.database, { connected: false });
+  assert.ok(!JSON.stringify(report).includes('postgres'));
+});
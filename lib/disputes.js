@@ -0,0 +1,110 @@
+const { transitionCase } = require('./caseLifecycle');
+const { remainingCents, toCents } = require('./ledger');
+
+// Расторжение работы и споры по принятому кейсу
+const WORK_STATUSES = ['in_progress', 'submitted', 'revision_requested'];
+
+// Заказчик может отказаться от исполнителя в одностороннем порядке, если тот молчит дольше этого срока.
+// Пока работа на проверке у заказчика, ждёт не исполнитель — такой кейс решается через спор
+const INACTIVITY_DAYS = parseInt(process.env.CANCEL_INACTIVITY_DAYS, 10) || 14;
+const FORCE_CANCEL_STATUSES = ['in_progress', 'revision_requested'];
+
+const DISPUTE_OUTCOMES = ['reopen', 'complete', 'split'];
+
+const MAX_TEXT_LENGTH = 2000;
+
+function validateText(value, { required = true, missing = 'Укажите причину' } = {}) {
+  const text = String(value || '').trim();
+  if (required && !text) return { error: missing };
+  if (text.length > MAX_TEXT_LENGTH) return { error: `Текст длиннее ${MAX_TEXT_LENGTH} символов` };
+  return { value: text || null };
+}
+
+function forceCancelAfter(lastActivity, days = INACTIVITY_DAYS) {
+  return new Date(new Date(lastActivity).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function canForceCancel(status, lastActivity, { now = new Date(), days = INACTIVITY_DAYS } = {}) {
+  if (!FORCE_CANCEL_STATUSES.includes(status) || !lastActivity) return false;
+  return now >= forceCancelAfter(lastActivity, days);
+}
+
+// Решение администратора. hold — активное удержание кейса (для раздела суммы)
+function validateResolution(body = {}, hold = null) {
+  const outcome = body.outcome;
+  if (!DISPUTE_OUTCOMES.includes(outcome)) {
+    return { error: `Решение должно быть одним из: ${DISPUTE_OUTCOMES.join(', ')}` };
+  }
+
+  const comment = validateText(body.comment, { missing: 'Поясните решение для сторон' });
+  if (comment.error) return comment;
+
+  let executorShare = null;
+  if (outcome === 'split') {
+    if (!hold) return { error: 'По кейсу нет денег в эскроу, делить нечего' };
+    const cents = toCents(body.executorShare);
+    if (body.executorShare === undefined || body.executorShare === '' || !Number.isFinite(Number(body.executorShare)) || cents < 0) {
+      return { error: 'Укажите долю исполнителя — неотрицательную сумму' };
+    }
+    if (cents > remainingCents(hold)) {
+      return { error: 'Доля исполнителя больше остатка в эскроу' };
+    }
+    executorShare = cents / 100;
+  }
+
+  return { value: { outcome, executorShare, comment: comment.value } };
+}
+
+// Последняя активность исполнителя по кейсу: начало работы, его переходы статусов, сдачи и этапы
+async function getExecutorLastActivity(db, caseId, executorId) {
+  const result = await db.query(
+    `SELECT GREATEST(
+       (SELECT MAX("createdAt") FROM "CaseStatusHistory"
+        WHERE "caseId" = $1 AND ("actorId" = $2 OR "toStatus" = 'in_progress')),
+       (SELECT MAX("createdAt") FROM "DeliveryEvents" WHERE "caseId" = $1 AND "authorId" = $2),
+       (SELECT MAX("submittedAt") FROM "Milestones" WHERE "caseId" = $1)
+     ) AS "lastActivity"`,
+    [caseId, executorId]
+  );
+  return result.rows[0].lastActivity;
+}
+
+// Снимает исполнителя и возвращает кейс в open: эскроу возвращается заказчику (см. transitionCase),
+// принятый кейс и его этапы удаляются, история сдачи прошлого исполнителя уходит в архив,
+// ожидающие запросы на расторжение закрываются.
+// Вызывается в транзакции; возвращает null, если кейс нельзя переоткрыть
+async function releaseExecutor(client, caseId, { actorId = null, comment = null } = {}) {
+  const transition = await transitionCase(client, caseId, 'open', { actorId, comment });
+  if (!transition) return null;
+
+  await client.query('DELETE FROM "ProcessedCases" WHERE "caseId" = $1', [caseId]);
+  await client.query('DELETE FROM "Milestones" WHERE "caseId" = $1', [caseId]);
+  await client.query(
+    `UPDATE "DeliveryEvents" SET "archivedAt" = NOW() WHERE "caseId" = $1 AND "archivedAt" IS NULL`,
+    [caseId]
+  );
+  await client.query('UPDATE "Cases" SET "executorId" = NULL WHERE id = $1', [caseId]);
+  // Принятый отклик снятого исполнителя больше не действует
+  await client.query(
+    `UPDATE "Proposals" SET status = 'withdrawn', "updatedAt" = NOW() WHERE "caseId" = $1 AND status = 'accepted'`,
+    [caseId]
+  );
+  await client.query(
+    `UPDATE "CancellationRequests" SET status = 'withdrawn', "respondedAt" = NOW() WHERE "caseId" = $1 AND status = 'pending'`,
+    [caseId]
+  );
+  console.log(`↩️ Case ${caseId}: executor released, case reopened`);
+  return transition;
+}
+
+module.exports = {
+  WORK_STATUSES,
+  INACTIVITY_DAYS,
+  DISPUTE_OUTCOMES,
+  validateText,
+  forceCancelAfter,
+  canForceCancel,
+  validateResolution,
+  getExecutorLastActivity,
+  releaseExecutor
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateText, canForceCancel, forceCancelAfter, validateResolution, releaseExecutor } = require('./disputes');
+
+test('validateText требует текст и ограничивает длину', () => {
+  assert.deepStrictEqual(validateText('  Исполнитель пропал '), { value: 'Исполнитель пропал' });
+  assert.ok(validateText('').error);
+  assert.deepStrictEqual(validateText('', { required: false }), { value: null });
+  assert.ok(validateText('x'.repeat(2001)).error);
+});
+
+test('canForceCancel: только после срока бездействия и не во время проверки', () => {
+  const lastActivity = new Date('2026-03-01T10:00:00Z');
+  assert.deepStrictEqual(forceCancelAfter(lastActivity, 14), new Date('2026-03-15T10:00:00Z'));
+  assert.strictEqual(canForceCancel('in_progress', lastActivity, { now: new Date('2026-03-10T00:00:00Z'), days: 14 }), false);
+  assert.strictEqual(canForceCancel('in_progress', lastActivity, { now: new Date('2026-03-16T00:00:00Z'), days: 14 }), true);
+  assert.strictEqual(canForceCancel('revision_requested', lastActivity, { now: new Date('2026-03-16T00:00:00Z'), days: 14 }), true);
+  assert.strictEqual(canForceCancel('submitted', lastActivity, { now: new Date('2026-03-16T00:00:00Z'), days: 14 }), false);
+  assert.strictEqual(canForceCancel('in_progress', null), false);
+});
+
+test('validateResolution проверяет исход и долю исполнителя', () => {
+  const hold = { amount: '1000.00', released: '200.00', refunded: '0' };
+  assert.deepStrictEqual(validateResolution({ outcome: 'reopen', comment: 'Исполнитель не вышел на связь' }).value, {
+    outcome: 'reopen', executorShare: null, comment: 'Исполнитель не вышел на связь'
+  });
+  assert.strictEqual(validateResolution({ outcome: 'split', executorShare: '300.5', comment: 'Половина работы' }, hold).value.executorShare, 300.5);
+  assert.ok(validateResolution({ outcome: 'split', executorShare: 900, comment: 'x' }, hold).error);
+  assert.ok(validateResolution({ outcome: 'split', executorShare: -1, comment: 'x' }, hold).error);
+  assert.ok(validateResolution({ outcome: 'split', comment: 'x' }, hold).error);
+  assert.ok(validateResolution({ outcome: 'split', executorShare: 100, comment: 'x' }, null).error);
+  assert.ok(validateResolution({ outcome: 'refund', comment: 'x' }).error);
+  assert.ok(validateResolution({ outcome: 'complete' }).error);
+});
+
+test('releaseExecutor переоткрывает кейс и убирает следы работы', async () => {
+  const calls = [];
+  const client = {
+    query: async (sql, params) => {
+      calls.push(sql);
+      if (sql.startsWith('SELECT status')) return { rows: [{ status: 'in_progress' }] };
+      return { rows: [] };
+    }
+  };
+  assert.deepStrictEqual(await releaseExecutor(client, 7, { actorId: 1 }), { from: 'in_progress', to: 'open' });
+  assert.ok(calls.some(sql => sql.includes('DELETE FROM "ProcessedCases"')));
+  assert.ok(calls.some(sql => sql.includes('"executorId" = NULL')));
+  assert.ok(calls.some(sql => sql.includes('UPDATE "DeliveryEvents" SET "archivedAt"')));
+
+  const completed = { query: async sql => ({ rows: sql.startsWith('SELECT status') ? [{ status: 'completed' }] : [] }) };
+  assert.strictEqual(await releaseExecutor(completed, 7), null);
+});
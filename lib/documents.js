@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+// Закрывающие документы проекта: счёт на оплату и акт выполненных работ.
+// PDF собираются на сервере через pdfkit, шрифт — Geoform из public/fonts (в нём есть кириллица)
+const DOCUMENT_TYPES = {
+  invoice: { title: 'Счёт на оплату', prefix: 'СЧ' },
+  certificate: { title: 'Акт выполненных работ', prefix: 'АКТ' }
+};
+
+const FONTS = {
+  regular: path.join(__dirname, '..', 'public', 'fonts', 'Geoform.otf'),
+  bold: path.join(__dirname, '..', 'public', 'fonts', 'Geoform-Bold.otf')
+};
+
+const CURRENCY_NAMES = { RUB: 'руб.', USD: 'USD', EUR: 'EUR' };
+
+function documentNumber(type, projectId, date) {
+  return `${DOCUMENT_TYPES[type].prefix}-${new Date(date).getFullYear()}-${String(projectId).padStart(6, '0')}`;
+}
+
+const formatMoney = (value, currency) =>
+  `${Number(value).toLocaleString('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${CURRENCY_NAMES[currency] || currency}`;
+
+const formatDate = value => new Date(value).toLocaleDateString('ru-RU');
+
+const partyName = party => [party.firstName, party.lastName].filter(Boolean).join(' ') || party.email || '—';
+
+// Содержимое документа без оформления. data: { projectId, title, theme, amount, currency,
+// customer, executor, startedAt, completedAt }
+function buildDocument(type, data) {
+  const { title: documentTitle } = DOCUMENT_TYPES[type];
+  const number = documentNumber(type, data.projectId, data.completedAt);
+  const total = formatMoney(data.amount, data.currency);
+  const work = data.theme ? `${data.title} (${data.theme})` : data.title;
+
+  const notes = type === 'invoice'
+    ? ['Оплата производится через безопасную сделку IdeaFlow: средства удерживаются до приёмки работы.', 'НДС не облагается.']
+    : [
+      `Работы выполнены в период с ${formatDate(data.startedAt)} по ${formatDate(data.completedAt)}.`,
+      'Вышеперечисленные работы выполнены полностью и в срок. Заказчик претензий по объёму, качеству и срокам не имеет.'
+    ];
+
+  return {
+    type,
+    number,
+    heading: `${documentTitle} № ${number} от ${formatDate(data.completedAt)}`,
+    parties: [
+      ['Исполнитель', `${partyName(data.executor)}, ${data.executor.email || '—'}`],
+      ['Заказчик', `${partyName(data.customer)}, ${data.customer.email || '—'}`],
+      ['Проект', `№ ${data.projectId}`]
+    ],
+    columns: ['№', 'Наименование работ', 'Кол-во', 'Сумма'],
+    rows: [['1', work, '1', total]],
+    total: `Итого: ${total}`,
+    notes,
+    signatures: [`Исполнитель ____________ / ${partyName(data.executor)}`, `Заказчик ____________ / ${partyName(data.customer)}`]
+  };
+}
+
+function renderPdf(document) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: document.heading, Author: 'IdeaFlow' } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.registerFont('regular', FONTS.regular);
+    pdf.registerFont('bold', FONTS.bold);
+
+    pdf.font('bold').fontSize(16).text(document.heading);
+    pdf.moveDown();
+
+    for (const [label, value] of document.parties) {
+      pdf.font('bold').fontSize(11).text(`${label}: `, { continued: true });
+      pdf.font('regular').text(value);
+    }
+    pdf.moveDown();
+
+    // Таблица работ: колонки фиксированной ширины по странице A4
+    const widths = [30, 285, 60, 120];
+    const left = pdf.page.margins.left;
+    const drawRow = (cells, font) => {
+      pdf.font(font).fontSize(10);
+      const height = Math.max(...cells.map((cell, i) => pdf.heightOfString(cell, { width: widths[i] - 8 }))) + 8;
+      const top = pdf.y;
+      let x = left;
+      cells.forEach((cell, i) => {
+        pdf.rect(x, top, widths[i], height).stroke();
+        pdf.text(cell, x + 4, top + 4, { width: widths[i] - 8 });
+        x += widths[i];
+      });
+      pdf.x = left;
+      pdf.y = top + height;
+    };
+    drawRow(document.columns, 'bold');
+    document.rows.forEach(row => drawRow(row, 'regular'));
+
+    pdf.moveDown();
+    pdf.font('bold').fontSize(12).text(document.total, { align: 'right' });
+    pdf.moveDown();
+
+    pdf.font('regular').fontSize(10);
+    document.notes.forEach(note => pdf.text(note).moveDown(0.5));
+    pdf.moveDown(2);
+    document.signatures.forEach(line => pdf.text(line).moveDown());
+
+    pdf.end();
+  });
+}
+
+// Данные для документов: стороны, сумма сделки и даты работы
+async function loadDocumentData(db, project) {
+  const users = await db.query(
+    'SELECT id, email, "firstName", "lastName" FROM "Users" WHERE id = ANY($1)',
+    [[project.userId, project.executorId].filter(Boolean)]
+  );
+  const byId = new Map(users.rows.map(user => [Number(user.id), user]));
+
+  // Сумма — из эскроу; у старых проектов без оплаты — цена принятого отклика или бюджет
+  const amountResult = await db.query(
+    `SELECT COALESCE(
+       (SELECT amount FROM "EscrowHolds" WHERE "caseId" = $1 ORDER BY "createdAt" DESC LIMIT 1),
+       (SELECT price FROM "Proposals" WHERE "caseId" = $1 AND status = 'accepted' LIMIT 1)
+     ) AS amount`,
+    [project.caseId]
+  );
+  const started = await db.query(
+    `SELECT MIN("createdAt") AS "startedAt" FROM "CaseStatusHistory" WHERE "caseId" = $1 AND "toStatus" = 'in_progress'`,
+    [project.caseId]
+  );
+
+  return {
+    projectId: project.id,
+    title: project.title,
+    theme: project.theme,
+    amount: amountResult.rows[0].amount ?? project.budgetMax ?? project.budgetMin ?? 0,
+    currency: project.currency || 'RUB',
+    customer: byId.get(Number(project.userId)) || {},
+    executor: byId.get(Number(project.executorId)) || { email: project.executorEmail },
+    startedAt: started.rows[0].startedAt || project.createdAt,
+    completedAt: project.createdAt
+  };
+}
+
+// Создаёт недостающие документы проекта и возвращает все его документы.
+// Имя файла случайное: uploads раздаётся статикой, а документы должны видеть только участники
+async function ensureProjectDocuments(db, project, dir) {
+  const existing = await db.query('SELECT * FROM "ProjectDocuments" WHERE "projectId" = $1 ORDER BY id', [project.id]);
+  const missing = Object.keys(DOCUMENT_TYPES).filter(type => !existing.rows.some(row => row.type === type));
+  if (missing.length === 0) return existing.rows;
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const data = await loadDocumentData(db, project);
+  for (const type of missing) {
+    const document = buildDocument(type, data);
+    const fileName = `${crypto.randomBytes(16).toString('hex')}.pdf`;
+    await fs.promises.writeFile(path.join(dir, fileName), await renderPdf(document));
+
+    const inserted = await db.query(
+      `INSERT INTO "ProjectDocuments" ("projectId", type, number, "fileName", amount, currency)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT ("projectId", type) DO NOTHING RETURNING id`,
+      [project.id, type, document.number, fileName, data.amount, data.currency]
+    );
+    // Параллельный запрос успел создать документ раньше — лишний файл не нужен
+    if (!inserted.rows[0]) {
+      await fs.promises.unlink(path.join(dir, fileName));
+    } else {
+      console.log(`📄 Project ${project.id}: ${type} ${document.number}`);
+    }
+  }
+
+  const result = await db.query('SELECT * FROM "ProjectDocuments" WHERE "projectId" = $1 ORDER BY id', [project.id]);
+  return result.rows;
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  documentNumber,
+  buildDocument,
+  renderPdf,
+  ensureProjectDocuments
+};
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { documentNumber, buildDocument, renderPdf } = require('./documents');
+
+const data = {
+  projectId: 42,
+  title: 'Лендинг для кофейни',
+  theme: 'Веб-дизайн',
+  amount: '45000.00',
+  currency: 'RUB',
+  customer: { email: 'customer@test.com', firstName: 'Анна', lastName: 'Петрова' },
+  executor: { email: 'executor@test.com' },
+  startedAt: new Date(2026, 2, 1),
+  completedAt: new Date(2026, 2, 20)
+};
+
+test('documentNumber: префикс типа, год и номер проекта', () => {
+  assert.strictEqual(documentNumber('invoice', 42, data.completedAt), 'СЧ-2026-000042');
+  assert.strictEqual(documentNumber('certificate', 7, data.completedAt), 'АКТ-2026-000007');
+});
+
+test('buildDocument: стороны, работы и сумма', () => {
+  const invoice = buildDocument('invoice', data);
+  assert.strictEqual(invoice.heading, 'Счёт на оплату № СЧ-2026-000042 от 20.03.2026');
+  assert.deepStrictEqual(invoice.parties[0], ['Исполнитель', 'executor@test.com, executor@test.com']);
+  assert.deepStrictEqual(invoice.parties[1], ['Заказчик', 'Анна Петрова, customer@test.com']);
+  assert.strictEqual(invoice.rows[0][1], 'Лендинг для кофейни (Веб-дизайн)');
+  assert.match(invoice.total, /^Итого: 45\s000,00 руб\.$/);
+
+  const certificate = buildDocument('certificate', data);
+  assert.match(certificate.notes[0], /с 01\.03\.2026 по 20\.03\.2026/);
+  assert.match(certificate.signatures[1], /Анна Петрова$/);
+});
+
+test('renderPdf возвращает PDF', async () => {
+  const pdf = await renderPdf(buildDocument('certificate', data));
+  assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.length > 1000);
+});
@@ -0,0 +1,31 @@
+// Тексты служебных писем
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+function verificationEmail(token) {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Подтверждение email в IdeaFlow',
+    text: `Здравствуйте!\n\nЧтобы подтвердить email, перейдите по ссылке:\n${link}\n\nСсылка действует 24 часа.`,
+    html: `<p>Здравствуйте!</p><p>Чтобы подтвердить email, перейдите по ссылке:</p>` +
+      `<p><a href="${link}">${link}</a></p><p>Ссылка действует 24 часа.</p>`
+  };
+}
+
+function resetPasswordEmail(token) {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    subject: 'Восстановление пароля в IdeaFlow',
+    text: `Здравствуйте!\n\nДля смены пароля перейдите по ссылке:\n${link}\n\n` +
+      'Ссылка действует 1 час. Если вы не запрашивали сброс пароля, просто проигнорируйте это письмо.',
+    html: `<p>Здравствуйте!</p><p>Для смены пароля перейдите по ссылке:</p>` +
+      `<p><a href="${link}">${link}</a></p>` +
+      '<p>Ссылка действует 1 час. Если вы не запрашивали сброс пароля, просто проигнорируйте это письмо.</p>'
+  };
+}
+
+module.exports = {
+  APP_URL,
+  verificationEmail,
+  resetPasswordEmail
+};
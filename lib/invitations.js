@@ -0,0 +1,91 @@
+const { hasRole } = require('./roles');
+
+// Прямые приглашения исполнителей в кейс. Принятое приглашение не нанимает исполнителя:
+// он отправляет отклик с ценой и сроком, а в работу кейс передаёт принятие отклика, как обычно
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'withdrawn'];
+
+// Приглашения, которые дают доступ к закрытому кейсу
+const ACTIVE_STATUSES = ['pending', 'accepted'];
+
+const TRANSITIONS = {
+  accept: { from: ['pending'], to: 'accepted' },
+  decline: { from: ['pending'], to: 'declined' },
+  withdraw: { from: ['pending'], to: 'withdrawn' }
+};
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+function nextStatus(current, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new Error(`Неизвестное действие с приглашением: ${action}`);
+  return transition.from.includes(current) ? transition.to : null;
+}
+
+function validateInvitation(body = {}) {
+  const freelancerId = Number(body.freelancerId);
+  if (!Number.isInteger(freelancerId) || freelancerId <= 0) {
+    return { error: 'Укажите, кого пригласить' };
+  }
+  const message = String(body.message || '').trim();
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Сообщение длиннее ${MAX_MESSAGE_LENGTH} символов` };
+  }
+  return { value: { freelancerId, message: message || null } };
+}
+
+async function findInvitation(db, caseId, userId, statuses) {
+  const result = await db.query(
+    `SELECT * FROM "CaseInvitations" WHERE "caseId" = $1 AND "freelancerId" = $2 AND status = ANY($3)
+     ORDER BY id DESC LIMIT 1`,
+    [caseId, userId, statuses]
+  );
+  return result.rows[0] || null;
+}
+
+const isParticipant = (user, caseRow) =>
+  hasRole(user, 'admin') ||
+  Number(caseRow.userId) === Number(user.id) ||
+  (caseRow.executorId != null && Number(caseRow.executorId) === Number(user.id));
+
+// Закрытый кейс видят только его участники и приглашённые исполнители
+async function canViewCase(db, user, caseRow) {
+  if (!caseRow.isPrivate) return true;
+  if (!user) return false;
+  if (isParticipant(user, caseRow)) return true;
+  return !!(await findInvitation(db, caseRow.id, user.id, ACTIVE_STATUSES));
+}
+
+// То же правило для списков в SQL: закрытый кейс и то, что из него получилось (принятый кейс, проект),
+// видят его заказчик и исполнитель. caseAlias — псевдоним "Cases" в запросе,
+// viewerParam — плейсхолдер с id пользователя (NULL для анонима)
+function visibleCaseSql(caseAlias, viewerParam) {
+  return `(${caseAlias}."isPrivate" = FALSE OR ${caseAlias}."userId" = ${viewerParam} OR ${caseAlias}."executorId" = ${viewerParam})`;
+}
+
+// Колонки кейса для canViewCase, когда выбирается принятый кейс или проект: участники берутся
+// из самого "Cases", как и в visibleCaseSql, а не из копий в строке
+function caseAccessColumns(caseAlias) {
+  return `${caseAlias}."isPrivate", ${caseAlias}."userId" AS "caseUserId", ${caseAlias}."executorId" AS "caseExecutorId"`;
+}
+
+function caseAccessRow(row) {
+  return { id: row.caseId, userId: row.caseUserId, executorId: row.caseExecutorId, isPrivate: row.isPrivate };
+}
+
+// На закрытый кейс откликаются только принявшие приглашение
+async function canPropose(db, user, caseRow) {
+  if (!caseRow.isPrivate) return true;
+  return !!(await findInvitation(db, caseRow.id, user.id, ['accepted']));
+}
+
+module.exports = {
+  INVITATION_STATUSES,
+  ACTIVE_STATUSES,
+  nextStatus,
+  validateInvitation,
+  canViewCase,
+  visibleCaseSql,
+  caseAccessColumns,
+  caseAccessRow,
+  canPropose
+};
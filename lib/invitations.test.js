@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { nextStatus, validateInvitation, canViewCase, visibleCaseSql, caseAccessColumns, caseAccessRow, canPropose } = require('./invitations');
+
+test('nextStatus: ответить можно только на ожидающее приглашение', () => {
+  assert.strictEqual(nextStatus('pending', 'accept'), 'accepted');
+  assert.strictEqual(nextStatus('pending', 'decline'), 'declined');
+  assert.strictEqual(nextStatus('pending', 'withdraw'), 'withdrawn');
+  assert.strictEqual(nextStatus('accepted', 'decline'), null);
+  assert.strictEqual(nextStatus('declined', 'accept'), null);
+  assert.throws(() => nextStatus('pending', 'hire'));
+});
+
+test('validateInvitation проверяет исполнителя и сообщение', () => {
+  assert.deepStrictEqual(validateInvitation({ freelancerId: '5', message: '  Посмотрите кейс ' }).value, {
+    freelancerId: 5, message: 'Посмотрите кейс'
+  });
+  assert.strictEqual(validateInvitation({ freelancerId: 5 }).value.message, null);
+  assert.ok(validateInvitation({}).error);
+  assert.ok(validateInvitation({ freelancerId: 'abc' }).error);
+  assert.ok(validateInvitation({ freelancerId: 5, message: 'x'.repeat(2001) }).error);
+});
+
+test('закрытый кейс доступен участникам и приглашённым', async () => {
+  const invitations = [
+    { caseId: 1, freelancerId: 20, status: 'pending' },
+    { caseId: 1, freelancerId: 21, status: 'accepted' },
+    { caseId: 1, freelancerId: 22, status: 'declined' }
+  ];
+  const db = {
+    query: async (sql, [caseId, userId, statuses]) => ({
+      rows: invitations.filter(i => i.caseId === caseId && i.freelancerId === userId && statuses.includes(i.status))
+    })
+  };
+  const caseRow = { id: 1, userId: 10, executorId: null, isPrivate: true };
+
+  assert.strictEqual(await canViewCase(db, null, { ...caseRow, isPrivate: false }), true);
+  assert.strictEqual(await canViewCase(db, null, caseRow), false);
+  assert.strictEqual(await canViewCase(db, { id: 10 }, caseRow), true);
+  assert.strictEqual(await canViewCase(db, { id: 99, roles: ['admin'] }, caseRow), true);
+  assert.strictEqual(await canViewCase(db, { id: 20 }, caseRow), true);
+  assert.strictEqual(await canViewCase(db, { id: 22 }, caseRow), false);
+
+  assert.strictEqual(await canPropose(db, { id: 20 }, caseRow), false);
+  assert.strictEqual(await canPropose(db, { id: 21 }, caseRow), true);
+  assert.strictEqual(await canPropose(db, { id: 30 }, { ...caseRow, isPrivate: false }), true);
+});
+
+test('visibleCaseSql: открытые кейсы всем, закрытые — заказчику и исполнителю', () => {
+  assert.strictEqual(
+    visibleCaseSql('c', '$1'),
+    '(c."isPrivate" = FALSE OR c."userId" = $1 OR c."executorId" = $1)'
+  );
+});
+
+test('проект закрытого кейса видят только участники кейса', async () => {
+  const db = { query: async () => ({ rows: [] }) };
+  assert.ok(caseAccessColumns('c').includes('c."executorId" AS "caseExecutorId"'));
+
+  // Строка проекта: копии участников в самом проекте не учитываются, только колонки кейса
+  const project = { id: 9, caseId: 5, userId: 10, executorId: 30, isPrivate: true, caseUserId: 10, caseExecutorId: 20 };
+  const caseRow = caseAccessRow(project);
+  assert.deepStrictEqual(caseRow, { id: 5, userId: 10, executorId: 20, isPrivate: true });
+
+  assert.strictEqual(await canViewCase(db, null, caseRow), false);
+  assert.strictEqual(await canViewCase(db, { id: 40 }, caseRow), false);
+  assert.strictEqual(await canViewCase(db, { id: 30 }, caseRow), false);
+  assert.strictEqual(await canViewCase(db, { id: 10 }, caseRow), true);
+  assert.strictEqual(await canViewCase(db, { id: 20 }, caseRow), true);
+  assert.strictEqual(await canViewCase(db, null, caseAccessRow({ ...project, isPrivate: false })), true);
+});
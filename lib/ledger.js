@@ -0,0 +1,205 @@
+const { getProvider } = require('./payments');
+
+// Учёт по двойной записи. Суммы внутри считаются в копейках (целые), в БД — NUMERIC(12, 2).
+// Строка проводки со знаком: минус — списание со счёта, плюс — зачисление. Баланс счёта — сумма его строк
+const toCents = value => Math.round(Number(value || 0) * 100);
+const fromCents = cents => cents / 100;
+
+// Счета создаются по требованию, ключ однозначно определяет владельца и валюту
+function accountKey({ type, userId, caseId, currency }) {
+  switch (type) {
+    case 'wallet': return `wallet:${userId}:${currency}`;
+    case 'escrow': return `escrow:${caseId}:${currency}`;
+    case 'external': return `external:${currency}`;
+    default: throw new Error(`Неизвестный тип счёта: ${type}`);
+  }
+}
+
+// Перевод cents со счёта from на счёт to
+function transferEntries(from, to, cents) {
+  if (!Number.isInteger(cents) || cents <= 0) {
+    throw new Error('Сумма проводки должна быть положительной');
+  }
+  return [{ accountId: from, cents: -cents }, { accountId: to, cents }];
+}
+
+function assertBalanced(entries) {
+  if (entries.length < 2) throw new Error('В проводке должно быть не меньше двух строк');
+  if (entries.reduce((sum, entry) => sum + entry.cents, 0) !== 0) {
+    throw new Error('Проводка не сбалансирована');
+  }
+}
+
+function remainingCents(hold) {
+  return toCents(hold.amount) - toCents(hold.released) - toCents(hold.refunded);
+}
+
+// Сколько выплатить из удержания: запрошенное, но не больше остатка; без суммы — весь остаток
+function releaseCents(hold, requestedCents = null) {
+  const remaining = remainingCents(hold);
+  if (requestedCents == null) return remaining;
+  return Math.max(0, Math.min(requestedCents, remaining));
+}
+
+// Сколько списать через провайдера, если на кошельке не хватает
+function shortfallCents(walletCents, neededCents) {
+  return Math.max(0, neededCents - Math.max(0, walletCents));
+}
+
+async function getAccount(db, spec) {
+  const result = await db.query(
+    `INSERT INTO "LedgerAccounts" (key, type, "userId", "caseId", currency)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (key) DO UPDATE SET key = EXCLUDED.key
+     RETURNING id`,
+    [accountKey(spec), spec.type, spec.userId || null, spec.caseId || null, spec.currency]
+  );
+  return result.rows[0].id;
+}
+
+async function getBalanceCents(db, accountId) {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM "LedgerEntries" WHERE "accountId" = $1',
+    [accountId]
+  );
+  return toCents(result.rows[0].balance);
+}
+
+async function postTransaction(db, { type, caseId = null, milestoneId = null, description = null, providerRef = null, entries }) {
+  assertBalanced(entries);
+
+  const result = await db.query(
+    `INSERT INTO "LedgerTransactions" (type, "caseId", "milestoneId", description, "providerRef")
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [type, caseId, milestoneId, description, providerRef]
+  );
+  const transactionId = result.rows[0].id;
+  for (const entry of entries) {
+    await db.query(
+      'INSERT INTO "LedgerEntries" ("transactionId", "accountId", amount) VALUES ($1, $2, $3)',
+      [transactionId, entry.accountId, fromCents(entry.cents)]
+    );
+  }
+  console.log(`💰 Ledger ${type} #${transactionId}: ${entries.map(e => `${e.accountId}:${fromCents(e.cents)}`).join(', ')}`);
+  return transactionId;
+}
+
+// Заказчик оплачивает кейс при найме исполнителя: сначала из кошелька, недостающее — через провайдера.
+// Вызывается внутри транзакции. Списание у провайдера не откатывается вместе с ней —
+// для настоящего шлюза здесь понадобится возврат платежа при ошибке
+async function fundEscrow(client, { caseId, customerId, executorId, amount, currency, provider = getProvider() }) {
+  const cents = toCents(amount);
+  const wallet = await getAccount(client, { type: 'wallet', userId: customerId, currency });
+  const escrow = await getAccount(client, { type: 'escrow', caseId, currency });
+
+  // Блокировка счёта, чтобы две оплаты не потратили один и тот же остаток кошелька
+  await client.query('SELECT id FROM "LedgerAccounts" WHERE id = $1 FOR UPDATE', [wallet]);
+
+  const shortfall = shortfallCents(await getBalanceCents(client, wallet), cents);
+  if (shortfall > 0) {
+    const charge = await provider.charge({
+      userId: customerId,
+      amount: fromCents(shortfall),
+      currency,
+      description: `Оплата кейса #${caseId}`
+    });
+    const external = await getAccount(client, { type: 'external', currency });
+    await postTransaction(client, {
+      type: 'deposit',
+      caseId,
+      description: `Пополнение через ${provider.name}`,
+      providerRef: charge.id,
+      entries: transferEntries(external, wallet, shortfall)
+    });
+  }
+
+  await postTransaction(client, {
+    type: 'escrow_fund',
+    caseId,
+    description: 'Оплата кейса в эскроу',
+    entries: transferEntries(wallet, escrow, cents)
+  });
+
+  const result = await client.query(
+    `INSERT INTO "EscrowHolds" ("caseId", "customerId", "executorId", currency, amount)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [caseId, customerId, executorId, currency, fromCents(cents)]
+  );
+  return result.rows[0];
+}
+
+async function lockHold(client, caseId) {
+  const result = await client.query(
+    `SELECT * FROM "EscrowHolds" WHERE "caseId" = $1 AND status = 'held' FOR UPDATE`,
+    [caseId]
+  );
+  return result.rows[0] || null;
+}
+
+async function updateHold(client, hold, { released = 0, refunded = 0 }) {
+  const totalReleased = toCents(hold.released) + released;
+  const totalRefunded = toCents(hold.refunded) + refunded;
+  const status = totalReleased + totalRefunded >= toCents(hold.amount) ? 'closed' : 'held';
+  await client.query(
+    `UPDATE "EscrowHolds" SET released = $1, refunded = $2, status = $3, "updatedAt" = NOW() WHERE id = $4`,
+    [fromCents(totalReleased), fromCents(totalRefunded), status, hold.id]
+  );
+}
+
+// Выплата исполнителю из удержания: сумма этапа или, без amount, весь остаток.
+// Возвращает выплаченную сумму или null, если платить нечего
+async function releaseEscrow(client, caseId, { amount = null, milestoneId = null, description = 'Выплата исполнителю' } = {}) {
+  const hold = await lockHold(client, caseId);
+  if (!hold) return null;
+
+  const cents = releaseCents(hold, amount == null ? null : toCents(amount));
+  if (cents <= 0) return null;
+
+  const escrow = await getAccount(client, { type: 'escrow', caseId, currency: hold.currency });
+  const wallet = await getAccount(client, { type: 'wallet', userId: hold.executorId, currency: hold.currency });
+  await postTransaction(client, {
+    type: 'escrow_release',
+    caseId,
+    milestoneId,
+    description,
+    entries: transferEntries(escrow, wallet, cents)
+  });
+  await updateHold(client, hold, { released: cents });
+  return fromCents(cents);
+}
+
+// Возврат заказчику всего, что осталось в удержании
+async function refundEscrow(client, caseId, { description = 'Возврат заказчику' } = {}) {
+  const hold = await lockHold(client, caseId);
+  if (!hold) return null;
+
+  const cents = remainingCents(hold);
+  if (cents <= 0) return null;
+
+  const escrow = await getAccount(client, { type: 'escrow', caseId, currency: hold.currency });
+  const wallet = await getAccount(client, { type: 'wallet', userId: hold.customerId, currency: hold.currency });
+  await postTransaction(client, {
+    type: 'escrow_refund',
+    caseId,
+    description,
+    entries: transferEntries(escrow, wallet, cents)
+  });
+  await updateHold(client, hold, { refunded: cents });
+  return fromCents(cents);
+}
+
+module.exports = {
+  toCents,
+  fromCents,
+  accountKey,
+  transferEntries,
+  assertBalanced,
+  remainingCents,
+  releaseCents,
+  shortfallCents,
+  postTransaction,
+  fundEscrow,
+  lockHold,
+  releaseEscrow,
+  refundEscrow
+};
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ledger = require('./ledger');
+const { createFakeProvider } = require('./payments');
+
+test('accountKey различает кошельки, эскроу и внешний счёт', () => {
+  assert.strictEqual(ledger.accountKey({ type: 'wallet', userId: 5, currency: 'RUB' }), 'wallet:5:RUB');
+  assert.strictEqual(ledger.accountKey({ type: 'escrow', caseId: 9, currency: 'USD' }), 'escrow:9:USD');
+  assert.strictEqual(ledger.accountKey({ type: 'external', currency: 'EUR' }), 'external:EUR');
+  assert.throws(() => ledger.accountKey({ type: 'bank', currency: 'RUB' }));
+});
+
+test('проводка должна быть сбалансирована', () => {
+  assert.deepStrictEqual(ledger.transferEntries(1, 2, 500), [{ accountId: 1, cents: -500 }, { accountId: 2, cents: 500 }]);
+  assert.throws(() => ledger.transferEntries(1, 2, 0));
+  assert.throws(() => ledger.assertBalanced([{ accountId: 1, cents: -500 }, { accountId: 2, cents: 400 }]));
+  assert.throws(() => ledger.assertBalanced([{ accountId: 1, cents: 0 }]));
+});
+
+test('releaseCents не выплачивает больше остатка удержания', () => {
+  const hold = { amount: '1000.00', released: '300.00', refunded: '0' };
+  assert.strictEqual(ledger.remainingCents(hold), 70000);
+  assert.strictEqual(ledger.releaseCents(hold, 20000), 20000);
+  assert.strictEqual(ledger.releaseCents(hold, 90000), 70000);
+  assert.strictEqual(ledger.releaseCents(hold), 70000);
+  assert.strictEqual(ledger.shortfallCents(30000, 100000), 70000);
+  assert.strictEqual(ledger.shortfallCents(-500, 100), 100);
+  assert.strictEqual(ledger.shortfallCents(200000, 100000), 0);
+});
+
+// Минимальная БД в памяти: только запросы, которые делает ledger
+function memoryDb() {
+  const accounts = [];
+  const entries = [];
+  const transactions = [];
+  const holds = [];
+  return {
+    accounts, entries, transactions, holds,
+    balance: key => {
+      const account = accounts.find(a => a.key === key);
+      return account ? entries.filter(e => e.accountId === account.id).reduce((s, e) => s + ledger.toCents(e.amount), 0) : 0;
+    },
+    query: async (sql, params) => {
+      if (sql.includes('INSERT INTO "LedgerAccounts"')) {
+        let account = accounts.find(a => a.key === params[0]);
+        if (!account) {
+          account = { id: accounts.length + 1, key: params[0] };
+          accounts.push(account);
+        }
+        return { rows: [{ id: account.id }] };
+      }
+      if (sql.includes('SUM(amount)')) {
+        const sum = entries.filter(e => e.accountId === params[0]).reduce((s, e) => s + ledger.toCents(e.amount), 0);
+        return { rows: [{ balance: String(ledger.fromCents(sum)) }] };
+      }
+      if (sql.includes('INSERT INTO "LedgerTransactions"')) {
+        transactions.push({ id: transactions.length + 1, type: params[0], providerRef: params[4] });
+        return { rows: [{ id: transactions.length }] };
+      }
+      if (sql.includes('INSERT INTO "LedgerEntries"')) {
+        entries.push({ transactionId: params[0], accountId: params[1], amount: params[2] });
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO "EscrowHolds"')) {
+        const [caseId, customerId, executorId, currency, amount] = params;
+        const hold = { id: holds.length + 1, caseId, customerId, executorId, currency, amount, released: 0, refunded: 0, status: 'held' };
+        holds.push(hold);
+        return { rows: [hold] };
+      }
+      if (sql.includes('FROM "EscrowHolds"')) {
+        return { rows: holds.filter(h => h.caseId === params[0] && h.status === 'held').map(h => ({ ...h })) };
+      }
+      if (sql.includes('UPDATE "EscrowHolds"')) {
+        Object.assign(holds.find(h => h.id === params[3]), { released: params[0], refunded: params[1], status: params[2] });
+        return { rows: [] };
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+test('эскроу: оплата, выплата за этап и возврат остатка', async () => {
+  const db = memoryDb();
+  const provider = createFakeProvider({ declineAbove: '' });
+
+  await ledger.fundEscrow(db, { caseId: 7, customerId: 1, executorId: 2, amount: '1000', currency: 'RUB', provider });
+  assert.strictEqual(db.transactions[0].type, 'deposit');
+  assert.match(db.transactions[0].providerRef, /^fake_ch_/);
+  assert.strictEqual(db.balance('escrow:7:RUB'), 100000);
+  assert.strictEqual(db.balance('wallet:1:RUB'), 0);
+
+  assert.strictEqual(await ledger.releaseEscrow(db, 7, { amount: '250.50', milestoneId: 3 }), 250.5);
+  assert.strictEqual(db.balance('wallet:2:RUB'), 25050);
+
+  assert.strictEqual(await ledger.refundEscrow(db, 7), 749.5);
+  assert.strictEqual(db.balance('wallet:1:RUB'), 74950);
+  assert.strictEqual(db.balance('escrow:7:RUB'), 0);
+  assert.strictEqual(db.holds[0].status, 'closed');
+  assert.strictEqual(await ledger.releaseEscrow(db, 7), null);
+
+  // Сумма всех строк всех проводок равна нулю
+  assert.strictEqual(db.entries.reduce((s, e) => s + ledger.toCents(e.amount), 0), 0);
+});
+
+test('эскроу: остаток кошелька тратится до списания через провайдера', async () => {
+  const db = memoryDb();
+  const provider = createFakeProvider({ declineAbove: '' });
+  await ledger.fundEscrow(db, { caseId: 7, customerId: 1, executorId: 2, amount: 1000, currency: 'RUB', provider });
+  await ledger.refundEscrow(db, 7);
+
+  const charges = [];
+  await ledger.fundEscrow(db, {
+    caseId: 8, customerId: 1, executorId: 2, amount: 1500, currency: 'RUB',
+    provider: { name: 'spy', charge: async charge => { charges.push(charge); return { id: 'spy_1' }; } }
+  });
+  assert.deepStrictEqual(charges.map(c => c.amount), [500]);
+  assert.strictEqual(db.balance('wallet:1:RUB'), 0);
+});
+
+test('fake-провайдер отклоняет суммы выше порога', async () => {
+  const provider = createFakeProvider({ declineAbove: '100' });
+  assert.match((await provider.charge({ userId: 1, amount: 50, currency: 'RUB' })).id, /^fake_ch_/);
+  await assert.rejects(provider.charge({ userId: 1, amount: 150, currency: 'RUB' }), { name: 'PaymentError' });
+  await assert.rejects(provider.charge({ userId: 1, amount: 0, currency: 'RUB' }), { name: 'PaymentError' });
+});
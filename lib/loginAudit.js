@@ -0,0 +1,19 @@
+const { query } = require('../database');
+
+// Запись неудачной попытки входа в журнал LoginAttempts.
+// Ошибка записи не должна мешать ответу на запрос входа
+async function recordFailedLogin({ email, userId, req, reason }) {
+  try {
+    await query(
+      `INSERT INTO "LoginAttempts" (email, "userId", ip, "userAgent", reason)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [email || null, userId || null, req.ip || null, req.get('User-Agent') || null, reason]
+    );
+  } catch (err) {
+    console.error('Ошибка записи попытки входа:', err);
+  }
+}
+
+module.exports = {
+  recordFailedLogin
+};
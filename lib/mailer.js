@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Транспорт выбирается через MAIL_TRANSPORT:
+//   console — письмо выводится в лог (по умолчанию)
+//   file    — письмо сохраняется как .eml в MAIL_DIR
+//   smtp    — отправка через SMTP_URL (любой SMTP-сервер, в т.ч. локальный catcher)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'IdeaFlow <no-reply@ideaflow.com>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+
+const transports = {
+  console: () => ({
+    transporter: nodemailer.createTransport({ jsonTransport: true }),
+    deliver: info => {
+      const message = JSON.parse(info.message);
+      console.log(`📧 [mail] To: ${message.to.map(t => t.address).join(', ')}`);
+      console.log(`📧 [mail] Subject: ${message.subject}`);
+      console.log(`📧 [mail] ${message.text}`);
+    }
+  }),
+  file: () => ({
+    transporter: nodemailer.createTransport({ streamTransport: true, buffer: true }),
+    deliver: info => {
+      if (!fs.existsSync(MAIL_DIR)) {
+        fs.mkdirSync(MAIL_DIR, { recursive: true });
+      }
+      const filePath = path.join(MAIL_DIR, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+      fs.writeFileSync(filePath, info.message);
+      console.log('📧 [mail] Saved to', filePath);
+    }
+  }),
+  smtp: () => {
+    if (!process.env.SMTP_URL) {
+      throw new Error('SMTP_URL не задан для MAIL_TRANSPORT=smtp');
+    }
+    return {
+      transporter: nodemailer.createTransport(process.env.SMTP_URL),
+      deliver: () => {}
+    };
+  }
+};
+
+function createTransport(name) {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Неизвестный MAIL_TRANSPORT: ${name}`);
+  }
+  return factory();
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport(MAIL_TRANSPORT);
+  }
+  return transport;
+}
+
+// Отправка письма через выбранный транспорт
+async function sendMail({ to, subject, text, html }) {
+  const { transporter, deliver } = getTransport();
+  const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+  deliver(info);
+  return info;
+}
+
+module.exports = {
+  createTransport,
+  sendMail
+};
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ideaflow-mail-'));
+delete process.env.MAIL_TRANSPORT;
+delete process.env.SMTP_URL;
+process.env.MAIL_DIR = MAIL_DIR;
+const { createTransport, sendMail } = require('./mailer');
+
+const message = { from: 'IdeaFlow <no-reply@ideaflow.com>', to: 'a@example.com', subject: 'Проверка', text: 'Текст письма' };
+
+// Вывод console.log на время вызова
+async function captureLog(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = original;
+  }
+  return lines.join('\n');
+}
+
+test.after(() => fs.rmSync(MAIL_DIR, { recursive: true, force: true }));
+
+test('без MAIL_TRANSPORT письмо уходит в лог', async () => {
+  const log = await captureLog(() => sendMail({ to: 'a@example.com', subject: 'Проверка', text: 'Текст письма' }));
+  assert.match(log, /To: a@example\.com/);
+  assert.match(log, /Subject: Проверка/);
+  assert.match(log, /Текст письма/);
+});
+
+test('file сохраняет письмо как .eml в MAIL_DIR', async () => {
+  const { transporter, deliver } = createTransport('file');
+  await captureLog(async () => deliver(await transporter.sendMail(message)));
+
+  const files = fs.readdirSync(MAIL_DIR).filter(name => name.endsWith('.eml'));
+  assert.strictEqual(files.length, 1);
+  const eml = fs.readFileSync(path.join(MAIL_DIR, files[0]), 'utf8');
+  assert.match(eml, /To: a@example\.com/);
+});
+
+test('smtp без SMTP_URL и неизвестный транспорт — ошибка', () => {
+  assert.throws(() => createTransport('smtp'), /SMTP_URL/);
+  assert.throws(() => createTransport('pigeon'), /MAIL_TRANSPORT/);
+});
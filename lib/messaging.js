@@ -0,0 +1,57 @@
+const { ACTIVE_STATUSES: ACTIVE_INVITATIONS } = require('./invitations');
+
+// Переписка по кейсу: диалог заказчика с исполнителем (caseId + freelancerId)
+const MAX_MESSAGE_LENGTH = 5000;
+const PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Сообщение — текст, файлы или и то и другое. files — пути уже загруженных multer файлов
+function validateMessage(body = {}, files = []) {
+  const text = String(body.body || '').trim();
+  if (!text && files.length === 0) {
+    return { error: 'Напишите сообщение или приложите файл' };
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Сообщение длиннее ${MAX_MESSAGE_LENGTH} символов` };
+  }
+  return { value: { body: text || null, files } };
+}
+
+// История листается назад от самого старого загруженного сообщения: ?before=<id>&limit=<n>
+function parsePage(queryParams = {}) {
+  const limit = queryParams.limit === undefined ? PAGE_SIZE : Number(queryParams.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit — от 1 до ${MAX_PAGE_SIZE}` };
+  }
+  const before = queryParams.before === undefined || queryParams.before === '' ? null : Number(queryParams.before);
+  if (before !== null && (!Number.isInteger(before) || before < 1)) {
+    return { error: 'before — id сообщения' };
+  }
+  return { value: { limit, before } };
+}
+
+const participantIds = conversation =>
+  [conversation.customerId, conversation.freelancerId].filter(id => id != null).map(Number);
+
+// Написать заказчику кейса может его исполнитель, откликнувшийся или приглашённый
+async function canStartConversation(db, caseRow, freelancerId) {
+  if (Number(freelancerId) === Number(caseRow.userId)) return false;
+  if (caseRow.executorId != null && Number(caseRow.executorId) === Number(freelancerId)) return true;
+
+  const result = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM "Proposals" WHERE "caseId" = $1 AND "freelancerId" = $2)
+         OR EXISTS (SELECT 1 FROM "CaseInvitations" WHERE "caseId" = $1 AND "freelancerId" = $2 AND status = ANY($3))
+       AS allowed`,
+    [caseRow.id, freelancerId, ACTIVE_INVITATIONS]
+  );
+  return !!result.rows[0].allowed;
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  PAGE_SIZE,
+  validateMessage,
+  parsePage,
+  participantIds,
+  canStartConversation
+};
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateMessage, parsePage, participantIds, canStartConversation } = require('./messaging');
+
+test('validateMessage: текст или файлы', () => {
+  assert.deepStrictEqual(validateMessage({ body: '  Привет ' }).value, { body: 'Привет', files: [] });
+  assert.deepStrictEqual(validateMessage({ body: '' }, ['/uploads/a.png']).value, { body: null, files: ['/uploads/a.png'] });
+  assert.ok(validateMessage({ body: '   ' }).error);
+  assert.ok(validateMessage({ body: 'x'.repeat(5001) }).error);
+});
+
+test('parsePage проверяет курсор и размер страницы', () => {
+  assert.deepStrictEqual(parsePage({}).value, { limit: 30, before: null });
+  assert.deepStrictEqual(parsePage({ limit: '10', before: '42' }).value, { limit: 10, before: 42 });
+  assert.ok(parsePage({ limit: '0' }).error);
+  assert.ok(parsePage({ limit: '500' }).error);
+  assert.ok(parsePage({ before: 'abc' }).error);
+});
+
+test('participantIds — заказчик и исполнитель диалога', () => {
+  assert.deepStrictEqual(participantIds({ customerId: 1, freelancerId: '2' }), [1, 2]);
+  assert.deepStrictEqual(participantIds({ customerId: null, freelancerId: 2 }), [2]);
+});
+
+test('canStartConversation: исполнитель, откликнувшийся или приглашённый', async () => {
+  const caseRow = { id: 10, userId: 1, executorId: 2 };
+  const db = { query: async (sql, [caseId, freelancerId]) => ({ rows: [{ allowed: freelancerId === 3 }] }) };
+  assert.strictEqual(await canStartConversation(db, caseRow, 2), true);
+  assert.strictEqual(await canStartConversation(db, caseRow, 3), true);
+  assert.strictEqual(await canStartConversation(db, caseRow, 4), false);
+  assert.strictEqual(await canStartConversation(db, caseRow, 1), false);
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+// Миграции лежат в migrations/ парами файлов NNN_name.up.sql / NNN_name.down.sql
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Ключ advisory-блокировки, чтобы два процесса не накатывали миграции одновременно
+const LOCK_KEY = 720451;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, number, name, direction] = match;
+    const version = parseInt(number, 10);
+
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Миграция ${version}: разные имена файлов (${migration.name}, ${name})`);
+    }
+    if (migration[direction] !== undefined) {
+      throw new Error(`Миграция ${version}: повторяющийся ${direction}-файл`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === undefined) {
+      throw new Error(`Миграция ${migration.version}_${migration.name}: нет up-файла`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [Number(row.version), row]));
+}
+
+// Выполняет fn с отдельным клиентом под блокировкой
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Каждая миграция — в своей транзакции вместе с записью в schema_migrations
+async function runInTransaction(client, sql, bookkeeping) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await bookkeeping();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Накатывает все неприменённые миграции (или до версии to включительно)
+async function migrateUp(pool, { to, dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, async client => {
+    const applied = await getApplied(client);
+    const done = [];
+
+    for (const migration of migrations) {
+      if (to !== undefined && migration.version > to) break;
+      if (applied.has(migration.version)) continue;
+
+      console.log(`⬆️  Миграция ${migration.version}_${migration.name}`);
+      await runInTransaction(client, migration.up, () =>
+        client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name])
+      );
+      done.push(migration);
+    }
+    return done;
+  });
+}
+
+// Откатывает последние steps применённых миграций
+async function migrateDown(pool, { steps = 1, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  return withLock(pool, async client => {
+    const applied = [...(await getApplied(client)).keys()].sort((a, b) => b - a).slice(0, steps);
+    const done = [];
+
+    for (const version of applied) {
+      const migration = byVersion.get(version);
+      if (!migration || migration.down === undefined) {
+        throw new Error(`Миграция ${version}: нет down-файла, откат невозможен`);
+      }
+
+      console.log(`⬇️  Откат ${migration.version}_${migration.name}`);
+      await runInTransaction(client, migration.down, () =>
+        client.query('DELETE FROM schema_migrations WHERE version = $1', [version])
+      );
+      done.push(migration);
+    }
+    return done;
+  });
+}
+
+async function getStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, async client => {
+    const applied = await getApplied(client);
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, migrateUp, migrateDown, getStatus } = require('./migrations');
+
+function makeDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [name, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), sql);
+  }
+  return dir;
+}
+
+// Поддельный pg.Pool: хранит schema_migrations в памяти и журнал выполненного SQL
+function fakePool({ failOn } = {}) {
+  const applied = new Map();
+  const executed = [];
+  let pending = null;
+
+  const client = {
+    query: async (sql, params = []) => {
+      if (sql === 'BEGIN') {
+        pending = new Map(applied);
+      } else if (sql === 'COMMIT') {
+        applied.clear();
+        pending.forEach((v, k) => applied.set(k, v));
+        pending = null;
+      } else if (sql === 'ROLLBACK') {
+        pending = null;
+      } else if (sql.startsWith('SELECT version, name')) {
+        return { rows: [...applied.values()] };
+      } else if (sql.startsWith('INSERT INTO schema_migrations')) {
+        pending.set(params[0], { version: params[0], name: params[1], applied_at: new Date() });
+      } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+        pending.delete(params[0]);
+      } else if (!sql.includes('pg_advisory') && !sql.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+        if (failOn && sql.includes(failOn)) throw new Error('syntax error');
+        executed.push(sql.trim());
+      }
+      return { rows: [] };
+    },
+    release: () => {}
+  };
+
+  return { applied, executed, connect: async () => client };
+}
+
+const files = {
+  '001_users.up.sql': 'CREATE TABLE users;',
+  '001_users.down.sql': 'DROP TABLE users;',
+  '002_cases.up.sql': 'CREATE TABLE cases;',
+  '002_cases.down.sql': 'DROP TABLE cases;',
+  '010_roles.up.sql': 'ALTER TABLE users ADD roles;',
+  'README.txt': 'не миграция'
+};
+
+test('loadMigrations сортирует по номеру и пропускает посторонние файлы', () => {
+  const migrations = loadMigrations(makeDir(files));
+  assert.deepStrictEqual(migrations.map(m => [m.version, m.name]), [[1, 'users'], [2, 'cases'], [10, 'roles']]);
+  assert.strictEqual(migrations[2].down, undefined);
+});
+
+test('loadMigrations требует up-файл', () => {
+  assert.throws(() => loadMigrations(makeDir({ '003_x.down.sql': 'x' })), /нет up-файла/);
+});
+
+test('migrateUp применяет только новые миграции и учитывает to', async () => {
+  const dir = makeDir(files);
+  const pool = fakePool();
+
+  const first = await migrateUp(pool, { dir, to: 2 });
+  assert.deepStrictEqual(first.map(m => m.version), [1, 2]);
+
+  const second = await migrateUp(pool, { dir });
+  assert.deepStrictEqual(second.map(m => m.version), [10]);
+  assert.deepStrictEqual(await migrateUp(pool, { dir }), []);
+  assert.deepStrictEqual(pool.executed, ['CREATE TABLE users;', 'CREATE TABLE cases;', 'ALTER TABLE users ADD roles;']);
+});
+
+test('упавшая миграция откатывается и не записывается', async () => {
+  const dir = makeDir(files);
+  const pool = fakePool({ failOn: 'cases' });
+
+  await assert.rejects(migrateUp(pool, { dir }), /syntax error/);
+  assert.deepStrictEqual([...pool.applied.keys()], [1]);
+});
+
+test('migrateDown откатывает последние миграции, status показывает состояние', async () => {
+  const dir = makeDir({ ...files, '010_roles.down.sql': 'ALTER TABLE users DROP roles;' });
+  const pool = fakePool();
+  await migrateUp(pool, { dir });
+
+  const reverted = await migrateDown(pool, { dir, steps: 2 });
+  assert.deepStrictEqual(reverted.map(m => m.version), [10, 2]);
+
+  const status = await getStatus(pool, { dir });
+  assert.deepStrictEqual(status.map(s => [s.version, !!s.appliedAt]), [[1, true], [2, false], [10, false]]);
+});
+
+test('migrateDown без down-файла завершается ошибкой', async () => {
+  const dir = makeDir(files);
+  const pool = fakePool();
+  await migrateUp(pool, { dir });
+  await assert.rejects(migrateDown(pool, { dir }), /нет down-файла/);
+});
+
+test('файлы в migrations/ корректны', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  for (const m of migrations) assert.ok(m.down !== undefined, `нет down для ${m.version}`);
+});
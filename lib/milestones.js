@@ -0,0 +1,90 @@
+// Этапы (milestones) принятого кейса: статусы, переходы, проверка данных и прогресс
+const { toCents, fromCents } = require('./ledger');
+
+const MILESTONE_STATUSES = ['pending', 'submitted', 'revision_requested', 'approved'];
+
+// Действие -> из каких статусов разрешено и в какой статус переводит
+const TRANSITIONS = {
+  submit: { from: ['pending', 'revision_requested'], to: 'submitted' },
+  requestRevision: { from: ['submitted'], to: 'revision_requested' },
+  approve: { from: ['submitted'], to: 'approved' }
+};
+
+// Менять и удалять можно только этап, к которому исполнитель ещё не приступал к сдаче
+const EDITABLE_STATUSES = ['pending'];
+
+// Этапами управляют, пока работа по кейсу идёт
+const CASE_STATUSES_WITH_MILESTONES = ['in_progress', 'submitted', 'revision_requested'];
+
+function nextStatus(current, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new Error(`Неизвестное действие с этапом: ${action}`);
+  return transition.from.includes(current) ? transition.to : null;
+}
+
+// Проверка тела запроса. partial — для редактирования: проверяются только переданные поля
+function validateMilestone(body = {}, { partial = false, now = new Date() } = {}) {
+  const value = {};
+
+  if (!partial || body.title !== undefined) {
+    value.title = String(body.title || '').trim();
+    if (!value.title) return { error: 'Укажите название этапа' };
+    if (value.title.length > 200) return { error: 'Название этапа длиннее 200 символов' };
+  }
+
+  if (!partial || body.amount !== undefined) {
+    const amount = Number(body.amount === '' || body.amount === undefined ? 0 : body.amount);
+    if (!Number.isFinite(amount) || amount < 0) return { error: 'Сумма этапа должна быть неотрицательным числом' };
+    value.amount = Math.round(amount * 100) / 100;
+  }
+
+  if (!partial || body.dueDate !== undefined) {
+    value.dueDate = body.dueDate ? String(body.dueDate) : null;
+    if (value.dueDate) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value.dueDate) || isNaN(new Date(value.dueDate).getTime())) {
+        return { error: 'Срок этапа — дата в формате ГГГГ-ММ-ДД' };
+      }
+      if (value.dueDate < now.toISOString().slice(0, 10)) {
+        return { error: 'Срок этапа не может быть в прошлом' };
+      }
+    }
+  }
+
+  if (Object.keys(value).length === 0) return { error: 'Нет изменений' };
+  return { value };
+}
+
+// Принятый этап выплачивается из эскроу целиком, поэтому ещё не принятые этапы
+// (pendingTotal — без проверяемого) вместе с новой суммой должны уместиться в остаток удержания
+function validateMilestoneBudget({ pendingTotal, amount, remainingCents }) {
+  const neededCents = toCents(pendingTotal) + toCents(amount);
+  if (toCents(amount) > 0 && neededCents > remainingCents) {
+    return {
+      error: `Этапы на ${fromCents(neededCents)} не помещаются в остаток эскроу ${fromCents(Math.max(0, remainingCents))}`
+    };
+  }
+  return {};
+}
+
+// Прогресс в процентах: доля принятых этапов по сумме, а если суммы не заданы — по количеству.
+// null, если этапов нет
+function computeProgress(milestones) {
+  if (!milestones || milestones.length === 0) return null;
+
+  const total = milestones.reduce((sum, m) => sum + Number(m.amount || 0), 0);
+  const approved = milestones.filter(m => m.status === 'approved');
+  const ratio = total > 0
+    ? approved.reduce((sum, m) => sum + Number(m.amount || 0), 0) / total
+    : approved.length / milestones.length;
+  return Math.round(ratio * 100);
+}
+
+module.exports = {
+  MILESTONE_STATUSES,
+  EDITABLE_STATUSES,
+  CASE_STATUSES_WITH_MILESTONES,
+  nextStatus,
+  validateMilestone,
+  validateMilestoneBudget,
+  computeProgress
+};
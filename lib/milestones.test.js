@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { nextStatus, validateMilestone, validateMilestoneBudget, computeProgress } = require('./milestones');
+
+test('nextStatus: сдача, доработка и приёмка этапа', () => {
+  assert.strictEqual(nextStatus('pending', 'submit'), 'submitted');
+  assert.strictEqual(nextStatus('revision_requested', 'submit'), 'submitted');
+  assert.strictEqual(nextStatus('submitted', 'requestRevision'), 'revision_requested');
+  assert.strictEqual(nextStatus('submitted', 'approve'), 'approved');
+  assert.strictEqual(nextStatus('pending', 'approve'), null);
+  assert.strictEqual(nextStatus('approved', 'submit'), null);
+  assert.throws(() => nextStatus('pending', 'delete'));
+});
+
+const now = new Date('2026-03-10T12:00:00Z');
+
+test('validateMilestone нормализует этап', () => {
+  assert.deepStrictEqual(validateMilestone({ title: ' Макет ', amount: '15000.555', dueDate: '2026-04-01' }, { now }).value, {
+    title: 'Макет',
+    amount: 15000.56,
+    dueDate: '2026-04-01'
+  });
+  assert.deepStrictEqual(validateMilestone({ title: 'Вёрстка' }, { now }).value, { title: 'Вёрстка', amount: 0, dueDate: null });
+  assert.deepStrictEqual(validateMilestone({ amount: 500 }, { partial: true, now }).value, { amount: 500 });
+});
+
+test('validateMilestone отклоняет некорректные поля', () => {
+  assert.ok(validateMilestone({ title: '' }, { now }).error);
+  assert.ok(validateMilestone({ title: 'Этап', amount: -1 }, { now }).error);
+  assert.ok(validateMilestone({ title: 'Этап', dueDate: '2026-03-01' }, { now }).error);
+  assert.ok(validateMilestone({ title: 'Этап', dueDate: 'скоро' }, { now }).error);
+  assert.ok(validateMilestone({}, { partial: true, now }).error);
+});
+
+test('computeProgress считает по сумме, иначе по количеству', () => {
+  assert.strictEqual(computeProgress([]), null);
+  assert.strictEqual(computeProgress([
+    { amount: '30000.00', status: 'approved' },
+    { amount: '70000.00', status: 'submitted' }
+  ]), 30);
+  assert.strictEqual(computeProgress([
+    { amount: '0', status: 'approved' },
+    { amount: '0', status: 'pending' },
+    { amount: '0', status: 'pending' }
+  ]), 33);
+});
+
+test('validateMilestoneBudget: неоплаченные этапы не превышают остаток эскроу', () => {
+  assert.deepStrictEqual(validateMilestoneBudget({ pendingTotal: '100.00', amount: 200, remainingCents: 30000 }), {});
+  assert.ok(validateMilestoneBudget({ pendingTotal: '100.00', amount: 250, remainingCents: 30000 }).error);
+  assert.ok(validateMilestoneBudget({ pendingTotal: 0, amount: 0.01, remainingCents: 0 }).error);
+  assert.deepStrictEqual(validateMilestoneBudget({ pendingTotal: '500.00', amount: 0, remainingCents: 0 }), {});
+});
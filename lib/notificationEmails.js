@@ -0,0 +1,159 @@
+const { sendMail } = require('./mailer');
+const { APP_URL } = require('./emails');
+const { NOTIFICATION_TYPES, buildNotification } = require('./notifications');
+
+// Письма об уведомлениях на русском и английском. Транспорт — lib/mailer.js (MAIL_TRANSPORT):
+// для локальной проверки подойдут file (письма .eml в MAIL_DIR) или smtp с SMTP_URL на catcher
+const TEMPLATES = {
+  ru: {
+    greeting: 'Здравствуйте!',
+    open: 'Открыть',
+    settings: 'Настроить письма можно в профиле',
+    digestSubject: count => `IdeaFlow: новое за сутки (${count})`,
+    digestIntro: 'Что произошло в IdeaFlow за последние сутки:',
+    subjects: {
+      case_accepted: 'Ваш отклик принят',
+      files_uploaded: 'Новые файлы по кейсу',
+      case_completed: 'Работа принята',
+      review_created: 'Новый отзыв',
+      case_published: 'Новый кейс по вашей теме'
+    },
+    lines: {
+      case_accepted: d => `Ваш отклик принят: кейс «${d.caseTitle}» передан вам в работу.`,
+      files_uploaded: d => `Исполнитель добавил файлы (${d.count}) по кейсу «${d.caseTitle}».`,
+      case_completed: d => `Заказчик принял работу по кейсу «${d.caseTitle}».`,
+      review_created: d => `${d.reviewerName} оставил(а) отзыв о вас с оценкой ${d.rating}.`,
+      case_published: d => `Новый кейс по теме «${d.theme}»: «${d.caseTitle}».`
+    }
+  },
+  en: {
+    greeting: 'Hello!',
+    open: 'Open',
+    settings: 'You can change email settings in your profile',
+    digestSubject: count => `IdeaFlow: your daily digest (${count})`,
+    digestIntro: 'Here is what happened on IdeaFlow in the last 24 hours:',
+    subjects: {
+      case_accepted: 'Your proposal was accepted',
+      files_uploaded: 'New files on your case',
+      case_completed: 'Your work was accepted',
+      review_created: 'You received a new review',
+      case_published: 'New case in a theme you follow'
+    },
+    lines: {
+      case_accepted: d => `Your proposal was accepted: the case "${d.caseTitle}" is now yours.`,
+      files_uploaded: d => `The freelancer uploaded ${d.count} file(s) to the case "${d.caseTitle}".`,
+      case_completed: d => `The customer accepted your work on the case "${d.caseTitle}".`,
+      review_created: d => `${d.reviewerName} left you a review rated ${d.rating}.`,
+      case_published: d => `New case in "${d.theme}": "${d.caseTitle}".`
+    }
+  }
+};
+
+const escapeHtml = value =>
+  String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const templatesFor = locale => TEMPLATES[locale] || TEMPLATES.ru;
+
+// Строка события со ссылкой — общая для отдельного письма и дайджеста
+function renderLine(type, data, t) {
+  return { text: t.lines[type](data), link: `${APP_URL}${buildNotification(type, data).link}` };
+}
+
+function renderFooter(t) {
+  const link = `${APP_URL}/myprofile`;
+  return {
+    text: `\n\n${t.settings}: ${link}`,
+    html: `<p style="color:#888">${t.settings}: <a href="${link}">${link}</a></p>`
+  };
+}
+
+function renderNotificationEmail(type, data, locale) {
+  const t = templatesFor(locale);
+  const line = renderLine(type, data, t);
+  const footer = renderFooter(t);
+  return {
+    subject: `IdeaFlow: ${t.subjects[type]}`,
+    text: `${t.greeting}\n\n${line.text}\n${t.open}: ${line.link}${footer.text}`,
+    html: `<p>${t.greeting}</p><p>${escapeHtml(line.text)}</p>` +
+      `<p><a href="${line.link}">${t.open}</a></p>${footer.html}`
+  };
+}
+
+// items — [{ type, data }] в порядке появления
+function renderDigestEmail(items, locale) {
+  const t = templatesFor(locale);
+  const lines = items.map(item => renderLine(item.type, item.data, t));
+  const footer = renderFooter(t);
+  return {
+    subject: t.digestSubject(items.length),
+    text: `${t.greeting}\n\n${t.digestIntro}\n\n` +
+      lines.map(line => `• ${line.text}\n  ${line.link}`).join('\n') + footer.text,
+    html: `<p>${t.greeting}</p><p>${t.digestIntro}</p><ul>` +
+      lines.map(line => `<li>${escapeHtml(line.text)} <a href="${line.link}">${t.open}</a></li>`).join('') +
+      `</ul>${footer.html}`
+  };
+}
+
+// Письмо о событии: сразу, в очередь дайджеста или никак — по настройке пользователя.
+// Пишем только на подтверждённый email. Возвращает выбранный режим
+async function mailNotification(db, userId, type, data = {}, { send = sendMail } = {}) {
+  const result = await db.query(
+    `SELECT u.email AS address, u.locale, u."emailVerified", p.email AS mode
+     FROM "Users" u LEFT JOIN "NotificationPreferences" p ON p."userId" = u.id AND p.type = $2
+     WHERE u.id = $1`,
+    [userId, type]
+  );
+  const recipient = result.rows[0];
+  if (!recipient || !recipient.emailVerified) return 'off';
+
+  const mode = recipient.mode || NOTIFICATION_TYPES[type].defaultEmail;
+  if (mode === 'instant') {
+    await send({ to: recipient.address, ...renderNotificationEmail(type, data, recipient.locale) });
+  } else if (mode === 'daily') {
+    await db.query(
+      'INSERT INTO "EmailDigestItems" ("userId", type, data) VALUES ($1, $2, $3)',
+      [userId, type, JSON.stringify(data)]
+    );
+  }
+  return mode;
+}
+
+// Рассылает накопленные дайджесты, по письму на пользователя. Если письмо не ушло,
+// события остаются в очереди до следующего запуска
+async function sendDailyDigest(db, { send = sendMail } = {}) {
+  const result = await db.query(
+    `SELECT d.id, d."userId", d.type, d.data, u.email AS address, u.locale
+     FROM "EmailDigestItems" d JOIN "Users" u ON u.id = d."userId"
+     WHERE d."sentAt" IS NULL
+     ORDER BY d."userId", d.id`
+  );
+
+  const byUser = new Map();
+  for (const row of result.rows) {
+    if (!byUser.has(row.userId)) byUser.set(row.userId, []);
+    byUser.get(row.userId).push(row);
+  }
+
+  const report = { sent: 0, failed: 0, items: 0 };
+  for (const items of byUser.values()) {
+    const { address, locale } = items[0];
+    try {
+      await send({ to: address, ...renderDigestEmail(items, locale) });
+      await db.query('UPDATE "EmailDigestItems" SET "sentAt" = NOW() WHERE id = ANY($1)', [items.map(item => item.id)]);
+      report.sent++;
+      report.items += items.length;
+    } catch (err) {
+      console.error(`Ошибка отправки дайджеста на ${address}:`, err.message);
+      report.failed++;
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  TEMPLATES,
+  renderNotificationEmail,
+  renderDigestEmail,
+  mailNotification,
+  sendDailyDigest
+};
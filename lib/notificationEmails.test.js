@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderNotificationEmail, renderDigestEmail, mailNotification, sendDailyDigest } = require('./notificationEmails');
+
+const accepted = { caseTitle: 'Логотип <b>', processedCaseId: 7 };
+
+test('renderNotificationEmail: русский по умолчанию, английский по locale', () => {
+  const ru = renderNotificationEmail('case_accepted', accepted, 'ru');
+  assert.strictEqual(ru.subject, 'IdeaFlow: Ваш отклик принят');
+  assert.ok(ru.text.includes('/processed-cases/7'));
+  assert.ok(ru.html.includes('Логотип &lt;b&gt;'));
+
+  const en = renderNotificationEmail('case_accepted', accepted, 'en');
+  assert.strictEqual(en.subject, 'IdeaFlow: Your proposal was accepted');
+  assert.strictEqual(renderNotificationEmail('case_accepted', accepted, 'fr').subject, ru.subject);
+});
+
+test('renderDigestEmail собирает события в одно письмо', () => {
+  const email = renderDigestEmail([
+    { type: 'case_published', data: { caseTitle: 'Сайт', caseId: 3, theme: 'Веб-разработка' } },
+    { type: 'review_created', data: { reviewerName: 'Анна', rating: 5 } }
+  ], 'en');
+  assert.strictEqual(email.subject, 'IdeaFlow: your daily digest (2)');
+  assert.ok(email.text.includes('/cases/3'));
+  assert.strictEqual((email.html.match(/<li>/g) || []).length, 2);
+});
+
+test('mailNotification: сразу, в дайджест или никак', async () => {
+  const sent = [];
+  const queued = [];
+  const users = {
+    1: { address: 'a@test.com', locale: 'ru', emailVerified: true, mode: null },
+    2: { address: 'b@test.com', locale: 'en', emailVerified: true, mode: 'daily' },
+    3: { address: 'c@test.com', locale: 'ru', emailVerified: false, mode: 'instant' }
+  };
+  const db = {
+    query: async (sql, params) => {
+      if (sql.startsWith('INSERT')) {
+        queued.push(params);
+        return { rows: [] };
+      }
+      return { rows: [users[params[0]]].filter(Boolean) };
+    }
+  };
+  const send = async mail => sent.push(mail);
+
+  assert.strictEqual(await mailNotification(db, 1, 'case_accepted', accepted, { send }), 'instant');
+  assert.strictEqual(sent[0].to, 'a@test.com');
+  assert.strictEqual(await mailNotification(db, 2, 'case_accepted', accepted, { send }), 'daily');
+  assert.strictEqual(queued.length, 1);
+  assert.strictEqual(await mailNotification(db, 3, 'case_accepted', accepted, { send }), 'off');
+  // Для новых кейсов по умолчанию — дайджест
+  assert.strictEqual(await mailNotification(db, 1, 'case_published', { caseTitle: 'Сайт', caseId: 3, theme: 'Дизайн' }, { send }), 'daily');
+  assert.strictEqual(sent.length, 1);
+});
+
+test('sendDailyDigest: письмо на пользователя, неотправленное остаётся в очереди', async () => {
+  const marked = [];
+  const db = {
+    query: async (sql, params) => {
+      if (sql.startsWith('UPDATE')) {
+        marked.push(...params[0]);
+        return { rows: [] };
+      }
+      return {
+        rows: [
+          { id: 1, userId: 1, type: 'review_created', data: { reviewerName: 'Анна', rating: 5 }, address: 'a@test.com', locale: 'ru' },
+          { id: 2, userId: 1, type: 'case_completed', data: { caseTitle: 'Сайт', projectId: 4 }, address: 'a@test.com', locale: 'ru' },
+          { id: 3, userId: 2, type: 'review_created', data: { reviewerName: 'Иван', rating: 4 }, address: 'broken@test.com', locale: 'en' }
+        ]
+      };
+    }
+  };
+  const send = async mail => {
+    if (mail.to === 'broken@test.com') throw new Error('SMTP недоступен');
+  };
+
+  const report = await sendDailyDigest(db, { send });
+  assert.deepStrictEqual(report, { sent: 1, failed: 1, items: 2 });
+  assert.deepStrictEqual(marked, [1, 2]);
+});
@@ -0,0 +1,200 @@
+// Уведомления в колокольчике. Каждый тип знает, как из параметров события собрать текст и ссылку,
+// и как по умолчанию о нём писать на почту (письма — lib/notificationEmails.js)
+const NOTIFICATION_TYPES = {
+  case_accepted: {
+    label: 'Мой отклик приняли',
+    defaultEmail: 'instant',
+    build: ({ caseTitle, processedCaseId }) => ({
+      title: 'Ваш отклик принят',
+      body: `Кейс «${caseTitle}» передан вам в работу`,
+      link: `/processed-cases/${processedCaseId}`
+    })
+  },
+  files_uploaded: {
+    label: 'Исполнитель загрузил файлы',
+    defaultEmail: 'instant',
+    build: ({ caseTitle, processedCaseId, count }) => ({
+      title: 'Новые файлы по кейсу',
+      body: `Исполнитель добавил файлов: ${count} — «${caseTitle}»`,
+      link: `/processed-cases/${processedCaseId}`
+    })
+  },
+  case_completed: {
+    label: 'Заказчик принял работу',
+    defaultEmail: 'instant',
+    build: ({ caseTitle, projectId }) => ({
+      title: 'Работа принята',
+      body: `Заказчик принял работу по кейсу «${caseTitle}»`,
+      link: `/projects/${projectId}`
+    })
+  },
+  review_created: {
+    label: 'Новый отзыв обо мне',
+    defaultEmail: 'instant',
+    build: ({ reviewerName, rating }) => ({
+      title: 'Новый отзыв',
+      body: `${reviewerName} оставил(а) отзыв с оценкой ${rating}`,
+      link: '/myprofile'
+    })
+  },
+  // Новых кейсов бывает много, поэтому на почту они по умолчанию идут дайджестом
+  case_published: {
+    label: 'Новые кейсы по отслеживаемым темам',
+    defaultEmail: 'daily',
+    build: ({ caseTitle, caseId, theme }) => ({
+      title: `Новый кейс по теме «${theme}»`,
+      body: caseTitle,
+      link: `/cases/${caseId}`
+    })
+  }
+};
+
+// Письма: сразу, ежедневным дайджестом или не отправлять
+const EMAIL_MODES = ['instant', 'daily', 'off'];
+const LOCALES = ['ru', 'en'];
+
+const LIST_LIMIT = 50;
+const MAX_THEMES = 20;
+const MAX_THEME_LENGTH = 200;
+
+function buildNotification(type, data = {}) {
+  const definition = NOTIFICATION_TYPES[type];
+  if (!definition) throw new Error(`Неизвестный тип уведомления: ${type}`);
+  return definition.build(data);
+}
+
+function validateTypes(types) {
+  if (typeof types !== 'object' || types === null || Array.isArray(types)) {
+    return { error: 'types — объект { тип: настройки }' };
+  }
+  const value = [];
+  for (const [type, settings] of Object.entries(types)) {
+    if (!NOTIFICATION_TYPES[type]) {
+      return { error: `Неизвестный тип уведомления: ${type}` };
+    }
+    const { inApp, email } = settings || {};
+    if (inApp !== undefined && typeof inApp !== 'boolean') {
+      return { error: 'inApp — true или false' };
+    }
+    if (email !== undefined && !EMAIL_MODES.includes(email)) {
+      return { error: `email — одно из: ${EMAIL_MODES.join(', ')}` };
+    }
+    value.push({ type, inApp: inApp ?? null, email: email ?? null });
+  }
+  return { value };
+}
+
+function validateThemes(themes) {
+  if (!Array.isArray(themes)) {
+    return { error: 'themes — список тем' };
+  }
+  const value = [...new Set(themes.map(theme => String(theme || '').trim()).filter(Boolean))];
+  if (value.length > MAX_THEMES) {
+    return { error: `Можно отслеживать не больше ${MAX_THEMES} тем` };
+  }
+  if (value.some(theme => theme.length > MAX_THEME_LENGTH)) {
+    return { error: `Название темы длиннее ${MAX_THEME_LENGTH} символов` };
+  }
+  return { value };
+}
+
+// Тело PUT /api/notifications/preferences: { locale, themes, types: { case_accepted: { inApp, email } } }.
+// Любая часть необязательна — меняется только переданное
+function validatePreferences(body = {}) {
+  const { locale, themes, types } = body;
+  if (locale === undefined && themes === undefined && types === undefined) {
+    return { error: 'Нет изменений' };
+  }
+  const value = { locale: null, themes: null, types: [] };
+
+  if (locale !== undefined) {
+    if (!LOCALES.includes(locale)) {
+      return { error: `Язык писем — одно из: ${LOCALES.join(', ')}` };
+    }
+    value.locale = locale;
+  }
+  if (themes !== undefined) {
+    const result = validateThemes(themes);
+    if (result.error) return result;
+    value.themes = result.value;
+  }
+  if (types !== undefined) {
+    const result = validateTypes(types);
+    if (result.error) return result;
+    value.types = result.value;
+  }
+  return { value };
+}
+
+// Настройки пользователя по всем типам, включая те, что он ни разу не менял
+async function loadPreferences(db, userId) {
+  const [userResult, preferencesResult, themesResult] = await Promise.all([
+    db.query('SELECT locale FROM "Users" WHERE id = $1', [userId]),
+    db.query('SELECT type, "inApp", email FROM "NotificationPreferences" WHERE "userId" = $1', [userId]),
+    db.query('SELECT theme FROM "FollowedThemes" WHERE "userId" = $1 ORDER BY theme', [userId])
+  ]);
+  const saved = new Map(preferencesResult.rows.map(row => [row.type, row]));
+  return {
+    locale: userResult.rows[0] ? userResult.rows[0].locale : 'ru',
+    themes: themesResult.rows.map(row => row.theme),
+    types: Object.entries(NOTIFICATION_TYPES).map(([type, { label, defaultEmail }]) => {
+      const row = saved.get(type);
+      return {
+        type,
+        label,
+        inApp: row ? row.inApp : true,
+        email: row ? row.email : defaultEmail
+      };
+    })
+  };
+}
+
+// Сохраняет результат validatePreferences. Вызывается в транзакции
+async function savePreferences(db, userId, { locale, themes, types }) {
+  if (locale) {
+    await db.query('UPDATE "Users" SET locale = $1 WHERE id = $2', [locale, userId]);
+  }
+  if (themes) {
+    await db.query('DELETE FROM "FollowedThemes" WHERE "userId" = $1 AND NOT (theme = ANY($2))', [userId, themes]);
+    await db.query(
+      `INSERT INTO "FollowedThemes" ("userId", theme) SELECT $1, UNNEST($2::text[]) ON CONFLICT DO NOTHING`,
+      [userId, themes]
+    );
+  }
+  for (const { type, inApp, email } of types) {
+    await db.query(
+      `INSERT INTO "NotificationPreferences" ("userId", type, "inApp", email)
+       VALUES ($1, $2, COALESCE($3, TRUE), COALESCE($4, $5))
+       ON CONFLICT ("userId", type) DO UPDATE
+       SET "inApp" = COALESCE($3, "NotificationPreferences"."inApp"), email = COALESCE($4, "NotificationPreferences".email)`,
+      [userId, type, inApp, email, NOTIFICATION_TYPES[type].defaultEmail]
+    );
+  }
+}
+
+// Создаёт уведомление, если пользователь его не отключил. Возвращает строку или null
+async function notify(db, userId, type, data = {}) {
+  const { title, body, link } = buildNotification(type, data);
+  const result = await db.query(
+    `INSERT INTO "Notifications" ("userId", type, title, body, link, data)
+     SELECT $1, $2, $3, $4, $5, $6
+     WHERE NOT EXISTS (
+       SELECT 1 FROM "NotificationPreferences" WHERE "userId" = $1 AND type = $2 AND "inApp" = FALSE
+     )
+     RETURNING *`,
+    [userId, type, title, body, link, JSON.stringify(data)]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  EMAIL_MODES,
+  LOCALES,
+  LIST_LIMIT,
+  buildNotification,
+  validatePreferences,
+  loadPreferences,
+  savePreferences,
+  notify
+};
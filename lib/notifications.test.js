@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildNotification, validatePreferences, loadPreferences, notify } = require('./notifications');
+
+test('buildNotification собирает текст и ссылку по типу', () => {
+  assert.deepStrictEqual(buildNotification('case_accepted', { caseTitle: 'Логотип', processedCaseId: 7 }), {
+    title: 'Ваш отклик принят',
+    body: 'Кейс «Логотип» передан вам в работу',
+    link: '/processed-cases/7'
+  });
+  assert.strictEqual(buildNotification('case_completed', { caseTitle: 'Логотип', projectId: 3 }).link, '/projects/3');
+  assert.throws(() => buildNotification('case_exploded'));
+});
+
+test('validatePreferences: язык, темы и настройки по типам', () => {
+  assert.deepStrictEqual(validatePreferences({ types: { review_created: { inApp: false } } }).value, {
+    locale: null,
+    themes: null,
+    types: [{ type: 'review_created', inApp: false, email: null }]
+  });
+  assert.deepStrictEqual(validatePreferences({ locale: 'en', themes: [' Веб-разработка ', 'Веб-разработка', ''] }).value, {
+    locale: 'en',
+    themes: ['Веб-разработка'],
+    types: []
+  });
+  assert.ok(validatePreferences({}).error);
+  assert.ok(validatePreferences({ locale: 'de' }).error);
+  assert.ok(validatePreferences({ themes: 'Дизайн' }).error);
+  assert.ok(validatePreferences({ types: { unknown: { inApp: true } } }).error);
+  assert.ok(validatePreferences({ types: { review_created: { inApp: 'no' } } }).error);
+  assert.ok(validatePreferences({ types: { review_created: { email: 'weekly' } } }).error);
+});
+
+test('loadPreferences: по умолчанию всё включено, новые кейсы — дайджестом', async () => {
+  const rows = {
+    Users: [{ locale: 'en' }],
+    NotificationPreferences: [{ type: 'files_uploaded', inApp: false, email: 'off' }],
+    FollowedThemes: [{ theme: 'Веб-разработка' }]
+  };
+  const db = { query: async sql => ({ rows: rows[sql.match(/FROM "(\w+)"/)[1]] }) };
+  const preferences = await loadPreferences(db, 1);
+  assert.strictEqual(preferences.locale, 'en');
+  assert.deepStrictEqual(preferences.themes, ['Веб-разработка']);
+  assert.strictEqual(preferences.types.length, 5);
+  assert.deepStrictEqual(preferences.types.find(p => p.type === 'files_uploaded'), {
+    type: 'files_uploaded', label: 'Исполнитель загрузил файлы', inApp: false, email: 'off'
+  });
+  assert.strictEqual(preferences.types.find(p => p.type === 'case_accepted').email, 'instant');
+  assert.strictEqual(preferences.types.find(p => p.type === 'case_published').email, 'daily');
+});
+
+test('notify возвращает null, если тип отключён', async () => {
+  const calls = [];
+  const db = {
+    query: async (sql, params) => {
+      calls.push(params);
+      return { rows: params[0] === 1 ? [{ id: 5, userId: 1, title: params[2] }] : [] };
+    }
+  };
+  assert.strictEqual((await notify(db, 1, 'review_created', { reviewerName: 'Анна', rating: 5 })).id, 5);
+  assert.strictEqual(await notify(db, 2, 'review_created', { reviewerName: 'Анна', rating: 5 }), null);
+  assert.strictEqual(calls[0][5], JSON.stringify({ reviewerName: 'Анна', rating: 5 }));
+});
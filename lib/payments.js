@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Платёжный провайдер выбирается через PAYMENT_PROVIDER:
+//   fake — локальный шлюз без реальных денег (по умолчанию).
+//          PAYMENT_FAKE_DECLINE_ABOVE — отклонять списания больше этой суммы, чтобы проверить отказ
+// Провайдер реализует charge({ userId, amount, currency, description }) -> { id, status }
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || 'fake';
+
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentError';
+  }
+}
+
+function createFakeProvider({ declineAbove = process.env.PAYMENT_FAKE_DECLINE_ABOVE } = {}) {
+  const limit = declineAbove !== undefined && declineAbove !== '' ? Number(declineAbove) : Infinity;
+
+  return {
+    name: 'fake',
+    async charge({ userId, amount, currency, description }) {
+      if (!(Number(amount) > 0)) {
+        throw new PaymentError('Сумма списания должна быть больше нуля');
+      }
+      if (Number(amount) > limit) {
+        throw new PaymentError('Платёж отклонён банком');
+      }
+      const id = `fake_ch_${crypto.randomBytes(8).toString('hex')}`;
+      console.log(`💳 [fake] Charge ${id}: user ${userId}, ${amount} ${currency} — ${description || ''}`);
+      return { id, status: 'succeeded' };
+    }
+  };
+}
+
+const providers = {
+  fake: () => createFakeProvider()
+};
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const factory = providers[PAYMENT_PROVIDER];
+    if (!factory) {
+      throw new Error(`Неизвестный PAYMENT_PROVIDER: ${PAYMENT_PROVIDER}`);
+    }
+    provider = factory();
+  }
+  return provider;
+}
+
+module.exports = {
+  PaymentError,
+  createFakeProvider,
+  getProvider
+};
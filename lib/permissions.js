@@ -0,0 +1,243 @@
+const { query } = require('../database');
+const { hasRole } = require('./roles');
+
+function isAdmin(user) {
+  return hasRole(user, 'admin');
+}
+
+function isOwner(user, resource) {
+  return Number(resource.userId) === Number(user.id);
+}
+
+function isExecutor(user, resource) {
+  return resource.executorId != null && Number(resource.executorId) === Number(user.id);
+}
+
+function isParticipant(user, resource) {
+  return isOwner(user, resource) || isExecutor(user, resource);
+}
+
+// Правила доступа: действие -> (пользователь, ресурс) => boolean
+const rules = {
+  'profile:update': (user, profile) => isAdmin(user) || Number(profile.id) === Number(user.id),
+  'case:create': user => hasRole(user, 'customer'),
+  'case:update': (user, caseRow) => isAdmin(user) || isOwner(user, caseRow),
+  'case:delete': (user, caseRow) => isAdmin(user) || isOwner(user, caseRow),
+  'case:timeline': (user, caseRow) => isAdmin(user) || isOwner(user, caseRow) || isExecutor(user, caseRow),
+  'proposal:create': (user, caseRow) => hasRole(user, 'freelancer') && !isOwner(user, caseRow),
+  'proposal:list': (user, caseRow) => isAdmin(user) || isOwner(user, caseRow) || hasRole(user, 'freelancer'),
+  'invitation:create': (user, caseRow) => isOwner(user, caseRow),
+  'invitation:respond': (user, invitation) => Number(invitation.freelancerId) === Number(user.id),
+  'invitation:withdraw': (user, invitation) => isOwner(user, invitation),
+  'invitation:list': user => !!user,
+  'proposal:withdraw': (user, proposal) => Number(proposal.freelancerId) === Number(user.id),
+  'proposal:decide': (user, proposal) => Number(proposal.caseOwnerId) === Number(user.id),
+  'processedCase:uploadFiles': (user, pCase) => isAdmin(user) || isExecutor(user, pCase),
+  'processedCase:submit': (user, pCase) => isAdmin(user) || isExecutor(user, pCase),
+  'processedCase:review': (user, pCase) => isOwner(user, pCase),
+  'processedCase:history': (user, pCase) => isAdmin(user) || isOwner(user, pCase) || isExecutor(user, pCase),
+  'milestone:manage': (user, pCase) => isOwner(user, pCase),
+  'milestone:submit': (user, pCase) => isAdmin(user) || isExecutor(user, pCase),
+  'milestone:review': (user, pCase) => isOwner(user, pCase),
+  'cancellation:request': (user, pCase) => isParticipant(user, pCase),
+  'cancellation:respond': (user, request) => isParticipant(user, request) && Number(request.requestedBy) !== Number(user.id),
+  'cancellation:withdraw': (user, request) => Number(request.requestedBy) === Number(user.id),
+  'case:forceCancel': (user, pCase) => isOwner(user, pCase),
+  'dispute:open': (user, pCase) => isParticipant(user, pCase),
+  'dispute:view': (user, dispute) => isAdmin(user) || isParticipant(user, dispute),
+  'dispute:evidence': (user, dispute) => isAdmin(user) || isParticipant(user, dispute),
+  'dispute:resolve': user => isAdmin(user),
+  'conversation:start': (user, caseRow) => isOwner(user, caseRow) || hasRole(user, 'freelancer'),
+  'conversation:participate': (user, conversation) =>
+    Number(conversation.customerId) === Number(user.id) || Number(conversation.freelancerId) === Number(user.id),
+  'conversation:list': user => !!user,
+  'notification:list': user => !!user,
+  'notification:read': (user, notification) => isOwner(user, notification),
+  'webhook:list': user => !!user,
+  'webhook:manage': (user, webhook) => isOwner(user, webhook),
+  'apiKey:list': user => !!user,
+  'apiKey:manage': (user, apiKey) => isOwner(user, apiKey),
+  'project:documents': (user, project) => isAdmin(user) || isOwner(user, project) || isExecutor(user, project),
+  'review:create': (user, review) => Number(review.userId) !== Number(user.id),
+  'upload:photo': user => !!user,
+  'finance:read': user => !!user,
+  'roles:update': (user, profile) => isAdmin(user) || Number(profile.id) === Number(user.id),
+  'roles:grantAdmin': user => isAdmin(user),
+  'diagnostics:read': user => isAdmin(user)
+};
+
+const messages = {
+  'profile:update': 'Можно редактировать только свой профиль',
+  'case:create': 'Размещать кейсы могут только заказчики',
+  'case:update': 'Редактировать кейс может только его заказчик',
+  'case:delete': 'Удалить кейс может только его заказчик',
+  'case:timeline': 'История кейса доступна только его участникам',
+  'proposal:create': 'Откликаться могут только исполнители, и не на свои кейсы',
+  'proposal:list': 'Отклики доступны заказчику и исполнителям',
+  'invitation:create': 'Приглашать в кейс может только его заказчик',
+  'invitation:respond': 'Ответить на приглашение может только приглашённый',
+  'invitation:withdraw': 'Отозвать приглашение может только заказчик кейса',
+  'invitation:list': 'Войдите, чтобы увидеть приглашения',
+  'proposal:withdraw': 'Отозвать отклик может только его автор',
+  'proposal:decide': 'Решение по отклику принимает заказчик кейса',
+  'processedCase:uploadFiles': 'Загружать файлы может только исполнитель кейса',
+  'processedCase:submit': 'Сдать работу может только исполнитель кейса',
+  'processedCase:review': 'Принять работу может только заказчик кейса',
+  'processedCase:history': 'История доступна только участникам кейса',
+  'milestone:manage': 'Этапы задаёт только заказчик кейса',
+  'milestone:submit': 'Сдать этап может только исполнитель кейса',
+  'milestone:review': 'Принять этап может только заказчик кейса',
+  'cancellation:request': 'Расторгнуть работу могут только её участники',
+  'cancellation:respond': 'Ответить на запрос может только другая сторона',
+  'cancellation:withdraw': 'Отозвать запрос может только его автор',
+  'case:forceCancel': 'Отказаться от исполнителя может только заказчик кейса',
+  'dispute:open': 'Открыть спор могут только участники кейса',
+  'dispute:view': 'Спор доступен только участникам кейса',
+  'dispute:evidence': 'Добавлять материалы могут только участники спора',
+  'dispute:resolve': 'Споры решают только администраторы',
+  'conversation:start': 'Переписка доступна заказчику кейса и исполнителям',
+  'conversation:participate': 'Переписка доступна только её участникам',
+  'conversation:list': 'Войдите, чтобы увидеть сообщения',
+  'notification:list': 'Войдите, чтобы увидеть уведомления',
+  'notification:read': 'Это уведомление адресовано другому пользователю',
+  'webhook:list': 'Войдите, чтобы настроить вебхуки',
+  'webhook:manage': 'Вебхук принадлежит другому пользователю',
+  'apiKey:list': 'Войдите, чтобы управлять API-ключами',
+  'apiKey:manage': 'API-ключ принадлежит другому пользователю',
+  'project:documents': 'Документы проекта доступны только его участникам',
+  'review:create': 'Нельзя оставлять отзыв самому себе',
+  'finance:read': 'Войдите, чтобы увидеть финансы',
+  'roles:update': 'Можно менять только свои роли',
+  'roles:grantAdmin': 'Доступно только администраторам',
+  'diagnostics:read': 'Доступно только администраторам'
+};
+
+function can(user, action, resource = {}) {
+  const rule = rules[action];
+  if (!rule) throw new Error(`Неизвестное действие: ${action}`);
+  if (!user) return false;
+  return rule(user, resource);
+}
+
+// Загрузчики ресурсов для проверки прав
+const loaders = {
+  profile: async req => {
+    const result = await query('SELECT id FROM "Users" WHERE id = $1', [req.params.id]);
+    return result.rows[0];
+  },
+  case: async req => {
+    const result = await query('SELECT * FROM "Cases" WHERE id = $1 AND "deletedAt" IS NULL', [req.params.id]);
+    return result.rows[0];
+  },
+  proposal: async req => {
+    const result = await query(
+      `SELECT p.*, c."userId" AS "caseOwnerId"
+       FROM "Proposals" p JOIN "Cases" c ON c.id = p."caseId"
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+    return result.rows[0];
+  },
+  processedCase: async req => {
+    const result = await query('SELECT * FROM "ProcessedCases" WHERE id = $1', [req.params.id]);
+    return result.rows[0];
+  },
+  project: async req => {
+    const result = await query('SELECT * FROM "Projects" WHERE id = $1', [req.params.id]);
+    return result.rows[0];
+  },
+  conversation: async req => {
+    const result = await query('SELECT * FROM "Conversations" WHERE id = $1', [req.params.id]);
+    return result.rows[0];
+  },
+  notification: async req => {
+    const result = await query('SELECT * FROM "Notifications" WHERE id = $1', [req.params.id]);
+    return result.rows[0];
+  },
+  webhook: async req => {
+    const result = await query('SELECT * FROM "Webhooks" WHERE id = $1', [req.params.id]);
+    return result.rows[0];
+  },
+  apiKey: async req => {
+    const result = await query('SELECT * FROM "ApiKeys" WHERE id = $1 AND "revokedAt" IS NULL', [req.params.id]);
+    return result.rows[0];
+  },
+  // Приглашение вместе с владельцем кейса (userId)
+  invitation: async req => {
+    const result = await query(
+      `SELECT i.*, c."userId", c.status AS "caseStatus", c.title
+       FROM "CaseInvitations" i JOIN "Cases" c ON c.id = i."caseId"
+       WHERE i.id = $1`,
+      [req.params.id]
+    );
+    return result.rows[0];
+  },
+  // Запросы на расторжение и споры проверяются по участникам кейса: принятого кейса может уже не быть
+  cancellation: async req => {
+    const result = await query(
+      `SELECT r.*, c."userId", c."executorId", c.status AS "caseStatus"
+       FROM "CancellationRequests" r JOIN "Cases" c ON c.id = r."caseId"
+       WHERE r.id = $1`,
+      [req.params.id]
+    );
+    return result.rows[0];
+  },
+  dispute: async req => {
+    const result = await query(
+      `SELECT d.*, d."customerId" AS "userId", c.status AS "caseStatus", c.title
+       FROM "Disputes" d JOIN "Cases" c ON c.id = d."caseId"
+       WHERE d.id = $1`,
+      [req.params.id]
+    );
+    return result.rows[0];
+  },
+  // Этап вместе с участниками и статусом кейса — правила те же, что для ProcessedCase
+  milestone: async req => {
+    const result = await query(
+      `SELECT m.*, pc.id AS "processedCaseId", pc."userId", pc."executorId", c.status AS "caseStatus"
+       FROM "Milestones" m
+       JOIN "ProcessedCases" pc ON pc."caseId" = m."caseId"
+       JOIN "Cases" c ON c.id = m."caseId"
+       WHERE m.id = $1`,
+      [req.params.id]
+    );
+    return result.rows[0];
+  },
+  body: async req => req.body
+};
+
+// Middleware: загружает ресурс, проверяет право и кладёт ресурс в req.resource.
+// Должен идти после getCurrentUser.
+function authorize(action, loaderName) {
+  return async (req, res, next) => {
+    try {
+      let resource = {};
+      if (loaderName) {
+        resource = await loaders[loaderName](req);
+        if (!resource) {
+          return res.status(404).json({ error: 'Ресурс не найден' });
+        }
+      }
+
+      if (!can(req.currentUser, action, resource)) {
+        console.log(`⛔ Forbidden: user ${req.currentUser && req.currentUser.id} -> ${action}`);
+        return res.status(403).json({
+          error: messages[action] || 'Недостаточно прав',
+          action
+        });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (err) {
+      console.error('💥 Ошибка проверки прав:', err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+module.exports = {
+  isAdmin,
+  can,
+  authorize
+};
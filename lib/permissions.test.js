@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { can, isAdmin } = require('./permissions');
+
+const customer = { id: 1, email: 'customer@test.com', roles: ['customer'] };
+const executor = { id: 2, email: 'executor@test.com', roles: ['freelancer'] };
+const stranger = { id: 3, email: 'stranger@test.com', roles: ['customer', 'freelancer'] };
+const admin = { id: 4, email: 'admin@test.com', roles: ['admin'] };
+
+test('isAdmin проверяет роль admin', () => {
+  assert.strictEqual(isAdmin(admin), true);
+  assert.strictEqual(isAdmin(customer), false);
+  assert.strictEqual(isAdmin({ id: 5, email: 'x@test.com' }), false);
+  assert.strictEqual(isAdmin(null), false);
+});
+
+test('без пользователя любое действие запрещено', () => {
+  assert.strictEqual(can(null, 'case:create'), false);
+  assert.strictEqual(can(undefined, 'upload:photo'), false);
+});
+
+test('неизвестное действие вызывает ошибку', () => {
+  assert.throws(() => can(customer, 'case:destroy'));
+});
+
+test('profile:update — только владелец профиля или админ', () => {
+  assert.strictEqual(can(customer, 'profile:update', { id: 1 }), true);
+  assert.strictEqual(can(customer, 'profile:update', { id: '1' }), true);
+  assert.strictEqual(can(stranger, 'profile:update', { id: 1 }), false);
+  assert.strictEqual(can(admin, 'profile:update', { id: 1 }), true);
+});
+
+test('case:create — только заказчики', () => {
+  assert.strictEqual(can(customer, 'case:create'), true);
+  assert.strictEqual(can(stranger, 'case:create'), true);
+  assert.strictEqual(can(executor, 'case:create'), false);
+});
+
+test('case:update и case:delete — заказчик кейса или админ', () => {
+  const caseRow = { id: 10, userId: 1, executorId: 2 };
+  assert.strictEqual(can(customer, 'case:update', caseRow), true);
+  assert.strictEqual(can(executor, 'case:update', caseRow), false);
+  assert.strictEqual(can(admin, 'case:update', caseRow), true);
+  assert.strictEqual(can(customer, 'case:delete', caseRow), true);
+  assert.strictEqual(can(stranger, 'case:delete', caseRow), false);
+});
+
+test('case:timeline — заказчик, исполнитель кейса или админ', () => {
+  const caseRow = { id: 10, userId: 1, executorId: 2 };
+  assert.strictEqual(can(customer, 'case:timeline', caseRow), true);
+  assert.strictEqual(can(executor, 'case:timeline', caseRow), true);
+  assert.strictEqual(can(stranger, 'case:timeline', caseRow), false);
+  assert.strictEqual(can(admin, 'case:timeline', caseRow), true);
+});
+
+test('upload:photo и finance:read — любой авторизованный пользователь', () => {
+  assert.strictEqual(can(executor, 'upload:photo'), true);
+  assert.strictEqual(can(stranger, 'upload:photo'), true);
+  assert.strictEqual(can(customer, 'finance:read'), true);
+  assert.strictEqual(can(null, 'finance:read'), false);
+});
+
+test('proposal:create — только исполнители и не на свой кейс', () => {
+  const caseRow = { id: 10, userId: 1, status: 'open' };
+  assert.strictEqual(can(customer, 'proposal:create', caseRow), false);
+  assert.strictEqual(can(executor, 'proposal:create', caseRow), true);
+  assert.strictEqual(can(stranger, 'proposal:create', { id: 11, userId: 3, status: 'open' }), false);
+  assert.strictEqual(can(stranger, 'proposal:create', caseRow), true);
+});
+
+test('proposal:withdraw — автор отклика; proposal:decide — заказчик кейса', () => {
+  const proposal = { id: 30, caseId: 10, freelancerId: 2, caseOwnerId: 1 };
+  assert.strictEqual(can(executor, 'proposal:withdraw', proposal), true);
+  assert.strictEqual(can(customer, 'proposal:withdraw', proposal), false);
+  assert.strictEqual(can(customer, 'proposal:decide', proposal), true);
+  assert.strictEqual(can(executor, 'proposal:decide', proposal), false);
+  assert.strictEqual(can(admin, 'proposal:decide', proposal), false);
+});
+
+test('roles:update — свои роли или админ; roles:grantAdmin — только админ', () => {
+  assert.strictEqual(can(customer, 'roles:update', { id: 1 }), true);
+  assert.strictEqual(can(customer, 'roles:update', { id: 2 }), false);
+  assert.strictEqual(can(admin, 'roles:update', { id: 2 }), true);
+  assert.strictEqual(can(customer, 'roles:grantAdmin'), false);
+  assert.strictEqual(can(admin, 'roles:grantAdmin'), true);
+});
+
+test('processedCase:uploadFiles — только назначенный исполнитель или админ', () => {
+  const pCase = { id: 20, userId: 1, executorId: 2 };
+  assert.strictEqual(can(executor, 'processedCase:uploadFiles', pCase), true);
+  assert.strictEqual(can(customer, 'processedCase:uploadFiles', pCase), false);
+  assert.strictEqual(can(stranger, 'processedCase:uploadFiles', pCase), false);
+  assert.strictEqual(can(admin, 'processedCase:uploadFiles', pCase), true);
+  assert.strictEqual(can(executor, 'processedCase:uploadFiles', { id: 21, userId: 1, executorId: null }), false);
+});
+
+test('processedCase:submit — только назначенный исполнитель или админ', () => {
+  const pCase = { id: 20, userId: 1, executorId: '2' };
+  assert.strictEqual(can(executor, 'processedCase:submit', pCase), true);
+  assert.strictEqual(can(customer, 'processedCase:submit', pCase), false);
+  assert.strictEqual(can(admin, 'processedCase:submit', pCase), true);
+});
+
+test('processedCase:review — только заказчик; history — участники и админ', () => {
+  const pCase = { id: 20, userId: 1, executorId: 2 };
+  assert.strictEqual(can(customer, 'processedCase:review', pCase), true);
+  assert.strictEqual(can(executor, 'processedCase:review', pCase), false);
+  assert.strictEqual(can(admin, 'processedCase:review', pCase), false);
+  assert.strictEqual(can(executor, 'processedCase:history', pCase), true);
+  assert.strictEqual(can(stranger, 'processedCase:history', pCase), false);
+  assert.strictEqual(can(admin, 'processedCase:history', pCase), true);
+});
+
+test('milestone:manage и review — заказчик; milestone:submit — исполнитель', () => {
+  const milestone = { id: 40, caseId: 10, userId: 1, executorId: 2 };
+  assert.strictEqual(can(customer, 'milestone:manage', milestone), true);
+  assert.strictEqual(can(executor, 'milestone:manage', milestone), false);
+  assert.strictEqual(can(executor, 'milestone:submit', milestone), true);
+  assert.strictEqual(can(customer, 'milestone:submit', milestone), false);
+  assert.strictEqual(can(customer, 'milestone:review', milestone), true);
+  assert.strictEqual(can(stranger, 'milestone:review', milestone), false);
+});
+
+test('расторжение: запрос — участники, ответ — другая сторона, отзыв — автор', () => {
+  const pCase = { id: 20, userId: 1, executorId: 2 };
+  assert.strictEqual(can(customer, 'cancellation:request', pCase), true);
+  assert.strictEqual(can(stranger, 'cancellation:request', pCase), false);
+  const request = { id: 60, caseId: 10, userId: 1, executorId: 2, requestedBy: 2 };
+  assert.strictEqual(can(customer, 'cancellation:respond', request), true);
+  assert.strictEqual(can(executor, 'cancellation:respond', request), false);
+  assert.strictEqual(can(stranger, 'cancellation:respond', request), false);
+  assert.strictEqual(can(executor, 'cancellation:withdraw', request), true);
+  assert.strictEqual(can(customer, 'cancellation:withdraw', request), false);
+  assert.strictEqual(can(customer, 'case:forceCancel', pCase), true);
+  assert.strictEqual(can(executor, 'case:forceCancel', pCase), false);
+});
+
+test('споры: открывают участники, решают только админы', () => {
+  const dispute = { id: 70, caseId: 10, userId: 1, executorId: 2 };
+  assert.strictEqual(can(executor, 'dispute:open', dispute), true);
+  assert.strictEqual(can(admin, 'dispute:open', dispute), false);
+  assert.strictEqual(can(admin, 'dispute:view', dispute), true);
+  assert.strictEqual(can(stranger, 'dispute:evidence', dispute), false);
+  assert.strictEqual(can(admin, 'dispute:resolve'), true);
+  assert.strictEqual(can(customer, 'dispute:resolve'), false);
+});
+
+test('приглашения: отправляет и отзывает заказчик, отвечает приглашённый', () => {
+  const caseRow = { id: 10, userId: 1 };
+  assert.strictEqual(can(customer, 'invitation:create', caseRow), true);
+  assert.strictEqual(can(executor, 'invitation:create', caseRow), false);
+  const invitation = { id: 80, caseId: 10, userId: 1, freelancerId: 2 };
+  assert.strictEqual(can(executor, 'invitation:respond', invitation), true);
+  assert.strictEqual(can(customer, 'invitation:respond', invitation), false);
+  assert.strictEqual(can(customer, 'invitation:withdraw', invitation), true);
+  assert.strictEqual(can(executor, 'invitation:withdraw', invitation), false);
+  assert.strictEqual(can(stranger, 'invitation:list'), true);
+});
+
+test('переписка: только заказчик и исполнитель диалога', () => {
+  const conversation = { id: 90, caseId: 10, customerId: 1, freelancerId: 2 };
+  assert.strictEqual(can(customer, 'conversation:participate', conversation), true);
+  assert.strictEqual(can(executor, 'conversation:participate', conversation), true);
+  assert.strictEqual(can(stranger, 'conversation:participate', conversation), false);
+  assert.strictEqual(can(admin, 'conversation:participate', conversation), false);
+  assert.strictEqual(can(customer, 'conversation:start', { id: 10, userId: 1 }), true);
+  assert.strictEqual(can(executor, 'conversation:start', { id: 10, userId: 1 }), true);
+  assert.strictEqual(can(customer, 'conversation:start', { id: 11, userId: 5 }), false);
+});
+
+test('уведомления: отмечает прочитанным только адресат', () => {
+  const notification = { id: 100, userId: 2 };
+  assert.strictEqual(can(executor, 'notification:read', notification), true);
+  assert.strictEqual(can(customer, 'notification:read', notification), false);
+  assert.strictEqual(can(admin, 'notification:read', notification), false);
+  assert.strictEqual(can(customer, 'notification:list'), true);
+});
+
+test('вебхуки: управляет только владелец', () => {
+  const webhook = { id: 110, userId: 1 };
+  assert.strictEqual(can(customer, 'webhook:manage', webhook), true);
+  assert.strictEqual(can(executor, 'webhook:manage', webhook), false);
+  assert.strictEqual(can(admin, 'webhook:manage', webhook), false);
+  assert.strictEqual(can(executor, 'webhook:list'), true);
+});
+
+test('API-ключи: отзывает только владелец', () => {
+  const apiKey = { id: 120, userId: 2 };
+  assert.strictEqual(can(executor, 'apiKey:manage', apiKey), true);
+  assert.strictEqual(can(customer, 'apiKey:manage', apiKey), false);
+  assert.strictEqual(can(admin, 'apiKey:manage', apiKey), false);
+  assert.strictEqual(can(customer, 'apiKey:list'), true);
+});
+
+test('project:documents — заказчик, исполнитель проекта или админ', () => {
+  const project = { id: 50, userId: 1, executorId: 2 };
+  assert.strictEqual(can(customer, 'project:documents', project), true);
+  assert.strictEqual(can(executor, 'project:documents', project), true);
+  assert.strictEqual(can(stranger, 'project:documents', project), false);
+  assert.strictEqual(can(admin, 'project:documents', project), true);
+});
+
+test('review:create — нельзя оставить отзыв самому себе', () => {
+  assert.strictEqual(can(customer, 'review:create', { userId: 1 }), false);
+  assert.strictEqual(can(customer, 'review:create', { userId: 2 }), true);
+});
+
+test('diagnostics:read — только админ', () => {
+  assert.strictEqual(can(admin, 'diagnostics:read'), true);
+  assert.strictEqual(can(customer, 'diagnostics:read'), false);
+});
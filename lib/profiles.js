@@ -0,0 +1,23 @@
+// Профиль пользователя. В "Users" лежат и служебные данные — хэш пароля, секрет TOTP,
+// шаг последнего кода, — поэтому наружу уходят только перечисленные колонки, никогда не *
+const PUBLIC_PROFILE_COLUMNS = 'id, email, "firstName", "lastName", photo, description, roles';
+
+async function getProfile(db, id) {
+  const result = await db.query(`SELECT ${PUBLIC_PROFILE_COLUMNS} FROM "Users" WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function updateProfile(db, id, { firstName, lastName, photo, description }) {
+  const result = await db.query(
+    `UPDATE "Users" SET "firstName" = $1, "lastName" = $2, photo = $3, description = $4
+     WHERE id = $5 RETURNING ${PUBLIC_PROFILE_COLUMNS}`,
+    [firstName, lastName, photo, description, id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  PUBLIC_PROFILE_COLUMNS,
+  getProfile,
+  updateProfile
+};
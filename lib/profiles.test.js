@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getProfile, updateProfile } = require('./profiles');
+
+const USER = {
+  id: 3, email: 'a@example.com', firstName: 'Анна', lastName: 'Иванова', photo: null, description: '',
+  roles: ['customer'], password: '$2b$10$hash', emailVerified: true,
+  totpSecret: 'JBSWY3DPEHPK3PXP', totpEnabled: true, totpLastStep: '57000000'
+};
+
+// Поддельная БД отдаёт строку Users так, как это сделал бы Postgres: только колонки из RETURNING / SELECT
+function fakeDb() {
+  return {
+    query: async sql => {
+      const match = sql.match(/RETURNING\s+(.+)$/s) || sql.match(/SELECT\s+(.+?)\s+FROM/s);
+      const columns = match[1].split(',').map(column => column.trim().replace(/"/g, ''));
+      if (columns.includes('*')) return { rows: [{ ...USER }] };
+      return { rows: [Object.fromEntries(columns.map(column => [column, USER[column]]))] };
+    }
+  };
+}
+
+const assertPublic = profile => {
+  assert.strictEqual(profile.id, 3);
+  assert.strictEqual(profile.firstName, 'Анна');
+  for (const key of Object.keys(profile)) {
+    assert.ok(key !== 'password' && !key.startsWith('totp'), `в ответе служебное поле ${key}`);
+  }
+};
+
+test('updateProfile не возвращает пароль и данные 2FA', async () => {
+  assertPublic(await updateProfile(fakeDb(), 3, { firstName: 'Анна', lastName: 'Иванова', photo: null, description: '' }));
+});
+
+test('getProfile не возвращает пароль и данные 2FA', async () => {
+  assertPublic(await getProfile(fakeDb(), 3));
+});
@@ -0,0 +1,77 @@
+// Отклики (proposals): статусы, переходы и проверка данных отклика
+const PROPOSAL_STATUSES = ['submitted', 'shortlisted', 'accepted', 'declined', 'withdrawn'];
+
+// Действие -> из каких статусов разрешено и в какой статус переводит
+const TRANSITIONS = {
+  withdraw: { from: ['submitted', 'shortlisted'], to: 'withdrawn' },
+  shortlist: { from: ['submitted'], to: 'shortlisted' },
+  decline: { from: ['submitted', 'shortlisted'], to: 'declined' },
+  accept: { from: ['submitted', 'shortlisted'], to: 'accepted' }
+};
+
+const ACTIVE_STATUSES = ['submitted', 'shortlisted'];
+
+function nextStatus(current, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw new Error(`Неизвестное действие с откликом: ${action}`);
+  return transition.from.includes(current) ? transition.to : null;
+}
+
+const MAX_LINKS = 10;
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Проверка тела запроса. Возвращает { value } или { error }
+function validateProposal(body = {}, now = new Date()) {
+  const coverLetter = String(body.coverLetter || '').trim();
+  if (coverLetter.length < 20) {
+    return { error: 'Сопроводительное письмо должно быть не короче 20 символов' };
+  }
+
+  const price = Number(body.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: 'Укажите цену больше нуля' };
+  }
+
+  const deadline = new Date(body.deadline);
+  if (!body.deadline || isNaN(deadline.getTime())) {
+    return { error: 'Укажите срок выполнения' };
+  }
+  const deadlineDay = deadline.toISOString().slice(0, 10);
+  if (deadlineDay < now.toISOString().slice(0, 10)) {
+    return { error: 'Срок выполнения не может быть в прошлом' };
+  }
+
+  const links = Array.isArray(body.portfolioLinks)
+    ? body.portfolioLinks.map(link => String(link).trim()).filter(Boolean)
+    : [];
+  if (links.length > MAX_LINKS) {
+    return { error: `Не больше ${MAX_LINKS} ссылок на портфолио` };
+  }
+  if (links.some(link => !isHttpUrl(link))) {
+    return { error: 'Ссылки на портфолио должны начинаться с http:// или https://' };
+  }
+
+  return {
+    value: {
+      coverLetter,
+      price: Math.round(price * 100) / 100,
+      deadline: deadlineDay,
+      portfolioLinks: links
+    }
+  };
+}
+
+module.exports = {
+  PROPOSAL_STATUSES,
+  ACTIVE_STATUSES,
+  nextStatus,
+  validateProposal
+};
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { nextStatus, validateProposal } = require('./proposals');
+
+test('nextStatus разрешает только допустимые переходы', () => {
+  assert.strictEqual(nextStatus('submitted', 'shortlist'), 'shortlisted');
+  assert.strictEqual(nextStatus('shortlisted', 'accept'), 'accepted');
+  assert.strictEqual(nextStatus('shortlisted', 'withdraw'), 'withdrawn');
+  assert.strictEqual(nextStatus('declined', 'accept'), null);
+  assert.strictEqual(nextStatus('accepted', 'withdraw'), null);
+  assert.strictEqual(nextStatus('shortlisted', 'shortlist'), null);
+  assert.throws(() => nextStatus('submitted', 'delete'));
+});
+
+const now = new Date('2026-03-10T12:00:00Z');
+const valid = {
+  coverLetter: 'Сделаю быстро и качественно, опыт 5 лет',
+  price: '15000.555',
+  deadline: '2026-04-01',
+  portfolioLinks: ['https://behance.net/me', '  ']
+};
+
+test('validateProposal нормализует корректный отклик', () => {
+  assert.deepStrictEqual(validateProposal(valid, now).value, {
+    coverLetter: 'Сделаю быстро и качественно, опыт 5 лет',
+    price: 15000.56,
+    deadline: '2026-04-01',
+    portfolioLinks: ['https://behance.net/me']
+  });
+});
+
+test('validateProposal отклоняет некорректные поля', () => {
+  assert.ok(validateProposal({ ...valid, coverLetter: 'коротко' }, now).error);
+  assert.ok(validateProposal({ ...valid, price: 0 }, now).error);
+  assert.ok(validateProposal({ ...valid, deadline: 'завтра' }, now).error);
+  assert.ok(validateProposal({ ...valid, deadline: '2026-03-09' }, now).error);
+  assert.ok(validateProposal({ ...valid, portfolioLinks: ['javascript:alert(1)'] }, now).error);
+});
@@ -0,0 +1,144 @@
+// Ограничение попыток входа: по IP и по аккаунту.
+//
+// Хранилище — любой объект с асинхронными методами:
+//   get(key) -> value | null
+//   set(key, value, ttlMs)
+//   delete(key)
+// Для одного инстанса подходит createMemoryStore(), для нескольких
+// инстансов нужно общее хранилище с тем же интерфейсом (Redis, Postgres и т.п.).
+
+// Просроченные записи удаляются раз в sweepIntervalMs, а не только при чтении того же ключа:
+// иначе перебор случайных email и IP раздувал бы Map. maxEntries ограничивает размер и внутри окна —
+// при переполнении вытесняются самые старые записи
+function createMemoryStore({ now = Date.now, sweepIntervalMs = 60 * 1000, maxEntries = 100000 } = {}) {
+  const entries = new Map();
+
+  const sweep = () => {
+    const current = now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= current) entries.delete(key);
+    }
+  };
+
+  if (sweepIntervalMs > 0) {
+    setInterval(sweep, sweepIntervalMs).unref();
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      // Перезапись переносит ключ в конец, чтобы вытеснялись давно не обновлявшиеся
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      if (entries.size > maxEntries) {
+        sweep();
+        for (const oldest of entries.keys()) {
+          if (entries.size <= maxEntries) break;
+          entries.delete(oldest);
+        }
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    sweep,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+const DEFAULTS = {
+  windowMs: 15 * 60 * 1000,       // окно подсчёта неудачных попыток
+  lockoutMs: 15 * 60 * 1000,      // длительность блокировки
+  maxAccountFailures: 5,          // неудач на аккаунт до блокировки
+  maxIpFailures: 20,              // неудач с одного IP до блокировки
+  freeAttempts: 2,                // попыток без задержки
+  baseDelayMs: 1000,              // первая задержка, дальше удваивается
+  maxDelayMs: 30 * 1000
+};
+
+function createLoginLimiter(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const store = config.store || createMemoryStore({ now: config.now });
+  const now = config.now || Date.now;
+
+  const keysFor = ({ ip, account }) => {
+    const keys = [];
+    if (ip) keys.push({ key: `ip:${ip}`, max: config.maxIpFailures });
+    if (account) keys.push({ key: `account:${String(account).toLowerCase()}`, max: config.maxAccountFailures });
+    return keys;
+  };
+
+  const delayFor = failures => {
+    if (failures <= config.freeAttempts) return 0;
+    const delay = config.baseDelayMs * Math.pow(2, failures - config.freeAttempts - 1);
+    return Math.min(delay, config.maxDelayMs);
+  };
+
+  // Можно ли сейчас пробовать войти
+  async function check(subject) {
+    let result = { allowed: true };
+
+    for (const { key } of keysFor(subject)) {
+      const entry = await store.get(key);
+      if (!entry) continue;
+
+      const current = now();
+      if (entry.lockedUntil && entry.lockedUntil > current) {
+        return { allowed: false, reason: 'locked', retryAfterMs: entry.lockedUntil - current };
+      }
+      if (entry.nextAttemptAt && entry.nextAttemptAt > current) {
+        const retryAfterMs = entry.nextAttemptAt - current;
+        if (result.allowed || retryAfterMs > result.retryAfterMs) {
+          result = { allowed: false, reason: 'delay', retryAfterMs };
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Учёт неудачной попытки. Возвращает true, если ключ только что заблокирован
+  async function recordFailure(subject) {
+    let locked = false;
+
+    for (const { key, max } of keysFor(subject)) {
+      const entry = (await store.get(key)) || { failures: 0 };
+      const current = now();
+      const failures = entry.failures + 1;
+      const next = { failures, nextAttemptAt: current + delayFor(failures) };
+
+      if (failures >= max) {
+        next.lockedUntil = current + config.lockoutMs;
+        locked = true;
+      }
+
+      await store.set(key, next, Math.max(config.windowMs, config.lockoutMs));
+    }
+
+    return locked;
+  }
+
+  // Успешный вход сбрасывает счётчик аккаунта (счётчик IP остаётся)
+  async function recordSuccess({ account }) {
+    if (account) {
+      await store.delete(`account:${String(account).toLowerCase()}`);
+    }
+  }
+
+  return { check, recordFailure, recordSuccess };
+}
+
+module.exports = {
+  createMemoryStore,
+  createLoginLimiter
+};
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore, createLoginLimiter } = require('./rateLimiter');
+
+function setup(options = {}) {
+  const clock = { time: 1000000 };
+  const now = () => clock.time;
+  const limiter = createLoginLimiter({
+    now,
+    store: createMemoryStore({ now }),
+    freeAttempts: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+    maxAccountFailures: 5,
+    maxIpFailures: 10,
+    lockoutMs: 60000,
+    windowMs: 60000,
+    ...options
+  });
+  return { clock, limiter };
+}
+
+const subject = { ip: '1.2.3.4', account: 'User@Test.com' };
+
+test('первые попытки проходят без задержки', async () => {
+  const { limiter } = setup();
+  await limiter.recordFailure(subject);
+  await limiter.recordFailure(subject);
+  assert.deepStrictEqual(await limiter.check(subject), { allowed: true });
+});
+
+test('задержка растёт с каждой неудачей', async () => {
+  const { clock, limiter } = setup();
+  await limiter.recordFailure(subject);
+  await limiter.recordFailure(subject);
+  await limiter.recordFailure(subject);
+
+  let result = await limiter.check(subject);
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.reason, 'delay');
+  assert.strictEqual(result.retryAfterMs, 1000);
+
+  clock.time += 1000;
+  await limiter.recordFailure(subject);
+  result = await limiter.check(subject);
+  assert.strictEqual(result.retryAfterMs, 2000);
+
+  clock.time += 2000;
+  assert.strictEqual((await limiter.check(subject)).allowed, true);
+});
+
+test('аккаунт блокируется после N неудач, email без учёта регистра', async () => {
+  const { clock, limiter } = setup();
+  for (let i = 0; i < 4; i++) {
+    assert.strictEqual(await limiter.recordFailure({ ip: `10.0.0.${i}`, account: 'user@test.com' }), false);
+  }
+  assert.strictEqual(await limiter.recordFailure({ ip: '10.0.0.9', account: 'USER@test.com' }), true);
+
+  const result = await limiter.check({ ip: '10.0.0.100', account: 'user@test.com' });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.reason, 'locked');
+  assert.strictEqual(result.retryAfterMs, 60000);
+
+  clock.time += 60000;
+  assert.strictEqual((await limiter.check({ ip: '10.0.0.100', account: 'user@test.com' })).allowed, true);
+});
+
+test('IP блокируется при переборе разных аккаунтов', async () => {
+  const { limiter } = setup({ maxIpFailures: 3, freeAttempts: 10 });
+  await limiter.recordFailure({ ip: '5.5.5.5', account: 'a@test.com' });
+  await limiter.recordFailure({ ip: '5.5.5.5', account: 'b@test.com' });
+  await limiter.recordFailure({ ip: '5.5.5.5', account: 'c@test.com' });
+
+  const result = await limiter.check({ ip: '5.5.5.5', account: 'd@test.com' });
+  assert.strictEqual(result.reason, 'locked');
+  assert.strictEqual((await limiter.check({ ip: '6.6.6.6', account: 'd@test.com' })).allowed, true);
+});
+
+test('успешный вход сбрасывает счётчик аккаунта', async () => {
+  const { limiter } = setup({ maxIpFailures: 100 });
+  for (let i = 0; i < 3; i++) await limiter.recordFailure(subject);
+  await limiter.recordSuccess(subject);
+  assert.deepStrictEqual(await limiter.check({ ip: '9.9.9.9', account: subject.account }), { allowed: true });
+});
+
+test('записи хранилища истекают по TTL', async () => {
+  const clock = { time: 0 };
+  const store = createMemoryStore({ now: () => clock.time });
+  await store.set('k', { failures: 1 }, 100);
+  assert.deepStrictEqual(await store.get('k'), { failures: 1 });
+  clock.time = 100;
+  assert.strictEqual(await store.get('k'), null);
+});
+
+test('memory store: просроченные записи вычищаются, размер ограничен', async () => {
+  const clock = { time: 0 };
+  const store = createMemoryStore({ now: () => clock.time, sweepIntervalMs: 0, maxEntries: 3 });
+
+  await store.set('ip:1', 1, 1000);
+  await store.set('ip:2', 2, 5000);
+  clock.time = 2000;
+  store.sweep();
+  assert.strictEqual(store.size, 1);
+
+  await store.set('ip:3', 3, 5000);
+  await store.set('ip:4', 4, 5000);
+  await store.set('ip:5', 5, 5000);
+  assert.strictEqual(store.size, 3);
+  assert.strictEqual(await store.get('ip:2'), null);
+  assert.strictEqual(await store.get('ip:5'), 5);
+});
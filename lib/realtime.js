@@ -0,0 +1,132 @@
+const { WebSocketServer } = require('ws');
+
+// Доставка событий в браузер по WebSocket на /ws. Клиент подключается с access-токеном в ?token=
+// (браузер не умеет ставить заголовки для WebSocket). Канал односторонний: сервер рассылает события
+// { type, data }, а действия пользователь выполняет через REST
+const WS_PATH = '/ws';
+const HEARTBEAT_MS = parseInt(process.env.WS_HEARTBEAT_MS, 10) || 30000;
+
+// Код закрытия, по которому клиент понимает, что нужно обновить токен
+const CLOSE_UNAUTHORIZED = 4401;
+
+// Подключения пользователей: у одного пользователя может быть несколько вкладок
+function createHub() {
+  const sockets = new Map();
+
+  return {
+    add(userId, socket) {
+      const id = Number(userId);
+      if (!sockets.has(id)) sockets.set(id, new Set());
+      sockets.get(id).add(socket);
+    },
+
+    remove(userId, socket) {
+      const id = Number(userId);
+      const set = sockets.get(id);
+      if (!set) return;
+      set.delete(socket);
+      if (set.size === 0) sockets.delete(id);
+    },
+
+    // Закрывает подключения отозванной сессии, без sessionId — все подключения пользователя.
+    // Клиент по коду 4401 обновляет токен и либо переподключается, либо выходит
+    disconnect(userId, sessionId = null) {
+      let closed = 0;
+      for (const socket of sockets.get(Number(userId)) || []) {
+        if (sessionId != null && Number(socket.sessionId) !== Number(sessionId)) continue;
+        socket.close(CLOSE_UNAUTHORIZED, 'Session revoked');
+        closed++;
+      }
+      return closed;
+    },
+
+    isOnline(userId) {
+      return sockets.has(Number(userId));
+    },
+
+    // Отправляет событие всем открытым подключениям пользователей. Возвращает число доставок
+    publish(userIds, type, data) {
+      const payload = JSON.stringify({ type, data });
+      let delivered = 0;
+      for (const id of new Set(userIds.filter(userId => userId != null).map(Number))) {
+        for (const socket of sockets.get(id) || []) {
+          if (socket.readyState !== 1) continue;
+          socket.send(payload);
+          delivered++;
+        }
+      }
+      return delivered;
+    }
+  };
+}
+
+const hub = createHub();
+
+// Поднимает WebSocket-сервер поверх HTTP-сервера Express.
+// authenticate(token) -> { userId, sessionId } или null; checkSession(sessionId, userId) -> жива ли сессия.
+// Сессия перепроверяется на каждом пинге: отозванную другим путём сессию соединение не переживёт
+function attachWebSocketServer(server, { authenticate, checkSession, target = hub, heartbeatMs = HEARTBEAT_MS } = {}) {
+  const wss = new WebSocketServer({ server, path: WS_PATH });
+
+  wss.on('connection', async (socket, req) => {
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('error', err => console.error('💥 Ошибка WebSocket:', err.message));
+
+    let auth = null;
+    try {
+      const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+      auth = token ? await authenticate(token) : null;
+    } catch (err) {
+      console.error('💥 Ошибка авторизации WebSocket:', err);
+    }
+    // Клиент мог уйти, пока шла проверка токена: close уже случился, и снять запись из hub было бы некому
+    if (socket.readyState !== socket.OPEN) return;
+    if (!auth) {
+      socket.close(CLOSE_UNAUTHORIZED, 'Unauthorized');
+      return;
+    }
+
+    const { userId, sessionId } = auth;
+    socket.userId = userId;
+    socket.sessionId = sessionId;
+    target.add(userId, socket);
+    socket.on('close', () => target.remove(userId, socket));
+    socket.send(JSON.stringify({ type: 'ready', data: { userId: Number(userId) } }));
+  });
+
+  const recheckSession = async socket => {
+    try {
+      if (!(await checkSession(socket.sessionId, socket.userId))) {
+        socket.close(CLOSE_UNAUTHORIZED, 'Session revoked');
+      }
+    } catch (err) {
+      console.error('💥 Ошибка проверки сессии WebSocket:', err);
+    }
+  };
+
+  // Оборванные соединения (сон ноутбука, смена сети) не присылают close — проверяем их пингом
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+      if (checkSession && socket.sessionId != null && socket.readyState === 1) recheckSession(socket);
+    });
+  }, heartbeatMs);
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`🔌 WebSocket доступен на ${WS_PATH}`);
+  return wss;
+}
+
+module.exports = {
+  WS_PATH,
+  CLOSE_UNAUTHORIZED,
+  createHub,
+  attachWebSocketServer,
+  publish: (userIds, type, data) => hub.publish(userIds, type, data),
+  disconnect: (userId, sessionId) => hub.disconnect(userId, sessionId)
+};
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { createHub, attachWebSocketServer, CLOSE_UNAUTHORIZED } = require('./realtime');
+
+const fakeSocket = sessionId => {
+  const sent = [];
+  return {
+    readyState: 1,
+    sessionId,
+    sent,
+    send: payload => sent.push(JSON.parse(payload)),
+    close(code) { this.closedWith = code; }
+  };
+};
+
+test('hub рассылает событие во все вкладки получателей', () => {
+  const hub = createHub();
+  const tab1 = fakeSocket();
+  const tab2 = fakeSocket();
+  const other = fakeSocket();
+  hub.add(1, tab1);
+  hub.add('1', tab2);
+  hub.add(2, other);
+
+  assert.strictEqual(hub.publish([1, null], 'message:new', { id: 5 }), 2);
+  assert.deepStrictEqual(tab2.sent, [{ type: 'message:new', data: { id: 5 } }]);
+  assert.strictEqual(other.sent.length, 0);
+
+  hub.remove(1, tab1);
+  hub.remove(1, tab2);
+  assert.strictEqual(hub.isOnline(1), false);
+  assert.strictEqual(hub.publish([1], 'message:new', {}), 0);
+});
+
+test('hub.disconnect закрывает подключения отозванной сессии или всего пользователя', () => {
+  const hub = createHub();
+  const laptop = fakeSocket(10);
+  const phone = fakeSocket(11);
+  hub.add(1, laptop);
+  hub.add(1, phone);
+
+  assert.strictEqual(hub.disconnect(1, 10), 1);
+  assert.strictEqual(laptop.closedWith, CLOSE_UNAUTHORIZED);
+  assert.strictEqual(phone.closedWith, undefined);
+  assert.strictEqual(hub.disconnect(1), 2);
+  assert.strictEqual(phone.closedWith, CLOSE_UNAUTHORIZED);
+});
+
+test('WebSocket-сервер пускает только с действующим токеном', async () => {
+  const hub = createHub();
+  const server = http.createServer();
+  const wss = attachWebSocketServer(server, { authenticate: async token => (token === 'good' ? { userId: 7, sessionId: 1 } : null), target: hub });
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `ws://localhost:${server.address().port}/ws`;
+
+  try {
+    const rejected = new WebSocket(`${url}?token=bad`);
+    const code = await new Promise(resolve => rejected.on('close', resolve));
+    assert.strictEqual(code, CLOSE_UNAUTHORIZED);
+
+    const client = new WebSocket(`${url}?token=good`);
+    const messages = [];
+    const received = new Promise(resolve => {
+      client.on('message', raw => {
+        const message = JSON.parse(raw);
+        messages.push(message);
+        if (message.type === 'ready') hub.publish([7], 'ping', { ok: true });
+        if (message.type === 'ping') resolve();
+      });
+    });
+    await received;
+    assert.deepStrictEqual(messages, [{ type: 'ready', data: { userId: 7 } }, { type: 'ping', data: { ok: true } }]);
+    client.close();
+  } finally {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('отозванная сессия закрывается на ближайшем пинге', async () => {
+  const hub = createHub();
+  const server = http.createServer();
+  let active = true;
+  const wss = attachWebSocketServer(server, {
+    authenticate: async () => ({ userId: 7, sessionId: 3 }),
+    checkSession: async (sessionId, userId) => active && sessionId === 3 && userId === 7,
+    target: hub,
+    heartbeatMs: 20
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  try {
+    const client = new WebSocket(`ws://localhost:${server.address().port}/ws?token=good`);
+    await new Promise(resolve => client.on('message', resolve));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(client.readyState, WebSocket.OPEN);
+
+    active = false;
+    const code = await new Promise(resolve => client.on('close', resolve));
+    assert.strictEqual(code, CLOSE_UNAUTHORIZED);
+    // Сервер убирает сокет из hub по своему событию close — оно приходит чуть позже клиентского
+    for (let i = 0; i < 50 && hub.isOnline(7); i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(hub.isOnline(7), false);
+  } finally {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('клиент, ушедший во время проверки токена, не остаётся в hub', async () => {
+  const hub = createHub();
+  const server = http.createServer();
+  let started;
+  const authStarted = new Promise(resolve => { started = resolve; });
+  let finishAuth;
+  const authenticate = () => {
+    started();
+    return new Promise(resolve => { finishAuth = () => resolve({ userId: 7, sessionId: 1 }); });
+  };
+  const wss = attachWebSocketServer(server, { authenticate, target: hub });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  try {
+    const client = new WebSocket(`ws://localhost:${server.address().port}/ws?token=slow`);
+    await Promise.all([authStarted, new Promise(resolve => client.on('open', resolve))]);
+    client.terminate();
+    for (let i = 0; i < 50 && wss.clients.size > 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(wss.clients.size, 0);
+
+    finishAuth();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(hub.isOnline(7), false);
+  } finally {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
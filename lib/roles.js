@@ -0,0 +1,34 @@
+// Роли пользователей. У одного аккаунта может быть несколько ролей
+const ROLES = ['customer', 'freelancer', 'admin'];
+
+// Роли, которые пользователь может выбрать сам (admin назначается только администратором)
+const SELF_ASSIGNABLE_ROLES = ['customer', 'freelancer'];
+
+const DEFAULT_ROLES = ['customer', 'freelancer'];
+
+const ROLE_LABELS = {
+  customer: 'Заказчик',
+  freelancer: 'Исполнитель',
+  admin: 'Администратор'
+};
+
+function hasRole(user, role) {
+  return !!user && Array.isArray(user.roles) && user.roles.includes(role);
+}
+
+// Нормализация списка ролей из запроса. Возвращает null, если список некорректен
+function parseRoles(input, allowed = SELF_ASSIGNABLE_ROLES) {
+  if (!Array.isArray(input)) return null;
+  const roles = [...new Set(input.map(role => String(role).trim()))];
+  if (roles.length === 0 || roles.some(role => !allowed.includes(role))) return null;
+  return roles;
+}
+
+module.exports = {
+  ROLES,
+  SELF_ASSIGNABLE_ROLES,
+  DEFAULT_ROLES,
+  ROLE_LABELS,
+  hasRole,
+  parseRoles
+};
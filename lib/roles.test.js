@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hasRole, parseRoles, ROLES } = require('./roles');
+
+test('hasRole проверяет наличие роли', () => {
+  assert.strictEqual(hasRole({ roles: ['customer', 'freelancer'] }, 'freelancer'), true);
+  assert.strictEqual(hasRole({ roles: ['customer'] }, 'freelancer'), false);
+  assert.strictEqual(hasRole({}, 'customer'), false);
+  assert.strictEqual(hasRole(null, 'customer'), false);
+});
+
+test('parseRoles принимает только допустимые роли без дублей', () => {
+  assert.deepStrictEqual(parseRoles(['customer', 'customer', 'freelancer']), ['customer', 'freelancer']);
+  assert.strictEqual(parseRoles([]), null);
+  assert.strictEqual(parseRoles('customer'), null);
+  assert.strictEqual(parseRoles(['admin']), null);
+  assert.deepStrictEqual(parseRoles(['admin'], ROLES), ['admin']);
+});
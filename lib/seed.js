@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { parseRoles, ROLES, DEFAULT_ROLES } = require('./roles');
+
+// Листы книги и их колонки (первая строка листа — заголовки).
+// Файлы изображений указываются именами из папки с фото, списки — через запятую
+const SHEETS = {
+  Users: ['email', 'password', 'firstName', 'lastName', 'photo', 'description', 'roles'],
+  Cases: ['ownerEmail', 'title', 'theme', 'description', 'cover', 'files', 'status', 'executorEmail'],
+  Projects: ['ownerEmail', 'title', 'theme', 'description', 'cover', 'files', 'executorEmail'],
+  Reviews: ['userEmail', 'reviewerEmail', 'text', 'rating']
+};
+
+const REQUIRED = {
+  Users: ['email', 'password'],
+  Cases: ['ownerEmail', 'title'],
+  Projects: ['ownerEmail', 'title', 'executorEmail'],
+  Reviews: ['userEmail', 'reviewerEmail', 'text', 'rating']
+};
+
+const CASE_STATUSES = ['open', 'in_progress'];
+
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value).trim();
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Строки листа -> объекты по заголовкам. Неизвестные колонки игнорируются
+function rowsToRecords(sheetName, rows, errors) {
+  if (rows.length === 0) return [];
+  const header = rows[0].map(cell => cellToString(cell));
+  const unknown = header.filter(name => name && !SHEETS[sheetName].includes(name));
+  if (unknown.length > 0) {
+    errors.push(`${sheetName}: неизвестные колонки ${unknown.join(', ')}`);
+  }
+
+  const records = [];
+  rows.slice(1).forEach((row, index) => {
+    const record = {};
+    header.forEach((name, col) => {
+      if (SHEETS[sheetName].includes(name)) record[name] = cellToString(row[col]);
+    });
+    if (Object.values(record).every(value => value === '')) return;
+
+    const line = index + 2;
+    const missing = REQUIRED[sheetName].filter(name => !record[name]);
+    if (missing.length > 0) {
+      errors.push(`${sheetName}, строка ${line}: не заполнено ${missing.join(', ')}`);
+      return;
+    }
+    record.line = line;
+    records.push(record);
+  });
+  return records;
+}
+
+// Разбор и проверка всех листов. sheets: { Users: [[...], ...], ... }
+function parseWorkbook(sheets) {
+  const errors = [];
+  const data = {};
+  for (const name of Object.keys(SHEETS)) {
+    data[name] = rowsToRecords(name, sheets[name] || [], errors);
+  }
+
+  const emails = new Set();
+  for (const user of data.Users) {
+    user.email = user.email.toLowerCase();
+    if (emails.has(user.email)) errors.push(`Users, строка ${user.line}: повтор email ${user.email}`);
+    emails.add(user.email);
+    user.roles = user.roles ? parseRoles(splitList(user.roles), ROLES) : DEFAULT_ROLES;
+    if (!user.roles) errors.push(`Users, строка ${user.line}: некорректные роли`);
+  }
+
+  const checkEmail = (sheet, record, field) => {
+    if (!record[field]) return;
+    record[field] = record[field].toLowerCase();
+    if (!emails.has(record[field])) {
+      errors.push(`${sheet}, строка ${record.line}: пользователь ${record[field]} не найден на листе Users`);
+    }
+  };
+
+  for (const item of data.Cases) {
+    checkEmail('Cases', item, 'ownerEmail');
+    checkEmail('Cases', item, 'executorEmail');
+    item.status = item.status || (item.executorEmail ? 'in_progress' : 'open');
+    if (!CASE_STATUSES.includes(item.status)) {
+      errors.push(`Cases, строка ${item.line}: статус должен быть ${CASE_STATUSES.join(' или ')}`);
+    }
+    if (item.status === 'in_progress' && !item.executorEmail) {
+      errors.push(`Cases, строка ${item.line}: для принятого кейса нужен executorEmail`);
+    }
+  }
+  for (const item of data.Projects) {
+    checkEmail('Projects', item, 'ownerEmail');
+    checkEmail('Projects', item, 'executorEmail');
+  }
+  for (const review of data.Reviews) {
+    checkEmail('Reviews', review, 'userEmail');
+    checkEmail('Reviews', review, 'reviewerEmail');
+    review.rating = Number(review.rating);
+    if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) {
+      errors.push(`Reviews, строка ${review.line}: оценка должна быть от 1 до 5`);
+    }
+  }
+
+  return { data, errors };
+}
+
+// Имя файла в uploads/ зависит от содержимого, поэтому повторный импорт не плодит копии
+function uploadNameFor(buffer, fileName) {
+  const hash = crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 16);
+  return `seed-${hash}${path.extname(fileName).toLowerCase()}`;
+}
+
+function createImageResolver({ photosDir, uploadsDir, dryRun, report }) {
+  const cache = new Map();
+  return fileName => {
+    if (!fileName) return null;
+    if (cache.has(fileName)) return cache.get(fileName);
+
+    const source = path.join(photosDir, fileName);
+    if (!fs.existsSync(source)) {
+      report.warnings.push(`Файл не найден: ${fileName}`);
+      cache.set(fileName, null);
+      return null;
+    }
+
+    const target = uploadNameFor(fs.readFileSync(source), fileName);
+    if (!fs.existsSync(path.join(uploadsDir, target))) {
+      report.images.copied += 1;
+      if (!dryRun) fs.copyFileSync(source, path.join(uploadsDir, target));
+    } else {
+      report.images.existing += 1;
+    }
+    const uploadPath = `/uploads/${target}`;
+    cache.set(fileName, uploadPath);
+    return uploadPath;
+  };
+}
+
+function count(report, table, action) {
+  report.tables[table][action] += 1;
+}
+
+// Вставка или обновление по естественному ключу. Возвращает id записи
+async function upsert(client, report, table, { find, insert, update }) {
+  const existing = await client.query(find.sql, find.params);
+  if (existing.rows[0]) {
+    await client.query(update.sql, [...update.params, existing.rows[0].id]);
+    count(report, table, 'updated');
+    return existing.rows[0].id;
+  }
+  const created = await client.query(insert.sql, insert.params);
+  count(report, table, 'created');
+  return created.rows[0].id;
+}
+
+async function seedUsers(client, users, report, resolveImage) {
+  const ids = new Map();
+  for (const user of users) {
+    const photo = resolveImage(user.photo);
+    const existing = await client.query('SELECT id FROM "Users" WHERE LOWER(email) = $1', [user.email]);
+    if (existing.rows[0]) {
+      // Пароль существующего пользователя не трогаем
+      await client.query(
+        `UPDATE "Users" SET "firstName" = $1, "lastName" = $2, photo = $3, description = $4, roles = $5
+         WHERE id = $6`,
+        [user.firstName, user.lastName, photo, user.description, user.roles, existing.rows[0].id]
+      );
+      count(report, 'Users', 'updated');
+      ids.set(user.email, existing.rows[0].id);
+    } else {
+      const hash = await bcrypt.hash(user.password, 10);
+      const created = await client.query(
+        `INSERT INTO "Users" (email, password, "firstName", "lastName", photo, description, roles, "emailVerified")
+         VALUES ($1, $2, $3, $4, $5, $6, $7, true) RETURNING id`,
+        [user.email, hash, user.firstName, user.lastName, photo, user.description, user.roles]
+      );
+      count(report, 'Users', 'created');
+      ids.set(user.email, created.rows[0].id);
+    }
+  }
+  return ids;
+}
+
+function caseFields(item, resolveImage) {
+  return [
+    item.theme,
+    item.description,
+    resolveImage(item.cover),
+    JSON.stringify(splitList(item.files).map(resolveImage).filter(Boolean))
+  ];
+}
+
+// Кейс ищется по владельцу и названию
+async function upsertCase(client, report, item, status, userIds, resolveImage) {
+  const ownerId = userIds.get(item.ownerEmail);
+  const executorId = item.executorEmail ? userIds.get(item.executorEmail) : null;
+  const [theme, description, cover, files] = caseFields(item, resolveImage);
+
+  return upsert(client, report, 'Cases', {
+    find: { sql: 'SELECT id FROM "Cases" WHERE "userId" = $1 AND title = $2', params: [ownerId, item.title] },
+    insert: {
+      sql: `INSERT INTO "Cases" ("userId", title, theme, description, cover, files, status, "executorId")
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      params: [ownerId, item.title, theme, description, cover, files, status, executorId]
+    },
+    update: {
+      sql: `UPDATE "Cases" SET theme = $1, description = $2, cover = $3, files = $4, status = $5,
+            "executorId" = $6, "updatedAt" = NOW() WHERE id = $7`,
+      params: [theme, description, cover, files, status, executorId]
+    }
+  });
+}
+
+async function seedCases(client, cases, report, userIds, resolveImage) {
+  for (const item of cases) {
+    const caseId = await upsertCase(client, report, item, item.status, userIds, resolveImage);
+    if (item.status !== 'in_progress') continue;
+
+    // Принятый кейс находится в работе у исполнителя
+    const [theme, description, cover, files] = caseFields(item, resolveImage);
+    const executorId = userIds.get(item.executorEmail);
+    await upsert(client, report, 'ProcessedCases', {
+      find: { sql: 'SELECT id FROM "ProcessedCases" WHERE "caseId" = $1', params: [caseId] },
+      insert: {
+        sql: `INSERT INTO "ProcessedCases" ("caseId", "userId", title, theme, description, cover, files, status, "executorId", "executorEmail")
+              VALUES ($1, $2, $3, $4, $5, $6, $7, 'in_progress', $8, $9) RETURNING id`,
+        params: [caseId, userIds.get(item.ownerEmail), item.title, theme, description, cover, files, executorId, item.executorEmail]
+      },
+      update: {
+        sql: `UPDATE "ProcessedCases" SET title = $1, theme = $2, description = $3, cover = $4, files = $5,
+              "executorId" = $6, "executorEmail" = $7, "updatedAt" = NOW() WHERE id = $8`,
+        params: [item.title, theme, description, cover, files, executorId, item.executorEmail]
+      }
+    });
+  }
+}
+
+async function seedProjects(client, projects, report, userIds, resolveImage) {
+  for (const item of projects) {
+    const caseId = await upsertCase(client, report, item, 'completed', userIds, resolveImage);
+    const [theme, description, cover, files] = caseFields(item, resolveImage);
+    const executorId = userIds.get(item.executorEmail);
+
+    await upsert(client, report, 'Projects', {
+      find: { sql: 'SELECT id FROM "Projects" WHERE "caseId" = $1', params: [caseId] },
+      insert: {
+        sql: `INSERT INTO "Projects" ("caseId", "userId", title, theme, description, cover, files, status, "executorId", "executorEmail")
+              VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', $8, $9) RETURNING id`,
+        params: [caseId, userIds.get(item.ownerEmail), item.title, theme, description, cover, files, executorId, item.executorEmail]
+      },
+      update: {
+        sql: `UPDATE "Projects" SET title = $1, theme = $2, description = $3, cover = $4, files = $5,
+              "executorId" = $6, "executorEmail" = $7, "updatedAt" = NOW() WHERE id = $8`,
+        params: [item.title, theme, description, cover, files, executorId, item.executorEmail]
+      }
+    });
+  }
+}
+
+// Отзыв ищется по паре (кому, от кого)
+async function seedReviews(client, reviews, report, userIds) {
+  for (const review of reviews) {
+    const userId = userIds.get(review.userEmail);
+    const reviewerId = userIds.get(review.reviewerEmail);
+    const reviewer = await client.query('SELECT "firstName", "lastName", photo FROM "Users" WHERE id = $1', [reviewerId]);
+    const { firstName, lastName, photo } = reviewer.rows[0];
+    const reviewerName = `${firstName || ''} ${lastName || ''}`.trim() || review.reviewerEmail;
+
+    await upsert(client, report, 'Reviews', {
+      find: { sql: 'SELECT id FROM "Reviews" WHERE "userId" = $1 AND "reviewerId" = $2', params: [userId, reviewerId] },
+      insert: {
+        sql: `INSERT INTO "Reviews" ("userId", "reviewerId", "reviewerName", "reviewerPhoto", text, rating)
+              VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        params: [userId, reviewerId, reviewerName, photo, review.text, review.rating]
+      },
+      update: {
+        sql: 'UPDATE "Reviews" SET "reviewerName" = $1, "reviewerPhoto" = $2, text = $3, rating = $4 WHERE id = $5',
+        params: [reviewerName, photo, review.text, review.rating]
+      }
+    });
+  }
+}
+
+function createReport() {
+  const tables = {};
+  for (const name of ['Users', 'Cases', 'ProcessedCases', 'Projects', 'Reviews']) {
+    tables[name] = { created: 0, updated: 0 };
+  }
+  return { tables, images: { copied: 0, existing: 0 }, warnings: [] };
+}
+
+// Импорт в одной транзакции. При dryRun транзакция откатывается, файлы не копируются
+async function seedDatabase(pool, data, { photosDir, uploadsDir, dryRun = false }) {
+  const report = createReport();
+  const resolveImage = createImageResolver({ photosDir, uploadsDir, dryRun, report });
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const userIds = await seedUsers(client, data.Users, report, resolveImage);
+    await seedCases(client, data.Cases, report, userIds, resolveImage);
+    await seedProjects(client, data.Projects, report, userIds, resolveImage);
+    await seedReviews(client, data.Reviews, report, userIds);
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return report;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  SHEETS,
+  parseWorkbook,
+  uploadNameFor,
+  seedDatabase
+};
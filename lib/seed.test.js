@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWorkbook, uploadNameFor } = require('./seed');
+
+const users = [
+  ['email', 'password', 'firstName', 'roles'],
+  ['Anna@Test.com', 'secret1', 'Анна', 'customer'],
+  ['ivan@test.com', 'secret2', 'Иван', ''],
+  [null, null, null, null]
+];
+
+test('parseWorkbook разбирает листы по заголовкам', () => {
+  const { data, errors } = parseWorkbook({
+    Users: users,
+    Cases: [
+      ['ownerEmail', 'title', 'executorEmail'],
+      ['anna@test.com', 'Логотип', ''],
+      ['anna@test.com', 'Сайт', 'IVAN@test.com']
+    ],
+    Reviews: [
+      ['userEmail', 'reviewerEmail', 'text', 'rating'],
+      ['ivan@test.com', 'anna@test.com', 'Отлично', 5]
+    ]
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(data.Users.map(u => [u.email, u.roles]), [
+    ['anna@test.com', ['customer']],
+    ['ivan@test.com', ['customer', 'freelancer']]
+  ]);
+  assert.deepStrictEqual(data.Cases.map(c => c.status), ['open', 'in_progress']);
+  assert.strictEqual(data.Cases[1].executorEmail, 'ivan@test.com');
+  assert.strictEqual(data.Reviews[0].rating, 5);
+  assert.deepStrictEqual(data.Projects, []);
+});
+
+test('parseWorkbook собирает ошибки с номерами строк', () => {
+  const { errors } = parseWorkbook({
+    Users: [['email', 'password', 'roles'], ['a@test.com', '', ''], ['b@test.com', 'x', 'boss']],
+    Cases: [['ownerEmail', 'title', 'status'], ['nobody@test.com', 'Кейс', 'in_progress']],
+    Reviews: [['userEmail', 'reviewerEmail', 'text', 'rating'], ['b@test.com', 'b@test.com', 'Ок', 7]]
+  });
+
+  assert.deepStrictEqual(errors, [
+    'Users, строка 2: не заполнено password',
+    'Users, строка 3: некорректные роли',
+    'Cases, строка 2: пользователь nobody@test.com не найден на листе Users',
+    'Cases, строка 2: для принятого кейса нужен executorEmail',
+    'Reviews, строка 2: оценка должна быть от 1 до 5'
+  ]);
+});
+
+test('uploadNameFor зависит только от содержимого и расширения', () => {
+  const name = uploadNameFor(Buffer.from('png'), 'Обложка 1.PNG');
+  assert.match(name, /^seed-[0-9a-f]{16}\.png$/);
+  assert.strictEqual(uploadNameFor(Buffer.from('png'), 'другое.png'), name);
+  assert.notStrictEqual(uploadNameFor(Buffer.from('jpg'), 'другое.png'), name);
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+
+// Срок жизни refresh-токена (дней)
+const REFRESH_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Сколько секунд после ротации предыдущий токен считается параллельным запросом, а не кражей
+const ROTATION_GRACE_SECONDS = 30;
+
+// Ключ, от которого считается следующий секрет при ротации (см. nextSecret).
+// Тот же секрет, что подписывает access-токены; в production lib/auth требует JWT_SECRET
+const ROTATION_KEY = process.env.JWT_SECRET || 'ideaflow-dev-secret';
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Refresh-токен имеет вид "<sessionId>.<secret>", в БД хранится только хэш секрета
+function buildRefreshToken(sessionId, secret) {
+  return `${sessionId}.${secret}`;
+}
+
+function parseRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+  const [id, secret] = token.split('.');
+  const sessionId = parseInt(id, 10);
+  if (isNaN(sessionId) || !secret) return null;
+  return { sessionId, secret };
+}
+
+function newSecret() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+// Следующий секрет выводится из предъявленного, а не случаен: параллельный запрос со старым токеном
+// получает ту же пару, что и первый, и вкладки не выбивают друг друга. Без ключа его не вычислить
+function nextSecret(secret) {
+  return crypto.createHmac('sha256', ROTATION_KEY).update(secret).digest('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Создание новой сессии при входе
+async function createSession(userId, req, db = { query }) {
+  const secret = newSecret();
+  const result = await db.query(
+    `INSERT INTO "Sessions" ("userId", "refreshTokenHash", "userAgent", ip, "expiresAt")
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [userId, hashSecret(secret), req.get('User-Agent') || null, req.ip || null, refreshExpiry()]
+  );
+  const sessionId = result.rows[0].id;
+  return { sessionId, refreshToken: buildRefreshToken(sessionId, secret) };
+}
+
+// Ротация refresh-токена одним условным UPDATE: из двух одновременных запросов с одним токеном
+// ротирует только первый. Второй в первые секунды после ротации — параллельный запрос из соседней
+// вкладки — получает тот же новый токен. Позже повторное использование предыдущего токена отзывает сессию
+async function rotateSession(refreshToken, db = { query }) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = nextSecret(parsed.secret);
+  const result = await db.query(
+    `UPDATE "Sessions"
+     SET "previousTokenHash" = "refreshTokenHash", "refreshTokenHash" = $2,
+         "rotatedAt" = NOW(), "lastUsedAt" = NOW(), "expiresAt" = $3
+     WHERE id = $1 AND "refreshTokenHash" = $4 AND "revokedAt" IS NULL AND "expiresAt" > NOW()
+     RETURNING id, "userId"`,
+    [parsed.sessionId, hashSecret(secret), refreshExpiry(), presentedHash]
+  );
+  const session = result.rows[0];
+  if (session) {
+    return {
+      sessionId: session.id,
+      userId: session.userId,
+      refreshToken: buildRefreshToken(session.id, secret)
+    };
+  }
+
+  const previous = await db.query(
+    `SELECT id, "userId", "refreshTokenHash" = $3 AS "isSuccessor",
+            "rotatedAt" > NOW() - ($4 || ' seconds')::interval AS "justRotated"
+     FROM "Sessions"
+     WHERE id = $1 AND "previousTokenHash" = $2 AND "revokedAt" IS NULL AND "expiresAt" > NOW()`,
+    [parsed.sessionId, presentedHash, hashSecret(secret), String(ROTATION_GRACE_SECONDS)]
+  );
+  const rotatedEarlier = previous.rows[0];
+  if (!rotatedEarlier) return null;
+
+  if (!rotatedEarlier.justRotated) {
+    console.log('⚠️ Refresh token reuse detected, revoking session:', parsed.sessionId);
+    await revokeSession(parsed.sessionId, null, db);
+    return null;
+  }
+  // Токен успели ротировать ещё раз — эта пара уже устарела, но и кражей это не считаем
+  if (!rotatedEarlier.isSuccessor) return null;
+
+  return {
+    sessionId: rotatedEarlier.id,
+    userId: rotatedEarlier.userId,
+    refreshToken: buildRefreshToken(rotatedEarlier.id, secret)
+  };
+}
+
+async function isSessionActive(sessionId, userId, db = { query }) {
+  const result = await db.query(
+    `SELECT id FROM "Sessions"
+     WHERE id = $1 AND "userId" = $2 AND "revokedAt" IS NULL AND "expiresAt" > NOW()`,
+    [sessionId, userId]
+  );
+  return !!result.rows[0];
+}
+
+async function listSessions(userId) {
+  const result = await query(
+    `SELECT id, "userAgent", ip, "createdAt", "lastUsedAt", "expiresAt"
+     FROM "Sessions"
+     WHERE "userId" = $1 AND "revokedAt" IS NULL AND "expiresAt" > NOW()
+     ORDER BY "lastUsedAt" DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function revokeSession(sessionId, userId, db = { query }) {
+  const params = [sessionId];
+  let sql = 'UPDATE "Sessions" SET "revokedAt" = NOW() WHERE id = $1 AND "revokedAt" IS NULL';
+  if (userId) {
+    sql += ' AND "userId" = $2';
+    params.push(userId);
+  }
+  const result = await db.query(sql + ' RETURNING id', params);
+  return result.rowCount > 0;
+}
+
+async function revokeAllSessions(userId) {
+  const result = await query(
+    'UPDATE "Sessions" SET "revokedAt" = NOW() WHERE "userId" = $1 AND "revokedAt" IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  ROTATION_GRACE_SECONDS,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROTATION_GRACE_SECONDS, createSession, rotateSession, isSessionActive } = require('./sessions');
+
+// Поддельная таблица Sessions со своими часами: понимает те запросы, что делает lib/sessions
+function fakeDb() {
+  const rows = [];
+  const db = {
+    rows,
+    now: Date.now(),
+    advance(seconds) {
+      db.now += seconds * 1000;
+    },
+    query: async (sql, params) => {
+      const now = db.now;
+      const live = row => row && !row.revokedAt && row.expiresAt.getTime() > now;
+      const find = id => rows.find(row => row.id === id);
+
+      if (sql.startsWith('INSERT INTO "Sessions"')) {
+        const [userId, refreshTokenHash, , , expiresAt] = params;
+        const row = { id: rows.length + 1, userId, refreshTokenHash, expiresAt, revokedAt: null, previousTokenHash: null, rotatedAt: null };
+        rows.push(row);
+        return { rowCount: 1, rows: [{ id: row.id }] };
+      }
+      if (sql.includes('SET "previousTokenHash" = "refreshTokenHash"')) {
+        const [id, newHash, expiresAt, presentedHash] = params;
+        const row = find(id);
+        if (!live(row) || row.refreshTokenHash !== presentedHash) return { rowCount: 0, rows: [] };
+        Object.assign(row, { previousTokenHash: row.refreshTokenHash, refreshTokenHash: newHash, rotatedAt: now, expiresAt });
+        return { rowCount: 1, rows: [{ id: row.id, userId: row.userId }] };
+      }
+      if (sql.includes('"previousTokenHash" = $2')) {
+        const [id, presentedHash, successorHash, graceSeconds] = params;
+        const row = find(id);
+        if (!live(row) || row.previousTokenHash !== presentedHash) return { rowCount: 0, rows: [] };
+        return {
+          rowCount: 1,
+          rows: [{
+            id: row.id,
+            userId: row.userId,
+            isSuccessor: row.refreshTokenHash === successorHash,
+            justRotated: row.rotatedAt > now - Number(graceSeconds) * 1000
+          }]
+        };
+      }
+      if (sql.startsWith('UPDATE "Sessions" SET "revokedAt"')) {
+        const row = find(params[0]);
+        if (!row || row.revokedAt) return { rowCount: 0, rows: [] };
+        row.revokedAt = now;
+        return { rowCount: 1, rows: [{ id: row.id }] };
+      }
+      if (sql.includes('SELECT id FROM "Sessions"')) {
+        const row = find(params[0]);
+        return { rows: live(row) && row.userId === params[1] ? [{ id: row.id }] : [] };
+      }
+      throw new Error(`Неожиданный запрос: ${sql}`);
+    }
+  };
+  return db;
+}
+
+const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+
+test('rotateSession выдаёт новый токен, старый после ротации не ротирует сессию заново', async () => {
+  const db = fakeDb();
+  const { sessionId, refreshToken } = await createSession(7, req, db);
+
+  const rotated = await rotateSession(refreshToken, db);
+  assert.strictEqual(rotated.sessionId, sessionId);
+  assert.strictEqual(rotated.userId, 7);
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+
+  const next = await rotateSession(rotated.refreshToken, db);
+  assert.ok(next);
+  assert.notStrictEqual(next.refreshToken, rotated.refreshToken);
+  assert.strictEqual(await isSessionActive(sessionId, 7, db), true);
+
+  assert.strictEqual(await rotateSession('garbage', db), null);
+  assert.strictEqual(await rotateSession(`${sessionId}.unknown-secret`, db), null);
+});
+
+test('параллельная ротация в пределах окна получает ту же пару токенов', async () => {
+  const db = fakeDb();
+  const { sessionId, refreshToken } = await createSession(7, req, db);
+
+  const [first, second] = await Promise.all([rotateSession(refreshToken, db), rotateSession(refreshToken, db)]);
+  assert.ok(first && second);
+  assert.strictEqual(second.refreshToken, first.refreshToken);
+
+  db.advance(ROTATION_GRACE_SECONDS - 5);
+  const late = await rotateSession(refreshToken, db);
+  assert.strictEqual(late.refreshToken, first.refreshToken);
+  assert.strictEqual(await isSessionActive(sessionId, 7, db), true);
+
+  // Общий токен продолжает работать у обеих вкладок
+  assert.ok(await rotateSession(first.refreshToken, db));
+});
+
+test('предыдущий токен после окна считается кражей и отзывает сессию', async () => {
+  const db = fakeDb();
+  const { sessionId, refreshToken } = await createSession(7, req, db);
+  const rotated = await rotateSession(refreshToken, db);
+
+  db.advance(ROTATION_GRACE_SECONDS + 1);
+  assert.strictEqual(await rotateSession(refreshToken, db), null);
+  assert.strictEqual(await isSessionActive(sessionId, 7, db), false);
+  assert.strictEqual(await rotateSession(rotated.refreshToken, db), null);
+});
+
+test('истёкшая сессия не ротируется', async () => {
+  const db = fakeDb();
+  const { sessionId, refreshToken } = await createSession(7, req, db);
+
+  db.advance(31 * 24 * 60 * 60);
+  assert.strictEqual(await isSessionActive(sessionId, 7, db), false);
+  assert.strictEqual(await rotateSession(refreshToken, db), null);
+});
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// TOTP по RFC 6238 (HOTP по RFC 4226) без внешних сервисов
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Некорректный base32');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+function hotp(key, counter, { digits = 6, algorithm = 'sha1' } = {}) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(code % Math.pow(10, digits)).padStart(digits, '0');
+}
+
+function timeStep(time = Date.now(), period = 30) {
+  return Math.floor(time / 1000 / period);
+}
+
+function generateTotp(secret, { time = Date.now(), period = 30, digits = 6, algorithm = 'sha1' } = {}) {
+  return hotp(base32Decode(secret), timeStep(time, period), { digits, algorithm });
+}
+
+// Проверка кода с допуском ±window шагов. Возвращает номер шага или null
+function verifyTotp(secret, code, { time = Date.now(), period = 30, digits = 6, window = 1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(time, period);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step, { digits });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUrl({ secret, account, issuer = 'IdeaFlow' }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=30`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl
+};
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, hotp, generateTotp, verifyTotp, generateSecret } = require('./totp');
+
+// Тестовый ключ из приложения B RFC 6238 (SHA1)
+const RFC_KEY = Buffer.from('12345678901234567890');
+const RFC_SECRET = base32Encode(RFC_KEY);
+
+test('base32 кодирует и декодирует обратно', () => {
+  assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.deepStrictEqual(base32Decode(RFC_SECRET), RFC_KEY);
+  assert.deepStrictEqual(base32Decode(RFC_SECRET.toLowerCase()), RFC_KEY);
+  assert.throws(() => base32Decode('not-base32!'));
+});
+
+test('HOTP совпадает с тестовыми значениями RFC 4226', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314'];
+  expected.forEach((code, counter) => {
+    assert.strictEqual(hotp(RFC_KEY, counter), code);
+  });
+});
+
+test('TOTP совпадает с тестовыми значениями RFC 6238', () => {
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037']
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.strictEqual(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 }), code);
+  }
+});
+
+test('verifyTotp принимает соседние шаги и отклоняет остальные', () => {
+  const secret = generateSecret();
+  const time = 1700000000000;
+  const code = generateTotp(secret, { time });
+
+  assert.notStrictEqual(verifyTotp(secret, code, { time }), null);
+  assert.notStrictEqual(verifyTotp(secret, code, { time: time + 30000 }), null);
+  assert.strictEqual(verifyTotp(secret, code, { time: time + 90000 }), null);
+  assert.strictEqual(verifyTotp(secret, '12345', { time }), null);
+  assert.strictEqual(verifyTotp(secret, 'abcdef', { time }), null);
+});
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { query } = require('../database');
+const totp = require('./totp');
+
+const BACKUP_CODES_COUNT = 10;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function normalizeBackupCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+async function getTwoFactorState(userId) {
+  const result = await query(
+    'SELECT id, email, "totpSecret", "totpEnabled", "totpLastStep" FROM "Users" WHERE id = $1',
+    [userId]
+  );
+  return result.rows[0];
+}
+
+// Новый секрет сохраняется неактивным до подтверждения кодом
+async function startEnrollment(userId) {
+  const secret = totp.generateSecret();
+  await query(
+    'UPDATE "Users" SET "totpSecret" = $1, "totpEnabled" = false, "totpLastStep" = NULL WHERE id = $2',
+    [secret, userId]
+  );
+  return secret;
+}
+
+// Проверка TOTP-кода с защитой от повторного использования того же кода.
+// Шаг записывается условным UPDATE: из двух одновременных запросов с одним кодом проходит только первый
+async function verifyTotpCode(state, code, db = { query }) {
+  if (!state || !state.totpSecret) return false;
+
+  const step = totp.verifyTotp(state.totpSecret, code);
+  if (step === null) return false;
+  if (state.totpLastStep != null && step <= Number(state.totpLastStep)) return false;
+
+  const result = await db.query(
+    `UPDATE "Users" SET "totpLastStep" = $2
+     WHERE id = $1 AND ("totpLastStep" IS NULL OR "totpLastStep" < $2)
+     RETURNING id`,
+    [state.id, step]
+  );
+  return result.rowCount > 0;
+}
+
+async function consumeBackupCode(userId, code) {
+  const normalized = normalizeBackupCode(code);
+  if (!normalized) return false;
+
+  const result = await query(
+    `UPDATE "BackupCodes" SET "usedAt" = NOW()
+     WHERE "userId" = $1 AND "codeHash" = $2 AND "usedAt" IS NULL
+     RETURNING id`,
+    [userId, hashCode(normalized)]
+  );
+  return result.rowCount > 0;
+}
+
+// Код второго фактора: TOTP или резервный код. Возвращает способ проверки или null
+async function verifySecondFactor(userId, code) {
+  const state = await getTwoFactorState(userId);
+  if (!state || !state.totpEnabled) return null;
+
+  if (await verifyTotpCode(state, code)) return 'totp';
+  if (await consumeBackupCode(userId, code)) return 'backup';
+  return null;
+}
+
+async function generateBackupCodes(userId) {
+  await query('DELETE FROM "BackupCodes" WHERE "userId" = $1', [userId]);
+
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODES_COUNT; i++) {
+    const raw = crypto.randomBytes(8).toString('hex');
+    codes.push(`${raw.slice(0, 4)}-${raw.slice(4, 8)}-${raw.slice(8, 12)}-${raw.slice(12)}`);
+    await query(
+      'INSERT INTO "BackupCodes" ("userId", "codeHash") VALUES ($1, $2)',
+      [userId, hashCode(raw)]
+    );
+  }
+  return codes;
+}
+
+// Подтверждение подключения первым кодом из приложения
+async function confirmEnrollment(userId, code) {
+  const state = await getTwoFactorState(userId);
+  if (!state || !state.totpSecret || state.totpEnabled) return null;
+  if (!(await verifyTotpCode(state, code))) return null;
+
+  await query('UPDATE "Users" SET "totpEnabled" = true WHERE id = $1', [userId]);
+  return generateBackupCodes(userId);
+}
+
+async function disable(userId) {
+  await query(
+    'UPDATE "Users" SET "totpSecret" = NULL, "totpEnabled" = false, "totpLastStep" = NULL WHERE id = $1',
+    [userId]
+  );
+  await query('DELETE FROM "BackupCodes" WHERE "userId" = $1', [userId]);
+}
+
+async function getStatus(userId) {
+  const state = await getTwoFactorState(userId);
+  const codes = await query(
+    'SELECT COUNT(*) AS count FROM "BackupCodes" WHERE "userId" = $1 AND "usedAt" IS NULL',
+    [userId]
+  );
+  return {
+    enabled: !!(state && state.totpEnabled),
+    backupCodesLeft: parseInt(codes.rows[0].count, 10)
+  };
+}
+
+module.exports = {
+  verifyTotpCode,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  generateBackupCodes,
+  disable,
+  getStatus
+};
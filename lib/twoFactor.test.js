@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateSecret, generateTotp } = require('./totp');
+const { verifyTotpCode } = require('./twoFactor');
+
+// Поддельная БД с одной строкой Users: условный UPDATE шага выполняется так же атомарно, как в Postgres
+function fakeDb(lastStep = null) {
+  const row = { id: 1, totpLastStep: lastStep };
+  return {
+    row,
+    query: async (sql, [id, step]) => {
+      assert.ok(sql.includes('"totpLastStep" < $2'));
+      await new Promise(resolve => setImmediate(resolve));
+      if (id !== row.id || (row.totpLastStep != null && row.totpLastStep >= step)) return { rowCount: 0, rows: [] };
+      row.totpLastStep = step;
+      return { rowCount: 1, rows: [{ id }] };
+    }
+  };
+}
+
+test('verifyTotpCode: один и тот же код в параллельных запросах проходит один раз', async () => {
+  const secret = generateSecret();
+  const db = fakeDb();
+  // Оба запроса прочитали состояние до записи шага
+  const state = { id: 1, totpSecret: secret, totpLastStep: null };
+  const code = generateTotp(secret);
+
+  const results = await Promise.all([verifyTotpCode(state, code, db), verifyTotpCode(state, code, db)]);
+  assert.deepStrictEqual(results.sort(), [false, true]);
+  assert.ok(db.row.totpLastStep !== null);
+});
+
+test('verifyTotpCode: неверный и уже использованный код', async () => {
+  const secret = generateSecret();
+  const db = fakeDb();
+  const code = generateTotp(secret);
+
+  assert.strictEqual(await verifyTotpCode({ id: 1, totpSecret: secret, totpLastStep: null }, '000000x', db), false);
+  assert.strictEqual(await verifyTotpCode({ id: 1, totpSecret: secret, totpLastStep: null }, code, db), true);
+  assert.strictEqual(await verifyTotpCode({ id: 1, totpSecret: secret, totpLastStep: db.row.totpLastStep }, code, db), false);
+  assert.strictEqual(await verifyTotpCode({ id: 1, totpSecret: null }, code, db), false);
+});
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Исходящие вебхуки. Событие сначала записывается в журнал доставок ("WebhookDeliveries"),
+// затем воркер отправляет его POST-запросом с подписью HMAC-SHA256 и повторяет при ошибках
+const WEBHOOK_EVENTS = [
+  'case.created',
+  'case.accepted',
+  'processed_case.files_uploaded',
+  'project.completed',
+  'review.created'
+];
+
+// Пауза перед повторной попыткой: 1 мин, 5 мин, 30 мин, 2 ч, 12 ч. После последней доставка — failed
+const RETRY_DELAYS_MS = [60, 300, 1800, 7200, 43200].map(seconds => seconds * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_URL_LENGTH = 2000;
+const BATCH_SIZE = 20;
+// Пока доставка отправляется, другие воркеры её не берут
+const LEASE_MS = 60000;
+
+const SIGNATURE_HEADER = 'X-IdeaFlow-Signature';
+
+// Вебхуки не ходят во внутреннюю сеть: loopback, частные и link-local диапазоны (включая метаданные
+// облака 169.254.169.254), служебные и multicast-адреса. BlockList сверяет IPv4 внутри IPv6 (::ffff:…)
+// с IPv4-диапазонами, NAT64 (64:ff9b::…) закрыт целиком
+const BLOCKED_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_NETWORKS.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup для http.request: адрес проверяется в момент соединения,
+// поэтому подмена DNS-записи между проверкой и запросом не помогает
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`Адрес ${blocked.address} во внутренней сети — доставка запрещена`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Подписывается строка "<timestamp>.<тело>": получатель проверяет подпись и отбрасывает старые запросы
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function validateUrl(value) {
+  const url = String(value || '').trim();
+  if (!url) return { error: 'Укажите URL' };
+  if (url.length > MAX_URL_LENGTH) return { error: 'Слишком длинный URL' };
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return { error: 'Некорректный URL' };
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return { error: 'URL должен начинаться с https:// или http://' };
+  }
+  // Имена хостов проверяются ещё раз при каждой отправке, здесь отсекаются очевидные адреса
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    return { error: 'URL во внутренней сети не подходит — нужен адрес, доступный из интернета' };
+  }
+  return { value: url };
+}
+
+function validateEvents(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'Выберите хотя бы одно событие' };
+  }
+  const unknown = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return { error: `Неизвестные события: ${unknown.join(', ')}` };
+  }
+  return { value: [...new Set(value)] };
+}
+
+// Создание: url и events обязательны. Изменение (partial) — только переданные поля
+function validateWebhook(body = {}, { partial = false } = {}) {
+  const value = {};
+  if (!partial || body.url !== undefined) {
+    const url = validateUrl(body.url);
+    if (url.error) return url;
+    value.url = url.value;
+  }
+  if (!partial || body.events !== undefined) {
+    const events = validateEvents(body.events);
+    if (events.error) return events;
+    value.events = events.value;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active — true или false' };
+    value.active = body.active;
+  }
+  if (partial && Object.keys(value).length === 0) {
+    return { error: 'Нет изменений' };
+  }
+  return { value };
+}
+
+// Задержка перед следующей попыткой или null, если попытки кончились
+function nextRetryDelay(attempts) {
+  return attempts < MAX_ATTEMPTS ? RETRY_DELAYS_MS[attempts - 1] : null;
+}
+
+const toPublic = ({ secret, ...webhook }) => webhook;
+
+// Кейс в теле события — без файлов и описания, за подробностями трекер может сходить по ссылке
+const CASE_FIELDS = ['id', 'userId', 'title', 'theme', 'status', 'budgetType', 'budgetMin', 'budgetMax', 'currency', 'deadline', 'isPrivate'];
+
+function casePayload(caseRow) {
+  return Object.fromEntries(CASE_FIELDS.filter(field => caseRow[field] !== undefined).map(field => [field, caseRow[field]]));
+}
+
+// Ставит событие в очередь для активных вебхуков пользователей, подписанных на него
+async function enqueueEvent(db, userIds, event, data) {
+  if (!WEBHOOK_EVENTS.includes(event)) throw new Error(`Неизвестное событие вебхука: ${event}`);
+  const ids = [...new Set(userIds.filter(id => id != null).map(Number))];
+  if (ids.length === 0) return [];
+
+  const result = await db.query(
+    `INSERT INTO "WebhookDeliveries" ("webhookId", event, payload)
+     SELECT w.id, $2, $3 FROM "Webhooks" w
+     WHERE w."userId" = ANY($1) AND w.active AND $2 = ANY(w.events)
+     RETURNING *`,
+    [ids, event, JSON.stringify(data)]
+  );
+  return result.rows;
+}
+
+// POST без перехода по редиректам: ответ 3xx — неудачная доставка, иначе редирект увёл бы запрос
+// во внутреннюю сеть. Тело ответа не читается и не сохраняется — получателю достаточно кода ответа
+function postWebhook(url, headers, body, { allowPrivateNetwork = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    // Для IP-адреса в URL lookup не вызывается, поэтому он проверяется здесь
+    if (!allowPrivateNetwork && net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`Адрес ${host} во внутренней сети — доставка запрещена`));
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowPrivateNetwork ? dns.lookup : publicOnlyLookup
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => req.destroy(new Error('Получатель не ответил вовремя')), REQUEST_TIMEOUT_MS);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Одна попытка доставки. Успех — любой ответ 2xx
+async function sendDelivery(delivery, webhook, { now = Date.now(), allowPrivateNetwork = false } = {}) {
+  const timestamp = Math.floor(now / 1000);
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+
+  try {
+    const responseStatus = await postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'IdeaFlow-Webhooks/1.0',
+      'X-IdeaFlow-Event': delivery.event,
+      'X-IdeaFlow-Delivery': String(delivery.id),
+      'X-IdeaFlow-Timestamp': String(timestamp),
+      [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+    }, body, { allowPrivateNetwork });
+    return { ok: responseStatus >= 200 && responseStatus < 300, responseStatus, error: null };
+  } catch (err) {
+    return { ok: false, responseStatus: null, error: err.message };
+  }
+}
+
+async function recordAttempt(db, delivery, result) {
+  const attempts = delivery.attempts + 1;
+  const delay = result.ok ? null : nextRetryDelay(attempts);
+  const status = result.ok ? 'succeeded' : delay === null ? 'failed' : 'pending';
+
+  await db.query(
+    `UPDATE "WebhookDeliveries"
+     SET status = $2, attempts = $3, "lastAttemptAt" = NOW(),
+         "nextAttemptAt" = CASE WHEN $2 = 'pending' THEN NOW() + ($4 || ' milliseconds')::interval ELSE NULL END,
+         "responseStatus" = $5, error = $6,
+         "deliveredAt" = CASE WHEN $2 = 'succeeded' THEN NOW() ELSE NULL END
+     WHERE id = $1`,
+    [delivery.id, status, attempts, String(delay || 0), result.responseStatus, result.error]
+  );
+  return status;
+}
+
+// Берёт доставки, у которых подошло время, и отправляет их. Возвращает число обработанных.
+// Доставки выключенного вебхука ждут, пока его снова включат
+async function processDueDeliveries(db, options = {}) {
+  const claimed = await db.query(
+    `UPDATE "WebhookDeliveries" d
+     SET "nextAttemptAt" = NOW() + ($1 || ' milliseconds')::interval
+     FROM "Webhooks" w
+     WHERE w.id = d."webhookId" AND d.id IN (
+       SELECT pd.id FROM "WebhookDeliveries" pd JOIN "Webhooks" pw ON pw.id = pd."webhookId"
+       WHERE pd.status = 'pending' AND pd."nextAttemptAt" <= NOW() AND pw.active
+       ORDER BY pd."nextAttemptAt", pd.id
+       LIMIT $2
+       FOR UPDATE OF pd SKIP LOCKED
+     )
+     RETURNING d.*, w.url, w.secret`,
+    [String(LEASE_MS), BATCH_SIZE]
+  );
+
+  for (const row of claimed.rows) {
+    const result = await sendDelivery(row, { url: row.url, secret: row.secret }, options);
+    const status = await recordAttempt(db, row, result);
+    console.log(`🪝 Webhook delivery ${row.id} (${row.event}) -> ${status}`);
+  }
+  return claimed.rows.length;
+}
+
+// Фоновая отправка в процессе сервера. wake() — отправить сразу, не дожидаясь интервала
+function startWorker(db, { intervalMs = 15000 } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      while ((await processDueDeliveries(db)) === BATCH_SIZE);
+    } catch (err) {
+      console.error('💥 Ошибка отправки вебхуков:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return { wake: tick, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  SIGNATURE_HEADER,
+  isPrivateAddress,
+  generateSecret,
+  signPayload,
+  validateWebhook,
+  nextRetryDelay,
+  toPublic,
+  casePayload,
+  enqueueEvent,
+  sendDelivery,
+  recordAttempt,
+  processDueDeliveries,
+  startWorker
+};
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const {
+  MAX_ATTEMPTS,
+  isPrivateAddress,
+  generateSecret,
+  signPayload,
+  validateWebhook,
+  nextRetryDelay,
+  toPublic,
+  enqueueEvent,
+  sendDelivery,
+  recordAttempt
+} = require('./webhooks');
+
+test('validateWebhook: URL, события и частичное изменение', () => {
+  assert.deepStrictEqual(
+    validateWebhook({ url: ' https://tracker.example.com/hook ', events: ['case.created', 'case.created'] }).value,
+    { url: 'https://tracker.example.com/hook', events: ['case.created'] }
+  );
+  assert.ok(validateWebhook({ url: 'ftp://example.com', events: ['case.created'] }).error);
+  assert.ok(validateWebhook({ url: 'не url', events: ['case.created'] }).error);
+  for (const url of ['http://127.0.0.1:3999/hook', 'http://localhost/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook', 'http://10.1.2.3/']) {
+    assert.ok(validateWebhook({ url, events: ['case.created'] }).error, url);
+  }
+  assert.ok(validateWebhook({ url: 'https://example.com', events: [] }).error);
+  assert.ok(validateWebhook({ url: 'https://example.com', events: ['case.deleted'] }).error);
+  assert.deepStrictEqual(validateWebhook({ active: false }, { partial: true }).value, { active: false });
+  assert.ok(validateWebhook({}, { partial: true }).error);
+});
+
+test('signPayload — HMAC-SHA256 от "<timestamp>.<тело>"', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+  const expected = crypto.createHmac('sha256', secret).update('1700000000.{"a":1}').digest('hex');
+  assert.strictEqual(signPayload(secret, 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('isPrivateAddress: внутренние, служебные и отображённые в IPv6 адреса', () => {
+  for (const address of ['127.0.0.1', '10.0.0.5', '172.16.3.4', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '0.0.0.0', '100.64.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', 'не адрес']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '::ffff:8.8.8.8', '2a00:1450:4010:c05::64']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('nextRetryDelay растёт, после последней попытки — null', () => {
+  assert.strictEqual(nextRetryDelay(1), 60000);
+  assert.ok(nextRetryDelay(2) > nextRetryDelay(1));
+  assert.strictEqual(nextRetryDelay(MAX_ATTEMPTS), null);
+});
+
+test('toPublic скрывает секрет', () => {
+  assert.deepStrictEqual(toPublic({ id: 1, url: 'https://x', secret: 'whsec_1' }), { id: 1, url: 'https://x' });
+});
+
+test('enqueueEvent: без получателей в базу не ходит', async () => {
+  const db = { query: async () => assert.fail('лишний запрос') };
+  assert.deepStrictEqual(await enqueueEvent(db, [null], 'case.created', {}), []);
+  await assert.rejects(() => enqueueEvent(db, [1], 'case.deleted', {}));
+});
+
+test('sendDelivery подписывает запрос, получатель может проверить подпись', async () => {
+  const secret = generateSecret();
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { headers: req.headers, body };
+      res.writeHead(received.headers['x-ideaflow-event'] === 'case.created' ? 200 : 500);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  try {
+    const delivery = { id: 7, event: 'case.created', createdAt: '2026-01-01T00:00:00.000Z', payload: { caseId: 3 } };
+    const result = await sendDelivery(delivery, { url, secret }, { allowPrivateNetwork: true });
+    assert.deepStrictEqual(result, { ok: true, responseStatus: 200, error: null });
+
+    const timestamp = received.headers['x-ideaflow-timestamp'];
+    assert.strictEqual(received.headers['x-ideaflow-signature'], signPayload(secret, timestamp, received.body));
+    assert.deepStrictEqual(JSON.parse(received.body).data, { caseId: 3 });
+
+    const failed = await sendDelivery({ ...delivery, event: 'review.created' }, { url, secret }, { allowPrivateNetwork: true });
+    assert.strictEqual(failed.ok, false);
+    assert.strictEqual(failed.responseStatus, 500);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  const unreachable = await sendDelivery({ id: 8, event: 'case.created', payload: {} }, { url, secret }, { allowPrivateNetwork: true });
+  assert.strictEqual(unreachable.ok, false);
+  assert.ok(unreachable.error);
+});
+
+test('sendDelivery не ходит во внутреннюю сеть — ни по IP, ни по имени хоста', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    res.end('внутренний ответ');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    for (const url of [`http://127.0.0.1:${port}/hook`, `http://localhost:${port}/hook`]) {
+      const result = await sendDelivery({ id: 9, event: 'case.created', payload: {} }, { url, secret: 'whsec_1' });
+      assert.strictEqual(result.ok, false, url);
+      assert.match(result.error, /внутренней сети/);
+    }
+    assert.strictEqual(requests, 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('sendDelivery не следует за редиректом', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+  try {
+    const result = await sendDelivery({ id: 10, event: 'case.created', payload: {} }, { url, secret: 'whsec_1' }, { allowPrivateNetwork: true });
+    assert.deepStrictEqual(result, { ok: false, responseStatus: 302, error: null });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('recordAttempt: успех, повтор с паузой и окончательная ошибка', async () => {
+  const updates = [];
+  const db = { query: async (sql, params) => updates.push(params) };
+  const failure = { ok: false, responseStatus: 502, error: null };
+
+  assert.strictEqual(await recordAttempt(db, { id: 1, attempts: 0 }, { ok: true, responseStatus: 200 }), 'succeeded');
+  assert.strictEqual(await recordAttempt(db, { id: 1, attempts: 0 }, failure), 'pending');
+  assert.strictEqual(updates[1][3], '60000');
+  assert.strictEqual(await recordAttempt(db, { id: 1, attempts: MAX_ATTEMPTS - 1 }, failure), 'failed');
+});
@@ -0,0 +1,45 @@
+// CLI миграций: node migrate.js up [версия] | down [шагов] | status
+const { pool } = require('./database');
+const { migrateUp, migrateDown, getStatus } = require('./lib/migrations');
+
+const USAGE = 'Использование: node migrate.js up [версия] | down [шагов] | status';
+
+function parseNumber(value, label) {
+  if (value === undefined) return undefined;
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < 0) throw new Error(`Некорректное значение ${label}: ${value}`);
+  return number;
+}
+
+async function main([command, arg]) {
+  switch (command) {
+    case 'up': {
+      const done = await migrateUp(pool, { to: parseNumber(arg, 'версии') });
+      console.log(done.length ? `✅ Применено миграций: ${done.length}` : '✅ Схема актуальна');
+      break;
+    }
+    case 'down': {
+      const done = await migrateDown(pool, { steps: parseNumber(arg, 'шагов') ?? 1 });
+      console.log(done.length ? `✅ Откачено миграций: ${done.length}` : 'ℹ️  Нечего откатывать');
+      break;
+    }
+    case 'status': {
+      const status = await getStatus(pool);
+      for (const m of status) {
+        const mark = m.appliedAt ? `✅ ${new Date(m.appliedAt).toISOString()}` : '⏳ не применена';
+        console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${mark}`);
+      }
+      break;
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(err => {
+    console.error('❌ Ошибка миграции:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS "Reviews";
+DROP TABLE IF EXISTS "Projects";
+DROP TABLE IF EXISTS "ProcessedCases";
+DROP TABLE IF EXISTS "Cases";
+DROP TABLE IF EXISTS "Users";
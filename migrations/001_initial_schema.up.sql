@@ -0,0 +1,86 @@
+-- Базовая схема IdeaFlow. IF NOT EXISTS позволяет принять миграцию на уже существующей БД
+CREATE TABLE IF NOT EXISTS "Users" (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  "firstName" TEXT,
+  "lastName" TEXT,
+  photo TEXT,
+  description TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "Cases" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  theme TEXT,
+  description TEXT,
+  cover TEXT,
+  files TEXT,
+  status TEXT DEFAULT 'open',
+  "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "ProcessedCases" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  theme TEXT,
+  description TEXT,
+  cover TEXT,
+  files TEXT,
+  status TEXT DEFAULT 'in_process',
+  "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "executorEmail" TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "Projects" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  theme TEXT,
+  description TEXT,
+  cover TEXT,
+  files TEXT,
+  status TEXT DEFAULT 'closed',
+  "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "executorEmail" TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "Reviews" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  "reviewerId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  "reviewerName" TEXT,
+  "reviewerPhoto" TEXT,
+  text TEXT NOT NULL,
+  rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Колонки, которых может не быть в таблицах, созданных до миграций
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL;
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "ProcessedCases" ADD COLUMN IF NOT EXISTS "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL;
+ALTER TABLE "ProcessedCases" ADD COLUMN IF NOT EXISTS "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Projects" ADD COLUMN IF NOT EXISTS "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL;
+ALTER TABLE "Projects" ADD COLUMN IF NOT EXISTS "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Reviews" ADD COLUMN IF NOT EXISTS "reviewerName" TEXT;
+ALTER TABLE "Reviews" ADD COLUMN IF NOT EXISTS "reviewerPhoto" TEXT;
+
+CREATE INDEX IF NOT EXISTS "Cases_userId_idx" ON "Cases" ("userId");
+CREATE INDEX IF NOT EXISTS "ProcessedCases_executorId_idx" ON "ProcessedCases" ("executorId");
+CREATE INDEX IF NOT EXISTS "Projects_userId_idx" ON "Projects" ("userId");
+CREATE INDEX IF NOT EXISTS "Reviews_userId_idx" ON "Reviews" ("userId");
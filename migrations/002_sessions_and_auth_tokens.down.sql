@@ -0,0 +1,3 @@
+ALTER TABLE "Users" DROP COLUMN IF EXISTS "emailVerified";
+DROP TABLE IF EXISTS "AuthTokens";
+DROP TABLE IF EXISTS "Sessions";
@@ -0,0 +1,24 @@
+CREATE TABLE IF NOT EXISTS "Sessions" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  "refreshTokenHash" TEXT NOT NULL,
+  "userAgent" TEXT,
+  ip TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "lastUsedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "expiresAt" TIMESTAMP NOT NULL,
+  "revokedAt" TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "Sessions_userId_idx" ON "Sessions" ("userId");
+
+CREATE TABLE IF NOT EXISTS "AuthTokens" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  "tokenHash" TEXT NOT NULL UNIQUE,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "expiresAt" TIMESTAMP NOT NULL,
+  "usedAt" TIMESTAMP
+);
+
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "emailVerified" BOOLEAN DEFAULT false;
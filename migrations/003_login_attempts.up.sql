@@ -0,0 +1,10 @@
+CREATE TABLE IF NOT EXISTS "LoginAttempts" (
+  id SERIAL PRIMARY KEY,
+  email TEXT,
+  "userId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  ip TEXT,
+  "userAgent" TEXT,
+  reason TEXT NOT NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "LoginAttempts_email_idx" ON "LoginAttempts" (email, "createdAt");
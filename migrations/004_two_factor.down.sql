@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS "BackupCodes";
+ALTER TABLE "Users" DROP COLUMN IF EXISTS "totpLastStep";
+ALTER TABLE "Users" DROP COLUMN IF EXISTS "totpEnabled";
+ALTER TABLE "Users" DROP COLUMN IF EXISTS "totpSecret";
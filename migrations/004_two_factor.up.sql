@@ -0,0 +1,11 @@
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "totpSecret" TEXT;
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "totpEnabled" BOOLEAN DEFAULT false;
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS "totpLastStep" BIGINT;
+
+CREATE TABLE IF NOT EXISTS "BackupCodes" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  "codeHash" TEXT NOT NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "usedAt" TIMESTAMP
+);
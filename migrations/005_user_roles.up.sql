@@ -0,0 +1,2 @@
+-- Существующие пользователи получают и роль заказчика, и роль исполнителя
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT ARRAY['customer', 'freelancer'];
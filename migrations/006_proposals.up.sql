@@ -0,0 +1,17 @@
+-- Отклики исполнителей на кейсы
+CREATE TABLE IF NOT EXISTS "Proposals" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "freelancerId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  "coverLetter" TEXT NOT NULL,
+  price NUMERIC(12, 2) NOT NULL CHECK (price > 0),
+  deadline DATE NOT NULL,
+  "portfolioLinks" TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'submitted',
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "Proposals_caseId_idx" ON "Proposals" ("caseId");
+-- Один действующий отклик исполнителя на кейс
+CREATE UNIQUE INDEX IF NOT EXISTS "Proposals_active_uniq" ON "Proposals" ("caseId", "freelancerId")
+  WHERE status IN ('submitted', 'shortlisted', 'accepted');
@@ -0,0 +1,12 @@
+-- История сдачи работы: отправка на проверку, запрос доработок, одобрение заказчиком.
+-- Привязана к кейсу, потому что ProcessedCase удаляется после одобрения
+CREATE TABLE IF NOT EXISTS "DeliveryEvents" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "authorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  type TEXT NOT NULL,
+  comment TEXT,
+  files TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "DeliveryEvents_caseId_idx" ON "DeliveryEvents" ("caseId", "createdAt");
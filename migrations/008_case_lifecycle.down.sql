@@ -0,0 +1,16 @@
+DROP TABLE IF EXISTS "CaseStatusHistory";
+
+ALTER TABLE "Cases" DROP CONSTRAINT IF EXISTS "Cases_status_check";
+ALTER TABLE "Cases" ALTER COLUMN status DROP NOT NULL;
+ALTER TABLE "ProcessedCases" ALTER COLUMN status SET DEFAULT 'in_process';
+ALTER TABLE "Projects" ALTER COLUMN status SET DEFAULT 'closed';
+
+UPDATE "Cases" SET status = CASE
+  WHEN status IN ('draft', 'open', 'in_review') THEN 'open'
+  WHEN status = 'cancelled' THEN 'cancelled'
+  ELSE 'accepted' END;
+UPDATE "ProcessedCases" SET status = CASE status
+  WHEN 'submitted' THEN 'in_review'
+  WHEN 'revision_requested' THEN 'revision_requested'
+  ELSE 'in_process' END;
+UPDATE "Projects" SET status = 'closed';
@@ -0,0 +1,37 @@
+-- Единый жизненный цикл кейса: Cases.status — источник истины,
+-- ProcessedCases и Projects хранят статус своего кейса
+UPDATE "ProcessedCases" SET status = CASE status
+  WHEN 'in_process' THEN 'in_progress'
+  WHEN 'in_review' THEN 'submitted'
+  ELSE status END;
+UPDATE "Projects" SET status = 'completed' WHERE status = 'closed' OR status IS NULL;
+
+UPDATE "Cases" c SET status = CASE
+  WHEN EXISTS (SELECT 1 FROM "Projects" p WHERE p."caseId" = c.id) THEN 'completed'
+  WHEN EXISTS (SELECT 1 FROM "ProcessedCases" pc WHERE pc."caseId" = c.id)
+    THEN (SELECT pc.status FROM "ProcessedCases" pc WHERE pc."caseId" = c.id ORDER BY pc.id DESC LIMIT 1)
+  WHEN c.status = 'accepted' THEN 'in_progress'
+  ELSE COALESCE(c.status, 'open') END;
+
+ALTER TABLE "Cases" ALTER COLUMN status SET NOT NULL;
+ALTER TABLE "Cases" ADD CONSTRAINT "Cases_status_check" CHECK (status IN (
+  'draft', 'open', 'in_review', 'in_progress', 'submitted', 'revision_requested', 'completed', 'cancelled', 'disputed'
+));
+ALTER TABLE "ProcessedCases" ALTER COLUMN status SET DEFAULT 'in_progress';
+ALTER TABLE "Projects" ALTER COLUMN status SET DEFAULT 'completed';
+
+-- Каждый переход статуса: откуда, куда, кто и когда. fromStatus пуст у создания кейса
+CREATE TABLE IF NOT EXISTS "CaseStatusHistory" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "fromStatus" TEXT,
+  "toStatus" TEXT NOT NULL,
+  "actorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  comment TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "CaseStatusHistory_caseId_idx" ON "CaseStatusHistory" ("caseId", "createdAt");
+
+-- Для существующих кейсов известен только текущий статус
+INSERT INTO "CaseStatusHistory" ("caseId", "fromStatus", "toStatus", "createdAt")
+SELECT id, NULL, status, COALESCE("updatedAt", "createdAt", CURRENT_TIMESTAMP) FROM "Cases";
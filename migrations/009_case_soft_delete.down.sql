@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS "Cases_active_idx";
+ALTER TABLE "Cases" DROP COLUMN IF EXISTS "deletedAt";
@@ -0,0 +1,3 @@
+-- Мягкое удаление кейса заказчиком: строка остаётся для истории и откликов
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS "deletedAt" TIMESTAMP;
+CREATE INDEX IF NOT EXISTS "Cases_active_idx" ON "Cases" ("createdAt") WHERE "deletedAt" IS NULL;
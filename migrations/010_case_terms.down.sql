@@ -0,0 +1,21 @@
+DROP INDEX IF EXISTS "Cases_deadline_idx";
+
+ALTER TABLE "Cases" DROP CONSTRAINT IF EXISTS "Cases_budget_range_check";
+ALTER TABLE "Cases"
+  DROP COLUMN IF EXISTS "budgetType",
+  DROP COLUMN IF EXISTS "budgetMin",
+  DROP COLUMN IF EXISTS "budgetMax",
+  DROP COLUMN IF EXISTS currency,
+  DROP COLUMN IF EXISTS deadline;
+ALTER TABLE "ProcessedCases"
+  DROP COLUMN IF EXISTS "budgetType",
+  DROP COLUMN IF EXISTS "budgetMin",
+  DROP COLUMN IF EXISTS "budgetMax",
+  DROP COLUMN IF EXISTS currency,
+  DROP COLUMN IF EXISTS deadline;
+ALTER TABLE "Projects"
+  DROP COLUMN IF EXISTS "budgetType",
+  DROP COLUMN IF EXISTS "budgetMin",
+  DROP COLUMN IF EXISTS "budgetMax",
+  DROP COLUMN IF EXISTS currency,
+  DROP COLUMN IF EXISTS deadline;
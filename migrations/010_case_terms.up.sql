@@ -0,0 +1,22 @@
+-- Условия кейса: бюджет (фиксированный или почасовой, от/до, валюта) и срок сдачи.
+-- ProcessedCases и Projects получают копию условий при передаче кейса дальше
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS "budgetType" TEXT CHECK ("budgetType" IN ('fixed', 'hourly'));
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS "budgetMin" NUMERIC(12, 2) CHECK ("budgetMin" >= 0);
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS "budgetMax" NUMERIC(12, 2) CHECK ("budgetMax" >= 0);
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'RUB';
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS deadline DATE;
+ALTER TABLE "Cases" ADD CONSTRAINT "Cases_budget_range_check" CHECK ("budgetMin" IS NULL OR "budgetMax" IS NULL OR "budgetMin" <= "budgetMax");
+
+ALTER TABLE "ProcessedCases" ADD COLUMN IF NOT EXISTS "budgetType" TEXT;
+ALTER TABLE "ProcessedCases" ADD COLUMN IF NOT EXISTS "budgetMin" NUMERIC(12, 2);
+ALTER TABLE "ProcessedCases" ADD COLUMN IF NOT EXISTS "budgetMax" NUMERIC(12, 2);
+ALTER TABLE "ProcessedCases" ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'RUB';
+ALTER TABLE "ProcessedCases" ADD COLUMN IF NOT EXISTS deadline DATE;
+
+ALTER TABLE "Projects" ADD COLUMN IF NOT EXISTS "budgetType" TEXT;
+ALTER TABLE "Projects" ADD COLUMN IF NOT EXISTS "budgetMin" NUMERIC(12, 2);
+ALTER TABLE "Projects" ADD COLUMN IF NOT EXISTS "budgetMax" NUMERIC(12, 2);
+ALTER TABLE "Projects" ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'RUB';
+ALTER TABLE "Projects" ADD COLUMN IF NOT EXISTS deadline DATE;
+
+CREATE INDEX IF NOT EXISTS "Cases_deadline_idx" ON "Cases" (deadline);
@@ -0,0 +1,19 @@
+-- Этапы работы по кейсу: заказчик задаёт, исполнитель сдаёт, заказчик принимает каждый отдельно.
+-- Привязаны к кейсу, как и DeliveryEvents, чтобы пережить превращение ProcessedCase в проект
+CREATE TABLE IF NOT EXISTS "Milestones" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  "dueDate" DATE,
+  amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (amount >= 0),
+  position INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'revision_requested', 'approved')),
+  files TEXT,
+  comment TEXT,
+  "reviewComment" TEXT,
+  "submittedAt" TIMESTAMP,
+  "approvedAt" TIMESTAMP,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "Milestones_caseId_idx" ON "Milestones" ("caseId", position);
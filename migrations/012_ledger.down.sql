@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS "EscrowHolds";
+DROP TABLE IF EXISTS "LedgerEntries";
+DROP TABLE IF EXISTS "LedgerTransactions";
+DROP TABLE IF EXISTS "LedgerAccounts";
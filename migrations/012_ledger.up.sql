@@ -0,0 +1,48 @@
+-- Учёт денег по двойной записи: у каждой проводки сумма строк равна нулю.
+-- Счета: кошелёк пользователя, эскроу кейса и внешний счёт платёжного провайдера
+CREATE TABLE IF NOT EXISTS "LedgerAccounts" (
+  id SERIAL PRIMARY KEY,
+  key TEXT NOT NULL UNIQUE,
+  type TEXT NOT NULL CHECK (type IN ('wallet', 'escrow', 'external')),
+  "userId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "caseId" INTEGER REFERENCES "Cases"(id) ON DELETE SET NULL,
+  currency TEXT NOT NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "LedgerAccounts_userId_idx" ON "LedgerAccounts" ("userId");
+
+CREATE TABLE IF NOT EXISTS "LedgerTransactions" (
+  id SERIAL PRIMARY KEY,
+  type TEXT NOT NULL CHECK (type IN ('deposit', 'escrow_fund', 'escrow_release', 'escrow_refund')),
+  "caseId" INTEGER REFERENCES "Cases"(id) ON DELETE SET NULL,
+  "milestoneId" INTEGER REFERENCES "Milestones"(id) ON DELETE SET NULL,
+  description TEXT,
+  "providerRef" TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "LedgerEntries" (
+  id SERIAL PRIMARY KEY,
+  "transactionId" INTEGER NOT NULL REFERENCES "LedgerTransactions"(id) ON DELETE CASCADE,
+  "accountId" INTEGER NOT NULL REFERENCES "LedgerAccounts"(id),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount <> 0),
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "LedgerEntries_accountId_idx" ON "LedgerEntries" ("accountId", "createdAt");
+CREATE INDEX IF NOT EXISTS "LedgerEntries_transactionId_idx" ON "LedgerEntries" ("transactionId");
+
+-- Удержание по кейсу: сколько заказчик внёс, сколько выплачено исполнителю и возвращено
+CREATE TABLE IF NOT EXISTS "EscrowHolds" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL UNIQUE REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "customerId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  currency TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  released NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  refunded NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'closed')),
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (released + refunded <= amount)
+);
@@ -0,0 +1,13 @@
+-- Закрывающие документы проекта: счёт и акт выполненных работ.
+-- PDF лежат в uploads/documents, отдаются только участникам проекта через API
+CREATE TABLE IF NOT EXISTS "ProjectDocuments" (
+  id SERIAL PRIMARY KEY,
+  "projectId" INTEGER NOT NULL REFERENCES "Projects"(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('invoice', 'certificate')),
+  number TEXT NOT NULL,
+  "fileName" TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'RUB',
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE ("projectId", type)
+);
@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS "EscrowHolds_caseId_idx";
+DROP INDEX IF EXISTS "EscrowHolds_held_idx";
+ALTER TABLE "EscrowHolds" ADD CONSTRAINT "EscrowHolds_caseId_key" UNIQUE ("caseId");
+
+DROP TABLE IF EXISTS "DisputeEvidence";
+DROP TABLE IF EXISTS "Disputes";
+DROP TABLE IF EXISTS "CancellationRequests";
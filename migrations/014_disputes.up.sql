@@ -0,0 +1,46 @@
+-- Расторжение работы по соглашению сторон и споры с решением администратора
+CREATE TABLE IF NOT EXISTS "CancellationRequests" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "requestedBy" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+  "respondedBy" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "respondedAt" TIMESTAMP
+);
+-- Не больше одного ожидающего запроса на кейс
+CREATE UNIQUE INDEX IF NOT EXISTS "CancellationRequests_pending_idx" ON "CancellationRequests" ("caseId") WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS "Disputes" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "openedBy" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  -- Стороны на момент спора: после переоткрытия кейса исполнитель снимается, а решение ему должно быть видно
+  "customerId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "executorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  outcome TEXT CHECK (outcome IN ('reopen', 'complete', 'split')),
+  "executorShare" NUMERIC(12, 2),
+  "resolutionComment" TEXT,
+  "resolvedBy" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "resolvedAt" TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "Disputes_open_idx" ON "Disputes" ("caseId") WHERE status = 'open';
+
+CREATE TABLE IF NOT EXISTS "DisputeEvidence" (
+  id SERIAL PRIMARY KEY,
+  "disputeId" INTEGER NOT NULL REFERENCES "Disputes"(id) ON DELETE CASCADE,
+  "authorId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  comment TEXT,
+  files TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "DisputeEvidence_disputeId_idx" ON "DisputeEvidence" ("disputeId");
+
+-- Переоткрытый кейс оплачивается заново: активным может быть только одно удержание
+ALTER TABLE "EscrowHolds" DROP CONSTRAINT IF EXISTS "EscrowHolds_caseId_key";
+CREATE UNIQUE INDEX IF NOT EXISTS "EscrowHolds_held_idx" ON "EscrowHolds" ("caseId") WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS "EscrowHolds_caseId_idx" ON "EscrowHolds" ("caseId");
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS "CaseInvitations";
+ALTER TABLE "Cases" DROP COLUMN IF EXISTS "isPrivate";
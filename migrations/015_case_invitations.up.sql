@@ -0,0 +1,16 @@
+-- Закрытые кейсы и приглашения исполнителей напрямую
+ALTER TABLE "Cases" ADD COLUMN IF NOT EXISTS "isPrivate" BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS "CaseInvitations" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "invitedBy" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "freelancerId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  message TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "respondedAt" TIMESTAMP
+);
+-- Одно действующее приглашение исполнителя в кейс
+CREATE UNIQUE INDEX IF NOT EXISTS "CaseInvitations_active_idx" ON "CaseInvitations" ("caseId", "freelancerId") WHERE status IN ('pending', 'accepted');
+CREATE INDEX IF NOT EXISTS "CaseInvitations_freelancerId_idx" ON "CaseInvitations" ("freelancerId", status);
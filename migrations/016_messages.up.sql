@@ -0,0 +1,26 @@
+-- Переписка заказчика и исполнителя внутри кейса.
+-- Диалог привязан к кейсу и исполнителю: до найма — с откликнувшимся или приглашённым, после — с исполнителем
+CREATE TABLE IF NOT EXISTS "Conversations" (
+  id SERIAL PRIMARY KEY,
+  "caseId" INTEGER NOT NULL REFERENCES "Cases"(id) ON DELETE CASCADE,
+  "customerId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  "freelancerId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "lastMessageAt" TIMESTAMP,
+  UNIQUE ("caseId", "freelancerId")
+);
+CREATE INDEX IF NOT EXISTS "Conversations_customerId_idx" ON "Conversations" ("customerId");
+CREATE INDEX IF NOT EXISTS "Conversations_freelancerId_idx" ON "Conversations" ("freelancerId");
+
+-- В диалоге двое, поэтому отметка о прочтении — одна на сообщение: когда его прочитал получатель
+CREATE TABLE IF NOT EXISTS "Messages" (
+  id SERIAL PRIMARY KEY,
+  "conversationId" INTEGER NOT NULL REFERENCES "Conversations"(id) ON DELETE CASCADE,
+  "senderId" INTEGER REFERENCES "Users"(id) ON DELETE SET NULL,
+  body TEXT,
+  files TEXT,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "readAt" TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "Messages_conversationId_idx" ON "Messages" ("conversationId", id);
+CREATE INDEX IF NOT EXISTS "Messages_unread_idx" ON "Messages" ("conversationId") WHERE "readAt" IS NULL;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS "NotificationPreferences";
+DROP TABLE IF EXISTS "Notifications";
@@ -0,0 +1,23 @@
+-- Уведомления внутри приложения: колокольчик в шапке.
+-- Текст сохраняется при создании, data — параметры события для ссылок и повторного оформления
+CREATE TABLE IF NOT EXISTS "Notifications" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  link TEXT,
+  data JSONB NOT NULL DEFAULT '{}',
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "readAt" TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "Notifications_userId_idx" ON "Notifications" ("userId", id DESC);
+CREATE INDEX IF NOT EXISTS "Notifications_unread_idx" ON "Notifications" ("userId") WHERE "readAt" IS NULL;
+
+-- Настройки по типам событий. Строки нет — уведомление включено
+CREATE TABLE IF NOT EXISTS "NotificationPreferences" (
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  "inApp" BOOLEAN NOT NULL DEFAULT TRUE,
+  PRIMARY KEY ("userId", type)
+);
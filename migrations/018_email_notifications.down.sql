@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS "EmailDigestItems";
+DROP TABLE IF EXISTS "FollowedThemes";
+ALTER TABLE "Users" DROP COLUMN IF EXISTS locale;
+ALTER TABLE "NotificationPreferences" DROP COLUMN IF EXISTS email;
@@ -0,0 +1,26 @@
+-- Письма об уведомлениях: сразу, раз в день дайджестом или никогда — отдельно для каждого типа события
+ALTER TABLE "NotificationPreferences" ADD COLUMN IF NOT EXISTS email TEXT NOT NULL DEFAULT 'instant'
+  CHECK (email IN ('instant', 'daily', 'off'));
+
+-- Язык писем
+ALTER TABLE "Users" ADD COLUMN IF NOT EXISTS locale TEXT NOT NULL DEFAULT 'ru' CHECK (locale IN ('ru', 'en'));
+
+-- Темы, по которым пользователь хочет узнавать о новых кейсах
+CREATE TABLE IF NOT EXISTS "FollowedThemes" (
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  theme TEXT NOT NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("userId", theme)
+);
+CREATE INDEX IF NOT EXISTS "FollowedThemes_theme_idx" ON "FollowedThemes" (LOWER(theme));
+
+-- События, ожидающие ежедневного дайджеста. sentAt ставится после отправки письма
+CREATE TABLE IF NOT EXISTS "EmailDigestItems" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "sentAt" TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "EmailDigestItems_pending_idx" ON "EmailDigestItems" ("userId") WHERE "sentAt" IS NULL;
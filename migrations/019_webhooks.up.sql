@@ -0,0 +1,33 @@
+-- Исходящие вебхуки: пользователь подписывает свой URL на события кейсов и проектов
+CREATE TABLE IF NOT EXISTS "Webhooks" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "Webhooks_userId_idx" ON "Webhooks" ("userId");
+
+-- Журнал доставок. pending ждёт попытки в nextAttemptAt, после исчерпания попыток — failed.
+-- Повторная отправка вручную создаёт новую доставку со ссылкой на исходную (redeliveryOf)
+CREATE TABLE IF NOT EXISTS "WebhookDeliveries" (
+  id SERIAL PRIMARY KEY,
+  "webhookId" INTEGER NOT NULL REFERENCES "Webhooks"(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  "nextAttemptAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "lastAttemptAt" TIMESTAMP,
+  "responseStatus" INTEGER,
+  "responseBody" TEXT,
+  error TEXT,
+  "redeliveryOf" INTEGER REFERENCES "WebhookDeliveries"(id) ON DELETE SET NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "deliveredAt" TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "WebhookDeliveries_webhookId_idx" ON "WebhookDeliveries" ("webhookId", id DESC);
+CREATE INDEX IF NOT EXISTS "WebhookDeliveries_due_idx" ON "WebhookDeliveries" ("nextAttemptAt") WHERE status = 'pending';
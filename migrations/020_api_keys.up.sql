@@ -0,0 +1,13 @@
+-- Личные API-ключи для /api/v1. Хранится только хэш ключа, prefix — для узнавания ключа в списке
+CREATE TABLE IF NOT EXISTS "ApiKeys" (
+  id SERIAL PRIMARY KEY,
+  "userId" INTEGER NOT NULL REFERENCES "Users"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL,
+  "keyHash" TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "lastUsedAt" TIMESTAMP,
+  "revokedAt" TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS "ApiKeys_userId_idx" ON "ApiKeys" ("userId");
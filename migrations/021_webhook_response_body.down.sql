@@ -0,0 +1 @@
+ALTER TABLE "WebhookDeliveries" ADD COLUMN IF NOT EXISTS "responseBody" TEXT;
@@ -0,0 +1,3 @@
+-- Тело ответа получателя вебхука больше не хранится: по журналу доставок его можно было
+-- прочитать, направив вебхук на внутренний адрес
+ALTER TABLE "WebhookDeliveries" DROP COLUMN IF EXISTS "responseBody";
@@ -0,0 +1,2 @@
+ALTER TABLE "Sessions" DROP COLUMN IF EXISTS "rotatedAt";
+ALTER TABLE "Sessions" DROP COLUMN IF EXISTS "previousTokenHash";
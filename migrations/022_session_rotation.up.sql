@@ -0,0 +1,4 @@
+-- Предыдущий refresh-токен сессии: по нему отличаем повторное использование украденного токена
+-- от параллельного обновления из соседней вкладки сразу после ротации
+ALTER TABLE "Sessions" ADD COLUMN IF NOT EXISTS "previousTokenHash" TEXT;
+ALTER TABLE "Sessions" ADD COLUMN IF NOT EXISTS "rotatedAt" TIMESTAMP;
@@ -0,0 +1 @@
+ALTER TABLE "DeliveryEvents" DROP COLUMN IF EXISTS "archivedAt";
@@ -0,0 +1,3 @@
+-- События сдачи прошлого исполнителя: после переоткрытия кейса (спор, расторжение) они остаются
+-- в базе, но в историю сдачи нового исполнителя не попадают
+ALTER TABLE "DeliveryEvents" ADD COLUMN IF NOT EXISTS "archivedAt" TIMESTAMP;
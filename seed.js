@@ -0,0 +1,80 @@
+// Заполнение БД тестовыми данными из книги Excel и папки с фото.
+// node seed.js [--dry-run] [--file путь.xlsx] [--photos папка]
+// Листы и колонки книги описаны в lib/seed.js (SHEETS). Повторный запуск обновляет те же записи
+const path = require('path');
+const readXlsxFile = require('read-excel-file/node');
+const { readSheetNames } = require('read-excel-file/node');
+const { pool } = require('./database');
+const { migrateUp } = require('./lib/migrations');
+const { SHEETS, parseWorkbook, seedDatabase } = require('./lib/seed');
+
+const DEFAULT_FILE = path.join(__dirname, 'Заполнение бд.xlsx');
+const DEFAULT_PHOTOS = path.join(__dirname, 'фото для заполнения');
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+function parseArgs(argv) {
+  const options = { dryRun: false, file: DEFAULT_FILE, photos: DEFAULT_PHOTOS };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--file') options.file = path.resolve(argv[++i]);
+    else if (argv[i] === '--photos') options.photos = path.resolve(argv[++i]);
+    else throw new Error(`Неизвестный аргумент: ${argv[i]}`);
+  }
+  return options;
+}
+
+async function readWorkbook(file) {
+  const names = await readSheetNames(file);
+  const sheets = {};
+  for (const name of Object.keys(SHEETS)) {
+    if (names.includes(name)) sheets[name] = await readXlsxFile(file, { sheet: name });
+  }
+  const missing = Object.keys(SHEETS).filter(name => !names.includes(name));
+  return { sheets, missing };
+}
+
+function printReport(report, dryRun) {
+  console.log(dryRun ? '📋 Пробный запуск (изменения не сохранены):' : '📋 Результат импорта:');
+  for (const [table, { created, updated }] of Object.entries(report.tables)) {
+    console.log(`   ${table}: создано ${created}, обновлено ${updated}`);
+  }
+  console.log(`   Изображения: скопировано ${report.images.copied}, уже были ${report.images.existing}`);
+  report.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`📖 Книга: ${options.file}`);
+
+  const { sheets, missing } = await readWorkbook(options.file);
+  if (missing.length > 0) {
+    console.log(`⚠️  В книге нет листов: ${missing.join(', ')}`);
+  }
+
+  const { data, errors } = parseWorkbook(sheets);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    throw new Error('Книга содержит ошибки, импорт отменён');
+  }
+
+  const total = Object.values(data).reduce((sum, rows) => sum + rows.length, 0);
+  if (total === 0) {
+    console.log('ℹ️  В книге нет данных для импорта');
+    return;
+  }
+
+  if (!options.dryRun) await migrateUp(pool);
+  const report = await seedDatabase(pool, data, {
+    photosDir: options.photos,
+    uploadsDir: UPLOADS_DIR,
+    dryRun: options.dryRun
+  });
+  printReport(report, options.dryRun);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Ошибка заполнения БД:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -5,10 +5,44 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { query, pool, initializeDatabase } = require('./database');
+const { createToken, issueTokens, createChallengeToken, verifyChallengeToken, getCurrentUser, getOptionalUser, authenticateToken } = require('./lib/auth');
+const sessions = require('./lib/sessions');
+const { createAuthToken, consumeAuthToken } = require('./lib/authTokens');
+const { sendMail } = require('./lib/mailer');
+const emails = require('./lib/emails');
+const { createLoginLimiter } = require('./lib/rateLimiter');
+const { recordFailedLogin } = require('./lib/loginAudit');
+const twoFactor = require('./lib/twoFactor');
+const profiles = require('./lib/profiles');
+const { buildOtpauthUrl } = require('./lib/totp');
+const QRCode = require('qrcode');
+const { authorize, can, isAdmin } = require('./lib/permissions');
+const { ROLES, DEFAULT_ROLES, parseRoles, hasRole } = require('./lib/roles');
+const diagnostics = require('./lib/diagnostics');
+const { ACTIVE_STATUSES, nextStatus, validateProposal } = require('./lib/proposals');
+const { EDITABLE_STATUSES, getDeliveryAction, validateComment } = require('./lib/delivery');
+const { OPEN_FOR_PROPOSALS, NOT_STARTED_STATUSES, recordStatus, transitionCase } = require('./lib/caseLifecycle');
+const { parseFiles, parseFlag, validateTerms, validateCaseUpdate, buildListFilters, pickTerms, termValues } = require('./lib/cases');
+const milestones = require('./lib/milestones');
+const { fundEscrow, lockHold, releaseEscrow, remainingCents, toCents, fromCents } = require('./lib/ledger');
+const { PaymentError } = require('./lib/payments');
+const { DOCUMENT_TYPES, ensureProjectDocuments } = require('./lib/documents');
+const disputes = require('./lib/disputes');
+const invitations = require('./lib/invitations');
+const messaging = require('./lib/messaging');
+const realtime = require('./lib/realtime');
+const notifications = require('./lib/notifications');
+const notificationEmails = require('./lib/notificationEmails');
+const webhooks = require('./lib/webhooks');
+const apiKeys = require('./lib/apiKeys');
+const { parseListPage, toApiCase, visibleProjectSql, toApiProject, buildOpenApiSpec, renderDocsPage } = require('./lib/apiV1');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// За прокси (Railway) берём IP клиента из X-Forwarded-For
+app.set('trust proxy', 1);
+
 // 🔥 Обработка неперехваченных исключений
 process.on('uncaughtException', (error) => {
   console.error('🔥 UNCAUGHT EXCEPTION:', error);
@@ -46,6 +80,9 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
 }
 
+// Счета и акты проектов (создаётся при первой генерации)
+const documentsDir = path.join(uploadsDir, 'documents');
+
 // ✅ Упрощенный CORS
 app.use(cors({
   origin: true, // разрешить все origins
@@ -90,106 +127,6 @@ app.get('/api/test', (req, res) => {
   res.json({ message: 'API is working!', timestamp: new Date().toISOString() });
 });
 
-app.post('/api/test-login', (req, res) => {
-  console.log('✅ Test login called:', req.body);
-  res.json({ message: 'Test login successful', user: { id: 1, email: 'test@test.com' } });
-});
-
-// ✅ Проверка подключения к БД
-app.get('/api/debug/db', async (req, res) => {
-  try {
-    const result = await query('SELECT COUNT(*) as user_count FROM "Users"');
-    res.json({ 
-      status: 'OK',
-      userCount: result.rows[0].user_count,
-      database: 'Connected'
-    });
-  } catch (err) {
-    console.error('Database connection error:', err);
-    res.status(500).json({ 
-      error: 'Database error',
-      message: err.message 
-    });
-  }
-});
-
-// Диагностика структуры таблицы Cases
-app.get('/api/debug/cases-structure', async (req, res) => {
-  try {
-    // Получим структуру таблицы Cases
-    const structure = await query(`
-      SELECT 
-        column_name,
-        data_type,
-        is_nullable,
-        column_default
-      FROM information_schema.columns 
-      WHERE table_schema = 'public' 
-      AND table_name = 'Cases'
-      ORDER BY ordinal_position
-    `);
-    
-    // Получим несколько примеров записей
-    const samples = await query('SELECT * FROM "Cases" LIMIT 3');
-    
-    res.json({
-      tableStructure: structure.rows,
-      sampleRecords: samples.rows.map(row => ({
-        ...row,
-        files: row.files ? JSON.parse(row.files) : []
-      }))
-    });
-    
-  } catch (err) {
-    console.error('Error getting table structure:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Middleware для получения текущего пользователя - ИСПРАВЛЕННАЯ ВЕРСИЯ
-const getCurrentUser = async (req, res, next) => {
-  try {
-    // Получаем userId из разных источников
-    let userId = req.headers['x-user-id'] || 
-                 req.query.currentUserId || 
-                 req.body.userId;
-    
-    console.log('🔍 getCurrentUser called with userId:', userId);
-    console.log('🔍 Headers:', req.headers);
-    
-    if (!userId) {
-      console.log('❌ No userId provided in request');
-      return res.status(401).json({ error: 'Пользователь не авторизован' });
-    }
-    
-    // Преобразуем в число если нужно
-    userId = parseInt(userId);
-    if (isNaN(userId)) {
-      console.log('❌ Invalid userId format:', userId);
-      return res.status(401).json({ error: 'Неверный формат пользователя' });
-    }
-    
-    console.log('🔍 Searching for user with id:', userId);
-    const result = await query(
-      'SELECT id, email, "firstName", "lastName", photo, description FROM "Users" WHERE id = $1', 
-      [userId]
-    );
-    
-    if (!result.rows[0]) {
-      console.log('❌ User not found in database:', userId);
-      return res.status(401).json({ error: 'Пользователь не найден' });
-    }
-    
-    req.currentUser = result.rows[0];
-    console.log('✅ Current user set:', req.currentUser);
-    next();
-    
-  } catch (err) {
-    console.error('💥 Ошибка при получении пользователя:', err);
-    return res.status(500).json({ error: 'Ошибка сервера' });
-  }
-};
-
 // API маршруты
 app.get('/api', (req, res) => {
   res.json({ 
@@ -198,19 +135,36 @@ app.get('/api', (req, res) => {
   });
 });
 
+// Отправка письма с подтверждением email. Ошибка почты не должна ломать регистрацию
+async function sendVerificationEmail(user) {
+  try {
+    const token = await createAuthToken(user.id, 'verify_email');
+    await sendMail({ to: user.email, ...emails.verificationEmail(token) });
+  } catch (err) {
+    console.error('Ошибка отправки письма подтверждения:', err);
+  }
+}
+
 // Регистрация
 app.post('/api/register', async (req, res) => {
   const { email, password } = req.body;
   if (!email || !password)
     return res.status(400).json({ error: 'Email и пароль обязательны' });
   
+  const roles = req.body.roles === undefined ? DEFAULT_ROLES : parseRoles(req.body.roles);
+  if (!roles)
+    return res.status(400).json({ error: 'Выберите роль: заказчик и/или исполнитель' });
+  
   try {
     const hash = await bcrypt.hash(password, 10);
     const result = await query(
-      'INSERT INTO "Users" (email, password) VALUES ($1, $2) RETURNING id, email',
-      [email, hash]
+      'INSERT INTO "Users" (email, password, roles) VALUES ($1, $2, $3) RETURNING id, email, roles',
+      [email, hash, roles]
     );
-    res.json(result.rows[0]);
+    const user = result.rows[0];
+    await sendVerificationEmail(user);
+    const tokens = await issueTokens(user, req);
+    res.json({ ...user, ...tokens });
   } catch (err) {
     if (err.code === '23505') {
       return res.status(400).json({ error: 'Email уже зарегистрирован' });
@@ -220,6 +174,46 @@ app.post('/api/register', async (req, res) => {
   }
 });
 
+// Открытие сессии и ответ на успешный вход
+async function sendLoginResponse(req, res, user, redirect) {
+  const tokens = await issueTokens(user, req);
+  
+  const userResponse = {
+    success: true,
+    user: {
+      id: user.id, 
+      email: user.email,
+      firstName: user.firstName || '',
+      lastName: user.lastName || '',
+      photo: user.photo || null,
+      description: user.description || '',
+      emailVerified: !!user.emailVerified,
+      roles: user.roles || []
+    },
+    redirect: {
+      profile: `/profile/${user.id}`,
+      home: '/'
+    },
+    token: tokens.token,
+    refreshToken: tokens.refreshToken
+  };
+  
+  // Если фронтенд не делает редирект, делаем его на стороне сервера
+  if (redirect && req.get('Accept')?.includes('text/html')) {
+    console.log('🔄 Performing server-side redirect to profile');
+    return res.redirect(`/profile/${user.id}`);
+  }
+  
+  console.log('📤 Sending JSON login response');
+  res.json(userResponse);
+}
+
+// Ограничение попыток входа (в памяти процесса; для нескольких инстансов передать общий store)
+const loginLimiter = createLoginLimiter();
+const LOGIN_ERROR = 'Неверный email или пароль';
+// Хэш-заглушка, чтобы время ответа не выдавало существование email
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('ideaflow-dummy-password', 10);
+
 // Вход - ДОБАВЛЯЕМ РЕДИРЕКТ НА СТОРОНЕ СЕРВЕРА
 app.post('/api/login', async (req, res) => {
   const { email, password, redirect = true } = req.body;
@@ -227,56 +221,112 @@ app.post('/api/login', async (req, res) => {
   console.log('🔐 Login attempt for email:', email);
   console.log('🔐 Redirect enabled:', redirect);
   
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email и пароль обязательны' });
+  }
+  
+  const subject = { ip: req.ip, account: email };
+  
   try {
+    const limit = await loginLimiter.check(subject);
+    if (!limit.allowed) {
+      const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+      console.log(`⛔ Login blocked (${limit.reason}) for:`, email);
+      await recordFailedLogin({ email, req, reason: `blocked_${limit.reason}` });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: limit.reason === 'locked'
+          ? 'Слишком много неудачных попыток. Вход временно заблокирован'
+          : 'Слишком много попыток. Повторите позже',
+        retryAfter
+      });
+    }
+    
     const result = await query('SELECT * FROM "Users" WHERE email = $1', [email]);
     const user = result.rows[0];
     
-    if (!user) {
-      console.log('❌ User not found:', email);
-      return res.status(400).json({ error: 'Пользователь не найден' });
+    const match = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !match) {
+      console.log('❌ Invalid credentials for:', email);
+      const locked = await loginLimiter.recordFailure(subject);
+      await recordFailedLogin({
+        email,
+        userId: user && user.id,
+        req,
+        reason: locked ? 'locked_out' : 'invalid_credentials'
+      });
+      return res.status(401).json({ error: LOGIN_ERROR });
     }
     
-    console.log('✅ User found:', user.id);
+    await loginLimiter.recordSuccess(subject);
     
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) {
-      console.log('❌ Password mismatch for user:', email);
-      return res.status(400).json({ error: 'Неверный пароль' });
+    // При включённой 2FA выдаём только токен для второго шага
+    if (user.totpEnabled) {
+      console.log('🔐 Second factor required for user:', user.id);
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user)
+      });
     }
     
     console.log('🎉 Login successful for user:', user.id);
+    await sendLoginResponse(req, res, user, redirect);
     
-    const userResponse = {
-      success: true,
-      user: {
-        id: user.id, 
-        email: user.email,
-        firstName: user.firstName || '',
-        lastName: user.lastName || '',
-        photo: user.photo || null,
-        description: user.description || ''
-      },
-      redirect: {
-        profile: `/profile/${user.id}`,
-        home: '/'
-      },
-      session: {
-        userId: user.id,
-        token: `user-${user.id}-${Date.now()}`
-      }
-    };
+  } catch (err) {
+    console.error('💥 Ошибка входа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Проверка кода второго фактора с ограничением попыток по ключу 2fa:<userId> — общим для входа
+// и для настроек 2FA, чтобы украденный access-токен не давал перебирать коды.
+// При блокировке или неверном коде сама отвечает клиенту и возвращает null, иначе — способ проверки
+async function verifySecondFactorLimited(req, res, userId, code, { invalidStatus = 401 } = {}) {
+  const subject = { ip: req.ip, account: `2fa:${userId}` };
+
+  const limit = await loginLimiter.check(subject);
+  if (!limit.allowed) {
+    const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Слишком много попыток. Повторите позже', retryAfter });
+    return null;
+  }
+
+  const method = await twoFactor.verifySecondFactor(userId, code);
+  if (!method) {
+    await loginLimiter.recordFailure(subject);
+    await recordFailedLogin({ userId, req, reason: 'invalid_2fa_code' });
+    res.status(invalidStatus).json({ error: 'Неверный код' });
+    return null;
+  }
+
+  await loginLimiter.recordSuccess(subject);
+  return method;
+}
+
+// Второй шаг входа: код из приложения-аутентификатора или резервный код
+app.post('/api/login/2fa', async (req, res) => {
+  const { challengeToken, code, redirect = true } = req.body;
+  
+  const userId = verifyChallengeToken(challengeToken);
+  if (!userId) {
+    return res.status(401).json({ error: 'Время на ввод кода истекло, войдите заново' });
+  }
+  
+  try {
+    const method = await verifySecondFactorLimited(req, res, userId, code);
+    if (!method) return;
     
-    // Если фронтенд не делает редирект, делаем его на стороне сервера
-    if (redirect && req.get('Accept')?.includes('text/html')) {
-      console.log('🔄 Performing server-side redirect to profile');
-      return res.redirect(`/profile/${user.id}`);
+    const result = await query('SELECT * FROM "Users" WHERE id = $1', [userId]);
+    if (!result.rows[0]) {
+      return res.status(401).json({ error: 'Пользователь не найден' });
     }
     
-    console.log('📤 Sending JSON login response');
-    res.json(userResponse);
-    
+    console.log(`🎉 Login successful for user ${userId} (2FA: ${method})`);
+    await sendLoginResponse(req, res, result.rows[0], redirect);
   } catch (err) {
-    console.error('💥 Ошибка входа:', err);
+    console.error('💥 Ошибка входа (2FA):', err);
     res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
@@ -288,7 +338,7 @@ app.get('/api/user-profile/:id', async (req, res) => {
   
   try {
     const result = await query(
-      'SELECT id, email, "firstName", "lastName", photo, description FROM "Users" WHERE id = $1',
+      'SELECT id, email, "firstName", "lastName", photo, description, roles FROM "Users" WHERE id = $1',
       [id]
     );
     
@@ -307,47 +357,6 @@ app.get('/api/user-profile/:id', async (req, res) => {
   }
 });
 
-// Проверка доступности страницы профиля
-app.get('/api/debug/profile-access/:id', async (req, res) => {
-  const id = req.params.id;
-  console.log('🔍 Debug profile access for id:', id);
-  
-  try {
-    // Проверяем существование пользователя
-    const userResult = await query('SELECT id, email FROM "Users" WHERE id = $1', [id]);
-    const userExists = !!userResult.rows[0];
-    
-    // Проверяем кейсы пользователя
-    const casesResult = await query('SELECT COUNT(*) as count FROM "Cases" WHERE "userId" = $1', [id]);
-    const casesCount = parseInt(casesResult.rows[0].count);
-    
-    // Проверяем проекты пользователя
-    const projectsResult = await query('SELECT COUNT(*) as count FROM "Projects" WHERE "userId" = $1', [id]);
-    const projectsCount = parseInt(projectsResult.rows[0].count);
-    
-    const debugInfo = {
-      userId: id,
-      userExists: userExists,
-      userEmail: userExists ? userResult.rows[0].email : null,
-      casesCount: casesCount,
-      projectsCount: projectsCount,
-      profileUrl: `/profile/${id}`,
-      apiUrls: {
-        profile: `/api/user-profile/${id}`,
-        userCases: `/api/cases?userId=${id}`,
-        userProjects: `/api/projects?userId=${id}`
-      }
-    };
-    
-    console.log('📊 Profile debug info:', debugInfo);
-    res.json(debugInfo);
-    
-  } catch (err) {
-    console.error('Error in profile debug:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
 
 // Получение данных текущего пользователя - ИСПРАВЛЕННАЯ ВЕРСИЯ
 app.get('/api/current-user', getCurrentUser, (req, res) => {
@@ -355,52 +364,354 @@ app.get('/api/current-user', getCurrentUser, (req, res) => {
   res.json(req.currentUser);
 });
 
+// Обновление access-токена по refresh-токену (с ротацией)
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'refreshToken обязателен' });
+  }
+
+  try {
+    const rotated = await sessions.rotateSession(refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Сессия недействительна' });
+    }
+
+    const userResult = await query('SELECT id, email FROM "Users" WHERE id = $1', [rotated.userId]);
+    if (!userResult.rows[0]) {
+      return res.status(401).json({ error: 'Пользователь не найден' });
+    }
+
+    res.json({
+      token: createToken(userResult.rows[0], rotated.sessionId),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (err) {
+    console.error('Ошибка обновления токена:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Письмо со ссылкой сброса уходит в фоне: ответ не ждёт почту, и по времени ответа
+// нельзя понять, зарегистрирован ли email. Ошибка почты только пишется в лог
+async function sendResetPasswordEmail(user) {
+  try {
+    const token = await createAuthToken(user.id, 'reset_password');
+    await sendMail({ to: user.email, ...emails.resetPasswordEmail(token) });
+  } catch (err) {
+    console.error('Ошибка отправки письма для сброса пароля:', err);
+  }
+}
+
+// Запросы сброса пароля считаются тем же ограничителем, что и вход: каждый запрос — «попытка»
+const resetLimiter = createLoginLimiter({
+  windowMs: 60 * 60 * 1000,
+  lockoutMs: 60 * 60 * 1000,
+  maxAccountFailures: 5,
+  maxIpFailures: 20,
+  freeAttempts: 1
+});
+
+// Запрос на сброс пароля. Ответ одинаковый независимо от того, есть ли такой email
+app.post('/api/auth/forgot', async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ error: 'Email обязателен' });
+  }
+
+  const subject = { ip: req.ip, account: email };
+
+  try {
+    const limit = await resetLimiter.check(subject);
+    if (!limit.allowed) {
+      const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Слишком много запросов. Повторите позже', retryAfter });
+    }
+    await resetLimiter.recordFailure(subject);
+
+    const result = await query('SELECT id, email FROM "Users" WHERE email = $1', [email]);
+    const user = result.rows[0];
+    if (user) {
+      sendResetPasswordEmail(user);
+    }
+    res.json({ message: 'Если такой email зарегистрирован, мы отправили на него ссылку для сброса пароля' });
+  } catch (err) {
+    console.error('Ошибка запроса сброса пароля:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Установка нового пароля по токену из письма
+app.post('/api/auth/reset', async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Токен и новый пароль обязательны' });
+  }
+
+  try {
+    const userId = await consumeAuthToken(token, 'reset_password');
+    if (!userId) {
+      return res.status(400).json({ error: 'Ссылка недействительна или устарела' });
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    await query('UPDATE "Users" SET password = $1 WHERE id = $2', [hash, userId]);
+    // После смены пароля завершаем все открытые сессии
+    await sessions.revokeAllSessions(userId);
+    realtime.disconnect(userId);
+
+    res.json({ message: 'Пароль изменён, войдите с новым паролем' });
+  } catch (err) {
+    console.error('Ошибка сброса пароля:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Подтверждение email по токену из письма
+app.post('/api/auth/verify', async (req, res) => {
+  const { token } = req.body;
+  if (!token) {
+    return res.status(400).json({ error: 'Токен обязателен' });
+  }
+
+  try {
+    const userId = await consumeAuthToken(token, 'verify_email');
+    if (!userId) {
+      return res.status(400).json({ error: 'Ссылка недействительна или устарела' });
+    }
+
+    await query('UPDATE "Users" SET "emailVerified" = true WHERE id = $1', [userId]);
+    res.json({ message: 'Email подтверждён' });
+  } catch (err) {
+    console.error('Ошибка подтверждения email:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Повторная отправка письма с подтверждением
+app.post('/api/auth/verify/resend', getCurrentUser, async (req, res) => {
+  if (req.currentUser.emailVerified) {
+    return res.status(400).json({ error: 'Email уже подтверждён' });
+  }
+  await sendVerificationEmail(req.currentUser);
+  res.json({ message: 'Письмо отправлено' });
+});
+
+// Статус двухфакторной аутентификации
+app.get('/api/2fa/status', getCurrentUser, async (req, res) => {
+  try {
+    res.json(await twoFactor.getStatus(req.currentUser.id));
+  } catch (err) {
+    console.error('Ошибка получения статуса 2FA:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Начало подключения 2FA: новый секрет и QR-код (генерируется на сервере)
+app.post('/api/2fa/setup', getCurrentUser, async (req, res) => {
+  try {
+    const status = await twoFactor.getStatus(req.currentUser.id);
+    if (status.enabled) {
+      return res.status(400).json({ error: 'Двухфакторная аутентификация уже включена' });
+    }
+
+    const secret = await twoFactor.startEnrollment(req.currentUser.id);
+    const otpauthUrl = buildOtpauthUrl({ secret, account: req.currentUser.email });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error('Ошибка подключения 2FA:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Подтверждение подключения кодом из приложения, выдача резервных кодов
+app.post('/api/2fa/enable', getCurrentUser, async (req, res) => {
+  try {
+    const backupCodes = await twoFactor.confirmEnrollment(req.currentUser.id, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({ error: 'Неверный код' });
+    }
+    res.json({ message: 'Двухфакторная аутентификация включена', backupCodes });
+  } catch (err) {
+    console.error('Ошибка включения 2FA:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Новый набор резервных кодов (старые перестают действовать)
+app.post('/api/2fa/backup-codes', getCurrentUser, async (req, res) => {
+  try {
+    if (!(await verifySecondFactorLimited(req, res, req.currentUser.id, req.body.code, { invalidStatus: 400 }))) return;
+    const backupCodes = await twoFactor.generateBackupCodes(req.currentUser.id);
+    res.json({ backupCodes });
+  } catch (err) {
+    console.error('Ошибка генерации резервных кодов:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Отключение 2FA (требует действующий код)
+app.post('/api/2fa/disable', getCurrentUser, async (req, res) => {
+  try {
+    if (!(await verifySecondFactorLimited(req, res, req.currentUser.id, req.body.code, { invalidStatus: 400 }))) return;
+    await twoFactor.disable(req.currentUser.id);
+    res.json({ message: 'Двухфакторная аутентификация отключена' });
+  } catch (err) {
+    console.error('Ошибка отключения 2FA:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Выход из текущей сессии
+app.post('/api/auth/logout', getCurrentUser, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.sessionId, req.currentUser.id);
+    realtime.disconnect(req.currentUser.id, req.sessionId);
+    res.json({ message: 'Вы вышли из системы' });
+  } catch (err) {
+    console.error('Ошибка выхода:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Активные сессии текущего пользователя
+app.get('/api/sessions', getCurrentUser, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(req.currentUser.id);
+    res.json(rows.map(row => ({ ...row, current: row.id === req.sessionId })));
+  } catch (err) {
+    console.error('Ошибка получения сессий:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Завершение одной сессии (удалённый выход с устройства)
+app.delete('/api/sessions/:id', getCurrentUser, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeSession(Number(req.params.id), req.currentUser.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Сессия не найдена' });
+    }
+    realtime.disconnect(req.currentUser.id, Number(req.params.id));
+    res.json({ message: 'Сессия завершена' });
+  } catch (err) {
+    console.error('Ошибка завершения сессии:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Выход на всех устройствах
+app.delete('/api/sessions', getCurrentUser, async (req, res) => {
+  try {
+    const count = await sessions.revokeAllSessions(req.currentUser.id);
+    realtime.disconnect(req.currentUser.id);
+    res.json({ message: 'Все сессии завершены', count });
+  } catch (err) {
+    console.error('Ошибка завершения сессий:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
 // Профиль
 app.get('/api/profile/:id', async (req, res) => {
   const id = req.params.id;
   
   try {
-    const result = await query(
-      'SELECT id, email, "firstName", "lastName", photo, description FROM "Users" WHERE id = $1',
-      [id]
-    );
+    const profile = await profiles.getProfile({ query }, id);
     
-    if (!result.rows[0]) {
+    if (!profile) {
       return res.status(404).json({ error: 'Пользователь не найден' });
     }
     
-    res.json(result.rows[0]);
+    res.json(profile);
   } catch (err) {
     console.error('Ошибка получения профиля:', err);
     res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
-app.put('/api/profile/:id', async (req, res) => {
+app.put('/api/profile/:id', getCurrentUser, authorize('profile:update', 'profile'), async (req, res) => {
   const id = req.params.id;
   const { firstName, lastName, photo, description } = req.body;
   
   try {
-    const result = await query(
-      'UPDATE "Users" SET "firstName" = $1, "lastName" = $2, photo = $3, description = $4 WHERE id = $5 RETURNING *',
-      [firstName, lastName, photo, description, id]
-    );
+    const user = await profiles.updateProfile({ query }, id, { firstName, lastName, photo, description });
     
-    res.json({ message: 'Профиль успешно обновлён', user: result.rows[0] });
+    res.json({ message: 'Профиль успешно обновлён', user });
   } catch (err) {
     console.error('Ошибка обновления профиля:', err);
     res.status(500).json({ error: 'Ошибка обновления профиля' });
   }
 });
 
+// Смена ролей. Пользователь выбирает заказчика/исполнителя, роль admin выдаёт только администратор
+app.put('/api/profile/:id/roles', getCurrentUser, authorize('roles:update', 'profile'), async (req, res) => {
+  const canGrantAdmin = can(req.currentUser, 'roles:grantAdmin');
+  const roles = parseRoles(req.body.roles, canGrantAdmin ? ROLES : undefined);
+  if (!roles) {
+    return res.status(400).json({ error: 'Некорректный список ролей' });
+  }
+  
+  try {
+    // Роль admin нельзя потерять, просто пересохранив свои роли
+    if (!canGrantAdmin && req.currentUser.roles.includes('admin')) {
+      roles.push('admin');
+    }
+    const result = await query(
+      'UPDATE "Users" SET roles = $1 WHERE id = $2 RETURNING id, roles',
+      [roles, req.params.id]
+    );
+    res.json({ message: 'Роли обновлены', roles: result.rows[0].roles });
+  } catch (err) {
+    console.error('Ошибка обновления ролей:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
 // Создание кейса
 const uploadCaseFiles = upload.fields([{ name: 'cover', maxCount: 1 }, { name: 'files', maxCount: 15 }]);
 
-app.post('/api/cases', uploadCaseFiles, async (req, res) => {
+// Размещение кейса сразу в статусе open: запись, история статусов, подписчики темы и вебхук case.created.
+// Общее для формы на сайте и публичного API
+async function createCase(userId, { title, theme, description, cover = null, files = [], terms, isPrivate }) {
+  const { budgetType = null, budgetMin = null, budgetMax = null, currency = 'RUB', deadline = null } = terms;
+  const client = await pool.connect();
+  let row;
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO "Cases" ("userId", title, theme, description, cover, files, status,
+                            "budgetType", "budgetMin", "budgetMax", currency, deadline, "isPrivate") 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [userId, title, theme || '', description || '', cover, JSON.stringify(files), 'open',
+       budgetType, budgetMin, budgetMax, currency, deadline, parseFlag(isPrivate)]
+    );
+    row = result.rows[0];
+    await recordStatus(client, row.id, null, 'open', { actorId: userId });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  notifyThemeFollowers(row);
+  emitWebhookEvent('case.created', [userId], { case: webhooks.casePayload(row) });
+  return row;
+}
+
+app.post('/api/cases', getCurrentUser, authorize('case:create'), uploadCaseFiles, async (req, res) => {
   try {
-    const { userId, title, theme, description } = req.body;
-    if (!userId || !title)
-      return res.status(400).json({ error: 'userId и title обязательны' });
+    const { title, theme, description } = req.body;
+    if (!title)
+      return res.status(400).json({ error: 'title обязателен' });
+    const terms = validateTerms(req.body);
+    if (terms.error)
+      return res.status(400).json({ error: terms.error });
 
     let coverPath = null;
     if (req.files.cover && req.files.cover[0])
@@ -410,13 +721,10 @@ app.post('/api/cases', uploadCaseFiles, async (req, res) => {
     if (req.files.files)
       filesPaths = req.files.files.map(file => `/uploads/${file.filename}`);
 
-    const result = await query(
-      `INSERT INTO "Cases" ("userId", title, theme, description, cover, files, status) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-      [userId, title, theme || '', description || '', coverPath, JSON.stringify(filesPaths), 'open']
-    );
-
-    res.json({ id: result.rows[0].id, message: 'Кейс успешно создан' });
+    const row = await createCase(req.currentUser.id, {
+      title, theme, description, cover: coverPath, files: filesPaths, terms: terms.value, isPrivate: req.body.isPrivate
+    });
+    res.json({ id: row.id, message: 'Кейс успешно создан' });
   } catch (err) {
     console.error('Ошибка создания кейса:', err);
     res.status(500).json({ error: 'Ошибка при сохранении кейса' });
@@ -424,10 +732,11 @@ app.post('/api/cases', uploadCaseFiles, async (req, res) => {
 });
 
 // Получение кейсов с фильтрацией - ПОЛНОСТЬЮ ИСПРАВЛЕННАЯ ВЕРСИЯ
-app.get('/api/cases', async (req, res) => {
+app.get('/api/cases', getOptionalUser, async (req, res) => {
   console.log('🔍 /api/cases called with query:', req.query);
   
   const userId = req.query.userId;
+  const viewerId = req.currentUser ? req.currentUser.id : null;
   
   try {
     let sql = `
@@ -437,15 +746,28 @@ app.get('/api/cases', async (req, res) => {
       FROM "Cases" c 
       LEFT JOIN "Users" u ON c."userId" = u.id
     `;
-    const params = [];
+    // Удалённые кейсы не показываются, черновики и закрытые кейсы в списке видит только их автор
+    const params = [viewerId];
+    const conditions = [
+      'c."deletedAt" IS NULL',
+      `(c.status <> 'draft' OR c."userId" = $1)`,
+      `(c."isPrivate" = FALSE OR c."userId" = $1)`
+    ];
     
     if (userId) {
-      sql += ' WHERE c."userId" = $1';
       params.push(userId);
+      conditions.push(`c."userId" = $${params.length}`);
       console.log(`🔍 Filtering by userId: ${userId}`);
     }
     
-    sql += ' ORDER BY c."createdAt" DESC';
+    // Фильтры по статусу, теме, бюджету и сроку, сортировка — см. lib/cases.js
+    const filters = buildListFilters(req.query, params, 'c');
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    conditions.push(...filters.conditions);
+    
+    sql += ` WHERE ${conditions.join(' AND ')} ORDER BY ${filters.orderBy}`;
     
     console.log('📝 Final SQL query:', sql);
     console.log('📝 SQL params:', params);
@@ -481,6 +803,8 @@ app.get('/api/cases', async (req, res) => {
         userEmail: row.userEmail,
         cover: row.cover,
         files: files,
+        ...pickTerms(row),
+        isPrivate: !!row.isPrivate,
         createdAt: row.createdAt,
         updatedAt: row.updatedAt
       };
@@ -496,11 +820,11 @@ app.get('/api/cases', async (req, res) => {
     // Fallback - попробуем получить базовые данные
     try {
       console.log('🔄 Fallback: trying basic query...');
-      let fallbackSql = 'SELECT id, title, status, cover FROM "Cases"';
+      let fallbackSql = `SELECT id, title, status, cover FROM "Cases" WHERE "deletedAt" IS NULL AND status <> 'draft' AND "isPrivate" = FALSE`;
       const fallbackParams = [];
       
       if (userId) {
-        fallbackSql += ' WHERE "userId" = $1';
+        fallbackSql += ' AND "userId" = $1';
         fallbackParams.push(userId);
       }
       
@@ -532,7 +856,7 @@ app.get('/api/cases', async (req, res) => {
 });
 
 // Детали кейса - ПОЛНОСТЬЮ ИСПРАВЛЕННАЯ ВЕРСИЯ
-app.get('/api/cases/:id', async (req, res) => {
+app.get('/api/cases/:id', getOptionalUser, async (req, res) => {
   const id = req.params.id;
   console.log('🔍 Getting case details for id:', id);
   
@@ -543,17 +867,22 @@ app.get('/api/cases/:id', async (req, res) => {
         u.email as "userEmail" 
       FROM "Cases" c 
       LEFT JOIN "Users" u ON c."userId" = u.id 
-      WHERE c.id = $1`,
+      WHERE c.id = $1 AND c."deletedAt" IS NULL`,
       [id]
     );
     
-    if (!result.rows[0]) {
+    const row = result.rows[0];
+    // Черновик для посторонних выглядит несуществующим
+    // Закрытый кейс — тоже, кроме участников и приглашённых
+    const hidden = row && (
+      (row.status === 'draft' && !can(req.currentUser, 'case:update', row)) ||
+      !(await invitations.canViewCase({ query }, req.currentUser, row))
+    );
+    if (!row || hidden) {
       console.log('❌ Case not found:', id);
       return res.status(404).json({ error: 'Кейс не найден' });
     }
-    
-    const row = result.rows[0];
-    console.log('📄 Raw case data:', row);
+    console.log('📄 Raw case data:', row);
     
     // Обработка files
     let files = [];
@@ -577,8 +906,11 @@ app.get('/api/cases/:id', async (req, res) => {
       status: row.status || 'open',
       userId: row.userId,
       userEmail: row.userEmail,
+      executorId: row.executorId,
       cover: row.cover,
       files: files,
+      ...pickTerms(row),
+      isPrivate: !!row.isPrivate,
       createdAt: row.createdAt,
       updatedAt: row.updatedAt
     };
@@ -596,13 +928,88 @@ app.get('/api/cases/:id', async (req, res) => {
   }
 });
 
-// Принять кейс (перенос в ProcessedCases)
-app.put('/api/cases/:id/accept', async (req, res) => {
-  const caseId = Number(req.params.id);
-  const { executorId } = req.body;
+// Сохраняет проверенные validateCaseUpdate поля кейса
+async function saveCaseUpdate(caseId, value) {
+  const fields = value.files ? { ...value, files: JSON.stringify(value.files) } : value;
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, i) => `"${column}" = $${i + 1}`);
+  const result = await query(
+    `UPDATE "Cases" SET ${assignments.join(', ')}, "updatedAt" = NOW()
+     WHERE id = $${columns.length + 1} RETURNING *`,
+    [...columns.map(column => fields[column]), caseId]
+  );
+  console.log(`✏️ Case ${caseId} updated: ${columns.join(', ')}`);
+  return result.rows[0];
+}
+
+// Редактирование кейса до начала работы: поля, обложка, добавление и удаление файлов
+app.patch('/api/cases/:id', getCurrentUser, authorize('case:update', 'case'), uploadCaseFiles, async (req, res) => {
+  const caseRow = req.resource;
+  if (!NOT_STARTED_STATUSES.includes(caseRow.status)) {
+    return res.status(409).json({ error: 'Работа по кейсу уже началась, изменить его нельзя', status: caseRow.status });
+  }
+  
+  // Без multipart (JSON-запрос) multer не заполняет req.files
+  const files = req.files || {};
+  const uploaded = {
+    cover: files.cover && files.cover[0] ? `/uploads/${files.cover[0].filename}` : null,
+    files: (files.files || []).map(file => `/uploads/${file.filename}`)
+  };
+  const { value, error } = validateCaseUpdate(req.body, { ...caseRow, files: parseFiles(caseRow.files) }, uploaded);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
-  if (!executorId || isNaN(caseId)) {
-    return res.status(400).json({ error: 'Неверные параметры' });
+  try {
+    const row = await saveCaseUpdate(caseRow.id, value);
+    res.json({ ...row, files: parseFiles(row.files) });
+  } catch (err) {
+    console.error('Ошибка редактирования кейса:', err);
+    res.status(500).json({ error: 'Ошибка при сохранении кейса' });
+  }
+});
+
+// Публикация и снятие с публикации: переход статуса из списка from
+function caseTransition(to, from) {
+  return async (req, res) => {
+    if (!from.includes(req.resource.status)) {
+      return res.status(409).json({ error: 'Действие недоступно в текущем статусе кейса', status: req.resource.status });
+    }
+    
+    try {
+      const client = await pool.connect();
+      
+      try {
+        await client.query('BEGIN');
+        const transition = await transitionCase(client, req.resource.id, to, { actorId: req.currentUser.id });
+        if (!transition) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Статус кейса уже изменён, обновите страницу' });
+        }
+        await client.query('COMMIT');
+        if (to === 'open') notifyThemeFollowers(req.resource);
+        res.json({ message: 'Статус обновлён', status: to });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      console.error(`Ошибка перевода кейса в ${to}:`, err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+app.put('/api/cases/:id/publish', getCurrentUser, authorize('case:update', 'case'), caseTransition('open', ['draft']));
+app.put('/api/cases/:id/unpublish', getCurrentUser, authorize('case:update', 'case'), caseTransition('draft', ['open', 'in_review']));
+
+// Мягкое удаление: кейс отменяется и скрывается, действующие отклики отклоняются.
+// После начала работы удалить кейс нельзя
+async function deleteCase(req, res) {
+  if (!NOT_STARTED_STATUSES.includes(req.resource.status)) {
+    return res.status(409).json({ error: 'Работа по кейсу уже началась, удалить его нельзя', status: req.resource.status });
   }
   
   try {
@@ -610,29 +1017,337 @@ app.put('/api/cases/:id/accept', async (req, res) => {
     
     try {
       await client.query('BEGIN');
+      const transition = await transitionCase(client, req.resource.id, 'cancelled', {
+        actorId: req.currentUser.id,
+        comment: 'Кейс удалён'
+      });
+      if (!transition) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Статус кейса уже изменён, обновите страницу' });
+      }
+      await client.query('UPDATE "Cases" SET "deletedAt" = NOW() WHERE id = $1', [req.resource.id]);
+      await client.query(
+        `UPDATE "Proposals" SET status = 'declined', "updatedAt" = NOW()
+         WHERE "caseId" = $1 AND status = ANY($2)`,
+        [req.resource.id, ACTIVE_STATUSES]
+      );
+      await client.query(
+        `UPDATE "CaseInvitations" SET status = 'withdrawn', "respondedAt" = NOW() WHERE "caseId" = $1 AND status = 'pending'`,
+        [req.resource.id]
+      );
+      await client.query('COMMIT');
+      
+      console.log(`🗑️ Case ${req.resource.id} deleted by user ${req.currentUser.id}`);
+      res.json({ message: 'Кейс удалён' });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка удаления кейса:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+}
+
+app.delete('/api/cases/:id', getCurrentUser, authorize('case:delete', 'case'), deleteCase);
+
+// История статусов кейса для его участников
+app.get('/api/cases/:id/timeline', getCurrentUser, authorize('case:timeline', 'case'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT h.id, h."fromStatus", h."toStatus", h.comment, h."createdAt", h."actorId",
+              u."firstName", u."lastName", u.email AS "actorEmail"
+       FROM "CaseStatusHistory" h LEFT JOIN "Users" u ON u.id = h."actorId"
+       WHERE h."caseId" = $1
+       ORDER BY h."createdAt", h.id`,
+      [req.resource.id]
+    );
+    res.json({ caseId: req.resource.id, status: req.resource.status, events: result.rows });
+  } catch (err) {
+    console.error('Ошибка получения истории статусов:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Отклики на кейс: заказчик видит все, исполнитель — только свои
+app.get('/api/cases/:id/proposals', getCurrentUser, authorize('proposal:list', 'case'), async (req, res) => {
+  const caseRow = req.resource;
+  const seesAll = isAdmin(req.currentUser) || Number(caseRow.userId) === Number(req.currentUser.id);
+  
+  try {
+    const result = await query(
+      `SELECT p.*, u.email AS "freelancerEmail", u."firstName", u."lastName", u.photo
+       FROM "Proposals" p JOIN "Users" u ON u.id = p."freelancerId"
+       WHERE p."caseId" = $1 ${seesAll ? '' : 'AND p."freelancerId" = $2'}
+       ORDER BY p."createdAt" DESC`,
+      seesAll ? [caseRow.id] : [caseRow.id, req.currentUser.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения откликов:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.post('/api/cases/:id/proposals', getCurrentUser, authorize('proposal:create', 'case'), async (req, res) => {
+  const caseRow = req.resource;
+  if (!OPEN_FOR_PROPOSALS.includes(caseRow.status)) {
+    return res.status(409).json({ error: 'Кейс уже не принимает отклики' });
+  }
+  
+  const { value, error } = validateProposal(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    if (!(await invitations.canPropose({ query }, req.currentUser, caseRow))) {
+      return res.status(403).json({ error: 'Кейс закрытый: откликнуться можно только по приглашению заказчика' });
+    }
+    
+    const result = await query(
+      `INSERT INTO "Proposals" ("caseId", "freelancerId", "coverLetter", price, deadline, "portfolioLinks")
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [caseRow.id, req.currentUser.id, value.coverLetter, value.price, value.deadline, value.portfolioLinks]
+    );
+    console.log(`📨 Proposal ${result.rows[0].id} for case ${caseRow.id} from user ${req.currentUser.id}`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Вы уже откликнулись на этот кейс' });
+    }
+    console.error('Ошибка создания отклика:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Смена статуса отклика (отзыв, шорт-лист, отказ). Первый шорт-лист переводит кейс
+// из open в in_review: заказчик начал выбирать исполнителя
+function proposalTransition(action) {
+  return async (req, res) => {
+    const proposal = req.resource;
+    const status = nextStatus(proposal.status, action);
+    if (!status) {
+      return res.status(409).json({ error: 'Действие недоступно в текущем статусе отклика', status: proposal.status });
+    }
+    
+    try {
+      const client = await pool.connect();
       
-      const caseResult = await client.query('SELECT * FROM "Cases" WHERE id = $1', [caseId]);
-      if (!caseResult.rows[0]) {
+      try {
+        await client.query('BEGIN');
+        const result = await client.query(
+          'UPDATE "Proposals" SET status = $1, "updatedAt" = NOW() WHERE id = $2 AND status = $3 RETURNING *',
+          [status, proposal.id, proposal.status]
+        );
+        if (!result.rows[0]) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Отклик уже изменён, обновите страницу' });
+        }
+        if (action === 'shortlist') {
+          const caseResult = await client.query('SELECT status FROM "Cases" WHERE id = $1', [proposal.caseId]);
+          if (caseResult.rows[0].status === 'open') {
+            await transitionCase(client, proposal.caseId, 'in_review', { actorId: req.currentUser.id });
+          }
+        }
+        await client.query('COMMIT');
+        res.json(result.rows[0]);
+      } catch (err) {
         await client.query('ROLLBACK');
-        return res.status(404).json({ error: 'Кейс не найден' });
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      console.error(`Ошибка действия ${action} с откликом:`, err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+app.put('/api/proposals/:id/withdraw', getCurrentUser, authorize('proposal:withdraw', 'proposal'), proposalTransition('withdraw'));
+app.put('/api/proposals/:id/shortlist', getCurrentUser, authorize('proposal:decide', 'proposal'), proposalTransition('shortlist'));
+app.put('/api/proposals/:id/decline', getCurrentUser, authorize('proposal:decide', 'proposal'), proposalTransition('decline'));
+
+// Прямые приглашения: заказчик зовёт исполнителя в свой кейс, тот принимает или отказывается.
+// Приняв приглашение, исполнитель отправляет обычный отклик — на закрытый кейс только так
+app.post('/api/cases/:id/invitations', getCurrentUser, authorize('invitation:create', 'case'), async (req, res) => {
+  const caseRow = req.resource;
+  if (!OPEN_FOR_PROPOSALS.includes(caseRow.status)) {
+    return res.status(409).json({ error: 'Пригласить можно только в кейс, который принимает отклики', status: caseRow.status });
+  }
+  
+  const { value, error } = invitations.validateInvitation(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const userResult = await query('SELECT id, roles FROM "Users" WHERE id = $1', [value.freelancerId]);
+    const freelancer = userResult.rows[0];
+    if (!freelancer) {
+      return res.status(404).json({ error: 'Пользователь не найден' });
+    }
+    if (!hasRole(freelancer, 'freelancer') || Number(freelancer.id) === Number(caseRow.userId)) {
+      return res.status(400).json({ error: 'Пригласить можно только исполнителя' });
+    }
+    
+    const proposal = await query(
+      'SELECT id FROM "Proposals" WHERE "caseId" = $1 AND "freelancerId" = $2 AND status = ANY($3)',
+      [caseRow.id, freelancer.id, ACTIVE_STATUSES]
+    );
+    if (proposal.rows[0]) {
+      return res.status(409).json({ error: 'Исполнитель уже откликнулся на этот кейс' });
+    }
+    
+    const result = await query(
+      `INSERT INTO "CaseInvitations" ("caseId", "invitedBy", "freelancerId", message)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [caseRow.id, req.currentUser.id, freelancer.id, value.message]
+    );
+    console.log(`✉️ Invitation ${result.rows[0].id}: case ${caseRow.id} -> user ${freelancer.id}`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Этот исполнитель уже приглашён в кейс' });
+    }
+    console.error('Ошибка создания приглашения:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Приглашения текущего пользователя: полученные как исполнитель и отправленные как заказчик
+app.get('/api/invitations', getCurrentUser, authorize('invitation:list'), async (req, res) => {
+  const sent = req.query.direction === 'sent';
+  
+  try {
+    const result = await query(
+      `SELECT i.*, c.title AS "caseTitle", c.status AS "caseStatus", c."isPrivate",
+              f.email AS "freelancerEmail", f."firstName" AS "freelancerFirstName", f."lastName" AS "freelancerLastName",
+              o.email AS "customerEmail", o."firstName" AS "customerFirstName", o."lastName" AS "customerLastName"
+       FROM "CaseInvitations" i
+       JOIN "Cases" c ON c.id = i."caseId"
+       LEFT JOIN "Users" f ON f.id = i."freelancerId"
+       LEFT JOIN "Users" o ON o.id = c."userId"
+       WHERE ${sent ? 'c."userId"' : 'i."freelancerId"'} = $1 AND c."deletedAt" IS NULL
+       ORDER BY (i.status = 'pending') DESC, i."createdAt" DESC`,
+      [req.currentUser.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения приглашений:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+function invitationTransition(action) {
+  return async (req, res) => {
+    const invitation = req.resource;
+    const status = invitations.nextStatus(invitation.status, action);
+    if (!status) {
+      return res.status(409).json({ error: 'Приглашение уже закрыто', status: invitation.status });
+    }
+    if (action === 'accept' && !OPEN_FOR_PROPOSALS.includes(invitation.caseStatus)) {
+      return res.status(409).json({ error: 'Кейс уже не принимает отклики', status: invitation.caseStatus });
+    }
+    
+    try {
+      const result = await query(
+        `UPDATE "CaseInvitations" SET status = $1, "respondedAt" = NOW()
+         WHERE id = $2 AND status = $3 RETURNING *`,
+        [status, invitation.id, invitation.status]
+      );
+      if (!result.rows[0]) {
+        return res.status(409).json({ error: 'Приглашение уже изменено, обновите страницу' });
       }
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error(`Ошибка действия ${action} с приглашением:`, err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+app.put('/api/invitations/:id/accept', getCurrentUser, authorize('invitation:respond', 'invitation'), invitationTransition('accept'));
+app.put('/api/invitations/:id/decline', getCurrentUser, authorize('invitation:respond', 'invitation'), invitationTransition('decline'));
+app.put('/api/invitations/:id/withdraw', getCurrentUser, authorize('invitation:withdraw', 'invitation'), invitationTransition('withdraw'));
+
+// Принятие отклика — единственный способ передать кейс в работу.
+// Остальные действующие отклики на кейс отклоняются
+app.put('/api/proposals/:id/accept', getCurrentUser, authorize('proposal:decide', 'proposal'), async (req, res) => {
+  const proposalId = req.resource.id;
+  
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
       
+      const proposalResult = await client.query('SELECT * FROM "Proposals" WHERE id = $1 FOR UPDATE', [proposalId]);
+      const proposal = proposalResult.rows[0];
+      const caseResult = await client.query('SELECT * FROM "Cases" WHERE id = $1 FOR UPDATE', [proposal.caseId]);
       const caseRow = caseResult.rows[0];
       
-      const userResult = await client.query('SELECT email FROM "Users" WHERE id = $1', [executorId]);
-      const executorEmail = userResult.rows[0] ? userResult.rows[0].email : null;
+      if (!nextStatus(proposal.status, 'accept')) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Этот отклик нельзя принять', status: proposal.status });
+      }
+      if (!(await transitionCase(client, caseRow.id, 'in_progress', { actorId: req.currentUser.id }))) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Кейс уже передан в работу' });
+      }
       
-      await client.query(
-        `INSERT INTO "ProcessedCases" ("caseId", "userId", title, theme, description, cover, files, status, "executorId", "executorEmail")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      const executorResult = await client.query('SELECT email FROM "Users" WHERE id = $1', [proposal.freelancerId]);
+      const executorEmail = executorResult.rows[0].email;
+      
+      const processedResult = await client.query(
+        `INSERT INTO "ProcessedCases" ("caseId", "userId", title, theme, description, cover, files, status, "executorId", "executorEmail",
+                                       "budgetType", "budgetMin", "budgetMax", currency, deadline)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING id`,
         [caseRow.id, caseRow.userId, caseRow.title, caseRow.theme, caseRow.description, caseRow.cover, 
-         caseRow.files, 'in_process', executorId, executorEmail]
+         caseRow.files, 'in_progress', proposal.freelancerId, executorEmail, ...termValues(caseRow)]
+      );
+      
+      await client.query(
+        'UPDATE "Cases" SET "executorId" = $1 WHERE id = $2',
+        [proposal.freelancerId, caseRow.id]
       );
       
-      await client.query('UPDATE "Cases" SET status = $1 WHERE id = $2', ['accepted', caseId]);
+      // Заказчик оплачивает работу в эскроу по цене принятого отклика
+      await fundEscrow(client, {
+        caseId: caseRow.id,
+        customerId: caseRow.userId,
+        executorId: proposal.freelancerId,
+        amount: proposal.price,
+        currency: caseRow.currency
+      });
+      await client.query(
+        `UPDATE "Proposals" SET status = 'accepted', "updatedAt" = NOW() WHERE id = $1`,
+        [proposal.id]
+      );
+      await client.query(
+        `UPDATE "Proposals" SET status = 'declined', "updatedAt" = NOW()
+         WHERE "caseId" = $1 AND id <> $2 AND status = ANY($3)`,
+        [caseRow.id, proposal.id, ACTIVE_STATUSES]
+      );
+      await client.query(
+        `UPDATE "CaseInvitations" SET status = 'withdrawn', "respondedAt" = NOW() WHERE "caseId" = $1 AND status = 'pending'`,
+        [caseRow.id]
+      );
       
       await client.query('COMMIT');
-      res.json({ message: 'Кейс принят', caseId });
+      console.log(`🤝 Proposal ${proposal.id} accepted, case ${caseRow.id} -> user ${proposal.freelancerId}`);
+      sendNotification(proposal.freelancerId, 'case_accepted', { caseTitle: caseRow.title, processedCaseId: processedResult.rows[0].id });
+      emitWebhookEvent('case.accepted', [caseRow.userId, proposal.freelancerId], {
+        case: webhooks.casePayload({ ...caseRow, status: 'in_progress' }),
+        processedCaseId: processedResult.rows[0].id,
+        executorId: proposal.freelancerId,
+        proposalId: proposal.id,
+        price: proposal.price
+      });
+      res.json({ message: 'Отклик принят, кейс передан в работу', caseId: caseRow.id, processedCaseId: processedResult.rows[0].id });
       
     } catch (err) {
       await client.query('ROLLBACK');
@@ -641,26 +1356,54 @@ app.put('/api/cases/:id/accept', async (req, res) => {
       client.release();
     }
   } catch (err) {
-    console.error('Ошибка принятия кейса:', err);
-    res.status(500).json({ error: err.message || 'Ошибка сервера' });
+    if (err instanceof PaymentError) {
+      return res.status(402).json({ error: err.message });
+    }
+    console.error('Ошибка принятия отклика:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
+// Прогресс по этапам для набора кейсов: caseId -> процент (null, если этапов нет)
+async function loadMilestoneProgress(caseIds) {
+  const progress = new Map(caseIds.map(id => [Number(id), null]));
+  if (caseIds.length === 0) return progress;
+  
+  const result = await query('SELECT "caseId", amount, status FROM "Milestones" WHERE "caseId" = ANY($1)', [caseIds]);
+  const byCase = new Map();
+  for (const row of result.rows) {
+    const list = byCase.get(Number(row.caseId)) || [];
+    list.push(row);
+    byCase.set(Number(row.caseId), list);
+  }
+  for (const [caseId, list] of byCase) {
+    progress.set(caseId, milestones.computeProgress(list));
+  }
+  return progress;
+}
+
 // Получение принятых кейсов - ИСПРАВЛЕННАЯ ВЕРСИЯ
-app.get('/api/processed-cases', async (req, res) => {
+// Принятые кейсы из закрытых кейсов видят только заказчик и исполнитель — как в /api/cases
+app.get('/api/processed-cases', getOptionalUser, async (req, res) => {
   console.log('🔍 /api/processed-cases called');
+  const viewerId = req.currentUser ? req.currentUser.id : null;
   
   try {
     const result = await query(
       `SELECT 
         pc.*, 
+        c."isPrivate",
         u.email as "userEmail" 
       FROM "ProcessedCases" pc 
-      LEFT JOIN "Users" u ON pc."userId" = u.id`
+      JOIN "Cases" c ON c.id = pc."caseId"
+      LEFT JOIN "Users" u ON pc."userId" = u.id
+      WHERE ${invitations.visibleCaseSql('c', '$1')}`,
+      [viewerId]
     );
     
     console.log('📊 Processed cases found:', result.rows.length);
     
+    const progress = await loadMilestoneProgress(result.rows.map(row => row.caseId));
     const rows = result.rows.map(row => {
       let files = [];
       if (row.files) {
@@ -677,161 +1420,1421 @@ app.get('/api/processed-cases', async (req, res) => {
       
       return {
         ...row,
-        files: files
+        files: files,
+        progress: progress.get(Number(row.caseId))
       };
     });
     
     res.json(rows);
   } catch (err) {
-    console.error('❌ Ошибка получения принятых кейсов:', err);
-    console.error('❌ Error details:', err.message);
-    res.status(500).json({ 
-      error: 'Ошибка при получении принятых кейсов',
-      details: err.message
-    });
+    console.error('❌ Ошибка получения принятых кейсов:', err);
+    console.error('❌ Error details:', err.message);
+    res.status(500).json({ 
+      error: 'Ошибка при получении принятых кейсов',
+      details: err.message
+    });
+  }
+});
+
+// Детали принятого кейса - ИСПРАВЛЕННАЯ ВЕРСИЯ
+app.get('/api/processed-cases/:id', getOptionalUser, async (req, res) => {
+  const id = req.params.id;
+  console.log('🔍 Getting processed case details for id:', id);
+  
+  try {
+    const result = await query(
+      `SELECT 
+        pc.*, 
+        ${invitations.caseAccessColumns('c')},
+        u.email as "userEmail" 
+      FROM "ProcessedCases" pc 
+      JOIN "Cases" c ON c.id = pc."caseId"
+      LEFT JOIN "Users" u ON pc."userId" = u.id 
+      WHERE pc.id = $1`,
+      [id]
+    );
+    
+    const row = result.rows[0];
+    // Закрытый кейс для посторонних выглядит несуществующим. Участники — из "Cases", как и в списке
+    if (!row || !(await invitations.canViewCase({ query }, req.currentUser, invitations.caseAccessRow(row)))) {
+      return res.status(404).json({ error: 'Кейс не найден' });
+    }
+    
+    let files = [];
+    if (row.files) {
+      if (typeof row.files === 'string') {
+        try {
+          files = JSON.parse(row.files);
+        } catch (e) {
+          console.warn('⚠️ Could not parse files for processed case', row.id);
+        }
+      } else if (Array.isArray(row.files)) {
+        files = row.files;
+      }
+    }
+    
+    const progress = await loadMilestoneProgress([row.caseId]);
+    const processedCaseData = {
+      ...row,
+      files: files,
+      progress: progress.get(Number(row.caseId))
+    };
+    
+    console.log('✅ Sending processed case data for id:', id);
+    res.json(processedCaseData);
+  } catch (err) {
+    console.error('Ошибка получения принятого кейса:', err);
+    console.error('❌ Error details:', err.message);
+    res.status(500).json({ 
+      error: 'Ошибка при получении принятого кейса',
+      details: err.message
+    });
+  }
+});
+
+// Загрузка фото профиля
+app.post('/api/upload-photo', getCurrentUser, authorize('upload:photo'), upload.single('photo'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'Файл не выбран' });
+  res.json({ photoPath: `/uploads/${req.file.filename}` });
+});
+
+// Загрузка файлов для принятых кейсов
+const uploadExtraFiles = upload.array('extraFiles', 15);
+app.post('/api/processed-cases/:id/upload-files', getCurrentUser, authorize('processedCase:uploadFiles', 'processedCase'), uploadExtraFiles, async (req, res) => {
+  const id = req.params.id;
+  
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'Файлы не выбраны' });
+  }
+  
+  if (!EDITABLE_STATUSES.includes(req.resource.status)) {
+    return res.status(409).json({ error: 'Работа на проверке у заказчика, файлы менять нельзя' });
+  }
+  
+  try {
+    const result = await query('SELECT files FROM "ProcessedCases" WHERE id = $1', [id]);
+    
+    if (!result.rows[0]) {
+      return res.status(404).json({ error: 'Кейс не найден' });
+    }
+    
+    let existingFiles = result.rows[0].files ? JSON.parse(result.rows[0].files) : [];
+    const newFiles = req.files.map(file => `/uploads/${file.filename}`);
+    const updatedFiles = existingFiles.concat(newFiles);
+    
+    await query('UPDATE "ProcessedCases" SET files = $1 WHERE id = $2', [JSON.stringify(updatedFiles), id]);
+    sendNotification(req.resource.userId, 'files_uploaded', { caseTitle: req.resource.title, processedCaseId: req.resource.id, count: newFiles.length });
+    emitWebhookEvent('processed_case.files_uploaded', [req.resource.userId, req.resource.executorId], {
+      processedCaseId: req.resource.id,
+      caseId: req.resource.caseId,
+      title: req.resource.title,
+      files: newFiles
+    });
+    res.json({ message: 'Файлы добавлены', files: updatedFiles });
+    
+  } catch (err) {
+    console.error('Ошибка загрузки файлов:', err);
+    res.status(500).json({ error: 'Ошибка сохранения файлов' });
+  }
+});
+
+// Запись события сдачи работы в историю кейса
+async function recordDeliveryEvent(client, pCase, authorId, type, comment) {
+  await client.query(
+    `INSERT INTO "DeliveryEvents" ("caseId", "authorId", type, comment, files)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [pCase.caseId, authorId, type, comment, pCase.files]
+  );
+}
+
+// Сдача работы (исполнитель) и запрос доработок (заказчик) меняют только статус кейса
+function deliveryTransition(action, { commentRequired = false } = {}) {
+  return async (req, res) => {
+    const { value: comment, error } = validateComment(req.body.comment, { required: commentRequired });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    try {
+      const client = await pool.connect();
+      
+      try {
+        await client.query('BEGIN');
+        
+        const pCaseResult = await client.query('SELECT * FROM "ProcessedCases" WHERE id = $1 FOR UPDATE', [req.resource.id]);
+        const pCase = pCaseResult.rows[0];
+        const { to, event } = getDeliveryAction(action);
+        if (!(await transitionCase(client, pCase.caseId, to, { actorId: req.currentUser.id, comment }))) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Действие недоступно в текущем статусе', status: pCase.status });
+        }
+        
+        await recordDeliveryEvent(client, pCase, req.currentUser.id, event, comment);
+        
+        await client.query('COMMIT');
+        console.log(`📦 Processed case ${pCase.id}: ${pCase.status} -> ${to}`);
+        res.json({ message: 'Статус обновлён', status: to });
+        
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      console.error(`Ошибка действия ${action} с принятым кейсом:`, err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+app.put('/api/processed-cases/:id/submit', getCurrentUser, authorize('processedCase:submit', 'processedCase'), deliveryTransition('submit'));
+app.put('/api/processed-cases/:id/request-revision', getCurrentUser, authorize('processedCase:review', 'processedCase'), deliveryTransition('requestRevision', { commentRequired: true }));
+
+// Превращает принятый кейс в проект. Вызывается в транзакции после перехода кейса в completed
+async function createProjectFromProcessedCase(client, pCase) {
+  const projectResult = await client.query(
+    `INSERT INTO "Projects" ("caseId", "userId", title, theme, description, cover, files, status, "executorId", "executorEmail",
+                             "budgetType", "budgetMin", "budgetMax", currency, deadline)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING id`,
+    [pCase.caseId, pCase.userId, pCase.title, pCase.theme, pCase.description, pCase.cover,
+     pCase.files, 'completed', pCase.executorId, pCase.executorEmail, ...termValues(pCase)]
+  );
+  await client.query('DELETE FROM "ProcessedCases" WHERE id = $1', [pCase.id]);
+  return projectResult.rows[0].id;
+}
+
+// Документы не должны мешать приёмке: при ошибке они создадутся при первом запросе
+async function generateProjectDocuments(projectId) {
+  try {
+    const result = await query('SELECT * FROM "Projects" WHERE id = $1', [projectId]);
+    await ensureProjectDocuments({ query }, result.rows[0], documentsDir);
+  } catch (err) {
+    console.error('Ошибка генерации документов проекта:', err);
+  }
+}
+
+// Одобрение заказчиком — единственный способ превратить принятый кейс в проект
+app.put('/api/processed-cases/:id/approve', getCurrentUser, authorize('processedCase:review', 'processedCase'), async (req, res) => {
+  const { value: comment, error } = validateComment(req.body.comment);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const pCaseResult = await client.query('SELECT * FROM "ProcessedCases" WHERE id = $1 FOR UPDATE', [req.resource.id]);
+      const pCase = pCaseResult.rows[0];
+      const pending = await client.query(
+        `SELECT COUNT(*) AS count FROM "Milestones" WHERE "caseId" = $1 AND status <> 'approved'`,
+        [pCase.caseId]
+      );
+      if (parseInt(pending.rows[0].count, 10) > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Сначала примите все этапы работы' });
+      }
+      
+      const { to, event } = getDeliveryAction('approve');
+      if (!(await transitionCase(client, pCase.caseId, to, { actorId: req.currentUser.id, comment }))) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Работа ещё не отправлена на проверку', status: pCase.status });
+      }
+      
+      await recordDeliveryEvent(client, pCase, req.currentUser.id, event, comment);
+      const projectId = await createProjectFromProcessedCase(client, pCase);
+      
+      await client.query('COMMIT');
+      console.log(`✅ Processed case ${pCase.id} approved, project ${projectId} created`);
+      
+      generateProjectDocuments(projectId);
+      sendNotification(pCase.executorId, 'case_completed', { caseTitle: pCase.title, projectId });
+      emitWebhookEvent('project.completed', [pCase.userId, pCase.executorId], {
+        projectId,
+        caseId: pCase.caseId,
+        title: pCase.title,
+        executorId: pCase.executorId,
+        resolution: 'approved'
+      });
+      res.json({ message: 'Работа принята, проект создан', projectId });
+      
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка одобрения работы:', err);
+    res.status(500).json({ error: 'Ошибка создания проекта' });
+  }
+});
+
+// История сдачи работы по принятому кейсу
+app.get('/api/processed-cases/:id/deliveries', getCurrentUser, authorize('processedCase:history', 'processedCase'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT e.id, e.type, e.comment, e.files, e."createdAt", e."authorId",
+              u."firstName", u."lastName", u.email AS "authorEmail"
+       FROM "DeliveryEvents" e LEFT JOIN "Users" u ON u.id = e."authorId"
+       WHERE e."caseId" = $1 AND e."archivedAt" IS NULL
+       ORDER BY e."createdAt", e.id`,
+      [req.resource.caseId]
+    );
+    res.json(result.rows.map(row => ({ ...row, files: row.files ? JSON.parse(row.files) : [] })));
+  } catch (err) {
+    console.error('Ошибка получения истории сдачи:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Этапы принятого кейса. Задаёт и принимает заказчик, сдаёт исполнитель
+function formatMilestone(row) {
+  return {
+    id: row.id,
+    caseId: row.caseId,
+    title: row.title,
+    dueDate: row.dueDate,
+    amount: row.amount,
+    position: row.position,
+    status: row.status,
+    files: parseFiles(row.files),
+    comment: row.comment,
+    reviewComment: row.reviewComment,
+    submittedAt: row.submittedAt,
+    approvedAt: row.approvedAt,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+app.get('/api/processed-cases/:id/milestones', getCurrentUser, authorize('processedCase:history', 'processedCase'), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT * FROM "Milestones" WHERE "caseId" = $1 ORDER BY position, id',
+      [req.resource.caseId]
+    );
+    res.json({
+      milestones: result.rows.map(formatMilestone),
+      progress: milestones.computeProgress(result.rows)
+    });
+  } catch (err) {
+    console.error('Ошибка получения этапов:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Сумма этапа должна уместиться в остаток эскроу вместе с другими неоплаченными этапами.
+// Удержание блокируется до конца транзакции, чтобы параллельные запросы не поделили один остаток
+async function checkMilestoneBudget(client, caseId, amount, excludeId = 0) {
+  const hold = await lockHold(client, caseId);
+  const pending = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS total FROM "Milestones"
+     WHERE "caseId" = $1 AND status <> 'approved' AND id <> $2`,
+    [caseId, excludeId]
+  );
+  return milestones.validateMilestoneBudget({
+    pendingTotal: pending.rows[0].total,
+    amount,
+    remainingCents: hold ? remainingCents(hold) : 0
+  });
+}
+
+app.post('/api/processed-cases/:id/milestones', getCurrentUser, authorize('milestone:manage', 'processedCase'), async (req, res) => {
+  if (!milestones.CASE_STATUSES_WITH_MILESTONES.includes(req.resource.status)) {
+    return res.status(409).json({ error: 'Этапы можно задавать только пока работа идёт', status: req.resource.status });
+  }
+  
+  const { value, error } = milestones.validateMilestone(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      const budget = await checkMilestoneBudget(client, req.resource.caseId, value.amount);
+      if (budget.error) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: budget.error });
+      }
+      const result = await client.query(
+        `INSERT INTO "Milestones" ("caseId", title, "dueDate", amount, position)
+         VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(position), 0) + 1 FROM "Milestones" WHERE "caseId" = $1))
+         RETURNING *`,
+        [req.resource.caseId, value.title, value.dueDate, value.amount]
+      );
+      await client.query('COMMIT');
+      console.log(`🧩 Milestone ${result.rows[0].id} added to case ${req.resource.caseId}`);
+      res.status(201).json(formatMilestone(result.rows[0]));
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка создания этапа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.patch('/api/milestones/:id', getCurrentUser, authorize('milestone:manage', 'milestone'), async (req, res) => {
+  if (!milestones.CASE_STATUSES_WITH_MILESTONES.includes(req.resource.caseStatus)) {
+    return res.status(409).json({ error: 'Работа по кейсу не ведётся', status: req.resource.caseStatus });
+  }
+  if (!milestones.EDITABLE_STATUSES.includes(req.resource.status)) {
+    return res.status(409).json({ error: 'Этап уже сдан, изменить его нельзя', status: req.resource.status });
+  }
+  
+  const { value, error } = milestones.validateMilestone(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      if (value.amount !== undefined) {
+        const budget = await checkMilestoneBudget(client, req.resource.caseId, value.amount, req.resource.id);
+        if (budget.error) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: budget.error });
+        }
+      }
+      const columns = Object.keys(value);
+      const assignments = columns.map((column, i) => `"${column}" = $${i + 1}`);
+      const result = await client.query(
+        `UPDATE "Milestones" SET ${assignments.join(', ')}, "updatedAt" = NOW()
+         WHERE id = $${columns.length + 1} AND status = ANY($${columns.length + 2}) RETURNING *`,
+        [...columns.map(column => value[column]), req.resource.id, milestones.EDITABLE_STATUSES]
+      );
+      if (!result.rows[0]) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Этап уже сдан, изменить его нельзя' });
+      }
+      await client.query('COMMIT');
+      res.json(formatMilestone(result.rows[0]));
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка изменения этапа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.delete('/api/milestones/:id', getCurrentUser, authorize('milestone:manage', 'milestone'), async (req, res) => {
+  if (!milestones.CASE_STATUSES_WITH_MILESTONES.includes(req.resource.caseStatus)) {
+    return res.status(409).json({ error: 'Работа по кейсу не ведётся', status: req.resource.caseStatus });
+  }
+  
+  try {
+    const result = await query(
+      'DELETE FROM "Milestones" WHERE id = $1 AND status = ANY($2) RETURNING id',
+      [req.resource.id, milestones.EDITABLE_STATUSES]
+    );
+    if (!result.rows[0]) {
+      return res.status(409).json({ error: 'Этап уже сдан, удалить его нельзя', status: req.resource.status });
+    }
+    console.log(`🗑️ Milestone ${req.resource.id} deleted`);
+    res.json({ message: 'Этап удалён' });
+  } catch (err) {
+    console.error('Ошибка удаления этапа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Сдача, доработка и приёмка этапа. Переход проверяется условием в UPDATE, чтобы не гоняться с параллельным запросом.
+// Приёмка этапа выплачивает его сумму исполнителю в той же транзакции
+function milestoneTransition(action, { commentRequired = false } = {}) {
+  return async (req, res) => {
+    const milestone = req.resource;
+    if (!milestones.CASE_STATUSES_WITH_MILESTONES.includes(milestone.caseStatus)) {
+      return res.status(409).json({ error: 'Работа по кейсу не ведётся', status: milestone.caseStatus });
+    }
+    
+    const { value: comment, error } = validateComment(req.body.comment, { required: commentRequired });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const to = milestones.nextStatus(milestone.status, action);
+    if (!to) {
+      return res.status(409).json({ error: 'Действие недоступно в текущем статусе этапа', status: milestone.status });
+    }
+    
+    const fields = action === 'submit'
+      ? { comment, files: JSON.stringify(parseFiles(milestone.files).concat((req.files || []).map(file => `/uploads/${file.filename}`))) }
+      : { reviewComment: comment };
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, i) => `"${column}" = $${i + 3}`);
+    if (action === 'submit') assignments.push('"submittedAt" = NOW()');
+    if (action === 'approve') assignments.push('"approvedAt" = NOW()');
+    
+    try {
+      const client = await pool.connect();
+      
+      try {
+        await client.query('BEGIN');
+        
+        const result = await client.query(
+          `UPDATE "Milestones" SET status = $1, ${assignments.join(', ')}, "updatedAt" = NOW()
+           WHERE id = $2 AND status = $${columns.length + 3} RETURNING *`,
+          [to, milestone.id, ...columns.map(column => fields[column]), milestone.status]
+        );
+        if (!result.rows[0]) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ error: 'Статус этапа изменился, обновите страницу' });
+        }
+        
+        // Принятый этап оплачивается исполнителю из эскроу — целиком или никак
+        if (action === 'approve' && Number(milestone.amount) > 0) {
+          const hold = await lockHold(client, milestone.caseId);
+          if (!hold || remainingCents(hold) < toCents(milestone.amount)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+              error: `В эскроу осталось ${fromCents(hold ? remainingCents(hold) : 0)} — этап на ${milestone.amount} оплатить нельзя`
+            });
+          }
+          await releaseEscrow(client, milestone.caseId, {
+            amount: milestone.amount,
+            milestoneId: milestone.id,
+            description: `Этап «${milestone.title}» принят`
+          });
+        }
+        
+        await client.query('COMMIT');
+        console.log(`🧩 Milestone ${milestone.id}: ${milestone.status} -> ${to}`);
+        res.json(formatMilestone(result.rows[0]));
+        
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      console.error(`Ошибка действия ${action} с этапом:`, err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+const uploadMilestoneFiles = upload.array('files', 15);
+app.put('/api/milestones/:id/submit', getCurrentUser, authorize('milestone:submit', 'milestone'), uploadMilestoneFiles, milestoneTransition('submit'));
+app.put('/api/milestones/:id/request-revision', getCurrentUser, authorize('milestone:review', 'milestone'), milestoneTransition('requestRevision', { commentRequired: true }));
+app.put('/api/milestones/:id/approve', getCurrentUser, authorize('milestone:review', 'milestone'), milestoneTransition('approve'));
+
+// Расторжение работы и споры. Текущее состояние: ожидающий запрос на расторжение, открытый спор
+// и с какого момента заказчик может отказаться от молчащего исполнителя
+app.get('/api/processed-cases/:id/engagement', getCurrentUser, authorize('processedCase:history', 'processedCase'), async (req, res) => {
+  const pCase = req.resource;
+  
+  try {
+    const cancellation = await query(
+      `SELECT * FROM "CancellationRequests" WHERE "caseId" = $1 AND status = 'pending'`,
+      [pCase.caseId]
+    );
+    const dispute = await query(
+      `SELECT * FROM "Disputes" WHERE "caseId" = $1 AND status = 'open'`,
+      [pCase.caseId]
+    );
+    const lastActivity = await disputes.getExecutorLastActivity({ query }, pCase.caseId, pCase.executorId);
+    
+    res.json({
+      cancellation: cancellation.rows[0] || null,
+      dispute: dispute.rows[0] || null,
+      lastActivity,
+      forceCancelAfter: lastActivity ? disputes.forceCancelAfter(lastActivity) : null,
+      canForceCancel: disputes.canForceCancel(pCase.status, lastActivity)
+    });
+  } catch (err) {
+    console.error('Ошибка получения состояния работы:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Запрос на расторжение по соглашению сторон — от заказчика или исполнителя
+app.post('/api/processed-cases/:id/cancellations', getCurrentUser, authorize('cancellation:request', 'processedCase'), async (req, res) => {
+  if (!disputes.WORK_STATUSES.includes(req.resource.status)) {
+    return res.status(409).json({ error: 'Расторгнуть можно только работу, которая идёт', status: req.resource.status });
+  }
+  
+  const { value: reason, error } = disputes.validateText(req.body.reason);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const result = await query(
+      `INSERT INTO "CancellationRequests" ("caseId", "requestedBy", reason) VALUES ($1, $2, $3) RETURNING *`,
+      [req.resource.caseId, req.currentUser.id, reason]
+    );
+    console.log(`✂️ Cancellation requested for case ${req.resource.caseId} by user ${req.currentUser.id}`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Запрос на расторжение уже ожидает ответа' });
+    }
+    console.error('Ошибка запроса на расторжение:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Согласие другой стороны: исполнитель снимается, деньги возвращаются заказчику, кейс снова открыт
+app.put('/api/cancellations/:id/accept', getCurrentUser, authorize('cancellation:respond', 'cancellation'), async (req, res) => {
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const requestResult = await client.query('SELECT * FROM "CancellationRequests" WHERE id = $1 FOR UPDATE', [req.resource.id]);
+      const request = requestResult.rows[0];
+      if (request.status !== 'pending') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Запрос уже закрыт', status: request.status });
+      }
+      
+      const transition = await disputes.releaseExecutor(client, request.caseId, {
+        actorId: req.currentUser.id,
+        comment: `Расторжение по соглашению сторон: ${request.reason}`
+      });
+      if (!transition) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'В текущем статусе кейса расторжение недоступно' });
+      }
+      
+      await client.query(
+        `UPDATE "CancellationRequests" SET status = 'accepted', "respondedBy" = $1, "respondedAt" = NOW() WHERE id = $2`,
+        [req.currentUser.id, request.id]
+      );
+      
+      await client.query('COMMIT');
+      res.json({ message: 'Работа расторгнута, кейс снова открыт для откликов', caseId: request.caseId });
+      
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка расторжения работы:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+function cancellationResponse(status) {
+  return async (req, res) => {
+    try {
+      const result = await query(
+        `UPDATE "CancellationRequests" SET status = $1, "respondedBy" = $2, "respondedAt" = NOW()
+         WHERE id = $3 AND status = 'pending' RETURNING *`,
+        [status, req.currentUser.id, req.resource.id]
+      );
+      if (!result.rows[0]) {
+        return res.status(409).json({ error: 'Запрос уже закрыт', status: req.resource.status });
+      }
+      res.json(result.rows[0]);
+    } catch (err) {
+      console.error('Ошибка ответа на запрос о расторжении:', err);
+      res.status(500).json({ error: 'Ошибка сервера' });
+    }
+  };
+}
+
+app.put('/api/cancellations/:id/decline', getCurrentUser, authorize('cancellation:respond', 'cancellation'), cancellationResponse('declined'));
+app.put('/api/cancellations/:id/withdraw', getCurrentUser, authorize('cancellation:withdraw', 'cancellation'), cancellationResponse('withdrawn'));
+
+// Односторонний отказ заказчика от исполнителя, который не проявлял активности дольше срока
+app.post('/api/processed-cases/:id/force-cancel', getCurrentUser, authorize('case:forceCancel', 'processedCase'), async (req, res) => {
+  const pCase = req.resource;
+  const { value: reason, error } = disputes.validateText(req.body.reason);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const lastActivity = await disputes.getExecutorLastActivity({ query }, pCase.caseId, pCase.executorId);
+    if (!disputes.canForceCancel(pCase.status, lastActivity)) {
+      return res.status(409).json({
+        error: `Отказаться от исполнителя без его согласия можно, если он не проявлял активности ${disputes.INACTIVITY_DAYS} дней и работа не на проверке`,
+        forceCancelAfter: lastActivity ? disputes.forceCancelAfter(lastActivity) : null
+      });
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const transition = await disputes.releaseExecutor(client, pCase.caseId, {
+        actorId: req.currentUser.id,
+        comment: `Отказ от исполнителя из-за бездействия: ${reason}`
+      });
+      if (!transition) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'В текущем статусе кейса отказ недоступен' });
+      }
+      
+      await client.query('COMMIT');
+      res.json({ message: 'Исполнитель снят, кейс снова открыт для откликов', caseId: pCase.caseId });
+      
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка одностороннего отказа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Споры: любая сторона открывает спор с материалами, работа замораживается до решения администратора
+const uploadEvidence = upload.array('files', 10);
+const evidenceFiles = req => (req.files || []).map(file => `/uploads/${file.filename}`);
+
+app.post('/api/processed-cases/:id/disputes', getCurrentUser, authorize('dispute:open', 'processedCase'), uploadEvidence, async (req, res) => {
+  const pCase = req.resource;
+  const { value: reason, error } = disputes.validateText(req.body.reason);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      if (!(await transitionCase(client, pCase.caseId, 'disputed', { actorId: req.currentUser.id, comment: reason }))) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Спор можно открыть только по работе, которая идёт' });
+      }
+      
+      const disputeResult = await client.query(
+        `INSERT INTO "Disputes" ("caseId", "openedBy", "customerId", "executorId", reason)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [pCase.caseId, req.currentUser.id, pCase.userId, pCase.executorId, reason]
+      );
+      const dispute = disputeResult.rows[0];
+      await client.query(
+        'INSERT INTO "DisputeEvidence" ("disputeId", "authorId", comment, files) VALUES ($1, $2, $3, $4)',
+        [dispute.id, req.currentUser.id, reason, JSON.stringify(evidenceFiles(req))]
+      );
+      // Спор заменяет переговоры о расторжении
+      await client.query(
+        `UPDATE "CancellationRequests" SET status = 'withdrawn', "respondedAt" = NOW() WHERE "caseId" = $1 AND status = 'pending'`,
+        [pCase.caseId]
+      );
+      
+      await client.query('COMMIT');
+      console.log(`⚖️ Dispute ${dispute.id} opened for case ${pCase.caseId}`);
+      res.status(201).json(dispute);
+      
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка открытия спора:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.get('/api/disputes/:id', getCurrentUser, authorize('dispute:view', 'dispute'), async (req, res) => {
+  const dispute = req.resource;
+  
+  try {
+    const evidence = await query(
+      `SELECT e.id, e."authorId", e.comment, e.files, e."createdAt",
+              u."firstName", u."lastName", u.email AS "authorEmail"
+       FROM "DisputeEvidence" e LEFT JOIN "Users" u ON u.id = e."authorId"
+       WHERE e."disputeId" = $1
+       ORDER BY e."createdAt", e.id`,
+      [dispute.id]
+    );
+    const parties = await query(
+      'SELECT id, email, "firstName", "lastName" FROM "Users" WHERE id = ANY($1)',
+      [[dispute.customerId, dispute.executorId].filter(Boolean)]
+    );
+    const hold = await query(
+      `SELECT * FROM "EscrowHolds" WHERE "caseId" = $1 AND status = 'held'`,
+      [dispute.caseId]
+    );
+    const party = id => parties.rows.find(user => Number(user.id) === Number(id)) || null;
+    
+    res.json({
+      ...dispute,
+      customer: party(dispute.customerId),
+      executor: party(dispute.executorId),
+      escrow: hold.rows[0]
+        ? { amount: hold.rows[0].amount, currency: hold.rows[0].currency, remaining: fromCents(remainingCents(hold.rows[0])) }
+        : null,
+      evidence: evidence.rows.map(row => ({ ...row, files: parseFiles(row.files) }))
+    });
+  } catch (err) {
+    console.error('Ошибка получения спора:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.post('/api/disputes/:id/evidence', getCurrentUser, authorize('dispute:evidence', 'dispute'), uploadEvidence, async (req, res) => {
+  if (req.resource.status !== 'open') {
+    return res.status(409).json({ error: 'Спор уже решён' });
+  }
+  
+  const { value: comment, error } = disputes.validateText(req.body.comment, { required: false });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const files = evidenceFiles(req);
+  if (!comment && files.length === 0) {
+    return res.status(400).json({ error: 'Добавьте комментарий или файлы' });
+  }
+  
+  try {
+    const result = await query(
+      'INSERT INTO "DisputeEvidence" ("disputeId", "authorId", comment, files) VALUES ($1, $2, $3, $4) RETURNING *',
+      [req.resource.id, req.currentUser.id, comment, JSON.stringify(files)]
+    );
+    res.status(201).json({ ...result.rows[0], files });
+  } catch (err) {
+    console.error('Ошибка добавления материалов спора:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Экран администратора: споры со сторонами и остатком в эскроу
+app.get('/api/admin/disputes', getCurrentUser, authorize('dispute:resolve'), async (req, res) => {
+  const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+  
+  try {
+    const result = await query(
+      `SELECT d.*, c.title, c.status AS "caseStatus",
+              cu.email AS "customerEmail", ex.email AS "executorEmail",
+              h.currency, h.amount AS "escrowAmount", h.amount - h.released - h.refunded AS "escrowRemaining"
+       FROM "Disputes" d
+       JOIN "Cases" c ON c.id = d."caseId"
+       LEFT JOIN "Users" cu ON cu.id = d."customerId"
+       LEFT JOIN "Users" ex ON ex.id = d."executorId"
+       LEFT JOIN "EscrowHolds" h ON h."caseId" = d."caseId" AND h.status = 'held'
+       WHERE d.status = $1
+       ORDER BY d."createdAt"`,
+      [status]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения споров:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Решение спора: переоткрыть кейс, завершить его с выплатой исполнителю или разделить эскроу
+app.put('/api/disputes/:id/resolve', getCurrentUser, authorize('dispute:resolve', 'dispute'), async (req, res) => {
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const disputeResult = await client.query('SELECT * FROM "Disputes" WHERE id = $1 FOR UPDATE', [req.resource.id]);
+      const dispute = disputeResult.rows[0];
+      if (dispute.status !== 'open') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Спор уже решён' });
+      }
+      
+      const holdResult = await client.query(
+        `SELECT * FROM "EscrowHolds" WHERE "caseId" = $1 AND status = 'held' FOR UPDATE`,
+        [dispute.caseId]
+      );
+      const { value, error } = disputes.validateResolution(req.body, holdResult.rows[0]);
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error });
+      }
+      
+      const actor = { actorId: req.currentUser.id, comment: `Решение по спору: ${value.comment}` };
+      let transition = null;
+      let projectId = null;
+      
+      if (value.outcome === 'reopen') {
+        transition = await disputes.releaseExecutor(client, dispute.caseId, actor);
+      } else if (value.outcome === 'complete') {
+        transition = await transitionCase(client, dispute.caseId, 'completed', actor);
+        if (transition) {
+          const pCaseResult = await client.query('SELECT * FROM "ProcessedCases" WHERE "caseId" = $1 FOR UPDATE', [dispute.caseId]);
+          projectId = await createProjectFromProcessedCase(client, pCaseResult.rows[0]);
+        }
+      } else {
+        // Доля исполнителя выплачивается, остаток возвращается заказчику при отмене кейса
+        if (value.executorShare > 0) {
+          await releaseEscrow(client, dispute.caseId, { amount: value.executorShare, description: 'Доля исполнителя по решению спора' });
+        }
+        transition = await transitionCase(client, dispute.caseId, 'cancelled', actor);
+        if (transition) {
+          await client.query('DELETE FROM "ProcessedCases" WHERE "caseId" = $1', [dispute.caseId]);
+        }
+      }
+      
+      if (!transition) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Кейс не находится в статусе спора', status: req.resource.caseStatus });
+      }
+      
+      const resolved = await client.query(
+        `UPDATE "Disputes" SET status = 'resolved', outcome = $1, "executorShare" = $2, "resolutionComment" = $3,
+                               "resolvedBy" = $4, "resolvedAt" = NOW()
+         WHERE id = $5 RETURNING *`,
+        [value.outcome, value.executorShare, value.comment, req.currentUser.id, dispute.id]
+      );
+      
+      await client.query('COMMIT');
+      console.log(`⚖️ Dispute ${dispute.id} resolved: ${value.outcome}`);
+      
+      if (projectId) {
+        generateProjectDocuments(projectId);
+        emitWebhookEvent('project.completed', [req.resource.customerId, req.resource.executorId], {
+          projectId,
+          caseId: dispute.caseId,
+          title: req.resource.title,
+          executorId: req.resource.executorId,
+          resolution: 'dispute'
+        });
+      }
+      res.json({ ...resolved.rows[0], projectId });
+      
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('Ошибка решения спора:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Переписка заказчика и исполнителя. Сообщения отправляются через REST,
+// а до собеседника доходят по WebSocket (lib/realtime.js)
+const uploadMessageFiles = upload.array('files', 10);
+
+// Открывает диалог по кейсу (или возвращает существующий). Заказчик указывает исполнителя,
+// исполнитель пишет заказчику от своего имени
+app.post('/api/cases/:id/conversations', getCurrentUser, authorize('conversation:start', 'case'), async (req, res) => {
+  const caseRow = req.resource;
+  const isCustomer = Number(caseRow.userId) === Number(req.currentUser.id);
+  const freelancerId = isCustomer ? Number(req.body.freelancerId) : Number(req.currentUser.id);
+  if (!Number.isInteger(freelancerId) || freelancerId <= 0) {
+    return res.status(400).json({ error: 'Укажите исполнителя' });
+  }
+  
+  try {
+    if (!(await messaging.canStartConversation({ query }, caseRow, freelancerId))) {
+      return res.status(403).json({ error: 'Переписка доступна с исполнителем кейса, откликнувшимися и приглашёнными' });
+    }
+    
+    const result = await query(
+      `INSERT INTO "Conversations" ("caseId", "customerId", "freelancerId") VALUES ($1, $2, $3)
+       ON CONFLICT ("caseId", "freelancerId") DO UPDATE SET "customerId" = EXCLUDED."customerId"
+       RETURNING *`,
+      [caseRow.id, caseRow.userId, freelancerId]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка открытия диалога:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Входящие: диалоги пользователя с последним сообщением и числом непрочитанных
+app.get('/api/conversations', getCurrentUser, authorize('conversation:list'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT conv.*, c.title AS "caseTitle",
+              u.id AS "counterpartId", u.email AS "counterpartEmail", u."firstName" AS "counterpartFirstName",
+              u."lastName" AS "counterpartLastName", u.photo AS "counterpartPhoto",
+              m.body AS "lastMessage", m."senderId" AS "lastSenderId", m."createdAt" AS "lastMessageCreatedAt",
+              (SELECT COUNT(*)::int FROM "Messages" um
+               WHERE um."conversationId" = conv.id AND um."readAt" IS NULL AND um."senderId" <> $1) AS unread
+       FROM "Conversations" conv
+       JOIN "Cases" c ON c.id = conv."caseId"
+       LEFT JOIN "Users" u ON u.id = CASE WHEN conv."customerId" = $1 THEN conv."freelancerId" ELSE conv."customerId" END
+       LEFT JOIN LATERAL (
+         SELECT body, "senderId", "createdAt" FROM "Messages" WHERE "conversationId" = conv.id ORDER BY id DESC LIMIT 1
+       ) m ON TRUE
+       WHERE conv."customerId" = $1 OR conv."freelancerId" = $1
+       ORDER BY COALESCE(conv."lastMessageAt", conv."createdAt") DESC`,
+      [req.currentUser.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения диалогов:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// История диалога страницами от новых к старым: ?before=<id сообщения>&limit=<n>
+app.get('/api/conversations/:id/messages', getCurrentUser, authorize('conversation:participate', 'conversation'), async (req, res) => {
+  const { value, error } = messaging.parsePage(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    // Берём на одно больше, чтобы узнать, есть ли ещё страница
+    const result = await query(
+      `SELECT * FROM "Messages"
+       WHERE "conversationId" = $1 ${value.before ? 'AND id < $3' : ''}
+       ORDER BY id DESC LIMIT $2`,
+      value.before ? [req.resource.id, value.limit + 1, value.before] : [req.resource.id, value.limit + 1]
+    );
+    const page = result.rows.slice(0, value.limit).reverse();
+    res.json({
+      conversation: req.resource,
+      messages: page.map(row => ({ ...row, files: parseFiles(row.files) })),
+      hasMore: result.rows.length > value.limit
+    });
+  } catch (err) {
+    console.error('Ошибка получения сообщений:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.post('/api/conversations/:id/messages', getCurrentUser, authorize('conversation:participate', 'conversation'), uploadMessageFiles, async (req, res) => {
+  const conversation = req.resource;
+  const files = (req.files || []).map(file => `/uploads/${file.filename}`);
+  const { value, error } = messaging.validateMessage(req.body, files);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const result = await query(
+      `INSERT INTO "Messages" ("conversationId", "senderId", body, files) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [conversation.id, req.currentUser.id, value.body, JSON.stringify(value.files)]
+    );
+    await query('UPDATE "Conversations" SET "lastMessageAt" = NOW() WHERE id = $1', [conversation.id]);
+    
+    const message = { ...result.rows[0], files: value.files };
+    realtime.publish(messaging.participantIds(conversation), 'message:new', message);
+    res.status(201).json(message);
+  } catch (err) {
+    console.error('Ошибка отправки сообщения:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Отметка о прочтении: все входящие сообщения диалога. Отправитель узнаёт об этом по WebSocket
+app.put('/api/conversations/:id/read', getCurrentUser, authorize('conversation:participate', 'conversation'), async (req, res) => {
+  const conversation = req.resource;
+  
+  try {
+    const result = await query(
+      `UPDATE "Messages" SET "readAt" = NOW()
+       WHERE "conversationId" = $1 AND "senderId" <> $2 AND "readAt" IS NULL
+       RETURNING id, "readAt"`,
+      [conversation.id, req.currentUser.id]
+    );
+    if (result.rows.length > 0) {
+      realtime.publish(messaging.participantIds(conversation), 'message:read', {
+        conversationId: conversation.id,
+        readerId: req.currentUser.id,
+        messageIds: result.rows.map(row => row.id),
+        readAt: result.rows[0].readAt
+      });
+    }
+    res.json({ read: result.rows.length });
+  } catch (err) {
+    console.error('Ошибка отметки о прочтении:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Уведомления в колокольчике. Создаются после основного действия и сразу уходят по WebSocket
+// (lib/realtime.js), а на почту — сразу или дайджестом (lib/notificationEmails.js).
+// Ошибка уведомления не должна ломать само действие, поэтому она только логируется
+async function sendNotification(userId, type, data) {
+  if (userId == null) return;
+  try {
+    const notification = await notifications.notify({ query }, userId, type, data);
+    if (notification) {
+      realtime.publish([userId], 'notification:new', notification);
+    }
+  } catch (err) {
+    console.error('Ошибка отправки уведомления:', err);
+  }
+  try {
+    await notificationEmails.mailNotification({ query }, userId, type, data);
+  } catch (err) {
+    console.error('Ошибка отправки письма-уведомления:', err);
+  }
+}
+
+// Новый открытый кейс — подписчикам его темы. Закрытые кейсы видят только приглашённые
+async function notifyThemeFollowers(caseRow) {
+  if (caseRow.isPrivate || !caseRow.theme) return;
+  try {
+    const result = await query(
+      'SELECT "userId" FROM "FollowedThemes" WHERE LOWER(theme) = LOWER($1) AND "userId" <> $2',
+      [caseRow.theme, caseRow.userId]
+    );
+    for (const { userId } of result.rows) {
+      await sendNotification(userId, 'case_published', { caseTitle: caseRow.title, caseId: caseRow.id, theme: caseRow.theme });
+    }
+  } catch (err) {
+    console.error('Ошибка рассылки о новом кейсе:', err);
+  }
+}
+
+// Последние уведомления и число непрочитанных
+app.get('/api/notifications', getCurrentUser, authorize('notification:list'), async (req, res) => {
+  try {
+    const [list, unread] = await Promise.all([
+      query('SELECT * FROM "Notifications" WHERE "userId" = $1 ORDER BY id DESC LIMIT $2', [req.currentUser.id, notifications.LIST_LIMIT]),
+      query('SELECT COUNT(*)::int AS count FROM "Notifications" WHERE "userId" = $1 AND "readAt" IS NULL', [req.currentUser.id])
+    ]);
+    res.json({ notifications: list.rows, unread: unread.rows[0].count });
+  } catch (err) {
+    console.error('Ошибка получения уведомлений:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.get('/api/notifications/preferences', getCurrentUser, authorize('notification:list'), async (req, res) => {
+  try {
+    res.json(await notifications.loadPreferences({ query }, req.currentUser.id));
+  } catch (err) {
+    console.error('Ошибка получения настроек уведомлений:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.put('/api/notifications/preferences', getCurrentUser, authorize('notification:list'), async (req, res) => {
+  const { value, error } = notifications.validatePreferences(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      await notifications.savePreferences(client, req.currentUser.id, value);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+    
+    res.json(await notifications.loadPreferences({ query }, req.currentUser.id));
+  } catch (err) {
+    console.error('Ошибка сохранения настроек уведомлений:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Другие вкладки пользователя узнают о прочтении по событию notification:read
+app.put('/api/notifications/read-all', getCurrentUser, authorize('notification:list'), async (req, res) => {
+  try {
+    const result = await query(
+      'UPDATE "Notifications" SET "readAt" = NOW() WHERE "userId" = $1 AND "readAt" IS NULL RETURNING id',
+      [req.currentUser.id]
+    );
+    const ids = result.rows.map(row => row.id);
+    if (ids.length > 0) {
+      realtime.publish([req.currentUser.id], 'notification:read', { ids });
+    }
+    res.json({ read: ids.length });
+  } catch (err) {
+    console.error('Ошибка отметки уведомлений:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.put('/api/notifications/:id/read', getCurrentUser, authorize('notification:read', 'notification'), async (req, res) => {
+  try {
+    const result = await query(
+      'UPDATE "Notifications" SET "readAt" = COALESCE("readAt", NOW()) WHERE id = $1 RETURNING *',
+      [req.resource.id]
+    );
+    if (!req.resource.readAt) {
+      realtime.publish([req.currentUser.id], 'notification:read', { ids: [req.resource.id] });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка отметки уведомления:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Исходящие вебхуки (lib/webhooks.js). События пишутся в журнал доставок, а отправляет их
+// фоновый воркер с повторами; как и уведомления, ошибки здесь не ломают основное действие
+let webhookWorker = null;
+
+async function emitWebhookEvent(event, userIds, data) {
+  try {
+    const deliveries = await webhooks.enqueueEvent({ query }, userIds, event, data);
+    if (deliveries.length > 0 && webhookWorker) {
+      webhookWorker.wake();
+    }
+  } catch (err) {
+    console.error('Ошибка постановки вебхука в очередь:', err);
+  }
+}
+
+app.get('/api/webhooks', getCurrentUser, authorize('webhook:list'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT w.*,
+              (SELECT status FROM "WebhookDeliveries" WHERE "webhookId" = w.id ORDER BY id DESC LIMIT 1) AS "lastDeliveryStatus"
+       FROM "Webhooks" w WHERE w."userId" = $1 ORDER BY w.id`,
+      [req.currentUser.id]
+    );
+    res.json({ events: webhooks.WEBHOOK_EVENTS, webhooks: result.rows.map(webhooks.toPublic) });
+  } catch (err) {
+    console.error('Ошибка получения вебхуков:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Секрет для проверки подписи показывается только при создании и при замене
+app.post('/api/webhooks', getCurrentUser, authorize('webhook:list'), async (req, res) => {
+  const { value, error } = webhooks.validateWebhook(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const result = await query(
+      `INSERT INTO "Webhooks" ("userId", url, secret, events, active) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [req.currentUser.id, value.url, webhooks.generateSecret(), value.events, value.active ?? true]
+    );
+    console.log(`🪝 Webhook ${result.rows[0].id} created by user ${req.currentUser.id}`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка создания вебхука:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.put('/api/webhooks/:id', getCurrentUser, authorize('webhook:manage', 'webhook'), async (req, res) => {
+  const { value, error } = webhooks.validateWebhook(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const result = await query(
+      `UPDATE "Webhooks" SET url = COALESCE($2, url), events = COALESCE($3, events), active = COALESCE($4, active),
+                             "updatedAt" = NOW()
+       WHERE id = $1 RETURNING *`,
+      [req.resource.id, value.url ?? null, value.events ?? null, value.active ?? null]
+    );
+    res.json(webhooks.toPublic(result.rows[0]));
+  } catch (err) {
+    console.error('Ошибка изменения вебхука:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.post('/api/webhooks/:id/rotate-secret', getCurrentUser, authorize('webhook:manage', 'webhook'), async (req, res) => {
+  try {
+    const result = await query(
+      'UPDATE "Webhooks" SET secret = $2, "updatedAt" = NOW() WHERE id = $1 RETURNING *',
+      [req.resource.id, webhooks.generateSecret()]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Ошибка замены секрета вебхука:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.delete('/api/webhooks/:id', getCurrentUser, authorize('webhook:manage', 'webhook'), async (req, res) => {
+  try {
+    await query('DELETE FROM "Webhooks" WHERE id = $1', [req.resource.id]);
+    res.json({ message: 'Вебхук удалён' });
+  } catch (err) {
+    console.error('Ошибка удаления вебхука:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Журнал доставок: последние 50
+app.get('/api/webhooks/:id/deliveries', getCurrentUser, authorize('webhook:manage', 'webhook'), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT * FROM "WebhookDeliveries" WHERE "webhookId" = $1 ORDER BY id DESC LIMIT 50',
+      [req.resource.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Ошибка получения доставок вебхука:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
-// Детали принятого кейса - ИСПРАВЛЕННАЯ ВЕРСИЯ
-app.get('/api/processed-cases/:id', async (req, res) => {
-  const id = req.params.id;
-  console.log('🔍 Getting processed case details for id:', id);
+// Повторная отправка вручную: новая доставка с тем же событием и телом
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', getCurrentUser, authorize('webhook:manage', 'webhook'), async (req, res) => {
+  if (!req.resource.active) {
+    return res.status(409).json({ error: 'Вебхук выключен — включите его, чтобы отправить событие повторно' });
+  }
   
   try {
     const result = await query(
-      `SELECT 
-        pc.*, 
-        u.email as "userEmail" 
-      FROM "ProcessedCases" pc 
-      LEFT JOIN "Users" u ON pc."userId" = u.id 
-      WHERE pc.id = $1`,
-      [id]
+      `INSERT INTO "WebhookDeliveries" ("webhookId", event, payload, "redeliveryOf")
+       SELECT "webhookId", event, payload, id FROM "WebhookDeliveries" WHERE id = $1 AND "webhookId" = $2
+       RETURNING *`,
+      [req.params.deliveryId, req.resource.id]
     );
-    
     if (!result.rows[0]) {
-      return res.status(404).json({ error: 'Кейс не найден' });
-    }
-    
-    const row = result.rows[0];
-    
-    let files = [];
-    if (row.files) {
-      if (typeof row.files === 'string') {
-        try {
-          files = JSON.parse(row.files);
-        } catch (e) {
-          console.warn('⚠️ Could not parse files for processed case', row.id);
-        }
-      } else if (Array.isArray(row.files)) {
-        files = row.files;
-      }
+      return res.status(404).json({ error: 'Доставка не найдена' });
     }
-    
-    const processedCaseData = {
-      ...row,
-      files: files
-    };
-    
-    console.log('✅ Sending processed case data for id:', id);
-    res.json(processedCaseData);
+    if (webhookWorker) webhookWorker.wake();
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    console.error('Ошибка получения принятого кейса:', err);
-    console.error('❌ Error details:', err.message);
-    res.status(500).json({ 
-      error: 'Ошибка при получении принятого кейса',
-      details: err.message
-    });
+    console.error('Ошибка повторной отправки вебхука:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
-// Загрузка фото профиля
-app.post('/api/upload-photo', upload.single('photo'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'Файл не выбран' });
-  res.json({ photoPath: `/uploads/${req.file.filename}` });
+// Личные API-ключи для /api/v1. Сам ключ показывается только при создании
+app.get('/api/api-keys', getCurrentUser, authorize('apiKey:list'), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT * FROM "ApiKeys" WHERE "userId" = $1 AND "revokedAt" IS NULL ORDER BY id',
+      [req.currentUser.id]
+    );
+    res.json({ scopes: apiKeys.API_SCOPES, keys: result.rows.map(apiKeys.toPublic) });
+  } catch (err) {
+    console.error('Ошибка получения API-ключей:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
 });
 
-// Загрузка файлов для принятых кейсов
-const uploadExtraFiles = upload.array('extraFiles', 15);
-app.post('/api/processed-cases/:id/upload-files', uploadExtraFiles, async (req, res) => {
-  const id = req.params.id;
-  
-  if (!req.files || req.files.length === 0) {
-    return res.status(400).json({ error: 'Файлы не выбраны' });
+app.post('/api/api-keys', getCurrentUser, authorize('apiKey:list'), async (req, res) => {
+  const { value, error } = apiKeys.validateApiKey(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
   try {
-    const result = await query('SELECT files FROM "ProcessedCases" WHERE id = $1', [id]);
-    
-    if (!result.rows[0]) {
-      return res.status(404).json({ error: 'Кейс не найден' });
+    const count = await query(
+      'SELECT COUNT(*)::int AS count FROM "ApiKeys" WHERE "userId" = $1 AND "revokedAt" IS NULL',
+      [req.currentUser.id]
+    );
+    if (count.rows[0].count >= apiKeys.MAX_KEYS_PER_USER) {
+      return res.status(409).json({ error: `Можно завести не больше ${apiKeys.MAX_KEYS_PER_USER} ключей — отзовите ненужные` });
     }
     
-    let existingFiles = result.rows[0].files ? JSON.parse(result.rows[0].files) : [];
-    const newFiles = req.files.map(file => `/uploads/${file.filename}`);
-    const updatedFiles = existingFiles.concat(newFiles);
-    
-    await query('UPDATE "ProcessedCases" SET files = $1 WHERE id = $2', [JSON.stringify(updatedFiles), id]);
-    res.json({ message: 'Файлы добавлены', files: updatedFiles });
-    
+    const { key, prefix, keyHash } = apiKeys.generateApiKey();
+    const result = await query(
+      `INSERT INTO "ApiKeys" ("userId", name, prefix, "keyHash", scopes) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [req.currentUser.id, value.name, prefix, keyHash, value.scopes]
+    );
+    console.log(`🔑 API key ${result.rows[0].id} created by user ${req.currentUser.id}`);
+    res.status(201).json({ ...apiKeys.toPublic(result.rows[0]), key });
   } catch (err) {
-    console.error('Ошибка загрузки файлов:', err);
-    res.status(500).json({ error: 'Ошибка сохранения файлов' });
+    console.error('Ошибка создания API-ключа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// Отозванный ключ сразу перестаёт работать, запись остаётся
+app.delete('/api/api-keys/:id', getCurrentUser, authorize('apiKey:manage', 'apiKey'), async (req, res) => {
+  try {
+    await query('UPDATE "ApiKeys" SET "revokedAt" = NOW() WHERE id = $1', [req.resource.id]);
+    console.log(`🔑 API key ${req.resource.id} revoked by user ${req.currentUser.id}`);
+    res.json({ message: 'Ключ отозван' });
+  } catch (err) {
+    console.error('Ошибка отзыва API-ключа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
-// Завершение принятого кейса, создание проекта и удаление из ProcessedCases
-app.put('/api/processed-cases/:id/complete', async (req, res) => {
-  const processedCaseId = Number(req.params.id);
-  const { userId, title, theme, description, cover, files } = req.body;
+// Финансы пользователя: баланс кошельков и удержания по кейсам, где он заказчик или исполнитель
+app.get('/api/finance/balance', getCurrentUser, authorize('finance:read'), async (req, res) => {
+  const userId = req.currentUser.id;
   
   try {
-    const client = await pool.connect();
+    const wallets = await query(
+      `SELECT a.currency, COALESCE(SUM(e.amount), 0) AS balance
+       FROM "LedgerAccounts" a LEFT JOIN "LedgerEntries" e ON e."accountId" = a.id
+       WHERE a.type = 'wallet' AND a."userId" = $1
+       GROUP BY a.currency
+       ORDER BY a.currency`,
+      [userId]
+    );
+    const holds = await query(
+      `SELECT h."caseId", c.title, h.currency, h.amount, h.released, h.refunded, h.status, h."createdAt",
+              CASE WHEN h."customerId" = $1 THEN 'customer' ELSE 'executor' END AS role
+       FROM "EscrowHolds" h JOIN "Cases" c ON c.id = h."caseId"
+       WHERE h."customerId" = $1 OR h."executorId" = $1
+       ORDER BY h."createdAt" DESC`,
+      [userId]
+    );
     
-    try {
-      await client.query('BEGIN');
-      
-      const pCaseResult = await client.query(
-        'SELECT * FROM "ProcessedCases" WHERE id = $1 AND "executorId" = $2',
-        [processedCaseId, userId]
-      );
-      
-      if (!pCaseResult.rows[0]) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ error: 'Кейс не найден или не назначен вам' });
-      }
-      
-      const pCase = pCaseResult.rows[0];
-      
-      const userResult = await client.query('SELECT email FROM "Users" WHERE id = $1', [userId]);
-      const executorEmail = userResult.rows[0] ? userResult.rows[0].email : null;
-      
-      const projectResult = await client.query(
-        `INSERT INTO "Projects" ("caseId", "userId", title, theme, description, cover, files, status, "executorEmail")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
-        [pCase.caseId, pCase.userId, title || pCase.title, theme || pCase.theme, 
-         description || pCase.description, cover || pCase.cover, 
-         files ? JSON.stringify(files) : pCase.files, 'closed', executorEmail]
-      );
-      
-      await client.query('DELETE FROM "ProcessedCases" WHERE id = $1', [processedCaseId]);
-      
-      await client.query('COMMIT');
-      res.json({ message: 'Проект успешно создан', projectId: projectResult.rows[0].id });
-      
-    } catch (err) {
-      await client.query('ROLLBACK');
-      throw err;
-    } finally {
-      client.release();
-    }
+    res.json({
+      wallets: wallets.rows,
+      holds: holds.rows.map(hold => ({ ...hold, remaining: fromCents(remainingCents(hold)) }))
+    });
   } catch (err) {
-    console.error('Ошибка завершения кейса:', err);
-    res.status(500).json({ error: 'Ошибка создания проекта' });
+    console.error('Ошибка получения баланса:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// История движения денег по кошелькам пользователя, новые сверху
+app.get('/api/finance/transactions', getCurrentUser, authorize('finance:read'), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  
+  try {
+    const result = await query(
+      `SELECT e.id, e.amount, e."createdAt", a.currency,
+              t.id AS "transactionId", t.type, t.description, t."providerRef", t."caseId", t."milestoneId",
+              c.title AS "caseTitle"
+       FROM "LedgerEntries" e
+       JOIN "LedgerAccounts" a ON a.id = e."accountId"
+       JOIN "LedgerTransactions" t ON t.id = e."transactionId"
+       LEFT JOIN "Cases" c ON c.id = t."caseId"
+       WHERE a.type = 'wallet' AND a."userId" = $1
+       ORDER BY e."createdAt" DESC, e.id DESC
+       LIMIT $2 OFFSET $3`,
+      [req.currentUser.id, limit, offset]
+    );
+    res.json({ transactions: result.rows, limit, offset });
+  } catch (err) {
+    console.error('Ошибка получения истории операций:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
 // Получение проектов - ПОЛНОСТЬЮ ИСПРАВЛЕННАЯ ВЕРСИЯ
-app.get('/api/projects', async (req, res) => {
+// Проекты из закрытых кейсов видят только заказчик и исполнитель — как принятые кейсы
+app.get('/api/projects', getOptionalUser, async (req, res) => {
   console.log('🔍 /api/projects called with query:', req.query);
   const userId = req.query.userId;
   const userEmail = req.query.userEmail;
@@ -842,21 +2845,32 @@ app.get('/api/projects', async (req, res) => {
         p.*,
         u.email as "userEmail"
       FROM "Projects" p
+      JOIN "Cases" c ON c.id = p."caseId"
       LEFT JOIN "Users" u ON p."userId" = u.id
     `;
-    const params = [];
-    let paramCount = 0;
+    const params = [req.currentUser ? req.currentUser.id : null];
+    const conditions = [invitations.visibleCaseSql('c', '$1')];
     
     if (userId) {
-      sql += ` WHERE p."userId" = $${++paramCount}`;
       params.push(userId);
+      conditions.push(`p."userId" = $${params.length}`);
       console.log(`🔍 Filtering by userId: ${userId}`);
     } else if (userEmail) {
-      sql += ` WHERE p."executorEmail" = $${++paramCount} AND p.status = 'closed'`;
       params.push(userEmail);
+      conditions.push(`p."executorEmail" = $${params.length} AND p.status = 'completed'`);
       console.log(`🔍 Filtering by executorEmail: ${userEmail}`);
     }
     
+    const filters = buildListFilters(req.query, params, 'p');
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    conditions.push(...filters.conditions);
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ` ORDER BY ${filters.orderBy}`;
+    
     console.log('📝 Projects SQL:', sql);
     console.log('📝 Projects params:', params);
     
@@ -887,9 +2901,10 @@ app.get('/api/projects', async (req, res) => {
         description: row.description || '',
         cover: row.cover,
         files: files,
-        status: row.status || 'closed',
+        status: row.status || 'completed',
         executorEmail: row.executorEmail,
         userEmail: row.userEmail,
+        ...pickTerms(row),
         createdAt: row.createdAt,
         updatedAt: row.updatedAt
       };
@@ -905,11 +2920,14 @@ app.get('/api/projects', async (req, res) => {
     // Fallback - простой запрос
     try {
       console.log('🔄 Fallback: trying simple projects query...');
-      const fallback = await query('SELECT id, title, status FROM "Projects"');
+      const fallback = await query(
+        `SELECT p.id, p.title, p.status FROM "Projects" p
+         JOIN "Cases" c ON c.id = p."caseId" AND c."isPrivate" = FALSE`
+      );
       const simpleProjects = fallback.rows.map(row => ({
         id: row.id,
         title: row.title || '',
-        status: row.status || 'closed',
+        status: row.status || 'completed',
         files: []
       }));
       
@@ -926,7 +2944,7 @@ app.get('/api/projects', async (req, res) => {
 });
 
 // Получение деталей проекта - ПОЛНОСТЬЮ ИСПРАВЛЕННАЯ ВЕРСИЯ
-app.get('/api/projects/:id', async (req, res) => {
+app.get('/api/projects/:id', getOptionalUser, async (req, res) => {
   const id = req.params.id;
   console.log('🔍 Getting project details for id:', id);
   
@@ -934,19 +2952,21 @@ app.get('/api/projects/:id', async (req, res) => {
     const result = await query(
       `SELECT 
         p.*,
+        ${invitations.caseAccessColumns('c')},
         u.email as "userEmail" 
       FROM "Projects" p 
+      JOIN "Cases" c ON c.id = p."caseId"
       LEFT JOIN "Users" u ON p."userId" = u.id 
       WHERE p.id = $1`,
       [id]
     );
     
-    if (!result.rows[0]) {
+    const row = result.rows[0];
+    // Проект закрытого кейса для посторонних выглядит несуществующим
+    if (!row || !(await invitations.canViewCase({ query }, req.currentUser, invitations.caseAccessRow(row)))) {
       return res.status(404).json({ error: 'Проект не найден' });
     }
     
-    const row = result.rows[0];
-    
     // Обработка files
     let files = [];
     if (row.files) {
@@ -970,9 +2990,10 @@ app.get('/api/projects/:id', async (req, res) => {
       description: row.description || '',
       cover: row.cover,
       files: files,
-      status: row.status || 'closed',
+      status: row.status || 'completed',
       executorEmail: row.executorEmail,
       userEmail: row.userEmail,
+      ...pickTerms(row),
       createdAt: row.createdAt,
       updatedAt: row.updatedAt
     };
@@ -989,6 +3010,45 @@ app.get('/api/projects/:id', async (req, res) => {
   }
 });
 
+// Счёт и акт выполненных работ по проекту. Недостающие документы создаются при запросе
+app.get('/api/projects/:id/documents', getCurrentUser, authorize('project:documents', 'project'), async (req, res) => {
+  try {
+    const documents = await ensureProjectDocuments({ query }, req.resource, documentsDir);
+    res.json(documents.map(doc => ({
+      type: doc.type,
+      title: DOCUMENT_TYPES[doc.type].title,
+      number: doc.number,
+      amount: doc.amount,
+      currency: doc.currency,
+      createdAt: doc.createdAt,
+      url: `/api/projects/${req.resource.id}/documents/${doc.type}`
+    })));
+  } catch (err) {
+    console.error('Ошибка получения документов проекта:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+app.get('/api/projects/:id/documents/:type', getCurrentUser, authorize('project:documents', 'project'), async (req, res) => {
+  if (!DOCUMENT_TYPES[req.params.type]) {
+    return res.status(404).json({ error: 'Документ не найден' });
+  }
+  
+  try {
+    const documents = await ensureProjectDocuments({ query }, req.resource, documentsDir);
+    const doc = documents.find(d => d.type === req.params.type);
+    res.download(path.join(documentsDir, doc.fileName), `${doc.number}.pdf`, err => {
+      if (err && !res.headersSent) {
+        console.error('Ошибка отправки документа:', err);
+        res.status(404).json({ error: 'Файл документа не найден' });
+      }
+    });
+  } catch (err) {
+    console.error('Ошибка скачивания документа:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
 // Получить отзывы пользователя - ИСПРАВЛЕННАЯ ВЕРСИЯ
 app.get('/api/reviews', async (req, res) => {
   const userId = req.query.userId;
@@ -1021,10 +3081,14 @@ app.get('/api/reviews', async (req, res) => {
 });
 
 // Добавить новый отзыв
-app.post('/api/reviews', async (req, res) => {
-  const { userId, reviewerId, reviewerName, reviewerPhoto, text, rating } = req.body;
+app.post('/api/reviews', getCurrentUser, authorize('review:create', 'body'), async (req, res) => {
+  const { userId, text, rating } = req.body;
+  const reviewer = req.currentUser;
+  const reviewerId = reviewer.id;
+  const reviewerName = `${reviewer.firstName || ''} ${reviewer.lastName || ''}`.trim() || reviewer.email;
+  const reviewerPhoto = reviewer.photo;
   
-  if (!userId || !text || !rating || !reviewerId) {
+  if (!userId || !text || !rating) {
     return res.status(400).json({ error: 'Не все обязательные поля заполнены' });
   }
   
@@ -1034,6 +3098,9 @@ app.post('/api/reviews', async (req, res) => {
       [userId, reviewerId, reviewerName, reviewerPhoto, text, rating]
     );
     
+    sendNotification(userId, 'review_created', { reviewerName, rating });
+    emitWebhookEvent('review.created', [userId, reviewerId], { review: result.rows[0] });
+    
     const reviewsResult = await query('SELECT * FROM "Reviews" WHERE "userId" = $1', [userId]);
     res.json(reviewsResult.rows);
     
@@ -1043,141 +3110,186 @@ app.post('/api/reviews', async (req, res) => {
   }
 });
 
-// Проверка всех таблиц и данных в БД
-app.get('/api/debug/tables', async (req, res) => {
+// Диагностика для администраторов (в production включается через DIAGNOSTICS_ENABLED=true)
+app.get('/api/admin/diagnostics', diagnostics.requireDiagnosticsEnabled, getCurrentUser, authorize('diagnostics:read'), async (req, res) => {
   try {
-    // Получить все таблицы в базе данных
-    const tablesResult = await query(`
-      SELECT table_name, table_type 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public'
-      ORDER BY table_name
-    `);
+    console.log('🩺 Diagnostics requested by admin:', req.currentUser.id);
+    res.json(await diagnostics.buildReport());
+  } catch (err) {
+    console.error('Ошибка диагностики:', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
 
-    // Для каждой таблицы получить количество записей и примеры данных
-    const tablesInfo = [];
-    
-    for (let table of tablesResult.rows) {
-      const countResult = await query(`SELECT COUNT(*) as count FROM "${table.table_name}"`);
-      let sampleData = [];
-      
-      if (countResult.rows[0].count > 0) {
-        const sampleResult = await query(`SELECT * FROM "${table.table_name}" LIMIT 2`);
-        sampleData = sampleResult.rows;
-      }
-      
-      tablesInfo.push({
-        tableName: table.table_name,
-        tableType: table.table_type,
-        rowCount: countResult.rows[0].count,
-        sampleData: sampleData
-      });
-    }
+// ===== Публичное API v1 =====
+// Авторизация — личным API-ключом (lib/apiKeys.js), формат ответов — lib/apiV1.js.
+// Права владельца ключа проверяются теми же authorize, что и у внутреннего /api
+const openApiSpec = buildOpenApiSpec();
+const apiDocsPage = renderDocsPage(openApiSpec);
 
-    res.json({
-      database: (await query('SELECT current_database() as name')).rows[0].name,
-      tables: tablesInfo
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+app.get('/api/v1/docs', (req, res) => {
+  res.type('html').send(apiDocsPage);
+});
+
+// Страница списка: фильтры buildListFilters, limit/offset и общее число записей
+async function sendApiList(req, res, { table, alias, conditions, params, filters: filterParams = req.query, serialize }) {
+  const page = parseListPage(req.query);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const filters = buildListFilters(filterParams, params, alias);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const where = conditions.concat(filters.conditions);
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  
+  const total = await query(`SELECT COUNT(*)::int AS count FROM "${table}" ${alias} ${whereSql}`, params);
+  const result = await query(
+    `SELECT ${alias}.* FROM "${table}" ${alias} ${whereSql}
+     ORDER BY ${filters.orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, page.value.limit, page.value.offset]
+  );
+  res.json({ items: result.rows.map(serialize), total: total.rows[0].count, ...page.value });
+}
+
+// Открытые кейсы, принимающие отклики. Фильтр status здесь не действует
+app.get('/api/v1/cases', apiKeys.requireApiKey('cases:read'), async (req, res) => {
+  try {
+    await sendApiList(req, res, {
+      table: 'Cases',
+      alias: 'c',
+      conditions: ['c."deletedAt" IS NULL', 'c."isPrivate" = FALSE', 'c.status = ANY($1)'],
+      params: [OPEN_FOR_PROPOSALS],
+      filters: { ...req.query, status: undefined },
+      serialize: toApiCase
     });
+  } catch (err) {
+    console.error('Ошибка получения кейсов (API v1):', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
 
+app.get('/api/v1/cases/mine', apiKeys.requireApiKey('cases:read'), async (req, res) => {
+  try {
+    await sendApiList(req, res, {
+      table: 'Cases',
+      alias: 'c',
+      conditions: ['c."deletedAt" IS NULL', 'c."userId" = $1'],
+      params: [req.currentUser.id],
+      serialize: toApiCase
+    });
   } catch (err) {
-    console.error('Error checking tables:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Ошибка получения своих кейсов (API v1):', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
-// Диагностика подключения к БД
-app.get('/api/debug/connection', async (req, res) => {
+// Видимость — как у /api/cases/:id: черновики и закрытые кейсы для посторонних не существуют
+app.get('/api/v1/cases/:id', apiKeys.requireApiKey('cases:read'), async (req, res) => {
   try {
-    // Получим информацию о подключении
-    const dbInfo = await query(`
-      SELECT 
-        current_database() as database,
-        current_user as user,
-        inet_server_addr() as host,
-        inet_server_port() as port,
-        version() as version
-    `);
-    
-    // Проверим все таблицы
-    const tables = await query(`
-      SELECT table_name, table_type 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public'
-      ORDER BY table_name
-    `);
-    
-    // Количество записей в каждой таблице
-    const tableCounts = {};
-    for (let table of tables.rows) {
-      const countResult = await query(`SELECT COUNT(*) as count FROM "${table.table_name}"`);
-      tableCounts[table.table_name] = countResult.rows[0].count;
+    const result = await query('SELECT * FROM "Cases" WHERE id = $1 AND "deletedAt" IS NULL', [req.params.id]);
+    const row = result.rows[0];
+    const hidden = row && (
+      (row.status === 'draft' && !can(req.currentUser, 'case:update', row)) ||
+      !(await invitations.canViewCase({ query }, req.currentUser, row))
+    );
+    if (!row || hidden) {
+      return res.status(404).json({ error: 'Кейс не найден' });
     }
-    
-    res.json({
-      connection: dbInfo.rows[0],
-      tables: tables.rows,
-      tableCounts: tableCounts
-    });
-    
+    res.json(toApiCase(row));
   } catch (err) {
-    console.error('Connection debug error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Ошибка получения кейса (API v1):', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
-// Диагностика таблицы Projects
-app.get('/api/debug/projects-structure', async (req, res) => {
+// Через API кейс создаётся без файлов: обложку и вложения можно добавить на сайте
+app.post('/api/v1/cases', apiKeys.requireApiKey('cases:write'), authorize('case:create'), async (req, res) => {
+  const { title, theme, description, isPrivate } = req.body;
+  if (!title || typeof title !== 'string') {
+    return res.status(400).json({ error: 'title обязателен' });
+  }
+  const terms = validateTerms(req.body);
+  if (terms.error) {
+    return res.status(400).json({ error: terms.error });
+  }
+  
   try {
-    const structure = await query(`
-      SELECT column_name, data_type, is_nullable 
-      FROM information_schema.columns 
-      WHERE table_name = 'Projects' 
-      ORDER BY ordinal_position
-    `);
-    
-    const samples = await query('SELECT * FROM "Projects" LIMIT 3');
-    
-    res.json({
-      tableStructure: structure.rows,
-      sampleRecords: samples.rows
+    const row = await createCase(req.currentUser.id, { title, theme, description, terms: terms.value, isPrivate });
+    res.status(201).json(toApiCase(row));
+  } catch (err) {
+    console.error('Ошибка создания кейса (API v1):', err);
+    res.status(500).json({ error: 'Ошибка при сохранении кейса' });
+  }
+});
+
+app.patch('/api/v1/cases/:id', apiKeys.requireApiKey('cases:write'), authorize('case:update', 'case'), async (req, res) => {
+  const caseRow = req.resource;
+  if (!NOT_STARTED_STATUSES.includes(caseRow.status)) {
+    return res.status(409).json({ error: 'Работа по кейсу уже началась, изменить его нельзя', status: caseRow.status });
+  }
+  const { value, error } = validateCaseUpdate(req.body, { ...caseRow, files: parseFiles(caseRow.files) }, { cover: null, files: [] });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    res.json(toApiCase(await saveCaseUpdate(caseRow.id, value)));
+  } catch (err) {
+    console.error('Ошибка редактирования кейса (API v1):', err);
+    res.status(500).json({ error: 'Ошибка при сохранении кейса' });
+  }
+});
+
+app.post('/api/v1/cases/:id/publish', apiKeys.requireApiKey('cases:write'), authorize('case:update', 'case'), caseTransition('open', ['draft']));
+app.post('/api/v1/cases/:id/unpublish', apiKeys.requireApiKey('cases:write'), authorize('case:update', 'case'), caseTransition('draft', ['open', 'in_review']));
+app.delete('/api/v1/cases/:id', apiKeys.requireApiKey('cases:write'), authorize('case:delete', 'case'), deleteCase);
+
+// role=customer — проекты владельца ключа как заказчика, role=executor — как исполнителя
+const PROJECT_ROLE_COLUMNS = { customer: 'userId', executor: 'executorId' };
+
+app.get('/api/v1/projects', apiKeys.requireApiKey('projects:read'), async (req, res) => {
+  const { role } = req.query;
+  if (role !== undefined && !PROJECT_ROLE_COLUMNS[role]) {
+    return res.status(400).json({ error: 'role — customer или executor' });
+  }
+  
+  try {
+    await sendApiList(req, res, {
+      table: 'Projects',
+      alias: 'p',
+      conditions: [visibleProjectSql('p', '$1')].concat(role ? [`p."${PROJECT_ROLE_COLUMNS[role]}" = $1`] : []),
+      params: [req.currentUser.id],
+      serialize: toApiProject
     });
-    
   } catch (err) {
-    console.error('Error getting projects structure:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Ошибка получения проектов (API v1):', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
-// Полная диагностика всех таблиц
-app.get('/api/debug/all-tables', async (req, res) => {
+// Видимость — как у /api/projects/:id: проект закрытого кейса для посторонних не существует
+app.get('/api/v1/projects/:id', apiKeys.requireApiKey('projects:read'), async (req, res) => {
   try {
-    const tables = ['Users', 'Cases', 'ProcessedCases', 'Projects', 'Reviews'];
-    const results = {};
-    
-    for (const table of tables) {
-      try {
-        const structure = await query(`
-          SELECT column_name, data_type, is_nullable 
-          FROM information_schema.columns 
-          WHERE table_name = $1 
-          ORDER BY ordinal_position
-        `, [table]);
-        
-        const sample = await query(`SELECT * FROM "${table}" LIMIT 2`);
-        
-        results[table] = {
-          structure: structure.rows,
-          sample: sample.rows
-        };
-      } catch (err) {
-        results[table] = { error: err.message };
-      }
+    const result = await query(
+      `SELECT p.*, ${invitations.caseAccessColumns('c')}
+       FROM "Projects" p JOIN "Cases" c ON c.id = p."caseId"
+       WHERE p.id = $1`,
+      [req.params.id]
+    );
+    const row = result.rows[0];
+    if (!row || !(await invitations.canViewCase({ query }, req.currentUser, invitations.caseAccessRow(row)))) {
+      return res.status(404).json({ error: 'Проект не найден' });
     }
-    
-    res.json(results);
+    res.json(toApiProject(row));
   } catch (err) {
-    console.error('Full diagnostics error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Ошибка получения проекта (API v1):', err);
+    res.status(500).json({ error: 'Ошибка сервера' });
   }
 });
 
@@ -1209,80 +3321,6 @@ app.get('*', (req, res) => {
   }
 });
 
-// Детальная диагностика таблицы Cases
-app.get('/api/debug/cases-detailed', async (req, res) => {
-  try {
-    console.log('🔍 Detailed Cases diagnostics...');
-    
-    // 1. Проверим структуру таблицы Cases
-    const structure = await query(`
-      SELECT column_name, data_type, is_nullable 
-      FROM information_schema.columns 
-      WHERE table_name = 'Cases' 
-      ORDER BY ordinal_position
-    `);
-    console.log('📋 Cases table structure:', structure.rows);
-
-    // 2. Проверим есть ли данные
-    const countResult = await query('SELECT COUNT(*) as count FROM "Cases"');
-    console.log('📊 Cases count:', countResult.rows[0].count);
-
-    // 3. Попробуем получить данные разными способами
-    let casesData;
-    try {
-      // Способ 1: Простой SELECT
-      casesData = await query('SELECT * FROM "Cases" LIMIT 3');
-      console.log('✅ Simple SELECT worked');
-    } catch (err1) {
-      console.error('❌ Simple SELECT failed:', err1.message);
-      
-      try {
-        // Способ 2: SELECT с конкретными полями
-        casesData = await query('SELECT id, title, status FROM "Cases" LIMIT 3');
-        console.log('✅ SELECT with specific fields worked');
-      } catch (err2) {
-        console.error('❌ SELECT with specific fields failed:', err2.message);
-        
-        // Способ 3: Проверим какие поля вообще есть
-        const sample = await query('SELECT * FROM "Cases" LIMIT 1');
-        console.log('📋 Sample row:', sample.rows[0]);
-        casesData = sample;
-      }
-    }
-
-    // 4. Проверим JOIN с Users
-    let joinResult;
-    try {
-      joinResult = await query(`
-        SELECT "Cases".*, "Users".email 
-        FROM "Cases" 
-        LEFT JOIN "Users" ON "Cases"."userId" = "Users".id 
-        LIMIT 2
-      `);
-      console.log('✅ JOIN with Users worked');
-    } catch (err) {
-      console.error('❌ JOIN with Users failed:', err.message);
-      joinResult = { error: err.message };
-    }
-
-    res.json({
-      tableStructure: structure.rows,
-      rowCount: countResult.rows[0].count,
-      sampleData: casesData?.rows || [],
-      joinTest: joinResult?.rows || joinResult,
-      allTables: (await query(`SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'`)).rows
-    });
-
-  } catch (err) {
-    console.error('❌ Detailed diagnostics failed:', err);
-    res.status(500).json({ 
-      error: 'Diagnostics failed',
-      details: err.message,
-      stack: err.stack
-    });
-  }
-});
-
 // Глобальный обработчик ошибок
 app.use((err, req, res, next) => {
   console.error('Глобальная ошибка сервера:', err.stack);
@@ -1295,10 +3333,12 @@ async function startServer() {
     await initializeDatabase();
     console.log('База данных инициализирована');
     
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server started on port ${PORT}`);
       console.log(`Frontend available at: https://ideaflowapp-production.up.railway.app`);
     });
+    realtime.attachWebSocketServer(server, { authenticate: authenticateToken, checkSession: sessions.isSessionActive });
+    webhookWorker = webhooks.startWorker({ query });
   } catch (err) {
     console.error('Ошибка запуска сервера:', err);
     process.exit(1);
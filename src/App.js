@@ -6,12 +6,16 @@ import ProjectsPage from './pages/ProjectsPage';
 import CasePage from './pages/CasePage';
 import SignInPage from './pages/SignInPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import ProfilePage from './pages/ProfilePage';
 import AddCasePage from './pages/AddCasePage';
 import PageFullCase from './pages/PageFullCase';
 import PageFullProject from './pages/PageFullProject';
 import ProfileView from './pages/ProfileView';
 import PageFullProcessedCase from './pages/PageFullProcessedCase';
+import MessagesPage from './pages/MessagesPage';
 
 function ProtectedRoute({ children }) {
   const userId = localStorage.getItem('currentUserId');
@@ -36,6 +40,9 @@ export default function App() {
       {/* Страницы для входа и регистрации */}
       <Route path="/signin" element={<SignInPage />} />
       <Route path="/register" element={<RegisterPage />} />
+      <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+      <Route path="/reset-password" element={<ResetPasswordPage />} />
+      <Route path="/verify-email" element={<VerifyEmailPage />} />
       <Route path="/add-case" element={<AddCasePage />} />
 
       {/* ПРОСМОТР ЧУЖОГО ПРОФИЛЯ - ОТКРЫТЫЙ ДОСТУП */}
@@ -51,6 +58,15 @@ export default function App() {
         }
       />
 
+      <Route
+        path="/messages"
+        element={
+          <ProtectedRoute>
+            <MessagesPage />
+          </ProtectedRoute>
+        }
+      />
+
       {/* Все остальные пути редиректим на главную */}
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
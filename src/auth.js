@@ -0,0 +1,87 @@
+// Работа с токенами авторизации на клиенте
+
+export function getAuthToken() {
+  return localStorage.getItem('authToken');
+}
+
+export function saveTokens({ token, refreshToken }) {
+  if (token) localStorage.setItem('authToken', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+}
+
+// Роли текущего пользователя (customer, freelancer, admin)
+export function getUserRoles() {
+  try {
+    return JSON.parse(localStorage.getItem('userRoles')) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveUserRoles(roles) {
+  localStorage.setItem('userRoles', JSON.stringify(roles || []));
+}
+
+export function hasRole(role) {
+  return getUserRoles().includes(role);
+}
+
+// Заголовки для запросов, требующих авторизации
+export function authHeaders(headers = {}) {
+  const token = getAuthToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+export function clearSession() {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('currentUserId');
+  localStorage.removeItem('userEmail');
+  localStorage.removeItem('userFirstName');
+  localStorage.removeItem('userLastName');
+  localStorage.removeItem('userPhoto');
+  localStorage.removeItem('userDescription');
+  localStorage.removeItem('userData');
+  localStorage.removeItem('userRoles');
+}
+
+// Один общий запрос обновления, чтобы параллельные вызовы не ротировали токен дважды.
+// Соседняя вкладка с тем же токеном получает от сервера ту же новую пару (см. rotateSession)
+let refreshPromise = null;
+
+async function refreshTokens() {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async res => {
+        if (!res.ok) return false;
+        saveTokens(await res.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+// fetch с токеном: при 401 один раз обновляет токен и повторяет запрос
+export async function apiFetch(url, options = {}) {
+  const send = () => fetch(url, { ...options, headers: authHeaders(options.headers) });
+
+  let response = await send();
+  if (response.status === 401 && (await refreshTokens())) {
+    response = await send();
+  }
+  if (response.status === 401) {
+    clearSession();
+  }
+  return response;
+}
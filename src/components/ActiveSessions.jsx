@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const formatDate = value => (value ? new Date(value).toLocaleString('ru-RU') : '—');
+
+export default function ActiveSessions({ onLoggedOutEverywhere }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const res = await apiFetch(`${API_BASE_URL}/sessions`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки сессий');
+      setSessions(data);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const revokeSession = async session => {
+    if (!window.confirm('Завершить эту сессию?')) return;
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/sessions/${session.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка завершения сессии');
+      if (session.current) {
+        onLoggedOutEverywhere();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      alert('Ошибка: ' + err.message);
+    }
+  };
+
+  const revokeAll = async () => {
+    if (!window.confirm('Выйти на всех устройствах, включая это?')) return;
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/sessions`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка завершения сессий');
+      onLoggedOutEverywhere();
+    } catch (err) {
+      alert('Ошибка: ' + err.message);
+    }
+  };
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Активные сессии</h2>
+        <button className={styles.revokeAllButton} onClick={revokeAll}>
+          Выйти на всех устройствах
+        </button>
+      </div>
+
+      {loading && <p>Загрузка сессий...</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {!loading && !error && (
+        <div className={styles.list}>
+          {sessions.map(s => (
+            <div key={s.id} className={styles.item}>
+              <div>
+                <div className={styles.device}>
+                  {s.userAgent || 'Неизвестное устройство'}
+                  {s.current && <span className={styles.currentBadge}>Это устройство</span>}
+                </div>
+                <div className={styles.meta}>
+                  IP: {s.ip || '—'} · Вход: {formatDate(s.createdAt)} · Активность: {formatDate(s.lastUsedAt)}
+                </div>
+              </div>
+              <button className={styles.revokeButton} onClick={() => revokeSession(s)}>
+                Завершить
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
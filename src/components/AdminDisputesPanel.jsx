@@ -0,0 +1,135 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from '../auth';
+import { formatAmount } from './caseTerms';
+import DisputeEvidence, { DISPUTE_OUTCOME_LABELS } from './DisputeEvidence';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const emptyResolution = { outcome: 'reopen', executorShare: '', comment: '' };
+
+// Экран администратора: споры по кейсам и их решение
+export default function AdminDisputesPanel() {
+  const [status, setStatus] = useState('open');
+  const [disputes, setDisputes] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [resolution, setResolution] = useState(emptyResolution);
+  const [error, setError] = useState('');
+
+  const loadDisputes = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/admin/disputes?status=${status}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки споров');
+      setDisputes(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    setSelectedId(null);
+    loadDisputes();
+  }, [loadDisputes]);
+
+  const handleResolve = async dispute => {
+    if (!window.confirm(`Решение: ${DISPUTE_OUTCOME_LABELS[resolution.outcome]}. Изменить его будет нельзя`)) return;
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/disputes/${dispute.id}/resolve`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(resolution),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка решения спора');
+      setResolution(emptyResolution);
+      setSelectedId(null);
+      loadDisputes();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renderResolution = dispute =>
+    dispute.status === 'open' && (
+      <div className={styles.form} style={{ marginTop: 20 }}>
+        <h3>Решение</h3>
+        <select
+          className={styles.input}
+          value={resolution.outcome}
+          onChange={e => setResolution({ ...resolution, outcome: e.target.value })}
+        >
+          {Object.entries(DISPUTE_OUTCOME_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {resolution.outcome === 'split' && (
+          <input
+            className={styles.input}
+            type="number"
+            min="0"
+            step="0.01"
+            value={resolution.executorShare}
+            onChange={e => setResolution({ ...resolution, executorShare: e.target.value })}
+            placeholder={dispute.escrow ? `Доля исполнителя, из ${formatAmount(dispute.escrow.remaining, dispute.escrow.currency)}` : 'Доля исполнителя'}
+          />
+        )}
+        <textarea
+          className={styles.input}
+          value={resolution.comment}
+          onChange={e => setResolution({ ...resolution, comment: e.target.value })}
+          placeholder="Обоснование решения — его увидят обе стороны"
+          rows={3}
+        />
+        <div className={styles.actions}>
+          <button className={styles.revokeButton} onClick={() => handleResolve(dispute)}>Вынести решение</button>
+        </div>
+      </div>
+    );
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Споры</h2>
+        <div className={styles.actions}>
+          <button className={status === 'open' ? styles.revokeButton : styles.revokeAllButton} onClick={() => setStatus('open')}>
+            Открытые
+          </button>
+          <button className={status === 'resolved' ? styles.revokeButton : styles.revokeAllButton} onClick={() => setStatus('resolved')}>
+            Решённые
+          </button>
+        </div>
+      </div>
+
+      {disputes.length === 0 ? (
+        <p className={styles.description}>{status === 'open' ? 'Открытых споров нет' : 'Решённых споров пока нет'}</p>
+      ) : (
+        <div className={styles.list}>
+          {disputes.map(d => (
+            <div key={d.id} className={styles.item} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+              <div className={styles.row} style={{ justifyContent: 'space-between' }}>
+                <div>
+                  <Link to={`/cases/${d.caseId}`} className={styles.device}>{d.title}</Link>
+                  <div className={styles.meta}>
+                    {d.customerEmail} ↔ {d.executorEmail || '—'}
+                    {d.escrowRemaining != null && <> · В эскроу {formatAmount(d.escrowRemaining, d.currency)}</>}
+                    {d.outcome && <> · {DISPUTE_OUTCOME_LABELS[d.outcome]}</>}
+                  </div>
+                  <p className={styles.body}>{d.reason}</p>
+                </div>
+                <button className={styles.revokeAllButton} onClick={() => setSelectedId(selectedId === d.id ? null : d.id)}>
+                  {selectedId === d.id ? 'Свернуть' : 'Материалы'}
+                </button>
+              </div>
+              {selectedId === d.id && <DisputeEvidence disputeId={d.id}>{renderResolution}</DisputeEvidence>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const formatTime = value => (value ? new Date(value).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' }) : 'не использовался');
+
+const request = async (path, options = {}) => {
+  const res = await apiFetch(`${API_BASE_URL}/api-keys${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Ошибка запроса');
+  return data;
+};
+
+// Личные API-ключи для публичного API /api/v1. Ключ виден только сразу после создания,
+// в списке — его начало (prefix), доступы и время последнего запроса
+export default function ApiKeysPanel() {
+  const [scopes, setScopes] = useState({});
+  const [keys, setKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState([]);
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const data = await request('');
+      setScopes(data.scopes);
+      setKeys(data.keys);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const toggleScope = scope => {
+    setSelectedScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : prev.concat(scope)));
+  };
+
+  const create = async e => {
+    e.preventDefault();
+    setError('');
+    try {
+      const apiKey = await request('', { method: 'POST', body: { name, scopes: selectedScopes } });
+      setCreated(apiKey);
+      setName('');
+      setSelectedScopes([]);
+      await loadKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const revoke = async apiKey => {
+    if (!window.confirm(`Отозвать ключ «${apiKey.name}»? Программы, которые им пользуются, перестанут работать.`)) return;
+    setError('');
+    try {
+      await request(`/${apiKey.id}`, { method: 'DELETE' });
+      if (created && created.id === apiKey.id) setCreated(null);
+      await loadKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>API-ключи</h2>
+      </div>
+
+      <p className={styles.description}>
+        Ключ открывает доступ к публичному API от вашего имени. Передавайте его в заголовке
+        Authorization: Bearer &lt;ключ&gt;. Описание методов — в{' '}
+        <a href="/api/v1/docs" target="_blank" rel="noopener noreferrer">документации API</a>.
+      </p>
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      <form className={styles.form} onSubmit={create}>
+        <input
+          className={styles.input}
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Название, например «Интеграция с CRM»"
+          maxLength={100}
+          required
+        />
+        <div className={styles.row} style={{ marginTop: 0 }}>
+          {Object.entries(scopes).map(([scope, label]) => (
+            <label key={scope} style={{ cursor: 'pointer' }}>
+              <input type="checkbox" checked={selectedScopes.includes(scope)} onChange={() => toggleScope(scope)} />
+              {' '}{label}
+            </label>
+          ))}
+        </div>
+        <div className={styles.actions}>
+          <button type="submit" className={styles.revokeButton}>Создать ключ</button>
+        </div>
+      </form>
+
+      {created && (
+        <p className={styles.description} style={{ marginTop: 20 }}>
+          Ключ «{created.name}» — скопируйте его сейчас, больше он показан не будет:
+          <br />
+          <span className={styles.secret}>{created.key}</span>
+        </p>
+      )}
+
+      <div className={styles.list} style={{ marginTop: 20 }}>
+        {keys.length === 0 && <p className={styles.description}>Ключей пока нет</p>}
+        {keys.map(apiKey => (
+          <div key={apiKey.id} className={styles.item}>
+            <div>
+              <div className={styles.device}>{apiKey.name} <code>{apiKey.prefix}_…</code></div>
+              <div className={styles.meta}>
+                {apiKey.scopes.map(scope => scopes[scope] || scope).join(', ')}
+                {' · '}последний запрос: {formatTime(apiKey.lastUsedAt)}
+              </div>
+            </div>
+            <button className={styles.revokeButton} onClick={() => revoke(apiKey)}>Отозвать</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
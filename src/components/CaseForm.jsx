@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import styles from '../pages/AddCasePage.module.css';
+import { BUDGET_TYPE_LABELS, CURRENCIES } from './caseTerms';
+import { THEMES } from './caseThemes';
+
+const MAX_FILES = 15;
+
+// Форма кейса: создание на AddCasePage и редактирование на PageFullCase.
+// При редактировании initial содержит текущий кейс, а уже прикреплённые файлы можно убрать.
+// defaultPrivate — новый кейс создаётся закрытым (под приглашение конкретного исполнителя)
+export default function CaseForm({ initial, submitLabel, onSubmit, onCancel, defaultPrivate = false }) {
+  const isEdit = !!initial;
+  const [projectName, setProjectName] = useState(initial ? initial.title : '');
+  const [theme, setTheme] = useState(initial ? initial.theme : '');
+  const [description, setDescription] = useState(initial ? initial.description : '');
+  const [budgetType, setBudgetType] = useState((initial && initial.budgetType) || '');
+  const [budgetMin, setBudgetMin] = useState((initial && initial.budgetMin) || '');
+  const [budgetMax, setBudgetMax] = useState((initial && initial.budgetMax) || '');
+  const [currency, setCurrency] = useState((initial && initial.currency) || 'RUB');
+  const [deadline, setDeadline] = useState((initial && initial.deadline) || '');
+  const [isPrivate, setIsPrivate] = useState(initial ? !!initial.isPrivate : defaultPrivate);
+  const [files, setFiles] = useState([]);
+  const [cover, setCover] = useState(null);
+  const [removeFiles, setRemoveFiles] = useState([]);
+  const [removeCover, setRemoveCover] = useState(false);
+
+  const existingFiles = initial ? initial.files || [] : [];
+  const keptFiles = existingFiles.length - removeFiles.length;
+
+  const handleFileChange = (e) => {
+    const selectedFiles = Array.from(e.target.files);
+    if (keptFiles + selectedFiles.length > MAX_FILES) {
+      alert(`Можно прикрепить не более ${MAX_FILES} файлов`);
+      e.target.value = ''; // сброс выбора в input
+      return;
+    }
+    setFiles(selectedFiles);
+  };
+
+  const handleCoverChange = (e) => {
+    if (e.target.files.length > 0) {
+      setCover(e.target.files[0]);
+    } else {
+      setCover(null);
+    }
+  };
+
+  const toggleRemoveFile = (file) => {
+    setRemoveFiles(prev => (prev.includes(file) ? prev.filter(f => f !== file) : [...prev, file]));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const formData = new FormData();
+    formData.append('title', projectName);
+    formData.append('theme', theme);
+    formData.append('description', description);
+    formData.append('budgetType', budgetType);
+    // Для договорной оплаты суммы не отправляются
+    formData.append('budgetMin', budgetType ? budgetMin : '');
+    formData.append('budgetMax', budgetType ? budgetMax : '');
+    formData.append('currency', currency);
+    formData.append('deadline', deadline);
+    formData.append('isPrivate', isPrivate ? 'true' : 'false');
+    if (cover) {
+      formData.append('cover', cover);
+    }
+    files.forEach((file) => formData.append('files', file));
+    if (isEdit) {
+      formData.append('removeFiles', JSON.stringify(removeFiles));
+      if (removeCover) formData.append('removeCover', 'true');
+    }
+    onSubmit(formData);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={styles.form}>
+      <label className={styles.label}>
+        Укажите название проекта
+        <input
+          type="text"
+          value={projectName}
+          onChange={(e) => setProjectName(e.target.value)}
+          required
+          className={styles.textInput}
+        />
+      </label>
+      <label className={styles.label}>
+        Выберите тему
+        <input
+          list="theme-options"
+          type="text"
+          value={theme}
+          onChange={(e) => setTheme(e.target.value)}
+          placeholder="Выберите из списка или введите свой вариант"
+          required
+          className={styles.textInput}
+        />
+        <datalist id="theme-options">
+          {THEMES.map(option => <option key={option} value={option} />)}
+        </datalist>
+      </label>
+      <label className={styles.label}>
+        Опишите детально задачу и суть проекта
+        <textarea
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          required
+          className={styles.textareaInput}
+        />
+      </label>
+
+      <label className={styles.label}>
+        Оплата
+        <select value={budgetType} onChange={(e) => setBudgetType(e.target.value)} className={styles.textInput}>
+          <option value="">Договорная</option>
+          {Object.entries(BUDGET_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {budgetType && (
+        <div className={styles.label}>
+          {budgetType === 'hourly' ? 'Ставка в час' : 'Бюджет'}
+          <div style={{ display: 'flex', gap: 10 }}>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="от"
+              value={budgetMin}
+              onChange={(e) => setBudgetMin(e.target.value)}
+              className={styles.textInput}
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="до"
+              value={budgetMax}
+              onChange={(e) => setBudgetMax(e.target.value)}
+              className={styles.textInput}
+            />
+            <select value={currency} onChange={(e) => setCurrency(e.target.value)} className={styles.textInput}>
+              {CURRENCIES.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </div>
+        </div>
+      )}
+      <label className={styles.label}>
+        Срок сдачи
+        <input
+          type="date"
+          value={deadline}
+          onChange={(e) => setDeadline(e.target.value)}
+          className={styles.textInput}
+        />
+      </label>
+
+      <label className={styles.fileInfo}>
+        <input type="checkbox" checked={isPrivate} onChange={(e) => setIsPrivate(e.target.checked)} />{' '}
+        Закрытый кейс — не показывать в общем списке, откликнуться можно только по приглашению
+      </label>
+
+      {isEdit && existingFiles.length > 0 && (
+        <div className={styles.label}>
+          Прикреплённые файлы (отметьте, чтобы удалить)
+          {existingFiles.map(file => (
+            <label key={file} className={styles.fileInfo}>
+              <input type="checkbox" checked={removeFiles.includes(file)} onChange={() => toggleRemoveFile(file)} />{' '}
+              {file.split('/').pop()}
+            </label>
+          ))}
+        </div>
+      )}
+      {isEdit && initial.cover && !cover && (
+        <label className={styles.fileInfo}>
+          <input type="checkbox" checked={removeCover} onChange={(e) => setRemoveCover(e.target.checked)} />{' '}
+          Удалить обложку
+        </label>
+      )}
+
+      <div className={styles.fileButtonsContainer}>
+        {/* Кнопка для выбора файлов */}
+        <label htmlFor="attachFiles" className={styles.labelFileButton}>
+          {isEdit ? 'Добавить файлы' : `Прикрепить файлы (до ${MAX_FILES})`}
+        </label>
+        <input
+          type="file"
+          id="attachFiles"
+          multiple
+          onChange={handleFileChange}
+          className={styles.fileInputHidden}
+        />
+
+        {/* Кнопка для выбора обложки */}
+        <label htmlFor="selectCover" className={styles.labelFileButton}>
+          {isEdit && initial.cover ? 'Заменить обложку' : 'Выбрать обложку'}
+        </label>
+        <input
+          type="file"
+          id="selectCover"
+          onChange={handleCoverChange}
+          className={styles.fileInputHidden}
+        />
+      </div>
+
+      {files.length > 0 && (
+        <p className={styles.fileInfo}>Выбрано файлов: {files.length}</p>
+      )}
+      {cover && (
+        <p className={styles.fileInfo}>Выбрана обложка: {cover.name}</p>
+      )}
+
+      <button type="submit" className={styles.submitButton}>
+        {submitLabel}
+      </button>
+      {onCancel && (
+        <button type="button" className={styles.labelFileButton} onClick={onCancel}>
+          Отмена
+        </button>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import { CASE_STATUS_LABELS } from './caseStatus';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const label = status => CASE_STATUS_LABELS[status] || status;
+
+// История статусов кейса: видна заказчику, исполнителю и администратору
+export default function CaseTimeline({ caseId, status }) {
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE_URL}/cases/${caseId}/timeline`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Ошибка загрузки истории');
+        setEvents(data.events);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    load();
+  }, [caseId, status]);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>История кейса</h2>
+      </div>
+
+      {events.length === 0 ? (
+        <p className={styles.description}>История пока пуста</p>
+      ) : (
+        <div className={styles.list}>
+          {events.map(event => (
+            <div key={event.id} className={styles.item}>
+              <div>
+                <div className={styles.device}>
+                  {event.fromStatus ? `${label(event.fromStatus)} → ${label(event.toStatus)}` : label(event.toStatus)}
+                </div>
+                <div className={styles.meta}>
+                  {[event.firstName, event.lastName].filter(Boolean).join(' ') || event.actorEmail || 'Система'} ·{' '}
+                  {new Date(event.createdAt).toLocaleString('ru-RU')}
+                </div>
+                {event.comment && <p className={styles.body}>{event.comment}</p>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { apiFetch } from '../auth';
+import { subscribe } from '../realtime';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const markRead = id => apiFetch(`${API_BASE_URL}/conversations/${id}/read`, { method: 'PUT' }).catch(() => {});
+
+const formatTime = value => new Date(value).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' });
+
+// Переписка заказчика и исполнителя. Диалог задаётся conversationId (из входящих)
+// или парой caseId + freelancerId — тогда он открывается при первом показе
+export default function ChatPanel({ conversationId: initialId, caseId, freelancerId, title = 'Сообщения' }) {
+  const userId = localStorage.getItem('currentUserId');
+  const [conversationId, setConversationId] = useState(initialId || null);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [text, setText] = useState('');
+  const [files, setFiles] = useState(null);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+  const bottom = useRef(null);
+
+  const loadPage = useCallback(async (id, before = null) => {
+    const params = before ? `?before=${before}` : '';
+    const res = await apiFetch(`${API_BASE_URL}/conversations/${id}/messages${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Ошибка загрузки сообщений');
+    setMessages(prev => (before ? data.messages.concat(prev) : data.messages));
+    setHasMore(data.hasMore);
+  }, []);
+
+  useEffect(() => {
+    setConversationId(initialId || null);
+  }, [initialId]);
+
+  // Диалог по кейсу создаётся на сервере при первом открытии
+  useEffect(() => {
+    if (initialId || !caseId) return;
+    const open = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE_URL}/cases/${caseId}/conversations`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ freelancerId }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Ошибка открытия переписки');
+        setConversationId(data.id);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    open();
+  }, [initialId, caseId, freelancerId]);
+
+  useEffect(() => {
+    if (!conversationId) return undefined;
+
+    setMessages([]);
+    loadPage(conversationId)
+      .then(() => markRead(conversationId))
+      .catch(err => setError(err.message));
+
+    const unsubscribeNew = subscribe('message:new', message => {
+      if (Number(message.conversationId) !== Number(conversationId)) return;
+      setMessages(prev => (prev.some(m => m.id === message.id) ? prev : prev.concat(message)));
+      if (String(message.senderId) !== String(userId)) markRead(conversationId);
+    });
+    const unsubscribeRead = subscribe('message:read', ({ conversationId: readId, messageIds, readAt }) => {
+      if (Number(readId) !== Number(conversationId)) return;
+      setMessages(prev => prev.map(m => (messageIds.includes(m.id) ? { ...m, readAt } : m)));
+    });
+    return () => {
+      unsubscribeNew();
+      unsubscribeRead();
+    };
+  }, [conversationId, userId, loadPage]);
+
+  useEffect(() => {
+    if (bottom.current) bottom.current.scrollIntoView({ block: 'nearest' });
+  }, [messages.length]);
+
+  const loadOlder = async () => {
+    try {
+      await loadPage(conversationId, messages[0].id);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const send = async e => {
+    e.preventDefault();
+    setError('');
+    const formData = new FormData();
+    formData.append('body', text);
+    Array.from(files || []).forEach(file => formData.append('files', file));
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/conversations/${conversationId}/messages`, { method: 'POST', body: formData });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка отправки сообщения');
+      // Своё сообщение тоже придёт по WebSocket — повтор отсекается по id
+      setMessages(prev => (prev.some(m => m.id === data.id) ? prev : prev.concat(data)));
+      setText('');
+      setFiles(null);
+      if (fileInput.current) fileInput.current.value = '';
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>{title}</h2>
+      </div>
+
+      <div className={styles.list} style={{ maxHeight: 420, overflowY: 'auto' }}>
+        {hasMore && (
+          <div className={styles.actions}>
+            <button className={styles.revokeAllButton} onClick={loadOlder}>Показать более ранние</button>
+          </div>
+        )}
+        {messages.length === 0 && <p className={styles.description}>Сообщений пока нет</p>}
+        {messages.map(m => {
+          const own = String(m.senderId) === String(userId);
+          return (
+            <div
+              key={m.id}
+              className={styles.item}
+              style={{ flexDirection: 'column', alignItems: own ? 'flex-end' : 'flex-start', background: own ? '#fff8e8' : undefined }}
+            >
+              {m.body && <p className={styles.body} style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{m.body}</p>}
+              {m.files.map(file => (
+                <a key={file} href={file} target="_blank" rel="noreferrer">📎 {file.split('/').pop()}</a>
+              ))}
+              <div className={styles.meta}>
+                {formatTime(m.createdAt)}
+                {own && (m.readAt ? ' · ✓✓ прочитано' : ' · ✓ доставлено')}
+              </div>
+            </div>
+          );
+        })}
+        <div ref={bottom} />
+      </div>
+
+      {conversationId && (
+        <form className={styles.form} style={{ marginTop: 16 }} onSubmit={send}>
+          <textarea
+            className={styles.input}
+            value={text}
+            onChange={e => setText(e.target.value)}
+            placeholder="Сообщение"
+            rows={2}
+          />
+          <input ref={fileInput} type="file" multiple onChange={e => setFiles(e.target.files)} />
+          <div className={styles.actions}>
+            <button type="submit" className={styles.revokeButton}>Отправить</button>
+          </div>
+        </form>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import { DELIVERY_EVENT_LABELS } from './caseStatus';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const formatDate = value => (value ? new Date(value).toLocaleString('ru-RU') : '—');
+
+// Сдача работы: история и действия исполнителя (отправить) и заказчика (принять / доработать)
+export default function DeliveryPanel({ processedCase, isOwner, isExecutor, onStatusChange, onApproved }) {
+  const [events, setEvents] = useState([]);
+  const [comment, setComment] = useState('');
+  const [error, setError] = useState('');
+
+  const loadEvents = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/processed-cases/${processedCase.id}/deliveries`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки истории');
+      setEvents(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [processedCase.id]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const act = action => async e => {
+    e.preventDefault();
+    setError('');
+    if (action === 'approve' && !window.confirm('Принять работу? Кейс будет закрыт и станет проектом.')) return;
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/processed-cases/${processedCase.id}/${action}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ comment }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка');
+      setComment('');
+      if (action === 'approve') {
+        onApproved(data.projectId);
+        return;
+      }
+      onStatusChange(data.status);
+      await loadEvents();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const status = processedCase.status;
+  const canSubmit = isExecutor && (status === 'in_progress' || status === 'revision_requested');
+  const canReview = isOwner && status === 'submitted';
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Сдача работы</h2>
+      </div>
+
+      {events.length === 0 ? (
+        <p className={styles.description}>Работа ещё не отправлялась на проверку</p>
+      ) : (
+        <div className={styles.list}>
+          {events.map(event => (
+            <div key={event.id} className={styles.item}>
+              <div>
+                <div className={styles.device}>{DELIVERY_EVENT_LABELS[event.type] || event.type}</div>
+                <div className={styles.meta}>
+                  {[event.firstName, event.lastName].filter(Boolean).join(' ') || event.authorEmail} ·{' '}
+                  {formatDate(event.createdAt)} · Файлов: {event.files.length}
+                </div>
+                {event.comment && <p className={styles.body}>{event.comment}</p>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {(canSubmit || canReview) && (
+        <form className={styles.form} style={{ marginTop: 20 }} onSubmit={e => e.preventDefault()}>
+          <textarea
+            className={`${styles.input} ${styles.textarea}`}
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            placeholder={canReview ? 'Комментарий: что понравилось или что доработать' : 'Комментарий для заказчика'}
+          />
+          <div className={styles.actions}>
+            {canSubmit && (
+              <button className={styles.revokeButton} onClick={act('submit')}>Отправить на проверку</button>
+            )}
+            {canReview && (
+              <>
+                <button className={styles.revokeButton} onClick={act('approve')}>Принять работу</button>
+                <button className={styles.revokeAllButton} onClick={act('request-revision')}>Отправить на доработку</button>
+              </>
+            )}
+          </div>
+        </form>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import { formatAmount } from './caseTerms';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+export const DISPUTE_OUTCOME_LABELS = {
+  reopen: 'Кейс переоткрыт, деньги возвращены заказчику',
+  complete: 'Работа принята, деньги выплачены исполнителю',
+  split: 'Эскроу разделено между сторонами',
+};
+
+const formatDate = value => (value ? new Date(value).toLocaleString('ru-RU') : '—');
+
+const personName = person =>
+  person ? [person.firstName, person.lastName].filter(Boolean).join(' ') || person.email : '—';
+
+// Материалы спора: стороны, остаток в эскроу, переписка с файлами и форма для новых материалов.
+// children — дополнительные действия (решение администратора), получают загруженный спор
+export default function DisputeEvidence({ disputeId, children }) {
+  const [dispute, setDispute] = useState(null);
+  const [comment, setComment] = useState('');
+  const [files, setFiles] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadDispute = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/disputes/${disputeId}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки спора');
+      setDispute(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [disputeId]);
+
+  useEffect(() => {
+    loadDispute();
+  }, [loadDispute]);
+
+  const handleAddEvidence = async e => {
+    e.preventDefault();
+    setError('');
+    const formData = new FormData();
+    formData.append('comment', comment);
+    Array.from(files || []).forEach(file => formData.append('files', file));
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/disputes/${disputeId}/evidence`, { method: 'POST', body: formData });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка добавления материалов');
+      setComment('');
+      setFiles(null);
+      e.target.reset();
+      loadDispute();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!dispute) return error ? <p style={{ color: 'red' }}>{error}</p> : <p>Загрузка спора...</p>;
+
+  return (
+    <div>
+      <p className={styles.meta}>
+        Открыт {formatDate(dispute.createdAt)} · Заказчик: {personName(dispute.customer)} · Исполнитель: {personName(dispute.executor)}
+        {dispute.escrow && <> · В эскроу осталось {formatAmount(dispute.escrow.remaining, dispute.escrow.currency)}</>}
+      </p>
+
+      {dispute.status === 'resolved' && (
+        <div className={styles.item} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+          <div className={styles.device}>Решение: {DISPUTE_OUTCOME_LABELS[dispute.outcome] || dispute.outcome}</div>
+          {dispute.outcome === 'split' && <div className={styles.meta}>Доля исполнителя: {dispute.executorShare}</div>}
+          <p className={styles.body}>{dispute.resolutionComment}</p>
+        </div>
+      )}
+
+      <div className={styles.list} style={{ marginTop: 16 }}>
+        {dispute.evidence.map(item => (
+          <div key={item.id} className={styles.item} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+            <div className={styles.meta}>
+              {personName({ ...item, email: item.authorEmail })} · {formatDate(item.createdAt)}
+            </div>
+            {item.comment && <p className={styles.body}>{item.comment}</p>}
+            {item.files.map(file => (
+              <div key={file}>
+                <a href={file} target="_blank" rel="noreferrer">📎 {file.split('/').pop()}</a>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {dispute.status === 'open' && (
+        <form className={styles.form} style={{ marginTop: 16 }} onSubmit={handleAddEvidence}>
+          <textarea
+            className={styles.input}
+            value={comment}
+            onChange={e => setComment(e.target.value)}
+            placeholder="Пояснение или новые факты"
+            rows={3}
+          />
+          <input type="file" multiple onChange={e => setFiles(e.target.files)} />
+          <div className={styles.actions}>
+            <button type="submit" className={styles.revokeButton}>Добавить материалы</button>
+          </div>
+        </form>
+      )}
+
+      {children && children(dispute, loadDispute)}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
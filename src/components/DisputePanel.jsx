@@ -0,0 +1,160 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import DisputeEvidence from './DisputeEvidence';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const ACTIVE_STATUSES = ['in_progress', 'submitted', 'revision_requested'];
+
+const formatDate = value => (value ? new Date(value).toLocaleDateString('ru-RU') : '—');
+
+// Расторжение и спор по работе: предложение расторгнуть по соглашению, отказ от молчащего исполнителя,
+// открытие спора с материалами. После снятия исполнителя принятого кейса больше нет — onReleased уводит со страницы
+export default function DisputePanel({ processedCase, isOwner, onStatusChange, onReleased }) {
+  const [state, setState] = useState(null);
+  const [reason, setReason] = useState('');
+  const [files, setFiles] = useState(null);
+  const [error, setError] = useState('');
+
+  const userId = localStorage.getItem('currentUserId');
+
+  const loadState = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/processed-cases/${processedCase.id}/engagement`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки');
+      setState(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [processedCase.id]);
+
+  useEffect(() => {
+    loadState();
+  }, [loadState, processedCase.status]);
+
+  const request = async (url, options) => {
+    setError('');
+    try {
+      const res = await apiFetch(url, options);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const postReason = url =>
+    request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason }),
+    });
+
+  const handleRequestCancellation = async () => {
+    if (await postReason(`${API_BASE_URL}/processed-cases/${processedCase.id}/cancellations`)) {
+      setReason('');
+      loadState();
+    }
+  };
+
+  const handleForceCancel = async () => {
+    if (!window.confirm('Снять исполнителя без его согласия? Деньги из эскроу вернутся на ваш баланс')) return;
+    const data = await postReason(`${API_BASE_URL}/processed-cases/${processedCase.id}/force-cancel`);
+    if (data) onReleased(data.caseId);
+  };
+
+  const handleOpenDispute = async () => {
+    if (!window.confirm('Открыть спор? Работа остановится до решения администратора')) return;
+    const formData = new FormData();
+    formData.append('reason', reason);
+    Array.from(files || []).forEach(file => formData.append('files', file));
+    if (await request(`${API_BASE_URL}/processed-cases/${processedCase.id}/disputes`, { method: 'POST', body: formData })) {
+      setReason('');
+      setFiles(null);
+      onStatusChange('disputed');
+    }
+  };
+
+  const handleCancellation = async action => {
+    if (action === 'accept' && !window.confirm('Расторгнуть работу? Исполнитель будет снят, деньги вернутся заказчику')) return;
+    const data = await request(`${API_BASE_URL}/cancellations/${state.cancellation.id}/${action}`, { method: 'PUT' });
+    if (!data) return;
+    if (action === 'accept') {
+      onReleased(data.caseId);
+    } else {
+      loadState();
+    }
+  };
+
+  if (!state) return error ? <p style={{ color: 'red' }}>{error}</p> : null;
+
+  const { cancellation, dispute } = state;
+  const isActive = ACTIVE_STATUSES.includes(processedCase.status);
+  if (!dispute && !isActive) return null;
+
+  const ownRequest = cancellation && String(cancellation.requestedBy) === String(userId);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>{dispute ? 'Спор' : 'Расторжение и спор'}</h2>
+      </div>
+
+      {dispute ? (
+        <DisputeEvidence disputeId={dispute.id} />
+      ) : (
+        <>
+          {cancellation && (
+            <div className={styles.item} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+              <div className={styles.device}>
+                {ownRequest ? 'Вы предложили расторгнуть работу' : 'Другая сторона предлагает расторгнуть работу'}
+              </div>
+              <p className={styles.body}>{cancellation.reason}</p>
+              <div className={styles.actions}>
+                {ownRequest ? (
+                  <button className={styles.revokeAllButton} onClick={() => handleCancellation('withdraw')}>Отозвать</button>
+                ) : (
+                  <>
+                    <button className={styles.revokeButton} onClick={() => handleCancellation('accept')}>Согласиться</button>
+                    <button className={styles.revokeAllButton} onClick={() => handleCancellation('decline')}>Отказаться</button>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div className={styles.form} style={{ marginTop: 16 }}>
+            <textarea
+              className={styles.input}
+              value={reason}
+              onChange={e => setReason(e.target.value)}
+              placeholder="Причина: что пошло не так"
+              rows={3}
+            />
+            <input type="file" multiple onChange={e => setFiles(e.target.files)} />
+            <div className={styles.actions}>
+              {!cancellation && (
+                <button className={styles.revokeAllButton} onClick={handleRequestCancellation}>Предложить расторгнуть</button>
+              )}
+              {isOwner && state.canForceCancel && (
+                <button className={styles.revokeAllButton} onClick={handleForceCancel}>Отказаться от исполнителя</button>
+              )}
+              <button className={styles.revokeButton} onClick={handleOpenDispute}>Открыть спор</button>
+            </div>
+            {isOwner && !state.canForceCancel && state.forceCancelAfter && processedCase.status !== 'submitted' && (
+              <p className={styles.meta}>
+                Если исполнитель пропадёт, отказаться от него без согласия можно будет с {formatDate(state.forceCancelAfter)}
+              </p>
+            )}
+          </div>
+        </>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from '../auth';
+import { formatAmount } from './caseTerms';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+const PAGE_SIZE = 20;
+
+const TRANSACTION_LABELS = {
+  deposit: 'Пополнение',
+  escrow_fund: 'Оплата кейса в эскроу',
+  escrow_release: 'Выплата за работу',
+  escrow_refund: 'Возврат из эскроу',
+};
+
+const formatDate = value => (value ? new Date(value).toLocaleString('ru-RU') : '—');
+
+// Финансы: баланс кошелька, деньги в эскроу по кейсам и история операций
+export default function FinancePanel() {
+  const [balance, setBalance] = useState({ wallets: [], holds: [] });
+  const [transactions, setTransactions] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTransactions = async offset => {
+    const res = await apiFetch(`${API_BASE_URL}/finance/transactions?limit=${PAGE_SIZE}&offset=${offset}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Ошибка загрузки операций');
+    setTransactions(prev => (offset === 0 ? data.transactions : prev.concat(data.transactions)));
+    setHasMore(data.transactions.length === PAGE_SIZE);
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE_URL}/finance/balance`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Ошибка загрузки баланса');
+        setBalance(data);
+        await loadTransactions(0);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    load();
+  }, []);
+
+  const loadMore = async () => {
+    try {
+      await loadTransactions(transactions.length);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const activeHolds = balance.holds.filter(h => h.status === 'held');
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Финансы</h2>
+      </div>
+
+      <div className={styles.list}>
+        {balance.wallets.length === 0 ? (
+          <div className={styles.item}>
+            <div className={styles.device}>Баланс: {formatAmount(0, 'RUB')}</div>
+          </div>
+        ) : (
+          balance.wallets.map(w => (
+            <div key={w.currency} className={styles.item}>
+              <div className={styles.device}>Баланс: {formatAmount(w.balance, w.currency)}</div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {activeHolds.length > 0 && (
+        <>
+          <h3>В эскроу</h3>
+          <div className={styles.list}>
+            {activeHolds.map(h => (
+              <div key={h.caseId} className={styles.item}>
+                <div>
+                  <Link to={`/cases/${h.caseId}`} className={styles.device}>{h.title}</Link>
+                  <div className={styles.meta}>
+                    {h.role === 'customer' ? 'Вы заказчик' : 'Вы исполнитель'} · Внесено {formatAmount(h.amount, h.currency)} ·
+                    Выплачено {formatAmount(h.released, h.currency)}
+                  </div>
+                </div>
+                <span className={styles.currentBadge}>Осталось {formatAmount(h.remaining, h.currency)}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <h3>История операций</h3>
+      {transactions.length === 0 ? (
+        <p className={styles.description}>Операций пока нет</p>
+      ) : (
+        <div className={styles.list}>
+          {transactions.map(t => (
+            <div key={t.id} className={styles.item}>
+              <div>
+                <div className={styles.device}>{TRANSACTION_LABELS[t.type] || t.type}</div>
+                <div className={styles.meta}>
+                  {formatDate(t.createdAt)}
+                  {t.caseTitle && <> · {t.caseTitle}</>}
+                  {t.description && <> · {t.description}</>}
+                </div>
+              </div>
+              <span className={styles.device} style={{ color: Number(t.amount) > 0 ? '#0E900E' : '#c0392b' }}>
+                {Number(t.amount) > 0 ? '+' : ''}
+                {formatAmount(t.amount, t.currency)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hasMore && (
+        <div className={styles.actions} style={{ marginTop: 16 }}>
+          <button className={styles.revokeAllButton} onClick={loadMore}>Показать ещё</button>
+        </div>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
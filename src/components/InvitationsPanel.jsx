@@ -0,0 +1,112 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { apiFetch } from '../auth';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const INVITATION_STATUS_LABELS = {
+  pending: 'Ждёт ответа',
+  accepted: 'Принято',
+  declined: 'Отклонено',
+  withdrawn: 'Отозвано',
+};
+
+const personName = (firstName, lastName, email) => [firstName, lastName].filter(Boolean).join(' ') || email;
+
+// Приглашения в кейсы: полученные исполнителем и отправленные заказчиком
+export default function InvitationsPanel() {
+  const navigate = useNavigate();
+  const [direction, setDirection] = useState('received');
+  const [invitations, setInvitations] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/invitations?direction=${direction}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки приглашений');
+      setInvitations(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [direction]);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  const act = async (invitation, action) => {
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/invitations/${invitation.id}/${action}`, { method: 'PUT' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка');
+      // Приняв приглашение, исполнитель отправляет отклик со своей ценой и сроком
+      if (action === 'accept') {
+        navigate(`/cases/${invitation.caseId}`);
+        return;
+      }
+      loadInvitations();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const received = direction === 'received';
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Приглашения</h2>
+        <div className={styles.actions}>
+          <button className={received ? styles.revokeButton : styles.revokeAllButton} onClick={() => setDirection('received')}>
+            Мне
+          </button>
+          <button className={!received ? styles.revokeButton : styles.revokeAllButton} onClick={() => setDirection('sent')}>
+            Отправленные
+          </button>
+        </div>
+      </div>
+
+      {invitations.length === 0 ? (
+        <p className={styles.description}>{received ? 'Вас пока никуда не приглашали' : 'Вы пока никого не приглашали'}</p>
+      ) : (
+        <div className={styles.list}>
+          {invitations.map(i => (
+            <div key={i.id} className={styles.item} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+              <div>
+                <Link to={`/cases/${i.caseId}`} className={styles.device}>
+                  {i.isPrivate && '🔒 '}
+                  {i.caseTitle}
+                </Link>
+                <div className={styles.meta}>
+                  {received
+                    ? <>От: {personName(i.customerFirstName, i.customerLastName, i.customerEmail)}</>
+                    : <>Кому: <Link to={`/profileview/${i.freelancerId}`}>{personName(i.freelancerFirstName, i.freelancerLastName, i.freelancerEmail)}</Link></>}
+                  {' · '}
+                  {INVITATION_STATUS_LABELS[i.status] || i.status}
+                </div>
+                {i.message && <p className={styles.body}>{i.message}</p>}
+              </div>
+              {i.status === 'pending' && (
+                <div className={styles.actions}>
+                  {received ? (
+                    <>
+                      <button className={styles.revokeButton} onClick={() => act(i, 'accept')}>Принять и откликнуться</button>
+                      <button className={styles.revokeAllButton} onClick={() => act(i, 'decline')}>Отказаться</button>
+                    </>
+                  ) : (
+                    <button className={styles.revokeAllButton} onClick={() => act(i, 'withdraw')}>Отозвать</button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from '../auth';
+import { OPEN_FOR_PROPOSALS } from './caseStatus';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+// «Пригласить в кейс» на чужом профиле: один из своих открытых кейсов или новый закрытый кейс
+export default function InviteToCase({ freelancerId }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [cases, setCases] = useState([]);
+  const [caseId, setCaseId] = useState('');
+  const [message, setMessage] = useState('');
+  const [sent, setSent] = useState('');
+  const [error, setError] = useState('');
+
+  const open = async () => {
+    setIsOpen(true);
+    setError('');
+    setSent('');
+    try {
+      const userId = localStorage.getItem('currentUserId');
+      const res = await apiFetch(`${API_BASE_URL}/cases?userId=${userId}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки кейсов');
+      const openCases = data.filter(c => OPEN_FOR_PROPOSALS.includes(c.status));
+      setCases(openCases);
+      setCaseId(openCases.length > 0 ? String(openCases[0].id) : '');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleInvite = async e => {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/cases/${caseId}/invitations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ freelancerId, message }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка отправки приглашения');
+      setMessage('');
+      setSent('Приглашение отправлено');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button className={styles.revokeButton} onClick={open}>Пригласить в кейс</button>
+    );
+  }
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Пригласить в кейс</h2>
+        <button className={styles.revokeAllButton} onClick={() => setIsOpen(false)}>Закрыть</button>
+      </div>
+
+      {cases.length > 0 ? (
+        <form className={styles.form} onSubmit={handleInvite}>
+          <select className={styles.input} value={caseId} onChange={e => setCaseId(e.target.value)}>
+            {cases.map(c => (
+              <option key={c.id} value={c.id}>
+                {c.title}{c.isPrivate ? ' (закрытый)' : ''}
+              </option>
+            ))}
+          </select>
+          <textarea
+            className={styles.input}
+            value={message}
+            onChange={e => setMessage(e.target.value)}
+            placeholder="Сообщение исполнителю"
+            rows={3}
+          />
+          <div className={styles.actions}>
+            <button type="submit" className={styles.revokeButton}>Отправить приглашение</button>
+          </div>
+        </form>
+      ) : (
+        <p className={styles.description}>У вас нет кейсов, открытых для откликов</p>
+      )}
+
+      <p className={styles.meta}>
+        Или <Link to={`/add-case?invite=${freelancerId}`}>создайте закрытый кейс</Link> — его увидит только приглашённый исполнитель
+      </p>
+
+      {sent && <p style={{ color: '#0E900E' }}>{sent}</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
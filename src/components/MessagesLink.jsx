@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from '../auth';
+import { subscribe } from '../realtime';
+
+const API_BASE_URL = '/api';
+
+// Ссылка «Сообщения» в шапке с числом непрочитанных. Обновляется по событиям WebSocket
+export default function MessagesLink() {
+  const userId = localStorage.getItem('currentUserId');
+  const [unread, setUnread] = useState(0);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    const loadUnread = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE_URL}/conversations`);
+        if (!res.ok) return;
+        const data = await res.json();
+        setUnread(data.reduce((sum, c) => sum + c.unread, 0));
+      } catch (err) {
+        console.error('Ошибка загрузки сообщений:', err);
+      }
+    };
+
+    loadUnread();
+    const unsubscribeNew = subscribe('message:new', loadUnread);
+    const unsubscribeRead = subscribe('message:read', loadUnread);
+    return () => {
+      unsubscribeNew();
+      unsubscribeRead();
+    };
+  }, [userId]);
+
+  if (!userId) return null;
+
+  return (
+    <Link to="/messages">
+      Сообщения
+      {unread > 0 && (
+        <span style={{ marginLeft: 6, padding: '0 7px', borderRadius: 10, background: '#ffbe5a', color: '#000', fontSize: 14 }}>
+          {unread}
+        </span>
+      )}
+    </Link>
+  );
+}
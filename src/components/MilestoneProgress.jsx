@@ -0,0 +1,16 @@
+import React from 'react';
+import styles from './ProfilePanel.module.css';
+
+// Доля принятых этапов; без этапов ничего не показываем
+export default function MilestoneProgress({ value }) {
+  if (value == null) return null;
+
+  return (
+    <div className={styles.progress}>
+      Этапы приняты на {value}%
+      <div className={styles.progressTrack}>
+        <div className={styles.progressFill} style={{ width: `${value}%` }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import { MILESTONE_STATUS_LABELS } from './caseStatus';
+import { formatAmount, formatDeadline } from './caseTerms';
+import MilestoneProgress from './MilestoneProgress';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+// Пока работа идёт, заказчик может добавлять этапы
+const ACTIVE_CASE_STATUSES = ['in_progress', 'submitted', 'revision_requested'];
+
+const emptyForm = { title: '', dueDate: '', amount: '' };
+
+// Этапы работы: заказчик задаёт и принимает каждый отдельно, исполнитель сдаёт результат по этапу
+export default function MilestonesPanel({ processedCase, isOwner, isExecutor, onProgressChange }) {
+  const [milestones, setMilestones] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [comments, setComments] = useState({});
+  const [files, setFiles] = useState({});
+  const [error, setError] = useState('');
+
+  const loadMilestones = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/processed-cases/${processedCase.id}/milestones`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки этапов');
+      setMilestones(data.milestones);
+      setProgress(data.progress);
+      if (onProgressChange) onProgressChange(data.progress);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [processedCase.id, onProgressChange]);
+
+  useEffect(() => {
+    loadMilestones();
+  }, [loadMilestones]);
+
+  const request = async (url, options) => {
+    setError('');
+    try {
+      const res = await apiFetch(url, options);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка');
+      await loadMilestones();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleAdd = async e => {
+    e.preventDefault();
+    const ok = await request(`${API_BASE_URL}/processed-cases/${processedCase.id}/milestones`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    if (ok) setForm(emptyForm);
+  };
+
+  const handleDelete = id => {
+    if (!window.confirm('Удалить этап?')) return;
+    request(`${API_BASE_URL}/milestones/${id}`, { method: 'DELETE' });
+  };
+
+  const handleSubmit = async id => {
+    const formData = new FormData();
+    formData.append('comment', comments[id] || '');
+    Array.from(files[id] || []).forEach(file => formData.append('files', file));
+    const ok = await request(`${API_BASE_URL}/milestones/${id}/submit`, { method: 'PUT', body: formData });
+    if (ok) {
+      setComments(prev => ({ ...prev, [id]: '' }));
+      setFiles(prev => ({ ...prev, [id]: null }));
+    }
+  };
+
+  const handleReview = async (id, action) => {
+    const ok = await request(`${API_BASE_URL}/milestones/${id}/${action}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ comment: comments[id] || '' }),
+    });
+    if (ok) setComments(prev => ({ ...prev, [id]: '' }));
+  };
+
+  const canAdd = isOwner && ACTIVE_CASE_STATUSES.includes(processedCase.status);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Этапы работы</h2>
+      </div>
+
+      <MilestoneProgress value={progress} />
+
+      {milestones.length === 0 ? (
+        <p className={styles.description}>
+          {isOwner ? 'Разбейте работу на этапы, чтобы принимать её по частям' : 'Заказчик не задал этапы работы'}
+        </p>
+      ) : (
+        <div className={styles.list} style={{ marginTop: 16 }}>
+          {milestones.map(m => {
+            const canSubmit = isExecutor && (m.status === 'pending' || m.status === 'revision_requested');
+            const canReview = isOwner && m.status === 'submitted';
+            return (
+              <div key={m.id} className={styles.item} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+                <div>
+                  <div className={styles.device}>{m.title}</div>
+                  <div className={styles.meta}>
+                    {MILESTONE_STATUS_LABELS[m.status] || m.status} · {formatAmount(m.amount, processedCase.currency)} · до{' '}
+                    {formatDeadline(m.dueDate)}
+                  </div>
+                  {m.comment && <p className={styles.body}>Исполнитель: {m.comment}</p>}
+                  {m.reviewComment && <p className={styles.body}>Заказчик: {m.reviewComment}</p>}
+                  {m.files.map(file => (
+                    <div key={file}>
+                      <a href={file} target="_blank" rel="noreferrer">📎 {file.split('/').pop()}</a>
+                    </div>
+                  ))}
+                </div>
+
+                {(canSubmit || canReview) && (
+                  <div className={styles.form}>
+                    <input
+                      className={styles.input}
+                      value={comments[m.id] || ''}
+                      onChange={e => setComments(prev => ({ ...prev, [m.id]: e.target.value }))}
+                      placeholder={canReview ? 'Комментарий: что доработать' : 'Комментарий для заказчика'}
+                    />
+                    {canSubmit && (
+                      <input type="file" multiple onChange={e => setFiles(prev => ({ ...prev, [m.id]: e.target.files }))} />
+                    )}
+                    <div className={styles.actions}>
+                      {canSubmit && (
+                        <button className={styles.revokeButton} onClick={() => handleSubmit(m.id)}>Сдать этап</button>
+                      )}
+                      {canReview && (
+                        <>
+                          <button className={styles.revokeButton} onClick={() => handleReview(m.id, 'approve')}>Принять этап</button>
+                          <button className={styles.revokeAllButton} onClick={() => handleReview(m.id, 'request-revision')}>
+                            На доработку
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {isOwner && m.status === 'pending' && (
+                  <div className={styles.actions}>
+                    <button className={styles.revokeAllButton} onClick={() => handleDelete(m.id)}>Удалить</button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {canAdd && (
+        <form className={styles.form} style={{ marginTop: 20 }} onSubmit={handleAdd}>
+          <input
+            className={styles.input}
+            value={form.title}
+            onChange={e => setForm({ ...form, title: e.target.value })}
+            placeholder="Название этапа"
+            required
+          />
+          <div className={styles.row}>
+            <input
+              className={styles.input}
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.amount}
+              onChange={e => setForm({ ...form, amount: e.target.value })}
+              placeholder={`Сумма, ${processedCase.currency || 'RUB'}`}
+            />
+            <input
+              className={styles.input}
+              type="date"
+              value={form.dueDate}
+              onChange={e => setForm({ ...form, dueDate: e.target.value })}
+            />
+          </div>
+          <div className={styles.actions}>
+            <button type="submit" className={styles.revokeButton}>Добавить этап</button>
+          </div>
+        </form>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../auth';
+import { subscribe } from '../realtime';
+
+const API_BASE_URL = '/api';
+
+const badgeStyle = {
+  position: 'absolute',
+  top: -8,
+  right: -12,
+  padding: '0 6px',
+  borderRadius: 10,
+  background: '#ffbe5a',
+  color: '#000',
+  fontSize: 13,
+};
+
+const dropdownStyle = {
+  position: 'absolute',
+  right: 0,
+  top: '100%',
+  marginTop: 10,
+  width: 340,
+  maxHeight: 420,
+  overflowY: 'auto',
+  zIndex: 1000,
+  background: '#fff',
+  color: '#000',
+  borderRadius: 12,
+  boxShadow: '0 4px 15px rgba(0, 0, 0, 0.15)',
+  textAlign: 'left',
+  fontSize: 16,
+};
+
+// Колокольчик в шапке: последние уведомления и счётчик непрочитанных. Новые приходят по WebSocket
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const userId = localStorage.getItem('currentUserId');
+  const [notifications, setNotifications] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    const loadNotifications = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE_URL}/notifications`);
+        if (!res.ok) return;
+        const data = await res.json();
+        setNotifications(data.notifications);
+        setUnread(data.unread);
+      } catch (err) {
+        console.error('Ошибка загрузки уведомлений:', err);
+      }
+    };
+
+    loadNotifications();
+    const unsubscribeNew = subscribe('notification:new', notification => {
+      setNotifications(prev => [notification].concat(prev));
+      setUnread(prev => prev + 1);
+    });
+    // Уведомления прочитаны в другой вкладке
+    const unsubscribeRead = subscribe('notification:read', loadNotifications);
+    return () => {
+      unsubscribeNew();
+      unsubscribeRead();
+    };
+  }, [userId]);
+
+  if (!userId) return null;
+
+  const open = async notification => {
+    setIsOpen(false);
+    if (!notification.readAt) {
+      await apiFetch(`${API_BASE_URL}/notifications/${notification.id}/read`, { method: 'PUT' }).catch(() => {});
+      setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, readAt: new Date().toISOString() } : n)));
+      setUnread(prev => Math.max(prev - 1, 0));
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const readAll = async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/notifications/read-all`, { method: 'PUT' });
+      if (!res.ok) return;
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || readAt })));
+      setUnread(0);
+    } catch (err) {
+      console.error('Ошибка отметки уведомлений:', err);
+    }
+  };
+
+  return (
+    <span style={{ position: 'relative', display: 'inline-block' }}>
+      <span style={{ position: 'relative', cursor: 'pointer' }} onClick={() => setIsOpen(!isOpen)} title="Уведомления">
+        🔔
+        {unread > 0 && <span style={badgeStyle}>{unread}</span>}
+      </span>
+
+      {isOpen && (
+        <div style={dropdownStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', padding: '12px 16px', borderBottom: '1px solid #eee' }}>
+            <strong>Уведомления</strong>
+            {unread > 0 && (
+              <span style={{ cursor: 'pointer', color: '#0E900E' }} onClick={readAll}>Прочитать все</span>
+            )}
+          </div>
+          {notifications.length === 0 && <p style={{ padding: '12px 16px', margin: 0 }}>Уведомлений пока нет</p>}
+          {notifications.map(n => (
+            <div
+              key={n.id}
+              onClick={() => open(n)}
+              style={{ padding: '10px 16px', cursor: 'pointer', borderBottom: '1px solid #f3f3f3', background: n.readAt ? '#fff' : '#fff8e8' }}
+            >
+              <div style={{ fontWeight: n.readAt ? 400 : 700 }}>{n.title}</div>
+              {n.body && <div style={{ fontSize: 14, color: '#555' }}>{n.body}</div>}
+              <div style={{ fontSize: 12, color: '#999' }}>
+                {new Date(n.createdAt).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import { THEMES } from './caseThemes';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const EMAIL_MODE_LABELS = {
+  instant: 'Письмо сразу',
+  daily: 'Раз в день',
+  off: 'Без писем',
+};
+
+const LOCALE_LABELS = {
+  ru: 'Русский',
+  en: 'English',
+};
+
+// Какие события показывать в колокольчике 🔔 и присылать на почту, язык писем и отслеживаемые темы
+export default function NotificationSettings() {
+  const [settings, setSettings] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE_URL}/notifications/preferences`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Ошибка загрузки настроек');
+        setSettings(data);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    loadSettings();
+  }, []);
+
+  // Сервер принимает только изменённую часть настроек и возвращает их целиком
+  const save = async changes => {
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/notifications/preferences`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка сохранения настроек');
+      setSettings(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleTheme = theme => {
+    const themes = settings.themes.includes(theme)
+      ? settings.themes.filter(t => t !== theme)
+      : settings.themes.concat(theme);
+    save({ themes });
+  };
+
+  if (!settings) {
+    return error ? <p style={{ color: 'red' }}>{error}</p> : null;
+  }
+
+  // Свои темы, которых нет в общем списке, тоже показываем — чтобы от них можно было отписаться
+  const themeOptions = THEMES.concat(settings.themes.filter(theme => !THEMES.includes(theme)));
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Уведомления</h2>
+      </div>
+
+      <p className={styles.description}>
+        Отметьте события для колокольчика 🔔 в шапке сайта и выберите, когда присылать письма.
+        Письма приходят только на подтверждённый email.
+      </p>
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      <div className={styles.list}>
+        {settings.types.map(p => (
+          <div key={p.type} className={styles.item}>
+            <label style={{ cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={p.inApp}
+                onChange={e => save({ types: { [p.type]: { inApp: e.target.checked } } })}
+              />
+              {' '}{p.label}
+            </label>
+            <select
+              className={styles.input}
+              value={p.email}
+              onChange={e => save({ types: { [p.type]: { email: e.target.value } } })}
+            >
+              {Object.entries(EMAIL_MODE_LABELS).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className={styles.row}>
+        <span className={styles.label}>Язык писем</span>
+        <select className={styles.input} value={settings.locale} onChange={e => save({ locale: e.target.value })}>
+          {Object.entries(LOCALE_LABELS).map(([locale, label]) => (
+            <option key={locale} value={locale}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className={styles.description} style={{ marginTop: 20 }}>
+        Сообщать о новых открытых кейсах по темам:
+      </p>
+      <div className={styles.row}>
+        {themeOptions.map(theme => (
+          <label key={theme} style={{ cursor: 'pointer' }}>
+            <input type="checkbox" checked={settings.themes.includes(theme)} onChange={() => toggleTheme(theme)} />
+            {' '}{theme}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
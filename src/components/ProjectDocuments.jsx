@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import styles from '../pages/PageFullCase.module.css';
+
+// Счёт и акт выполненных работ. Ссылки требуют авторизации, поэтому файл скачивается через apiFetch
+export default function ProjectDocuments({ projectId }) {
+  const [documents, setDocuments] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiFetch(`/api/projects/${projectId}/documents`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Ошибка загрузки документов');
+        setDocuments(data);
+      })
+      .catch(err => setError(err.message));
+  }, [projectId]);
+
+  const download = async doc => {
+    setError('');
+    try {
+      const res = await apiFetch(doc.url);
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || 'Ошибка скачивания');
+      }
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${doc.number}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.filesSection}>
+      <b>Документы:</b>
+      <div className={styles.filesList}>
+        {documents.map(doc => (
+          <a
+            key={doc.type}
+            href={doc.url}
+            onClick={e => {
+              e.preventDefault();
+              download(doc);
+            }}
+            className={styles.fileItem}
+          >
+            📄 {doc.title} № {doc.number}
+          </a>
+        ))}
+      </div>
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import { PROPOSAL_STATUS_LABELS, formatPrice, formatDay } from './proposalStatus';
+import { OPEN_FOR_PROPOSALS } from './caseStatus';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const emptyForm = { coverLetter: '', price: '', deadline: '', portfolioLinks: '' };
+
+// Отклик исполнителя на кейс: форма или уже отправленный отклик
+export default function ProposalForm({ caseId, caseStatus }) {
+  const [proposals, setProposals] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const loadProposals = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/cases/${caseId}/proposals`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки отклика');
+      setProposals(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [caseId]);
+
+  useEffect(() => {
+    loadProposals();
+  }, [loadProposals]);
+
+  const handleChange = e => {
+    setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const submit = async e => {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/cases/${caseId}/proposals`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          portfolioLinks: form.portfolioLinks.split('\n'),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка отправки отклика');
+      setForm(emptyForm);
+      await loadProposals();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const withdraw = async proposal => {
+    if (!window.confirm('Отозвать отклик?')) return;
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/proposals/${proposal.id}/withdraw`, { method: 'PUT' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка');
+      await loadProposals();
+    } catch (err) {
+      alert('Ошибка: ' + err.message);
+    }
+  };
+
+  if (loading) return null;
+
+  const current = proposals.find(p => p.status !== 'withdrawn' && p.status !== 'declined') || proposals[0];
+  const canSubmit = OPEN_FOR_PROPOSALS.includes(caseStatus) && (!current || current.status === 'withdrawn' || current.status === 'declined');
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Ваш отклик</h2>
+        {current && <span className={styles.statusOn}>{PROPOSAL_STATUS_LABELS[current.status]}</span>}
+      </div>
+
+      {current && !canSubmit && (
+        <>
+          <div className={styles.meta}>
+            Цена: {formatPrice(current.price)} · Срок: {formatDay(current.deadline)}
+          </div>
+          <p className={styles.body}>{current.coverLetter}</p>
+          {(current.status === 'submitted' || current.status === 'shortlisted') && (
+            <button className={styles.revokeAllButton} onClick={() => withdraw(current)}>Отозвать отклик</button>
+          )}
+        </>
+      )}
+
+      {canSubmit && (
+        <form onSubmit={submit} className={styles.form}>
+          <label className={styles.label}>
+            Сопроводительное письмо
+            <textarea
+              name="coverLetter"
+              className={`${styles.input} ${styles.textarea}`}
+              value={form.coverLetter}
+              onChange={handleChange}
+              placeholder="Почему вы подходите для этого кейса"
+              required
+            />
+          </label>
+          <div className={styles.row}>
+            <label className={styles.label}>
+              Цена, ₽
+              <input name="price" type="number" min="1" step="0.01" className={styles.input} value={form.price} onChange={handleChange} required />
+            </label>
+            <label className={styles.label}>
+              Срок
+              <input name="deadline" type="date" className={styles.input} value={form.deadline} onChange={handleChange} required />
+            </label>
+          </div>
+          <label className={styles.label}>
+            Ссылки на портфолио (по одной в строке)
+            <textarea
+              name="portfolioLinks"
+              className={`${styles.input} ${styles.textarea}`}
+              value={form.portfolioLinks}
+              onChange={handleChange}
+              placeholder="https://"
+            />
+          </label>
+          <div>
+            <button type="submit" className={styles.revokeButton}>Отправить отклик</button>
+          </div>
+        </form>
+      )}
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
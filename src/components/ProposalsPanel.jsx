@@ -0,0 +1,114 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from '../auth';
+import { PROPOSAL_STATUS_LABELS, formatPrice, formatDay } from './proposalStatus';
+import { OPEN_FOR_PROPOSALS } from './caseStatus';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+// Отклики на кейс для заказчика: сравнение, шорт-лист, отказ и выбор исполнителя
+export default function ProposalsPanel({ caseId, caseStatus, onAccepted }) {
+  const [proposals, setProposals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [onlyShortlist, setOnlyShortlist] = useState(false);
+
+  const loadProposals = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await apiFetch(`${API_BASE_URL}/cases/${caseId}/proposals`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка загрузки откликов');
+      setProposals(data);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [caseId]);
+
+  useEffect(() => {
+    loadProposals();
+  }, [loadProposals]);
+
+  const act = async (proposal, action) => {
+    if (
+      action === 'accept' &&
+      !window.confirm(
+        `Выбрать этого исполнителя? ${formatPrice(proposal.price)} будут списаны в эскроу и выплачены исполнителю после приёмки работы. Остальные отклики будут отклонены.`
+      )
+    ) return;
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/proposals/${proposal.id}/${action}`, { method: 'PUT' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка');
+      if (action === 'accept') {
+        onAccepted(proposal);
+      }
+      await loadProposals();
+    } catch (err) {
+      alert('Ошибка: ' + err.message);
+    }
+  };
+
+  const visible = proposals.filter(p => p.status !== 'withdrawn' && (!onlyShortlist || p.status === 'shortlisted'));
+  const canDecide = OPEN_FOR_PROPOSALS.includes(caseStatus);
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Отклики ({visible.length})</h2>
+        <label className={styles.description} style={{ margin: 0 }}>
+          <input type="checkbox" checked={onlyShortlist} onChange={e => setOnlyShortlist(e.target.checked)} />{' '}
+          Только шорт-лист
+        </label>
+      </div>
+
+      {loading && <p>Загрузка откликов...</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      {!loading && !error && visible.length === 0 && (
+        <p className={styles.description}>Откликов пока нет</p>
+      )}
+
+      <div className={styles.list}>
+        {visible.map(p => (
+          <div key={p.id} className={styles.item}>
+            <div>
+              <div className={styles.device}>
+                <Link to={`/profileview/${p.freelancerId}`}>
+                  {[p.firstName, p.lastName].filter(Boolean).join(' ') || p.freelancerEmail}
+                </Link>
+                <span className={styles.currentBadge}>{PROPOSAL_STATUS_LABELS[p.status]}</span>
+              </div>
+              <div className={styles.meta}>
+                Цена: {formatPrice(p.price)} · Срок: {formatDay(p.deadline)} · Отправлен: {formatDay(p.createdAt)}
+              </div>
+              <p className={styles.body}>{p.coverLetter}</p>
+              {p.portfolioLinks.length > 0 && (
+                <div className={styles.meta}>
+                  Портфолио:{' '}
+                  {p.portfolioLinks.map(link => (
+                    <a key={link} href={link} target="_blank" rel="noreferrer" style={{ marginRight: 8 }}>
+                      {link}
+                    </a>
+                  ))}
+                </div>
+              )}
+            </div>
+            {canDecide && (p.status === 'submitted' || p.status === 'shortlisted') && (
+              <div className={styles.actions}>
+                {p.status === 'submitted' && (
+                  <button className={styles.revokeButton} onClick={() => act(p, 'shortlist')}>В шорт-лист</button>
+                )}
+                <button className={styles.revokeButton} onClick={() => act(p, 'accept')}>Выбрать</button>
+                <button className={styles.revokeAllButton} onClick={() => act(p, 'decline')}>Отклонить</button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { apiFetch, saveUserRoles } from '../auth';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const ROLE_OPTIONS = [
+  { value: 'customer', label: 'Заказчик — размещаю кейсы' },
+  { value: 'freelancer', label: 'Исполнитель — выполняю кейсы' },
+];
+
+export default function RoleSettings({ userId, roles, onChange }) {
+  const [selected, setSelected] = useState(roles.filter(r => r !== 'admin'));
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  const toggle = role => {
+    setSaved(false);
+    setSelected(prev => (prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]));
+  };
+
+  const save = async e => {
+    e.preventDefault();
+    setError('');
+    try {
+      const res = await apiFetch(`${API_BASE_URL}/profile/${userId}/roles`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ roles: selected }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Ошибка сохранения ролей');
+      saveUserRoles(data.roles);
+      setSaved(true);
+      onChange(data.roles);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Роли</h2>
+        {roles.includes('admin') && <span className={styles.statusOn}>Администратор</span>}
+      </div>
+
+      <form onSubmit={save}>
+        <div className={styles.row}>
+          {ROLE_OPTIONS.map(option => (
+            <label key={option.value} className={styles.description}>
+              <input
+                type="checkbox"
+                checked={selected.includes(option.value)}
+                onChange={() => toggle(option.value)}
+              />{' '}
+              {option.label}
+            </label>
+          ))}
+          <button type="submit" className={styles.revokeButton} disabled={selected.length === 0}>
+            Сохранить
+          </button>
+        </div>
+      </form>
+
+      {saved && <p className={styles.description}>Роли сохранены</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const request = async (path, body) => {
+  const res = await apiFetch(`${API_BASE_URL}/2fa/${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Ошибка запроса');
+  return data;
+};
+
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [backupCodes, setBackupCodes] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await request('status'));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const run = action => async e => {
+    if (e) e.preventDefault();
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startSetup = run(async () => {
+    setBackupCodes([]);
+    setSetup(await request('setup', {}));
+  });
+
+  const confirmSetup = run(async () => {
+    const data = await request('enable', { code });
+    setSetup(null);
+    setCode('');
+    setBackupCodes(data.backupCodes);
+    await loadStatus();
+  });
+
+  const regenerateCodes = run(async () => {
+    const data = await request('backup-codes', { code });
+    setCode('');
+    setBackupCodes(data.backupCodes);
+    await loadStatus();
+  });
+
+  const disable = run(async () => {
+    if (!window.confirm('Отключить двухфакторную аутентификацию?')) return;
+    await request('disable', { code });
+    setCode('');
+    setBackupCodes([]);
+    await loadStatus();
+  });
+
+  const codeInput = (
+    <input
+      className={styles.input}
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="Код"
+      value={code}
+      onChange={e => setCode(e.target.value)}
+      required
+    />
+  );
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Двухфакторная аутентификация</h2>
+        {status && (
+          <span className={status.enabled ? styles.statusOn : styles.statusOff}>
+            {status.enabled ? 'Включена' : 'Выключена'}
+          </span>
+        )}
+      </div>
+
+      <p className={styles.description}>
+        При входе потребуется код из приложения-аутентификатора (Google Authenticator, Яндекс Ключ и т.п.).
+      </p>
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {status && !status.enabled && !setup && (
+        <button className={styles.revokeButton} onClick={startSetup}>Подключить</button>
+      )}
+
+      {setup && (
+        <form onSubmit={confirmSetup}>
+          <p className={styles.description}>
+            Отсканируйте QR-код в приложении или введите ключ вручную, затем введите код из приложения.
+          </p>
+          <img src={setup.qrCode} alt="QR-код для приложения-аутентификатора" className={styles.qrCode} />
+          <p className={styles.secret}>{setup.secret}</p>
+          <div className={styles.row}>
+            {codeInput}
+            <button type="submit" className={styles.revokeButton}>Подтвердить</button>
+            <button type="button" className={styles.revokeAllButton} onClick={() => setSetup(null)}>Отмена</button>
+          </div>
+        </form>
+      )}
+
+      {status && status.enabled && (
+        <form onSubmit={e => e.preventDefault()}>
+          <p className={styles.description}>
+            Осталось резервных кодов: {status.backupCodesLeft}. Для изменений введите текущий код.
+          </p>
+          <div className={styles.row}>
+            {codeInput}
+            <button type="button" className={styles.revokeButton} onClick={regenerateCodes}>
+              Новые резервные коды
+            </button>
+            <button type="button" className={styles.revokeAllButton} onClick={disable}>
+              Отключить
+            </button>
+          </div>
+        </form>
+      )}
+
+      {backupCodes.length > 0 && (
+        <>
+          <p className={styles.description} style={{ marginTop: 20 }}>
+            Сохраните резервные коды — каждый можно использовать один раз, если нет доступа к приложению.
+            Больше они показаны не будут.
+          </p>
+          <ul className={styles.codesList}>
+            {backupCodes.map(c => <li key={c}>{c}</li>)}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
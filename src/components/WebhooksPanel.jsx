@@ -0,0 +1,218 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../auth';
+import styles from './ProfilePanel.module.css';
+
+const API_BASE_URL = '/api';
+
+const EVENT_LABELS = {
+  'case.created': 'Кейс размещён',
+  'case.accepted': 'Кейс передан в работу',
+  'processed_case.files_uploaded': 'Исполнитель загрузил файлы',
+  'project.completed': 'Проект завершён',
+  'review.created': 'Новый отзыв',
+};
+
+const DELIVERY_STATUS_LABELS = {
+  pending: '⏳ ожидает',
+  succeeded: '✅ доставлено',
+  failed: '❌ не доставлено',
+};
+
+const formatTime = value => (value ? new Date(value).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+const request = async (path, options = {}) => {
+  const res = await apiFetch(`${API_BASE_URL}/webhooks${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Ошибка запроса');
+  return data;
+};
+
+// Вебхуки: URL трекера, события и журнал доставок. Тело запроса подписано HMAC-SHA256
+// секретом вебхука в заголовке X-IdeaFlow-Signature (sha256=<hex от "<X-IdeaFlow-Timestamp>.<тело>">)
+export default function WebhooksPanel() {
+  const [events, setEvents] = useState([]);
+  const [hooks, setHooks] = useState([]);
+  const [url, setUrl] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState([]);
+  const [secret, setSecret] = useState(null);
+  const [openedId, setOpenedId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadHooks = useCallback(async () => {
+    try {
+      const data = await request('');
+      setEvents(data.events);
+      setHooks(data.webhooks);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const loadDeliveries = async id => {
+    try {
+      setDeliveries(await request(`/${id}/deliveries`));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadHooks();
+  }, [loadHooks]);
+
+  const run = async action => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleEvent = event => {
+    setSelectedEvents(prev => (prev.includes(event) ? prev.filter(e => e !== event) : prev.concat(event)));
+  };
+
+  const create = e => {
+    e.preventDefault();
+    run(async () => {
+      const created = await request('', { method: 'POST', body: { url, events: selectedEvents } });
+      setSecret({ id: created.id, value: created.secret });
+      setUrl('');
+      setSelectedEvents([]);
+      await loadHooks();
+    });
+  };
+
+  const toggleActive = hook => run(async () => {
+    await request(`/${hook.id}`, { method: 'PUT', body: { active: !hook.active } });
+    await loadHooks();
+  });
+
+  const rotateSecret = hook => run(async () => {
+    if (!window.confirm('Старый секрет перестанет работать. Заменить?')) return;
+    const updated = await request(`/${hook.id}/rotate-secret`, { method: 'POST' });
+    setSecret({ id: updated.id, value: updated.secret });
+  });
+
+  const remove = hook => run(async () => {
+    if (!window.confirm(`Удалить вебхук ${hook.url}?`)) return;
+    await request(`/${hook.id}`, { method: 'DELETE' });
+    if (openedId === hook.id) setOpenedId(null);
+    await loadHooks();
+  });
+
+  const toggleDeliveries = hook => {
+    if (openedId === hook.id) {
+      setOpenedId(null);
+      return;
+    }
+    setOpenedId(hook.id);
+    setDeliveries([]);
+    loadDeliveries(hook.id);
+  };
+
+  const redeliver = (hook, delivery) => run(async () => {
+    await request(`/${hook.id}/deliveries/${delivery.id}/redeliver`, { method: 'POST' });
+    await loadDeliveries(hook.id);
+  });
+
+  return (
+    <div className={styles.section}>
+      <div className={styles.header}>
+        <h2 className={styles.title}>Вебхуки</h2>
+      </div>
+
+      <p className={styles.description}>
+        IdeaFlow отправит POST-запрос на ваш URL, когда произойдёт выбранное событие. Подпись запроса — в заголовке
+        X-IdeaFlow-Signature: HMAC-SHA256 от «X-IdeaFlow-Timestamp.тело» с секретом вебхука.
+        Неудачные доставки повторяются с нарастающей паузой.
+      </p>
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      <form className={styles.form} onSubmit={create}>
+        <input
+          className={styles.input}
+          type="url"
+          value={url}
+          onChange={e => setUrl(e.target.value)}
+          placeholder="https://tracker.example.com/ideaflow"
+          required
+        />
+        <div className={styles.row} style={{ marginTop: 0 }}>
+          {events.map(event => (
+            <label key={event} style={{ cursor: 'pointer' }}>
+              <input type="checkbox" checked={selectedEvents.includes(event)} onChange={() => toggleEvent(event)} />
+              {' '}{EVENT_LABELS[event] || event}
+            </label>
+          ))}
+        </div>
+        <div className={styles.actions}>
+          <button type="submit" className={styles.revokeButton}>Добавить вебхук</button>
+        </div>
+      </form>
+
+      {secret && (
+        <p className={styles.description} style={{ marginTop: 20 }}>
+          Секрет вебхука #{secret.id} — сохраните его, больше он показан не будет:
+          <br />
+          <span className={styles.secret}>{secret.value}</span>
+        </p>
+      )}
+
+      <div className={styles.list} style={{ marginTop: 20 }}>
+        {hooks.length === 0 && <p className={styles.description}>Вебхуков пока нет</p>}
+        {hooks.map(hook => (
+          <div key={hook.id} className={styles.item} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+            <div>
+              <div className={styles.device}>{hook.url}</div>
+              <div className={styles.meta}>
+                {hook.active ? 'Включён' : 'Выключен'} · {hook.events.map(event => EVENT_LABELS[event] || event).join(', ')}
+                {hook.lastDeliveryStatus && ` · последняя доставка: ${DELIVERY_STATUS_LABELS[hook.lastDeliveryStatus]}`}
+              </div>
+            </div>
+            <div className={styles.actions}>
+              <button className={styles.revokeAllButton} onClick={() => toggleDeliveries(hook)}>
+                {openedId === hook.id ? 'Скрыть журнал' : 'Журнал доставок'}
+              </button>
+              <button className={styles.revokeAllButton} onClick={() => toggleActive(hook)}>
+                {hook.active ? 'Выключить' : 'Включить'}
+              </button>
+              <button className={styles.revokeAllButton} onClick={() => rotateSecret(hook)}>Новый секрет</button>
+              <button className={styles.revokeButton} onClick={() => remove(hook)}>Удалить</button>
+            </div>
+
+            {openedId === hook.id && (
+              <div className={styles.list}>
+                {deliveries.length === 0 && <p className={styles.description}>Доставок пока не было</p>}
+                {deliveries.map(d => (
+                  <div key={d.id} className={styles.body} style={{ borderTop: '1px solid #eee', paddingTop: 8 }}>
+                    <strong>#{d.id}</strong> {EVENT_LABELS[d.event] || d.event} — {DELIVERY_STATUS_LABELS[d.status]}
+                    {d.redeliveryOf && ` (повтор #${d.redeliveryOf})`}
+                    <div className={styles.meta}>
+                      Создана {formatTime(d.createdAt)} · попыток: {d.attempts}
+                      {d.responseStatus && ` · ответ ${d.responseStatus}`}
+                      {d.error && ` · ${d.error}`}
+                      {d.status === 'pending' && d.attempts > 0 && ` · следующая попытка ${formatTime(d.nextAttemptAt)}`}
+                    </div>
+                    {d.status !== 'pending' && (
+                      <button className={styles.revokeAllButton} onClick={() => redeliver(hook, d)}>
+                        Отправить повторно
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+// Статусы жизненного цикла кейса (совпадают с lib/caseLifecycle.js на сервере)
+export const CASE_STATUS_LABELS = {
+  draft: 'Черновик',
+  open: 'Открыт',
+  in_review: 'Выбор исполнителя',
+  in_progress: 'В работе',
+  submitted: 'На проверке',
+  revision_requested: 'Нужны доработки',
+  completed: 'Завершён',
+  cancelled: 'Отменён',
+  disputed: 'Спор',
+};
+
+// Пока заказчик не выбрал исполнителя, кейс принимает отклики
+export const OPEN_FOR_PROPOSALS = ['open', 'in_review'];
+
+// До начала работы заказчик может редактировать, снимать с публикации и удалять кейс
+export const NOT_STARTED_STATUSES = ['draft', 'open', 'in_review'];
+
+// Работа у исполнителя или на проверке у заказчика
+export const WORK_STATUSES = ['in_progress', 'submitted', 'revision_requested', 'disputed'];
+
+export const DELIVERY_EVENT_LABELS = {
+  submitted: 'Работа отправлена на проверку',
+  revision_requested: 'Заказчик попросил доработать',
+  approved: 'Заказчик принял работу',
+};
+
+export const MILESTONE_STATUS_LABELS = {
+  pending: 'Ожидает сдачи',
+  submitted: 'На проверке',
+  revision_requested: 'Нужны доработки',
+  approved: 'Принят',
+};
@@ -0,0 +1,39 @@
+// Условия кейса: бюджет и срок сдачи (совпадают с lib/cases.js на сервере)
+export const BUDGET_TYPE_LABELS = {
+  fixed: 'Фиксированная оплата',
+  hourly: 'Почасовая оплата',
+};
+
+export const CURRENCIES = ['RUB', 'USD', 'EUR'];
+
+const CURRENCY_SIGNS = { RUB: '₽', USD: '$', EUR: '€' };
+
+export const SORT_LABELS = {
+  newest: 'Сначала новые',
+  oldest: 'Сначала старые',
+  budget_desc: 'Бюджет по убыванию',
+  budget_asc: 'Бюджет по возрастанию',
+  deadline: 'Ближайший срок',
+};
+
+const amount = value => Number(value).toLocaleString('ru-RU');
+
+export const formatAmount = (value, currency) => `${amount(value)} ${CURRENCY_SIGNS[currency] || currency || '₽'}`;
+
+export function formatBudget({ budgetType, budgetMin, budgetMax, currency }) {
+  if (budgetMin == null && budgetMax == null) return 'Договорная';
+
+  let range;
+  if (budgetMin != null && budgetMax != null) {
+    range = Number(budgetMin) === Number(budgetMax) ? amount(budgetMin) : `${amount(budgetMin)}–${amount(budgetMax)}`;
+  } else if (budgetMin != null) {
+    range = `от ${amount(budgetMin)}`;
+  } else {
+    range = `до ${amount(budgetMax)}`;
+  }
+  return `${range} ${CURRENCY_SIGNS[currency] || currency || '₽'}${budgetType === 'hourly' ? ' / час' : ''}`;
+}
+
+// Срок приходит строкой YYYY-MM-DD, время добавляется, чтобы дата не сдвигалась по часовому поясу
+export const formatDeadline = deadline =>
+  deadline ? new Date(`${deadline}T00:00:00`).toLocaleDateString('ru-RU') : 'Без срока';
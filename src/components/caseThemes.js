@@ -0,0 +1,17 @@
+// Темы кейсов для подсказок в форме и подписки на новые кейсы. Свою тему заказчик может ввести вручную
+export const THEMES = [
+  'Разработка логотипа',
+  'Разработка сайта',
+  'Верстка сайта',
+  'Разработка дизайна сайта',
+  'Разработка полиграфической продукции',
+  'Веб-разработка',
+  'Разработка мобильного приложения',
+  'Дизайн упаковки',
+  'Иллюстрация (цифровая, векторная, персонажи)',
+  'Дизайн презентаций (PowerPoint, Google Slides, Keynote)',
+  'Дизайн инфографики',
+  'Дизайн для социальных сетей (обложки, посты, сторис)',
+  '3D-моделирование и визуализация',
+  'Графический дизайн для мерча (одежда, сувениры)',
+];
@@ -0,0 +1,11 @@
+export const PROPOSAL_STATUS_LABELS = {
+  submitted: 'На рассмотрении',
+  shortlisted: 'В шорт-листе',
+  accepted: 'Принят',
+  declined: 'Отклонён',
+  withdrawn: 'Отозван',
+};
+
+export const formatPrice = value => `${Number(value).toLocaleString('ru-RU')} ₽`;
+
+export const formatDay = value => (value ? new Date(value).toLocaleDateString('ru-RU') : '—');
@@ -1,41 +1,23 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import styles from './AddCasePage.module.css';
+import { apiFetch, hasRole } from '../auth';
+import CaseForm from '../components/CaseForm';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 
 export default function AddCasePage() {
-  const [projectName, setProjectName] = useState('');
-  const [theme, setTheme] = useState('');
-  const [description, setDescription] = useState('');
-  const [files, setFiles] = useState([]);
-  const [cover, setCover] = useState(null);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 const userId = localStorage.getItem('currentUserId');
   const navigate = useNavigate();
+  // ?invite=<id> — кейс создаётся под приглашение исполнителя с его профиля
+  const [searchParams] = useSearchParams();
+  const inviteUserId = searchParams.get('invite');
   
   // Добавлено: API базовый URL
   const API_BASE_URL = '/api';
 
-  const handleFileChange = (e) => {
-    const selectedFiles = Array.from(e.target.files);
-    if (selectedFiles.length > 15) {
-      alert('Можно выбрать не более 15 файлов');
-      e.target.value = ''; // сброс выбора в input
-      return;
-    }
-    setFiles(selectedFiles);
-  };
-
-  const handleCoverChange = (e) => {
-    if (e.target.files.length > 0) {
-      setCover(e.target.files[0]);
-    } else {
-      setCover(null);
-    }
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
+  const handleSubmit = async (formData) => {
     const userId = localStorage.getItem('currentUserId');
     if (!userId) {
       alert('Вы не авторизованы');
@@ -43,19 +25,9 @@ const userId = localStorage.getItem('currentUserId');
       return;
     }
 
-    const formData = new FormData();
-    formData.append('userId', userId);
-    formData.append('title', projectName);
-    formData.append('theme', theme);
-    formData.append('description', description);
-    if (cover) {
-      formData.append('cover', cover);
-    }
-    files.forEach((file) => formData.append('files', file));
-
     try {
       // Исправлено: заменил URL на API_BASE_URL
-      const response = await fetch(`${API_BASE_URL}/cases`, {
+      const response = await apiFetch(`${API_BASE_URL}/cases`, {
         method: 'POST',
         body: formData,
       });
@@ -63,6 +35,23 @@ const userId = localStorage.getItem('currentUserId');
         const err = await response.json();
         throw new Error(err.error || 'Ошибка создания кейса');
       }
+      const created = await response.json();
+
+      if (inviteUserId) {
+        const inviteResponse = await apiFetch(`${API_BASE_URL}/cases/${created.id}/invitations`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ freelancerId: inviteUserId }),
+        });
+        if (!inviteResponse.ok) {
+          const err = await inviteResponse.json();
+          throw new Error(`кейс создан, но приглашение не отправлено: ${err.error || inviteResponse.status}`);
+        }
+        alert('Кейс создан, приглашение отправлено!');
+        navigate(`/cases/${created.id}`);
+        return;
+      }
+
       alert('Кейс успешно создан!');
       navigate('/cases');
     } catch (error) {
@@ -92,12 +81,18 @@ const userId = localStorage.getItem('currentUserId');
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -127,91 +122,12 @@ const userId = localStorage.getItem('currentUserId');
 
       <div className={styles.innerContainer}>
         <h2>Описание проекта</h2>
-        <form onSubmit={handleSubmit} className={styles.form}>
-          <label className={styles.label}>
-            Укажите название проекта
-            <input
-              type="text"
-              value={projectName}
-              onChange={(e) => setProjectName(e.target.value)}
-              required
-              className={styles.textInput}
-            />
-          </label>
-          <label className={styles.label}>
-    Выберите тему
-    <input
-        list="theme-options"
-        type="text"
-        value={theme}
-        onChange={(e) => setTheme(e.target.value)}
-        placeholder="Выберите из списка или введите свой вариант"
-        required
-        className={styles.textInput}
-    />
-    <datalist id="theme-options">
-        <option value="Разработка логотипа" />
-        <option value="Разработка сайта" />
-        <option value="Верстка сайта" />
-        <option value="Разработка дизайна сайта" />
-        <option value="Разработка полиграфической продукции" />
-        <option value="Веб-разработка" />
-        <option value="Разработка мобильного приложения" />
-        <option value="Дизайн упаковки" />
-        <option value="Иллюстрация (цифровая, векторная, персонажи)" />
-        <option value="Дизайн презентаций (PowerPoint, Google Slides, Keynote)" />
-        <option value="Дизайн инфографики" />
-        <option value="Дизайн для социальных сетей (обложки, посты, сторис)" />
-        <option value="3D-моделирование и визуализация" />
-        <option value="Графический дизайн для мерча (одежда, сувениры)" />
-    </datalist>
-</label>
-          <label className={styles.label}>
-            Опишите детально задачу и суть проекта
-            <textarea
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              required
-              className={styles.textareaInput}
-            />
-          </label>
-
-          <div className={styles.fileButtonsContainer}>
-            {/* Кнопка для выбора файлов */}
-            <label htmlFor="attachFiles" className={styles.labelFileButton}>
-              Прикрепить файлы (до 15)
-            </label>
-            <input
-              type="file"
-              id="attachFiles"
-              multiple
-              onChange={handleFileChange}
-              className={styles.fileInputHidden}
-            />
-            
-            {/* Кнопка для выбора обложки */}
-            <label htmlFor="selectCover" className={styles.labelFileButton}>
-              Выбрать обложку
-            </label>
-            <input
-              type="file"
-              id="selectCover"
-              onChange={handleCoverChange}
-              className={styles.fileInputHidden}
-            />
-          </div>
-
-          {files.length > 0 && (
-            <p className={styles.fileInfo}>Выбрано файлов: {files.length}</p>
-          )}
-          {cover && (
-            <p className={styles.fileInfo}>Выбрана обложка: {cover.name}</p>
-          )}
-
-          <button type="submit" className={styles.submitButton}>
-            Разместить проект
-          </button>
-        </form>
+        {inviteUserId && <p>Кейс будет закрытым: после создания исполнитель получит приглашение</p>}
+        <CaseForm
+          submitLabel={inviteUserId ? 'Создать и пригласить' : 'Разместить проект'}
+          onSubmit={handleSubmit}
+          defaultPrivate={!!inviteUserId}
+        />
       </div>
 
       <footer className={styles.footer}>
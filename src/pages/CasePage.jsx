@@ -1,11 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import styles from './ProjectsPage.module.css';
 import { Link, useNavigate } from 'react-router-dom';
+import { hasRole } from '../auth';
+import { OPEN_FOR_PROPOSALS } from '../components/caseStatus';
+import { BUDGET_TYPE_LABELS, SORT_LABELS, formatBudget, formatDeadline } from '../components/caseTerms';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 
 export default function CasePage() {
   const [searchTerm, setSearchTerm] = useState('');
   const [filterOpen, setFilterOpen] = useState(false);
   const [selectedTopics, setSelectedTopics] = useState([]);
+  const [budgetType, setBudgetType] = useState('');
+  const [budgetFrom, setBudgetFrom] = useState('');
+  const [budgetTo, setBudgetTo] = useState('');
+  const [sort, setSort] = useState('newest');
   const [cases, setCases] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -20,16 +29,22 @@ const userId = localStorage.getItem('currentUserId');
     window.scrollTo({ top: 0, behavior: 'smooth' });
   }, []);
 
+  // Тема, бюджет и сортировка применяются на сервере, поиск по тексту — на странице
   useEffect(() => {
-    // Исправлено: заменил URL на API_BASE_URL
-    fetch(`${API_BASE_URL}/cases?status=open`)
+    const params = new URLSearchParams({ status: OPEN_FOR_PROPOSALS.join(','), sort });
+    selectedTopics.forEach(topic => params.append('theme', topic));
+    if (budgetType) params.set('budgetType', budgetType);
+    if (budgetFrom) params.set('budgetFrom', budgetFrom);
+    if (budgetTo) params.set('budgetTo', budgetTo);
+
+    fetch(`${API_BASE_URL}/cases?${params}`)
       .then(res => res.json())
       .then(data => {
-        setCases(data);
+        setCases(Array.isArray(data) ? data : []);
         setLoading(false);
       })
       .catch(() => setLoading(false));
-  }, []);
+  }, [selectedTopics, budgetType, budgetFrom, budgetTo, sort]);
 
   const topics = [
     'Разработка логотипа',
@@ -71,12 +86,7 @@ const userId = localStorage.getItem('currentUserId');
       (caseItem.userEmail?.toLowerCase() || '').includes(lowerSearch) ||
       (caseItem.executorEmail?.toLowerCase() || '').includes(lowerSearch);
 
-    const matchesTopic = selectedTopics.length === 0 || 
-                        (caseItem.theme && selectedTopics.includes(caseItem.theme));
-
-    const matchesStatus = caseItem.status === 'open';
-
-    return matchesSearch && matchesTopic && matchesStatus;
+    return matchesSearch;
   });
 
   const handleProfileClick = (e, userId) => {
@@ -105,12 +115,18 @@ const userId = localStorage.getItem('currentUserId');
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -157,6 +173,11 @@ const userId = localStorage.getItem('currentUserId');
               <img src="/images/search-icon.svg" alt="Поиск" className={styles.searchIcon} />
             </button>
           </div>
+          <select className={styles.projectsFilter} value={sort} onChange={(e) => setSort(e.target.value)}>
+            {Object.entries(SORT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
         </div>
 
         {filterOpen && (
@@ -182,10 +203,40 @@ const userId = localStorage.getItem('currentUserId');
                     </label>
                   </li>
                 ))}
+              </ul>
+              <h3 className={styles.filterTitle}>Бюджет</h3>
+              <ul className={styles.filterList}>
+                <li className={styles.filterItem}>
+                  <select value={budgetType} onChange={(e) => setBudgetType(e.target.value)}>
+                    <option value="">Любая оплата</option>
+                    {Object.entries(BUDGET_TYPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </li>
+                <li className={styles.filterItem}>
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="от"
+                    value={budgetFrom}
+                    onChange={(e) => setBudgetFrom(e.target.value)}
+                  />{' '}
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="до"
+                    value={budgetTo}
+                    onChange={(e) => setBudgetTo(e.target.value)}
+                  />
+                </li>
                 <li className={styles.filterItem}>
                   <button
                     onClick={() => {
                       setSelectedTopics([]);
+                      setBudgetType('');
+                      setBudgetFrom('');
+                      setBudgetTo('');
                       setFilterOpen(false);
                     }}
                     className={styles.resetButton}
@@ -226,6 +277,8 @@ const userId = localStorage.getItem('currentUserId');
                   </div>
                   <div className={styles.projectTitle}>{caseItem.title}</div>
                   <div className={styles.projectTopic}>Тема: {caseItem.theme || 'Не указана'}</div>
+                  <div className={styles.projectTopic}>Бюджет: {formatBudget(caseItem)}</div>
+                  <div className={styles.projectTopic}>Срок: {formatDeadline(caseItem.deadline)}</div>
                   {caseItem.executorId && (
                     <div className={styles.projectPerformer}>
                       Исполнитель:{' '}
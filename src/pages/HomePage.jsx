@@ -1,5 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
+import { hasRole } from '../auth';
+import { OPEN_FOR_PROPOSALS } from '../components/caseStatus';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 import styles from './HomePage.module.css';
 
 export default function HomePage() {
@@ -20,7 +24,7 @@ export default function HomePage() {
     fetch(`${API_BASE_URL}/projects`)
       .then(res => res.json())
       .then(data => {
-        const closedProjects = data.filter(p => p.status === 'closed');
+        const closedProjects = data.filter(p => p.status === 'completed');
         setDoneProjects(closedProjects.slice(-3));
       })
       .catch(() => setDoneProjects([]));
@@ -30,7 +34,7 @@ export default function HomePage() {
     fetch(`${API_BASE_URL}/cases`)
       .then(res => res.json())
       .then(data => {
-        const openCases = data.filter(c => c.status === 'open');
+        const openCases = data.filter(c => OPEN_FOR_PROPOSALS.includes(c.status));
         setOpenProjects(openCases.slice(-3));
       })
       .catch(() => setOpenProjects([]));
@@ -70,12 +74,18 @@ export default function HomePage() {
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { apiFetch, hasRole } from '../auth';
+import { subscribe } from '../realtime';
+import ChatPanel from '../components/ChatPanel';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
+import styles from './PageFullProcessedCase.module.css';
+
+const API_BASE_URL = '/api';
+
+const counterpartName = conversation =>
+  [conversation.counterpartFirstName, conversation.counterpartLastName].filter(Boolean).join(' ') ||
+  conversation.counterpartEmail;
+
+// Входящие: список диалогов слева, выбранная переписка справа (?c=<id диалога>)
+export default function MessagesPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [conversations, setConversations] = useState([]);
+  const [error, setError] = useState(null);
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+
+  const userId = localStorage.getItem('currentUserId');
+  const selectedId = searchParams.get('c') ? Number(searchParams.get('c')) : null;
+
+  const toggleMenu = () => setIsMenuOpen(!isMenuOpen);
+
+  useEffect(() => {
+    const loadConversations = async () => {
+      try {
+        const res = await apiFetch(`${API_BASE_URL}/conversations`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Ошибка загрузки диалогов');
+        setConversations(data);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    loadConversations();
+    const unsubscribeNew = subscribe('message:new', loadConversations);
+    const unsubscribeRead = subscribe('message:read', loadConversations);
+    return () => {
+      unsubscribeNew();
+      unsubscribeRead();
+    };
+  }, []);
+
+  const selected = conversations.find(c => c.id === selectedId);
+
+  return (
+    <>
+      <header className={styles.header}>
+        <Link to="/">
+          <img src="/images/logosmall.svg" alt="IdeaFlow logo" style={{ height: 80 }} />
+        </Link>
+        
+        {/* Бургер меню */}
+        <div className={styles.burgerMenu} onClick={toggleMenu}>
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+
+        <nav className={`${styles.navLinks} ${isMenuOpen ? styles.navLinksActive : ''}`}>
+          <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
+          <Link to="/cases">Кейсы</Link>
+          <Link to="/projects">Проекты</Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
+          
+          {/* Элементы из футера в мобильном меню */}
+          <div className={styles.mobileFooterMenu}>
+            <div className={styles.footerContacts}>
+              Связаться с нами <br />
+              <a href="mailto:support@ideaflow.com">support@ideaflow.com</a>
+              <br />
+              <p>+7 (123) 456-78-90</p>
+            </div>
+            <div className={styles.footerSocials}>
+              <a href="#">
+                <img src="/images/facebook.svg" alt="Facebook" />
+              </a>
+              <a href="#">
+                <img src="/images/twitterx.svg" alt="Twitter" />
+              </a>
+              <a href="#">
+                <img src="/images/instagram.svg" alt="Instagram" />
+              </a>
+            </div>
+          </div>
+        </nav>
+
+        {/* Оверлей для закрытия меню */}
+        {isMenuOpen && <div className={styles.overlay} onClick={toggleMenu}></div>}
+      </header>
+
+      <main className={styles.container}>
+        <h1 className={styles.title}>Сообщения</h1>
+        {error && <p style={{ color: 'red' }}>{error}</p>}
+
+        <div style={{ display: 'flex', gap: 24, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+          <div style={{ flex: '1 1 280px', maxWidth: 360 }}>
+            {conversations.length === 0 && <p>Диалогов пока нет. Написать можно со страницы кейса в работе.</p>}
+            {conversations.map(c => (
+              <div
+                key={c.id}
+                onClick={() => setSearchParams({ c: c.id })}
+                style={{
+                  padding: 12,
+                  marginBottom: 8,
+                  borderRadius: 8,
+                  cursor: 'pointer',
+                  border: '1px solid #ddd',
+                  background: c.id === selectedId ? '#fff8e8' : '#fff',
+                }}
+              >
+                <strong>{counterpartName(c)}</strong>
+                {c.unread > 0 && <span style={{ marginLeft: 8, color: '#d48a00' }}>● {c.unread}</span>}
+                <div style={{ fontSize: 14, color: '#666' }}>{c.caseTitle}</div>
+                {c.lastMessage && (
+                  <div style={{ fontSize: 14, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {String(c.lastSenderId) === String(userId) ? 'Вы: ' : ''}{c.lastMessage}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div style={{ flex: '2 1 400px' }}>
+            {selected ? (
+              <>
+                <Link to={`/cases/${selected.caseId}`}>{selected.caseTitle}</Link>
+                <ChatPanel conversationId={selected.id} title={counterpartName(selected)} />
+              </>
+            ) : (
+              <p>Выберите диалог</p>
+            )}
+          </div>
+        </div>
+      </main>
+
+      <footer className={styles.footer}>
+        <div className={styles.footerContainer}>
+          <div className={styles.footerLogo}>
+            <img src="/images/logobig.svg" alt="Big Logo" />
+          </div>
+          <div className={styles.footerContacts}>
+            Связаться с нами <br />
+            <a href="mailto:support@ideaflow.com">support@ideaflow.com</a><br />
+            <p>+7 (123) 456-78-90</p>
+          </div>
+          <div className={styles.footerSocials}>
+            <a href="#"><img src="/images/facebook.svg" alt="Facebook" /></a>
+            <a href="#"><img src="/images/twitterx.svg" alt="Twitter" /></a>
+            <a href="#"><img src="/images/instagram.svg" alt="Instagram" /></a>
+          </div>
+        </div>
+        <p style={{ fontSize: 20, textAlign: 'center', marginTop: 10 }}>
+          Место, где идеи превращаются в успешные проекты благодаря сотрудничеству заказчиков и фрилансеров.
+        </p>
+      </footer>
+    </>
+  );
+}
@@ -1,6 +1,15 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import styles from './PageFullCase.module.css';
+import { apiFetch, hasRole } from '../auth';
+import ProposalsPanel from '../components/ProposalsPanel';
+import ProposalForm from '../components/ProposalForm';
+import CaseTimeline from '../components/CaseTimeline';
+import CaseForm from '../components/CaseForm';
+import { CASE_STATUS_LABELS, NOT_STARTED_STATUSES, OPEN_FOR_PROPOSALS } from '../components/caseStatus';
+import { formatBudget, formatDeadline } from '../components/caseTerms';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 
 export default function PageFullCase() {
   const { id } = useParams();
@@ -10,6 +19,7 @@ export default function PageFullCase() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
 
   const userId = localStorage.getItem('currentUserId');
   
@@ -23,8 +33,8 @@ export default function PageFullCase() {
   useEffect(() => {
     setLoading(true);
     setError(null);
-    // Исправлено: заменил URL на API_BASE_URL
-    fetch(`${API_BASE_URL}/cases/${id}`)
+    // С токеном заказчик видит и свой черновик
+    apiFetch(`${API_BASE_URL}/cases/${id}`)
       .then(res => {
         if (!res.ok) {
           throw new Error(`Ошибка загрузки кейса: ${res.status} ${res.statusText}`);
@@ -43,46 +53,51 @@ export default function PageFullCase() {
       });
   }, [id]);
 
-  const acceptCase = () => {
-    if (!userId) {
-      alert('Вы должны войти в систему чтобы принять кейс');
-      navigate('/signin');
-      return;
+  // Управление кейсом заказчиком: сохранение правок, публикация и удаление
+  const request = async (url, options) => {
+    const res = await apiFetch(url, options);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Ошибка');
+    return data;
+  };
+
+  const handleSave = async (formData) => {
+    try {
+      const data = await request(`${API_BASE_URL}/cases/${id}`, { method: 'PATCH', body: formData });
+      setCaseData(prev => ({ ...prev, ...data }));
+      setIsEditing(false);
+    } catch (err) {
+      alert('Ошибка: ' + err.message);
+    }
+  };
+
+  const handlePublish = async (action) => {
+    try {
+      const data = await request(`${API_BASE_URL}/cases/${id}/${action}`, { method: 'PUT' });
+      setCaseData(prev => ({ ...prev, status: data.status }));
+    } catch (err) {
+      alert('Ошибка: ' + err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Удалить кейс? Отклики исполнителей будут отклонены.')) return;
+    try {
+      await request(`${API_BASE_URL}/cases/${id}`, { method: 'DELETE' });
+      navigate('/myprofile');
+    } catch (err) {
+      alert('Ошибка: ' + err.message);
     }
-    // Исправлено: заменил URL на API_BASE_URL
-    fetch(`${API_BASE_URL}/cases/${id}/accept`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ executorId: parseInt(userId, 10) }),
-    })
-      .then(async res => {
-        if (!res.ok) {
-          const text = await res.text();
-          console.error('Ошибка ответа сервера при принятии кейса:', text);
-          throw new Error(text || 'Ошибка обновления статуса');
-        }
-        return res.json();
-      })
-      .then(data => {
-        alert('Кейс принят');
-        setCaseData(prev => ({
-          ...prev,
-          status: 'in_process',
-          executorId: parseInt(userId, 10),
-          executorEmail: prev.executorEmail || 'Вы',
-        }));
-        console.log('Ответ сервера accept:', data);
-      })
-      .catch(err => {
-        console.error('Ошибка при принятии кейса:', err);
-        alert('Ошибка обновления статуса: ' + err.message);
-      });
   };
 
   if (loading) return <p>Загрузка кейса...</p>;
   if (error) return <p>Ошибка: {error}</p>;
   if (!caseData) return <p>Кейс не найден</p>;
 
+  const isOwner = !!userId && String(caseData.userId) === String(userId);
+  const isExecutor = !!userId && String(caseData.executorId) === String(userId);
+  const canManage = (isOwner || hasRole('admin')) && NOT_STARTED_STATUSES.includes(caseData.status);
+
   return (
     <>
       <header className={styles.header}>
@@ -101,12 +116,18 @@ export default function PageFullCase() {
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -135,45 +156,98 @@ export default function PageFullCase() {
       </header>
 
       <main className={styles.container}>
-        <h1 className={styles.title}>{caseData.title}</h1>
-        {/* Исправлено: убрал localhost из пути к изображению */}
-        {caseData.cover && <img src={`${caseData.cover}`} alt="Обложка" className={styles.cover} />}
+        {isEditing ? (
+          <>
+            <h1 className={styles.title}>Редактирование кейса</h1>
+            <CaseForm
+              initial={caseData}
+              submitLabel="Сохранить изменения"
+              onSubmit={handleSave}
+              onCancel={() => setIsEditing(false)}
+            />
+          </>
+        ) : (
+          <>
+            <h1 className={styles.title}>{caseData.title}</h1>
+            {/* Исправлено: убрал localhost из пути к изображению */}
+            {caseData.cover && <img src={`${caseData.cover}`} alt="Обложка" className={styles.cover} />}
         
-        <div className={styles.infoSection}>
-          <p><b>Заказчик: </b> 
-            {caseData.userId ? (
-              <Link to={`/profileview/${caseData.userId}`}>
-                {caseData.userEmail}
-              </Link>
-            ) : (
-              caseData.userEmail
-            )}
-          </p>
-          <p><b>Тема:</b> {caseData.theme}</p>
-          <p><b>Задача проекта:</b> {caseData.description}</p>
-
-          <div className={styles.filesSection}>
-            <b>Прикрепленные файлы:</b>
-            <div className={styles.filesList}>
-              {caseData.files && caseData.files.length > 0 ? (
-                caseData.files.map((file, i) => (
-                  // Исправлено: убрал localhost из пути к файлу
-                  <a key={i} href={`${file}`} target="_blank" rel="noreferrer" className={styles.fileItem}>
-                    {file.split('/').pop()}
-                  </a>
-                ))
-              ) : (
-                <p>Файлы отсутствуют</p>
+            <div className={styles.infoSection}>
+              <p><b>Заказчик: </b> 
+                {caseData.userId ? (
+                  <Link to={`/profileview/${caseData.userId}`}>
+                    {caseData.userEmail}
+                  </Link>
+                ) : (
+                  caseData.userEmail
+                )}
+              </p>
+              <p><b>Тема:</b> {caseData.theme}</p>
+              <p><b>Бюджет:</b> {formatBudget(caseData)}</p>
+              <p><b>Срок сдачи:</b> {formatDeadline(caseData.deadline)}</p>
+              <p><b>Задача проекта:</b> {caseData.description}</p>
+
+              <div className={styles.filesSection}>
+                <b>Прикрепленные файлы:</b>
+                <div className={styles.filesList}>
+                  {caseData.files && caseData.files.length > 0 ? (
+                    caseData.files.map((file, i) => (
+                      // Исправлено: убрал localhost из пути к файлу
+                      <a key={i} href={`${file}`} target="_blank" rel="noreferrer" className={styles.fileItem}>
+                        {file.split('/').pop()}
+                      </a>
+                    ))
+                  ) : (
+                    <p>Файлы отсутствуют</p>
+                  )}
+                </div>
+              </div>
+
+              {OPEN_FOR_PROPOSALS.includes(caseData.status) && !userId && (
+                <button className={styles.acceptButton} onClick={() => navigate('/signin')}>
+                  Войдите, чтобы откликнуться
+                </button>
               )}
-            </div>
-          </div>
 
-          {caseData.status === 'open' && (
-            <button className={styles.acceptButton} onClick={acceptCase}>Принять кейс</button>
-          )}
+              <p><b>Статус:</b> {CASE_STATUS_LABELS[caseData.status] || caseData.status}</p>
+              {caseData.isPrivate && <p>🔒 Закрытый кейс: виден только приглашённым исполнителям</p>}
 
-          <p><b>Статус:</b> {caseData.status}</p>
-        </div>
+              {canManage && (
+                <>
+                  <button className={styles.acceptButton} onClick={() => setIsEditing(true)}>
+                    Редактировать
+                  </button>
+                  {caseData.status === 'draft' ? (
+                    <button className={styles.acceptButton} onClick={() => handlePublish('publish')}>
+                      Опубликовать
+                    </button>
+                  ) : (
+                    <button className={styles.acceptButton} onClick={() => handlePublish('unpublish')}>
+                      Снять с публикации
+                    </button>
+                  )}
+                  <button className={styles.acceptButton} onClick={handleDelete}>
+                    Удалить кейс
+                  </button>
+                </>
+              )}
+            </div>
+
+            {isOwner && (
+              <ProposalsPanel
+                caseId={caseData.id}
+                caseStatus={caseData.status}
+                onAccepted={proposal => setCaseData(prev => ({ ...prev, status: 'in_progress', executorId: proposal.freelancerId }))}
+              />
+            )}
+            {userId && !isOwner && hasRole('freelancer') && (
+              <ProposalForm caseId={caseData.id} caseStatus={caseData.status} />
+            )}
+            {(isOwner || isExecutor || hasRole('admin')) && (
+              <CaseTimeline caseId={caseData.id} status={caseData.status} />
+            )}
+          </>
+        )}
       </main>
 
       <footer className={styles.footer}>
@@ -1,5 +1,15 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
+import { apiFetch, hasRole } from '../auth';
+import ChatPanel from '../components/ChatPanel';
+import DeliveryPanel from '../components/DeliveryPanel';
+import DisputePanel from '../components/DisputePanel';
+import MilestonesPanel from '../components/MilestonesPanel';
+import MilestoneProgress from '../components/MilestoneProgress';
+import { CASE_STATUS_LABELS } from '../components/caseStatus';
+import { formatBudget, formatDeadline } from '../components/caseTerms';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 import styles from './PageFullProcessedCase.module.css';
 
 export default function PageFullProcessedCase() {
@@ -25,7 +35,7 @@ const userId = localStorage.getItem('currentUserId');
     setError(null);
     
     // Исправлено: заменил URL на API_BASE_URL
-    fetch(`${API_BASE_URL}/processed-cases/${id}`)
+    apiFetch(`${API_BASE_URL}/processed-cases/${id}`)
       .then(res => {
         if (!res.ok) {
           throw new Error(`Ошибка загрузки кейса: ${res.status} ${res.statusText}`);
@@ -44,10 +54,16 @@ const userId = localStorage.getItem('currentUserId');
       });
   }, [id]);
 
+  // Стабильная ссылка: MilestonesPanel перезагружает этапы при смене колбэка
+  const handleProgressChange = useCallback(progress => setCaseData(prev => ({ ...prev, progress })), []);
+
   if (loading) return <p>Загрузка проекта...</p>;
   if (error) return <p>Ошибка: {error}</p>;
   if (!caseData) return <p>Проект не найден</p>;
 
+  const isOwner = !!userId && String(caseData.userId) === String(userId);
+  const isExecutor = !!userId && String(caseData.executorId) === String(userId);
+
   return (
     <>
       <header className={styles.header}>
@@ -66,12 +82,18 @@ const userId = localStorage.getItem('currentUserId');
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -133,14 +155,17 @@ const userId = localStorage.getItem('currentUserId');
           </p>
 
           <p><b>Тема:</b> {caseData.theme}</p>
+          <p><b>Бюджет:</b> {formatBudget(caseData)}</p>
+          <p><b>Срок сдачи:</b> {formatDeadline(caseData.deadline)}</p>
 
           <p><b>Статус:</b> 
             <span className={`${styles.status} ${styles[caseData.status]}`}>
-              {caseData.status === 'in_process' ? 'В процессе' : 
-               caseData.status === 'closed' ? 'Завершен' : caseData.status}
+              {CASE_STATUS_LABELS[caseData.status] || caseData.status}
             </span>
           </p>
 
+          <MilestoneProgress value={caseData.progress} />
+
           <p><b>Задача проекта:</b> {caseData.description}</p>
 
           <div className={styles.filesSection}>
@@ -166,6 +191,42 @@ const userId = localStorage.getItem('currentUserId');
           </div>
         </div>
 
+        {(isOwner || isExecutor) && (
+          <MilestonesPanel
+            processedCase={caseData}
+            isOwner={isOwner}
+            isExecutor={isExecutor}
+            onProgressChange={handleProgressChange}
+          />
+        )}
+
+        {(isOwner || isExecutor) && (
+          <DeliveryPanel
+            processedCase={caseData}
+            isOwner={isOwner}
+            isExecutor={isExecutor}
+            onStatusChange={status => setCaseData(prev => ({ ...prev, status }))}
+            onApproved={projectId => navigate(`/projects/${projectId}`)}
+          />
+        )}
+
+        {(isOwner || isExecutor) && (
+          <DisputePanel
+            processedCase={caseData}
+            isOwner={isOwner}
+            onStatusChange={status => setCaseData(prev => ({ ...prev, status }))}
+            onReleased={caseId => navigate(`/cases/${caseId}`)}
+          />
+        )}
+
+        {(isOwner || isExecutor) && (
+          <ChatPanel
+            caseId={caseData.caseId}
+            freelancerId={caseData.executorId}
+            title="Переписка с исполнителем"
+          />
+        )}
+
         <div className={styles.actionButtons}>
           <button 
             className={styles.backButton} 
@@ -1,5 +1,11 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
+import { apiFetch, hasRole } from '../auth';
+import { CASE_STATUS_LABELS } from '../components/caseStatus';
+import { formatBudget, formatDeadline } from '../components/caseTerms';
+import ProjectDocuments from '../components/ProjectDocuments';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 import styles from './PageFullCase.module.css';
 
 export default function PageFullProject() {
@@ -24,7 +30,7 @@ const userId = localStorage.getItem('currentUserId');
     setLoading(true);
     setError(null);
     // Исправлено: заменил URL на API_BASE_URL
-    fetch(`${API_BASE_URL}/projects/${id}`)
+    apiFetch(`${API_BASE_URL}/projects/${id}`)
       .then(res => {
         if (!res.ok) {
           throw new Error(`Ошибка загрузки проекта: ${res.status} ${res.statusText}`);
@@ -47,6 +53,9 @@ const userId = localStorage.getItem('currentUserId');
   if (error) return <p>Ошибка: {error}</p>;
   if (!projectData) return <p>Проект не найден</p>;
 
+  const isParticipant =
+    !!userId && (String(projectData.userId) === String(userId) || String(projectData.executorId) === String(userId));
+
   return (
     <>
       <header className={styles.header}>
@@ -65,12 +74,18 @@ const userId = localStorage.getItem('currentUserId');
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -121,6 +136,8 @@ const userId = localStorage.getItem('currentUserId');
           </p>
           <p><b>Исполнитель:</b> {projectData.executorEmail || 'Не назначен'}</p>
           <p><b>Тема:</b> {projectData.theme}</p>
+          <p><b>Бюджет:</b> {formatBudget(projectData)}</p>
+          <p><b>Срок сдачи:</b> {formatDeadline(projectData.deadline)}</p>
           <p><b>Описание проекта:</b> {projectData.description}</p>
 
           <div className={styles.filesSection}>
@@ -145,7 +162,9 @@ const userId = localStorage.getItem('currentUserId');
             </div>
           </div>
 
-          <p><b>Статус:</b> {projectData.status}</p>
+          <p><b>Статус:</b> {CASE_STATUS_LABELS[projectData.status] || projectData.status}</p>
+
+          {isParticipant && <ProjectDocuments projectId={projectData.id} />}
         </div>
       </main>
 
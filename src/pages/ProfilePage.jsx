@@ -2,6 +2,21 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams, Link } from 'react-router-dom';
 import { FaStar, FaUpload, FaCheckCircle, FaFileAlt } from 'react-icons/fa';
 import styles from './ProfilePage.module.css';
+import { apiFetch, clearSession, getUserRoles, saveUserRoles, hasRole } from '../auth';
+import ActiveSessions from '../components/ActiveSessions';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import NotificationSettings from '../components/NotificationSettings';
+import RoleSettings from '../components/RoleSettings';
+import { CASE_STATUS_LABELS, NOT_STARTED_STATUSES, WORK_STATUSES } from '../components/caseStatus';
+import { formatBudget, formatDeadline } from '../components/caseTerms';
+import MilestoneProgress from '../components/MilestoneProgress';
+import FinancePanel from '../components/FinancePanel';
+import AdminDisputesPanel from '../components/AdminDisputesPanel';
+import InvitationsPanel from '../components/InvitationsPanel';
+import WebhooksPanel from '../components/WebhooksPanel';
+import ApiKeysPanel from '../components/ApiKeysPanel';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 
 export default function ProfilePage() {
   const navigate = useNavigate();
@@ -18,6 +33,7 @@ export default function ProfilePage() {
     username: '',
     about: '',
   });
+  const [roles, setRoles] = useState(getUserRoles());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -67,6 +83,8 @@ export default function ProfilePage() {
           about: data.description || '',
         });
         setUserEmail(data.email || '');
+        setRoles(data.roles || []);
+        saveUserRoles(data.roles);
       } catch (err) {
         setError(err.message);
       } finally {
@@ -77,22 +95,21 @@ export default function ProfilePage() {
     const fetchProjectsAsCustomer = async () => {
       try {
         // Исправлено: заменил URL на API_BASE_URL
-        const resProjects = await fetch(`${API_BASE_URL}/projects?userId=${userId}`);
+        const resProjects = await apiFetch(`${API_BASE_URL}/projects?userId=${userId}`);
         if (!resProjects.ok) throw new Error('Ошибка загрузки проектов как заказчика');
         const projectsDataRaw = await resProjects.json();
-        const projectsData = projectsDataRaw.filter(p => p.status === 'closed');
+        const projectsData = projectsDataRaw.filter(p => p.status === 'completed');
 
         // Исправлено: заменил URL на API_BASE_URL
-        const resCases = await fetch(`${API_BASE_URL}/cases?userId=${userId}`);
+        // apiFetch: со своим токеном заказчик получает и черновики
+        const resCases = await apiFetch(`${API_BASE_URL}/cases?userId=${userId}`);
         if (!resCases.ok) throw new Error('Ошибка загрузки кейсов заказчика');
         const casesDataRaw = await resCases.json();
-        const casesData = casesDataRaw.filter(c => c.status === 'open');
+        const casesData = casesDataRaw.filter(c => NOT_STARTED_STATUSES.includes(c.status));
 
         const combined = [...casesData, ...projectsData];
         combined.sort((a, b) => {
-          if (a.status === 'open' && b.status !== 'open') return -1;
-          if (a.status !== 'open' && b.status === 'open') return 1;
-          return 0;
+          return NOT_STARTED_STATUSES.includes(b.status) - NOT_STARTED_STATUSES.includes(a.status);
         });
         setProjectsAsCustomer(combined);
       } catch (error) {
@@ -104,10 +121,10 @@ export default function ProfilePage() {
     const fetchCompletedExecutorProjects = async () => {
       try {
         // Исправлено: заменил URL на API_BASE_URL
-        const res = await fetch(`${API_BASE_URL}/projects?executorEmail=${encodeURIComponent(userEmail)}`);
+        const res = await apiFetch(`${API_BASE_URL}/projects?executorEmail=${encodeURIComponent(userEmail)}`);
         if (!res.ok) throw new Error('Ошибка загрузки проектов исполнителя');
         const data = await res.json();
-        const closedProjects = data.filter(p => p.status === 'closed');
+        const closedProjects = data.filter(p => p.status === 'completed');
         setCompletedExecutorProjects(closedProjects);
       } catch {
         setCompletedExecutorProjects([]);
@@ -117,11 +134,11 @@ export default function ProfilePage() {
     const fetchInProcessExecutorCases = async () => {
       try {
         // Исправлено: заменил URL на API_BASE_URL
-        const res = await fetch(`${API_BASE_URL}/processed-cases`);
+        const res = await apiFetch(`${API_BASE_URL}/processed-cases`);
         if (!res.ok) throw new Error('Ошибка загрузки принятых кейсов');
         const data = await res.json();
         const filtered = data.filter(
-          c => c.executorId === Number(userId) && c.status === 'in_process'
+          c => c.executorId === Number(userId) && WORK_STATUSES.includes(c.status)
         );
         setInProcessExecutorCases(filtered);
       } catch {
@@ -149,11 +166,13 @@ export default function ProfilePage() {
     });
   }, [userId, userEmail, navigate]);
 
-  const handleLogout = () => {
-    localStorage.removeItem('currentUserId');
-    localStorage.removeItem('userEmail');
-    localStorage.removeItem('userFirstName');
-    localStorage.removeItem('userLastName');
+  const handleLogout = async () => {
+    try {
+      await apiFetch(`${API_BASE_URL}/auth/logout`, { method: 'POST' });
+    } catch (err) {
+      console.error('Ошибка выхода:', err);
+    }
+    clearSession();
     navigate('/');
   };
 
@@ -169,7 +188,7 @@ export default function ProfilePage() {
     data.append('photo', file);
     try {
       // Исправлено: заменил URL на API_BASE_URL
-      const response = await fetch(`${API_BASE_URL}/upload-photo`, {
+      const response = await apiFetch(`${API_BASE_URL}/upload-photo`, {
         method: 'POST',
         body: data,
       });
@@ -188,7 +207,7 @@ export default function ProfilePage() {
     if (!userId) return;
     try {
       // Исправлено: заменил URL на API_BASE_URL
-      const response = await fetch(`${API_BASE_URL}/profile/${userId}`, {
+      const response = await apiFetch(`${API_BASE_URL}/profile/${userId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -227,7 +246,7 @@ export default function ProfilePage() {
 
     try {
       // Исправлено: заменил URL на API_BASE_URL
-      const response = await fetch(`${API_BASE_URL}/processed-cases/${caseId}/upload-files`, {
+      const response = await apiFetch(`${API_BASE_URL}/processed-cases/${caseId}/upload-files`, {
         method: 'POST',
         body: formData,
       });
@@ -241,36 +260,37 @@ export default function ProfilePage() {
       alert('Файлы успешно добавлены');
 
       // Исправлено: заменил URL на API_BASE_URL
-      const resCases = await fetch(`${API_BASE_URL}/processed-cases`);
+      const resCases = await apiFetch(`${API_BASE_URL}/processed-cases`);
       const updatedCases = await resCases.json();
-      setInProcessExecutorCases(updatedCases.filter(c => c.executorId === Number(userId) && c.status === 'in_process'));
+      setInProcessExecutorCases(updatedCases.filter(c => c.executorId === Number(userId) && WORK_STATUSES.includes(c.status)));
       setSelectedFiles(prev => ({ ...prev, [caseId]: null }));
     } catch (err) {
       alert('Ошибка: ' + err.message);
     }
   };
 
-  const handleCompleteCase = async caseId => {
+  const handleSubmitCase = async caseId => {
+    const comment = window.prompt('Комментарий для заказчика (необязательно)', '');
+    if (comment === null) return;
     try {
-      // Исправлено: заменил URL на API_BASE_URL
-      const response = await fetch(`${API_BASE_URL}/processed-cases/${caseId}/complete`, {
+      const response = await apiFetch(`${API_BASE_URL}/processed-cases/${caseId}/submit`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userId }),
+        body: JSON.stringify({ comment }),
       });
       const result = await response.json();
-      if (!response.ok) throw new Error(result.error || 'Ошибка завершения кейса');
-      alert('Кейс завершён и добавлен в проекты');
+      if (!response.ok) throw new Error(result.error || 'Ошибка отправки работы');
+      alert('Работа отправлена заказчику на проверку');
 
       // Исправлено: заменил URL на API_BASE_URL
-      const resCases = await fetch(`${API_BASE_URL}/processed-cases`);
+      const resCases = await apiFetch(`${API_BASE_URL}/processed-cases`);
       const dataCases = await resCases.json();
       // Исправлено: заменил URL на API_BASE_URL
-      const resProjects = await fetch(`${API_BASE_URL}/projects`);
+      const resProjects = await apiFetch(`${API_BASE_URL}/projects`);
       const dataProjects = await resProjects.json();
 
-      const filteredCases = dataCases.filter(c => c.executorId === Number(userId) && c.status === 'in_process');
-      const filteredProjects = dataProjects.filter(p => p.executorId === Number(userId) && p.status === 'closed');
+      const filteredCases = dataCases.filter(c => c.executorId === Number(userId) && WORK_STATUSES.includes(c.status));
+      const filteredProjects = dataProjects.filter(p => p.executorId === Number(userId) && p.status === 'completed');
 
       setInProcessExecutorCases(filteredCases);
       setCompletedExecutorProjects(filteredProjects);
@@ -300,7 +320,7 @@ export default function ProfilePage() {
             <div className={`${styles.tabContent} ${styles.projectsTab}`}>
               {projectsAsCustomer.map((p) => (
                 <div key={p.id} className={styles.projectCard}>
-                  {p.status === 'open' ? (
+                  {NOT_STARTED_STATUSES.includes(p.status) ? (
                     <Link to={`/cases/${p.id}`} className={styles.casesLink}>
                       <img
                         // Исправлено: убрал localhost из пути к изображению
@@ -311,7 +331,8 @@ export default function ProfilePage() {
                       <div className={styles.projectInfo}>
                         <div className={styles.projectTopic}>{p.theme || p.title}</div>
                         <div className={styles.projectTitle}>Название: {p.title}</div>
-                        <div className={styles.projectStatus}>Статус: {p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Статус: {CASE_STATUS_LABELS[p.status] || p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Бюджет: {formatBudget(p)} · Срок: {formatDeadline(p.deadline)}</div>
                       </div>
                     </Link>
                   ) : (
@@ -328,7 +349,8 @@ export default function ProfilePage() {
                         </div>
                         <div className={styles.projectTopic}>{p.theme || p.title}</div>
                         <div className={styles.projectTitle}>Название: {p.title}</div>
-                        <div className={styles.projectStatus}>Статус: {p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Статус: {CASE_STATUS_LABELS[p.status] || p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Бюджет: {formatBudget(p)} · Срок: {formatDeadline(p.deadline)}</div>
                       </div>
                     </Link>
                   )}
@@ -363,7 +385,8 @@ export default function ProfilePage() {
                     <div className={styles.projectInfo}>
                       <div className={styles.projectTopic}>{proj.theme || proj.title}</div>
                       <div className={styles.projectTitle}>Название: {proj.title}</div>
-                      <div className={styles.projectStatus}>Статус: {proj.status || 'неизвестен'}</div>
+                      <div className={styles.projectStatus}>Статус: {CASE_STATUS_LABELS[proj.status] || proj.status || 'неизвестен'}</div>
+                      <div className={styles.projectStatus}>Бюджет: {formatBudget(proj)} · Срок: {formatDeadline(proj.deadline)}</div>
                     </div>
                   </div>
                 </Link>
@@ -407,6 +430,16 @@ export default function ProfilePage() {
             </div>
           </div>
         );
+      case 'finance':
+        return <FinancePanel />;
+      case 'invitations':
+        return <InvitationsPanel />;
+      case 'webhooks':
+        return <WebhooksPanel />;
+      case 'api':
+        return <ApiKeysPanel />;
+      case 'disputes':
+        return <AdminDisputesPanel />;
       default:
         return null;
     }
@@ -439,12 +472,18 @@ export default function ProfilePage() {
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -540,12 +579,16 @@ export default function ProfilePage() {
         </div>
 
         <div className={styles.actionButtons}>
-          <button className={styles.actionButton1} onClick={() => navigate('/add-case')}>
-            Разместить кейс
-          </button>
-          <button className={styles.actionButton2} onClick={() => navigate('/cases')}>
-            Выполнить кейс
-          </button>
+          {roles.includes('customer') && (
+            <button className={styles.actionButton1} onClick={() => navigate('/add-case')}>
+              Разместить кейс
+            </button>
+          )}
+          {roles.includes('freelancer') && (
+            <button className={styles.actionButton2} onClick={() => navigate('/cases')}>
+              Выполнить кейс
+            </button>
+          )}
           <button className={styles.logoutButton} onClick={handleLogout}>
             Выйти из профиля
           </button>
@@ -572,10 +615,53 @@ export default function ProfilePage() {
           >
             Отзывы
           </button>
+          <button
+            className={`${styles.tabButton} ${activeTab === 'finance' ? styles.active : ''}`}
+            onClick={() => setActiveTab('finance')}
+          >
+            Финансы
+          </button>
+          <button
+            className={`${styles.tabButton} ${activeTab === 'invitations' ? styles.active : ''}`}
+            onClick={() => setActiveTab('invitations')}
+          >
+            Приглашения
+          </button>
+          <button
+            className={`${styles.tabButton} ${activeTab === 'webhooks' ? styles.active : ''}`}
+            onClick={() => setActiveTab('webhooks')}
+          >
+            Вебхуки
+          </button>
+          <button
+            className={`${styles.tabButton} ${activeTab === 'api' ? styles.active : ''}`}
+            onClick={() => setActiveTab('api')}
+          >
+            API
+          </button>
+          {roles.includes('admin') && (
+            <button
+              className={`${styles.tabButton} ${activeTab === 'disputes' ? styles.active : ''}`}
+              onClick={() => setActiveTab('disputes')}
+            >
+              Споры
+            </button>
+          )}
         </div>
         {renderTabContent()}
       </div>
 
+      {!loading && <RoleSettings userId={userId} roles={roles} onChange={setRoles} />}
+
+      <TwoFactorSettings />
+
+      <NotificationSettings />
+
+      <ActiveSessions onLoggedOutEverywhere={() => {
+        clearSession();
+        navigate('/signin');
+      }} />
+
       {/* КРАСИВЫЙ ИНТЕРФЕЙС ДЛЯ ТЕКУЩИХ КЕЙСОВ */}
       <div className={styles.currentCasesSection}>
         <div className={styles.sectionHeader}>
@@ -612,7 +698,7 @@ export default function ProfilePage() {
                     />
                   </Link>
                   <div className={styles.caseStatus}>
-                    <span className={styles.statusBadge}>В процессе</span>
+                    <span className={styles.statusBadge}>{CASE_STATUS_LABELS[c.status]}</span>
                   </div>
                 </div>
 
@@ -620,6 +706,10 @@ export default function ProfilePage() {
                   <Link to={`/processed-cases/${c.id}`} className={styles.caseLink}>
                     <h4 className={styles.currentCaseTitle}>{c.title}</h4>
                     <p className={styles.currentCaseTheme}>{c.theme}</p>
+                    <p className={styles.currentCaseTheme}>
+                      {formatBudget(c)} · до {formatDeadline(c.deadline)}
+                    </p>
+                    <MilestoneProgress value={c.progress} />
                     <div className={styles.clientInfo}>
                       <span className={styles.clientLabel}>Заказчик:</span>
                       <span className={styles.clientEmail}>{c.userEmail}</span>
@@ -649,17 +739,18 @@ export default function ProfilePage() {
                       <button
                         onClick={() => handleAddFiles(c.id)}
                         className={styles.addFilesButton}
-                        disabled={!selectedFiles[c.id]}
+                        disabled={!selectedFiles[c.id] || c.status === 'submitted'}
                       >
                         <FaUpload className={styles.buttonIcon} />
                         Загрузить
                       </button>
                       <button
-                        onClick={() => handleCompleteCase(c.id)}
+                        onClick={() => handleSubmitCase(c.id)}
                         className={styles.completeButton}
+                        disabled={c.status === 'submitted'}
                       >
                         <FaCheckCircle className={styles.buttonIcon} />
-                        Завершить
+                        {c.status === 'submitted' ? 'На проверке' : 'Сдать на проверку'}
                       </button>
                     </div>
                   </div>
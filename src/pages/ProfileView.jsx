@@ -1,7 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams, Link } from 'react-router-dom';
+import { CASE_STATUS_LABELS, OPEN_FOR_PROPOSALS, WORK_STATUSES } from '../components/caseStatus';
+import { formatBudget, formatDeadline } from '../components/caseTerms';
 import { FaStar } from 'react-icons/fa';
 import styles from './ProfileView.module.css';
+import { apiFetch, hasRole } from '../auth';
+import InviteToCase from '../components/InviteToCase';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
+
+const ROLE_LABELS = {
+  customer: 'Заказчик',
+  freelancer: 'Исполнитель',
+  admin: 'Администратор',
+};
 
 export default function ProfileView() {
   const navigate = useNavigate();
@@ -17,11 +29,7 @@ export default function ProfileView() {
     lastName: '',
     username: '',
     about: '',
-  });
-  const [currentUserData, setCurrentUserData] = useState({
-    firstName: '',
-    lastName: '',
-    photo: '',
+    roles: [],
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -68,11 +76,6 @@ export default function ProfileView() {
           if (res.ok) {
             const userData = await res.json();
             setCurrentUserId(userData.id);
-            setCurrentUserData({
-              firstName: userData.firstName || '',
-              lastName: userData.lastName || '',
-              photo: userData.photo || '',
-            });
           }
         }
       } catch (err) {
@@ -109,6 +112,7 @@ export default function ProfileView() {
           lastName: data.lastName || '',
           username: data.email || '',
           about: data.description || '',
+          roles: data.roles || [],
         });
         setUserEmail(data.email || '');
       } catch (err) {
@@ -121,22 +125,20 @@ export default function ProfileView() {
     const fetchProjectsAsCustomer = async () => {
       try {
         // Исправлено: заменил URL на API_BASE_URL
-        const resProjects = await fetch(`${API_BASE_URL}/projects?userId=${userId}`);
+        const resProjects = await apiFetch(`${API_BASE_URL}/projects?userId=${userId}`);
         if (!resProjects.ok) throw new Error('Ошибка загрузки проектов как заказчика');
         const projectsDataRaw = await resProjects.json();
-        const projectsData = projectsDataRaw.filter(p => p.status === 'closed');
+        const projectsData = projectsDataRaw.filter(p => p.status === 'completed');
 
         // Исправлено: заменил URL на API_BASE_URL
         const resCases = await fetch(`${API_BASE_URL}/cases?userId=${userId}`);
         if (!resCases.ok) throw new Error('Ошибка загрузки кейсов заказчика');
         const casesDataRaw = await resCases.json();
-        const casesData = casesDataRaw.filter(c => c.status === 'open');
+        const casesData = casesDataRaw.filter(c => OPEN_FOR_PROPOSALS.includes(c.status));
 
         const combined = [...casesData, ...projectsData];
         combined.sort((a, b) => {
-          if (a.status === 'open' && b.status !== 'open') return -1;
-          if (a.status !== 'open' && b.status === 'open') return 1;
-          return 0;
+          return OPEN_FOR_PROPOSALS.includes(b.status) - OPEN_FOR_PROPOSALS.includes(a.status);
         });
 
         setProjectsAsCustomer(combined);
@@ -149,10 +151,10 @@ export default function ProfileView() {
     const fetchCompletedExecutorProjects = async () => {
       try {
         // Исправлено: заменил URL на API_BASE_URL
-        const res = await fetch(`${API_BASE_URL}/projects?executorEmail=${encodeURIComponent(userEmail)}`);
+        const res = await apiFetch(`${API_BASE_URL}/projects?executorEmail=${encodeURIComponent(userEmail)}`);
         if (!res.ok) throw new Error('Ошибка загрузки проектов исполнителя');
         const data = await res.json();
-        const closedProjects = data.filter(p => p.status === 'closed');
+        const closedProjects = data.filter(p => p.status === 'completed');
         setCompletedExecutorProjects(closedProjects);
       } catch {
         setCompletedExecutorProjects([]);
@@ -162,11 +164,11 @@ export default function ProfileView() {
     const fetchInProcessExecutorCases = async () => {
       try {
         // Исправлено: заменил URL на API_BASE_URL
-        const res = await fetch(`${API_BASE_URL}/processed-cases`);
+        const res = await apiFetch(`${API_BASE_URL}/processed-cases`);
         if (!res.ok) throw new Error('Ошибка загрузки принятых кейсов');
         const data = await res.json();
         const filtered = data.filter(
-          c => c.executorId === Number(userId) && c.status === 'in_process'
+          c => c.executorId === Number(userId) && WORK_STATUSES.includes(c.status)
         );
         setInProcessExecutorCases(filtered);
       } catch {
@@ -243,16 +245,13 @@ export default function ProfileView() {
 
     const newReview = {
       userId,
-      reviewerId: currentUserId,
-      reviewerName: `${currentUserData.firstName} ${currentUserData.lastName}`.trim() || 'Anonymous',
-      reviewerPhoto: currentUserData.photo || '',
       text: newReviewText.trim(),
       rating: newReviewRating,
     };
 
     try {
       // Исправлено: заменил URL на API_BASE_URL
-      const res = await fetch(`${API_BASE_URL}/reviews`, {
+      const res = await apiFetch(`${API_BASE_URL}/reviews`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(newReview),
@@ -290,7 +289,7 @@ export default function ProfileView() {
             <div className={`${styles.tabContent} ${styles.projectsTab}`}>
               {projectsAsCustomer.map((p) => (
                 <div key={p.id} className={styles.projectCard}>
-                  {p.status === 'open' ? (
+                  {OPEN_FOR_PROPOSALS.includes(p.status) ? (
                     <Link to={`/cases/${p.id}`} className={styles.casesLink}>
                       <img
                         // Исправлено: убрал localhost из пути к изображению
@@ -301,7 +300,8 @@ export default function ProfileView() {
                       <div className={styles.projectInfo}>
                         <div className={styles.projectTopic}>{p.theme || p.title}</div>
                         <div className={styles.projectTitle}>Название: {p.title}</div>
-                        <div className={styles.projectStatus}>Статус: {p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Статус: {CASE_STATUS_LABELS[p.status] || p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Бюджет: {formatBudget(p)} · Срок: {formatDeadline(p.deadline)}</div>
                       </div>
                     </Link>
                   ) : (
@@ -318,7 +318,8 @@ export default function ProfileView() {
                         </div>
                         <div className={styles.projectTopic}>{p.theme || p.title}</div>
                         <div className={styles.projectTitle}>Название: {p.title}</div>
-                        <div className={styles.projectStatus}>Статус: {p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Статус: {CASE_STATUS_LABELS[p.status] || p.status || 'неизвестен'}</div>
+                        <div className={styles.projectStatus}>Бюджет: {formatBudget(p)} · Срок: {formatDeadline(p.deadline)}</div>
                       </div>
                     </Link>
                   )}
@@ -353,7 +354,8 @@ export default function ProfileView() {
                     <div className={styles.projectInfo}>
                       <div className={styles.projectTopic}>{proj.theme || proj.title}</div>
                       <div className={styles.projectTitle}>Название: {proj.title}</div>
-                      <div className={styles.projectStatus}>Статус: {proj.status || 'неизвестен'}</div>
+                      <div className={styles.projectStatus}>Статус: {CASE_STATUS_LABELS[proj.status] || proj.status || 'неизвестен'}</div>
+                      <div className={styles.projectStatus}>Бюджет: {formatBudget(proj)} · Срок: {formatDeadline(proj.deadline)}</div>
                     </div>
                   </div>
                 </Link>
@@ -490,12 +492,18 @@ export default function ProfileView() {
                 <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
                 
                 {/* Элементы из футера в мобильном меню */}
                 <div className={styles.mobileFooterMenu}>
@@ -537,9 +545,17 @@ export default function ProfileView() {
             {formData.firstName} {formData.lastName}
           </h1>
           <p>{formData.username}</p>
+          {formData.roles.length > 0 && (
+            <p>
+              <b>Роли:</b> {formData.roles.map(role => ROLE_LABELS[role] || role).join(', ')}
+            </p>
+          )}
           <p>
             <b>О себе:</b> {formData.about || 'Нет информации'}
           </p>
+          {currentUserId && !isOwnProfile() && hasRole('customer') && formData.roles.includes('freelancer') && (
+            <InviteToCase freelancerId={userId} />
+          )}
         </div>
       </div>
 
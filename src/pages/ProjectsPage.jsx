@@ -1,6 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import styles from './ProjectsPage.module.css';
 import { Link, useNavigate } from 'react-router-dom';
+import { hasRole } from '../auth';
+import { CASE_STATUS_LABELS } from '../components/caseStatus';
+import MessagesLink from '../components/MessagesLink';
+import NotificationBell from '../components/NotificationBell';
 
 export default function ProjectsPage() {
   const [searchTerm, setSearchTerm] = useState('');
@@ -101,12 +105,18 @@ const userId = localStorage.getItem('currentUserId');
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          <MessagesLink />
+          <NotificationBell />
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -201,7 +211,7 @@ const userId = localStorage.getItem('currentUserId');
                 <div className={styles.projectInfo}>
                   <div className={styles.projectTopic}>{project.theme || project.title}</div>
                   <div className={styles.projectTitle}>Название: {project.title}</div>
-                  <div className={styles.projectStatus}>Статус: {project.status || 'неизвестен'}</div>
+                  <div className={styles.projectStatus}>Статус: {CASE_STATUS_LABELS[project.status] || project.status || 'неизвестен'}</div>
                   <div>
                     Заказчик:{' '}
                     {project.userId ? (
@@ -1,10 +1,12 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import styles from './RegisterPage.module.css';
+import { saveTokens, saveUserRoles, hasRole } from '../auth';
 
 export default function RegisterPage() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [roles, setRoles] = useState(['customer', 'freelancer']);
   const [error, setError] = useState('');
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const navigate = useNavigate();
@@ -17,14 +19,22 @@ const userId = localStorage.getItem('currentUserId');
     setIsMenuOpen(!isMenuOpen);
   };
 
+  const toggleRole = (role) => {
+    setRoles(prev => prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]);
+  };
+
  const handleRegister = async (e) => {
   e.preventDefault();
   setError('');
+  if (roles.length === 0) {
+    setError('Выберите хотя бы одну роль');
+    return;
+  }
   try {
     const response = await fetch(`${API_BASE_URL}/register`, {
       method: 'POST',
       headers: {'Content-Type': 'application/json'},
-      body: JSON.stringify({email, password}),
+      body: JSON.stringify({email, password, roles}),
     });
     
     const data = await response.json();
@@ -34,8 +44,10 @@ const userId = localStorage.getItem('currentUserId');
       throw new Error(data.error || `Ошибка сервера: ${response.status}`);
     }
     
+    saveTokens(data);
     localStorage.setItem('currentUserId', data.id);
     localStorage.setItem('userEmail', data.email);
+    saveUserRoles(data.roles);
     
     navigate('/myprofile'); // ИСПРАВЬТЕ: должно быть /myprofile вместо /profile
   } catch (err) {
@@ -62,12 +74,16 @@ const userId = localStorage.getItem('currentUserId');
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           {/* Элементы из футера в мобильном меню */}
           <div className={styles.mobileFooterMenu}>
@@ -99,6 +115,16 @@ const userId = localStorage.getItem('currentUserId');
         <h2>Регистрация</h2>
         <input type="email" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} required />
         <input type="password" placeholder="Пароль" value={password} onChange={e => setPassword(e.target.value)} required />
+        <div className={styles.roles}>
+          <label className={styles.roleOption}>
+            <input type="checkbox" checked={roles.includes('customer')} onChange={() => toggleRole('customer')} />
+            Я заказчик
+          </label>
+          <label className={styles.roleOption}>
+            <input type="checkbox" checked={roles.includes('freelancer')} onChange={() => toggleRole('freelancer')} />
+            Я исполнитель
+          </label>
+        </div>
         <button type="submit">Зарегистрироваться</button>
         {error && <p style={{color: 'red'}}>{error}</p>}
         <div className={styles.transition}>
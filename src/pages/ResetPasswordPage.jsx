@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { hasRole } from '../auth';
+import styles from './SignInPage.module.css';
+
+export default function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [passwordRepeat, setPasswordRepeat] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const navigate = useNavigate();
+const userId = localStorage.getItem('currentUserId');
+
+  const API_BASE_URL = '/api';
+
+  const toggleMenu = () => {
+    setIsMenuOpen(!isMenuOpen);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    if (password !== passwordRepeat) {
+      setError('Пароли не совпадают');
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/reset`, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({token, password}),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Ошибка смены пароля');
+      setMessage(data.message);
+      setTimeout(() => navigate('/signin'), 1500);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <header className={styles.header}>
+        <Link to="/">
+          <img src="/images/logosmall.svg" alt="IdeaFlow logo" style={{ height: 80 }} />
+        </Link>
+        
+        <div className={styles.burgerMenu} onClick={toggleMenu}>
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+
+        <nav className={`${styles.navLinks} ${isMenuOpen ? styles.navLinksActive : ''}`}>
+          <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
+          <Link to="/cases">Кейсы</Link>
+          <Link to="/projects">Проекты</Link>
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
+          
+          <div className={styles.mobileFooterMenu}>
+            <div className={styles.footerContacts}>
+              Связаться с нами <br />
+              <a href="mailto:support@ideaflow.com">support@ideaflow.com</a>
+              <br />
+              <p>+7 (123) 456-78-90</p>
+            </div>
+            <div className={styles.footerSocials}>
+              <a href="#">
+                <img src="/images/facebook.svg" alt="Facebook" />
+              </a>
+              <a href="#">
+                <img src="/images/twitterx.svg" alt="Twitter" />
+              </a>
+              <a href="#">
+                <img src="/images/instagram.svg" alt="Instagram" />
+              </a>
+            </div>
+          </div>
+        </nav>
+
+        {isMenuOpen && <div className={styles.overlay} onClick={toggleMenu}></div>}
+      </header>
+
+      <form onSubmit={handleSubmit} className={styles.form}>
+        <h2>Новый пароль</h2>
+        {!token && <p style={{color: 'red'}}>Ссылка для сброса пароля неполная</p>}
+        <input
+          type="password"
+          placeholder="Новый пароль"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Повторите пароль"
+          value={passwordRepeat}
+          onChange={e => setPasswordRepeat(e.target.value)}
+          required
+        />
+        <button type="submit" disabled={!token}>Сохранить пароль</button>
+
+        {message && <p style={{color: '#0E900E'}}>{message}</p>}
+        {error && <p style={{color: 'red'}}>{error}</p>}
+
+        <div className={styles.transition}>
+          <span className={styles.switchLink} onClick={() => navigate('/forgot-password')}>Запросить новую ссылку</span>
+        </div>
+      </form>
+
+      <footer className={styles.footer}>
+        <div className={styles.footerContainer}>
+          <div className={styles.footerLogo}>
+            <img src="/images/logobig.svg" alt="Big Logo" />
+          </div>
+          <div className={styles.footerContacts}>
+            Связаться с нами <br />
+            <a href="mailto:support@ideaflow.com">support@ideaflow.com</a><br />
+            <p>+7 (123) 456-78-90</p>
+          </div>
+          <div className={styles.footerSocials}>
+            <a href="#"><img src="/images/facebook.svg" alt="Facebook" /></a>
+            <a href="#"><img src="/images/twitterx.svg" alt="Twitter" /></a>
+            <a href="#"><img src="/images/instagram.svg" alt="Instagram" /></a>
+          </div>
+        </div>
+        <p style={{ fontSize: 20, textAlign: 'center', marginTop: 10 }}>
+          Место, где идеи превращаются в успешные проекты благодаря сотрудничеству заказчиков и фрилансеров.
+        </p>
+      </footer>
+    </>
+  );
+}
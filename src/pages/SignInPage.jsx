@@ -1,11 +1,14 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import styles from './SignInPage.module.css';
+import { saveTokens, saveUserRoles, hasRole } from '../auth';
 
 export default function SignInPage() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const navigate = useNavigate();
 const userId = localStorage.getItem('currentUserId');
@@ -31,7 +34,47 @@ const handleLogin = async (e) => {
     
     console.log('✅ Login response:', data);
     
+    // Включена двухфакторная аутентификация — переходим ко второму шагу
+    if (data.twoFactorRequired) {
+      setChallengeToken(data.challengeToken);
+      return;
+    }
+    
+    completeLogin(data);
+    
+  } catch (err) {
+    console.error('💥 Login error:', err);
+    setError(err.message);
+  }
+};
+
+const handleSecondFactor = async (e) => {
+  e.preventDefault();
+  setError('');
+  try {
+    const response = await fetch('/api/login/2fa', {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({challengeToken, code}),
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Ошибка входа');
+    }
+    
+    completeLogin(data);
+    
+  } catch (err) {
+    console.error('💥 2FA error:', err);
+    setError(err.message);
+  }
+};
+
+const completeLogin = (data) => {
     // Сохраняем ВСЕ данные пользователя
+    saveTokens(data);
     localStorage.setItem('currentUserId', data.user?.id || data.id);
     localStorage.setItem('userEmail', data.user?.email || data.email);
     localStorage.setItem('userFirstName', data.user?.firstName || data.firstName || '');
@@ -39,6 +82,7 @@ const handleLogin = async (e) => {
     localStorage.setItem('userPhoto', data.user?.photo || data.photo || '');
     localStorage.setItem('userDescription', data.user?.description || data.description || '');
     localStorage.setItem('userData', JSON.stringify(data.user || data));
+    saveUserRoles(data.user?.roles || data.roles);
     
     console.log('📝 Saved to localStorage:', {
       userId: localStorage.getItem('currentUserId'),
@@ -49,11 +93,6 @@ const handleLogin = async (e) => {
     // РЕДИРЕКТ НА НОВЫЙ ПУТЬ
     console.log('🔄 Redirecting to own profile page: /my-profile');
     navigate('/myprofile');
-    
-  } catch (err) {
-    console.error('💥 Login error:', err);
-    setError(err.message);
-  }
 };
 
   // Добавим кнопку для диагностики localStorage
@@ -84,12 +123,16 @@ const handleLogin = async (e) => {
           <Link to={userId ? "/myprofile" : "/signin"}>Профиль</Link>
           <Link to="/cases">Кейсы</Link>
           <Link to="/projects">Проекты</Link>
-          <Link to={userId ? "/myprofile" : "/signin"}>
-            <button className={styles.buttonYellow}>Разместить проект</button>
-          </Link>
-          <Link to="/cases">
-            <button className={styles.buttonYellow}>Приступить к проекту</button>
-          </Link>
+          {(!userId || hasRole('customer')) && (
+            <Link to={userId ? "/myprofile" : "/signin"}>
+              <button className={styles.buttonYellow}>Разместить проект</button>
+            </Link>
+          )}
+          {(!userId || hasRole('freelancer')) && (
+            <Link to="/cases">
+              <button className={styles.buttonYellow}>Приступить к проекту</button>
+            </Link>
+          )}
           
           <div className={styles.mobileFooterMenu}>
             <div className={styles.footerContacts}>
@@ -115,6 +158,42 @@ const handleLogin = async (e) => {
         {isMenuOpen && <div className={styles.overlay} onClick={toggleMenu}></div>}
       </header>
 
+      {challengeToken ? (
+      <form onSubmit={handleSecondFactor} className={styles.form}>
+        <h2>Подтверждение входа</h2>
+        <p>Введите код из приложения-аутентификатора или один из резервных кодов</p>
+        <input 
+          type="text" 
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="Код" 
+          value={code} 
+          onChange={e => setCode(e.target.value)} 
+          required 
+        />
+        <button type="submit">Подтвердить</button>
+        
+        {error && (
+          <div style={{color: 'red', marginTop: '10px'}}>
+            <strong>Ошибка:</strong> {error}
+          </div>
+        )}
+        
+        <div className={styles.transition}>
+          <span 
+            className={styles.switchLink} 
+            onClick={() => {
+              setChallengeToken('');
+              setCode('');
+              setError('');
+            }}
+            style={{cursor: 'pointer'}}
+          >
+            Войти заново
+          </span>
+        </div>
+      </form>
+      ) : (
       <form onSubmit={handleLogin} className={styles.form}>
         <h2>Вход</h2>
         <input 
@@ -139,6 +218,16 @@ const handleLogin = async (e) => {
           </div>
         )}
         
+        <div className={styles.transition}>
+          <span 
+            className={styles.switchLink} 
+            onClick={() => navigate(`/forgot-password${email ? `?email=${encodeURIComponent(email)}` : ''}`)}
+            style={{cursor: 'pointer'}}
+          >
+            Забыли пароль?
+          </span>
+        </div>
+
         <div className={styles.transition}>
           <span 
             className={styles.switchLink} 
@@ -149,6 +238,7 @@ const handleLogin = async (e) => {
           </span>
         </div>
       </form>
+      )}
 
       <footer className={styles.footer}>
         <div className={styles.footerContainer}>
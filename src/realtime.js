@@ -0,0 +1,66 @@
+// Подключение к серверу событий по WebSocket (/ws). Одно соединение на вкладку,
+// компоненты подписываются на нужные типы событий через subscribe
+import { apiFetch, getAuthToken } from './auth';
+
+const RECONNECT_DELAY_MS = 3000;
+// Сервер закрывает соединение этим кодом, если токен недействителен
+const CLOSE_UNAUTHORIZED = 4401;
+
+const listeners = new Map();
+let socket = null;
+let reconnectTimer = null;
+
+function emit(type, data) {
+  (listeners.get(type) || new Set()).forEach(handler => handler(data));
+}
+
+function hasListeners() {
+  return Array.from(listeners.values()).some(set => set.size > 0);
+}
+
+function connect() {
+  const token = getAuthToken();
+  if (!token || socket) return;
+
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  const current = new WebSocket(`${protocol}://${window.location.host}/ws?token=${encodeURIComponent(token)}`);
+  socket = current;
+
+  current.onmessage = event => {
+    try {
+      const { type, data } = JSON.parse(event.data);
+      emit(type, data);
+    } catch (err) {
+      console.error('Некорректное событие WebSocket:', err);
+    }
+  };
+
+  current.onclose = async event => {
+    // Соединение могли закрыть при отписке и уже открыть новое
+    if (socket !== current) return;
+    socket = null;
+    if (!hasListeners()) return;
+    // Access-токен короткоживущий: любой запрос через apiFetch обновит его перед переподключением
+    if (event.code === CLOSE_UNAUTHORIZED) {
+      await apiFetch('/api/current-user');
+    }
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+}
+
+// Подписка на событие. Возвращает функцию отписки — удобно отдавать из useEffect
+export function subscribe(type, handler) {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(handler);
+  connect();
+
+  return () => {
+    listeners.get(type).delete(handler);
+    if (!hasListeners() && socket) {
+      clearTimeout(reconnectTimer);
+      socket.close();
+      socket = null;
+    }
+  };
+}